@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const matchingConfig = require('../config/matching');
+const { getStrategy } = require('../services/matchingStrategies');
+const {
+  generatePopulation,
+  serializeSnapshot,
+  loadSnapshotFile,
+  simulateStrategies,
+  formatReport
+} = require('../services/matchingSimulator');
+
+const USAGE = `Usage: swappers simulate [options]
+
+Run matching strategies over an offline snapshot and print metrics.
+
+Snapshot (one of):
+  --input <path>               JSON snapshot, or a directory of CSV files
+                               (swap_requests.csv, enrollments.csv, time_slots.csv,
+                               optional courses.csv, course_requests.csv, students.csv)
+  --generate                   Generate a synthetic population
+    --students <n>             Number of students (default 200)
+    --courses <n>              Number of courses (default 40)
+    --courses-per-student <n>  Enrollments per student (default 4)
+    --request-rate <0-1>       Share of students with a swap request (default 0.6)
+    --course-request-rate <0-1> Share of students with a course request (default 0)
+    --max-targets <n>          Most courses a request lists (default 3)
+    --skew <n>                 Demand skew, 0 spreads demand evenly (default 1)
+    --seed <n>                 Random seed (default 1)
+    --save <path>              Also write the generated snapshot as JSON
+
+Matching:
+  --strategies <a,b,...>       Strategies to compare (default: all registered)
+  --max-cycle-length <n>       Longest swap loop (default ${matchingConfig.maxCycleLength})
+  --json                       Print metrics as JSON
+`;
+
+const FLAGS = ['generate', 'json', 'help'];
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const key = arg.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+    if (FLAGS.includes(arg.slice(2))) {
+      options[key] = true;
+    } else if (i + 1 < rest.length) {
+      options[key] = rest[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+
+  return { command, options };
+};
+
+const numberOption = (options, key, fallback) => {
+  if (options[key] === undefined) return fallback;
+
+  const value = Number(options[key]);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)} must be a number`);
+  }
+
+  return value;
+};
+
+const simulate = (options) => {
+  if (!options.input && !options.generate) {
+    throw new Error('Either --input or --generate is required');
+  }
+
+  const snapshot = options.input
+    ? loadSnapshotFile(options.input)
+    : generatePopulation({
+      students: numberOption(options, 'students', 200),
+      courses: numberOption(options, 'courses', 40),
+      coursesPerStudent: numberOption(options, 'coursesPerStudent', 4),
+      requestRate: numberOption(options, 'requestRate', 0.6),
+      courseRequestRate: numberOption(options, 'courseRequestRate', 0),
+      maxTargets: numberOption(options, 'maxTargets', 3),
+      skew: numberOption(options, 'skew', 1),
+      seed: numberOption(options, 'seed', 1)
+    });
+
+  if (options.save) {
+    fs.writeFileSync(options.save, JSON.stringify(serializeSnapshot(snapshot), null, 2));
+  }
+
+  const strategies = options.strategies
+    ? options.strategies.split(',').map(name => getStrategy(name.trim()).name)
+    : undefined;
+
+  const results = simulateStrategies(snapshot, {
+    strategies,
+    maxCycleLength: numberOption(options, 'maxCycleLength', matchingConfig.maxCycleLength)
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatReport(results));
+  }
+};
+
+const main = () => {
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    if (!command || options.help || command === 'help') {
+      console.log(USAGE);
+      return;
+    }
+
+    if (command !== 'simulate') {
+      throw new Error(`Unknown command: ${command}`);
+    }
+
+    simulate(options);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -0,0 +1,35 @@
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// "Fall 2024=2024-08-26..2024-12-13, Spring 2025=2025-01-21..2025-05-09"
+// -> { 'Fall 2024': { start: '2024-08-26', end: '2024-12-13' }, ... }
+const parseTermDates = (value = '') => Object.fromEntries(
+  value
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([term, range]) => term && range && range.includes('..'))
+    .map(([term, range]) => {
+      const [start, end] = range.split('..').map(date => date.trim());
+      return [term, { start, end }];
+    })
+);
+
+module.exports = {
+  // First and last day of classes per term; terms not listed fall back to the
+  // usual window for their semester
+  termDates: parseTermDates(process.env.CALENDAR_TERM_DATES),
+  semesterWindows: {
+    Spring: { start: '01-15', end: '05-15' },
+    Summer: { start: '05-20', end: '08-15' },
+    Fall: { start: '08-25', end: '12-15' }
+  },
+  // IANA time zone the class times are in; unset writes floating local times
+  timezone: process.env.CALENDAR_TIMEZONE || null,
+  // Address calendar apps reach the API at, for subscription URLs
+  // (defaults to the host the request came in on)
+  publicUrl: process.env.PUBLIC_API_URL || null,
+  // How often calendar apps are asked to poll a feed
+  refreshHours: Math.max(1, parseInteger(process.env.CALENDAR_REFRESH_HOURS, 6))
+};
@@ -0,0 +1,28 @@
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// "Fall 2025=fairness, Spring 2026=fifo" -> { 'Fall 2025': 'fairness', 'Spring 2026': 'fifo' }
+const parseTermStrategies = (value = '') => Object.fromEntries(
+  value
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([term, strategy]) => term && strategy)
+);
+
+module.exports = {
+  // Longest swap loop the matcher will look for (2 = direct swaps only)
+  maxCycleLength: Math.max(2, parseInteger(process.env.MATCHING_MAX_CYCLE_LENGTH, 4)),
+  // How long students have to confirm a match before it expires
+  confirmationWindowHours: Math.max(1, parseInteger(process.env.MATCH_CONFIRMATION_HOURS, 48)),
+  // How long a seat freed for a waitlisted student is held for them
+  waitlistOfferHours: Math.max(1, parseInteger(process.env.WAITLIST_OFFER_HOURS, 24)),
+  // Strategy used to pick between partners, unless the term has its own
+  strategy: process.env.MATCHING_STRATEGY || 'priority',
+  termStrategies: parseTermStrategies(process.env.MATCHING_TERM_STRATEGIES),
+  // Default credit load a swap must keep students within (null = no limit);
+  // credit_rules can set it per term and per student
+  minCredits: parseInteger(process.env.MATCHING_MIN_CREDITS, null),
+  maxCredits: parseInteger(process.env.MATCHING_MAX_CREDITS, null)
+};
@@ -0,0 +1,16 @@
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Background jobs run inside the API process; tests never start them
+  enabled: process.env.SCHEDULER_ENABLED
+    ? process.env.SCHEDULER_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test',
+  // Minutes between runs of each job (0 = never run on a timer)
+  matchingIntervalMinutes: Math.max(0, parseInteger(process.env.SCHEDULER_MATCHING_INTERVAL_MINUTES, 15)),
+  expiryIntervalMinutes: Math.max(0, parseInteger(process.env.SCHEDULER_EXPIRY_INTERVAL_MINUTES, 5)),
+  // A crashed instance's lock is given up after this long
+  lockTtlMinutes: Math.max(1, parseInteger(process.env.SCHEDULER_LOCK_TTL_MINUTES, 30))
+};
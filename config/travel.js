@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Campuses (matched by whole words in time_slots.location) and the minutes
+// students need to get between them. Point TRAVEL_TIMES_FILE at your own table.
+const TRAVEL_MODES = ['off', 'warning', 'conflict'];
+
+const loadTravelTimes = (file) => {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const travelTimes = loadTravelTimes(process.env.TRAVEL_TIMES_FILE || path.join(__dirname, 'travelTimes.json'));
+const mode = process.env.TRAVEL_CONFLICT_MODE || travelTimes.mode || 'warning';
+
+module.exports = {
+  // off: ignore locations; warning: report tight transitions; conflict: block them like overlaps
+  mode: TRAVEL_MODES.includes(mode) ? mode : 'warning',
+  defaultMinutes: travelTimes.defaultMinutes || 0,
+  sameCampusMinutes: travelTimes.sameCampusMinutes || 0,
+  campuses: travelTimes.campuses || {},
+  transitions: travelTimes.transitions || []
+};
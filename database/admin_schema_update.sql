@@ -0,0 +1,9 @@
+-- Schema updates for admin-only endpoints
+-- Run these commands in your Supabase SQL editor
+
+-- Role used by the adminOnly middleware ('student' or 'admin')
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'student';
+
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON profiles(role);
+
+COMMENT ON COLUMN profiles.role IS 'student or admin; admins can run batch matching and other maintenance endpoints';
@@ -0,0 +1,23 @@
+-- Schema updates for calendar subscription feeds
+-- Run these commands in your Supabase SQL editor after request_conditions_schema_update.sql
+
+-- One private .ics subscription URL per student. The token in the URL is the
+-- only credential calendar apps send, so creating a new one (or deleting the
+-- row) revokes the old URL.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  student_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_accessed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+-- Tokens are issued by the API; students can see and revoke their own
+CREATE POLICY "Users can view their own calendar feed" ON calendar_feeds
+  FOR SELECT USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can delete their own calendar feed" ON calendar_feeds
+  FOR DELETE USING (auth.uid() = student_id);
+
+COMMENT ON TABLE calendar_feeds IS 'Revocable tokens for students'' iCalendar subscription URLs';
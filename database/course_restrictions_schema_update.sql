@@ -0,0 +1,50 @@
+-- Schema updates for course restrictions and completed courses
+-- Run these commands in your Supabase SQL editor after credit_rules_schema_update.sql
+
+-- Who may take a course. Empty arrays mean no limit of that kind.
+CREATE TABLE IF NOT EXISTS course_restrictions (
+  course_id UUID PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
+  prerequisite_course_codes TEXT[] NOT NULL DEFAULT '{}',
+  allowed_majors TEXT[] NOT NULL DEFAULT '{}',
+  allowed_years INTEGER[] NOT NULL DEFAULT '{}',
+  requires_instructor_permission BOOLEAN NOT NULL DEFAULT FALSE,
+  -- FALSE: report violations as warnings instead of refusing requests and matches
+  enforced BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Courses a student has already passed, by course code so they carry across terms
+CREATE TABLE IF NOT EXISTS completed_courses (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  student_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  course_code VARCHAR(20) NOT NULL,
+  semester VARCHAR(20),
+  year INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(student_id, course_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_completed_courses_student ON completed_courses(student_id);
+
+ALTER TABLE course_restrictions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE completed_courses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view course restrictions" ON course_restrictions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Users can view their own completed courses" ON completed_courses
+  FOR SELECT USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can insert their own completed courses" ON completed_courses
+  FOR INSERT WITH CHECK (auth.uid() = student_id);
+
+CREATE POLICY "Users can delete their own completed courses" ON completed_courses
+  FOR DELETE USING (auth.uid() = student_id);
+
+CREATE TRIGGER update_course_restrictions_updated_at BEFORE UPDATE ON course_restrictions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE course_restrictions IS 'Prerequisites, major and class-year limits, and instructor permission per course';
+COMMENT ON TABLE completed_courses IS 'Courses each student has completed, used to check prerequisites';
@@ -0,0 +1,38 @@
+-- Schema updates for credit-load rules
+-- Run these commands in your Supabase SQL editor after time_slot_dates_schema_update.sql
+
+-- Minimum and maximum credits a student must keep after a swap.
+-- student_id NULL: rule for everyone in the term; semester/year NULL: a student's rule for every term.
+CREATE TABLE IF NOT EXISTS credit_rules (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  student_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  semester VARCHAR(20),
+  year INTEGER,
+  min_credits NUMERIC(5, 2),
+  max_credits NUMERIC(5, 2),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((semester IS NULL) = (year IS NULL)),
+  CHECK (student_id IS NOT NULL OR semester IS NOT NULL),
+  CHECK (min_credits IS NULL OR max_credits IS NULL OR min_credits <= max_credits)
+);
+
+-- One rule per student and term, treating NULLs as equal
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_rules_scope ON credit_rules (
+  COALESCE(student_id, '00000000-0000-0000-0000-000000000000'::UUID),
+  COALESCE(semester, ''),
+  COALESCE(year, 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_rules_student ON credit_rules(student_id);
+
+ALTER TABLE credit_rules ENABLE ROW LEVEL SECURITY;
+
+-- Students can see the rules that apply to them; admins manage rules through the API
+CREATE POLICY "Users can view applicable credit rules" ON credit_rules
+  FOR SELECT USING (student_id IS NULL OR auth.uid() = student_id);
+
+CREATE TRIGGER update_credit_rules_updated_at BEFORE UPDATE ON credit_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE credit_rules IS 'Per-term credit limits with per-student overrides, enforced when matching swaps';
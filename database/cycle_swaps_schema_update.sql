@@ -0,0 +1,45 @@
+-- Schema updates for multi-party (cycle) swap matches
+-- Run these commands in your Supabase SQL editor after hyperschedule_schema_update.sql
+
+-- A match is either a direct two-way swap ('pair') or a loop of three or more students ('cycle').
+-- For cycles, request_a/request_b and student_a/student_b hold the first two members so that
+-- existing queries keep working; the full membership lives in swap_match_participants.
+ALTER TABLE swap_matches
+ADD COLUMN IF NOT EXISTS match_type VARCHAR(20) DEFAULT 'pair',
+ADD COLUMN IF NOT EXISTS participant_count INTEGER DEFAULT 2;
+
+CREATE TABLE IF NOT EXISTS swap_match_participants (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  match_id UUID REFERENCES swap_matches(id) ON DELETE CASCADE,
+  request_id UUID REFERENCES swap_requests(id) ON DELETE CASCADE,
+  student_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  gives_course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  receives_course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  confirmed BOOLEAN DEFAULT false,
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  completed BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(match_id, position),
+  UNIQUE(match_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_swap_match_participants_match ON swap_match_participants(match_id);
+CREATE INDEX IF NOT EXISTS idx_swap_match_participants_student ON swap_match_participants(student_id);
+CREATE INDEX IF NOT EXISTS idx_swap_match_participants_request ON swap_match_participants(request_id);
+
+ALTER TABLE swap_match_participants ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own match participation" ON swap_match_participants
+  FOR SELECT USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can view cycle matches they're involved in" ON swap_matches
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM swap_match_participants smp
+      WHERE smp.match_id = swap_matches.id AND smp.student_id = auth.uid()
+    )
+  );
+
+COMMENT ON COLUMN swap_matches.match_type IS 'pair for direct swaps, cycle for loops of three or more students';
+COMMENT ON COLUMN swap_matches.participant_count IS 'Number of students taking part in the match';
@@ -0,0 +1,69 @@
+-- Schema updates for incremental Hyperschedule sync
+-- Run these commands in your Supabase SQL editor after terms_schema_update.sql
+
+-- Where the last successful sync of a school's term left off. The cursor is
+-- Hyperschedule's `since` value; without one the next sync pulls the full catalog.
+CREATE TABLE IF NOT EXISTS hyperschedule_sync_state (
+  school VARCHAR(20) NOT NULL,
+  term_id UUID NOT NULL REFERENCES terms(id) ON DELETE CASCADE,
+  cursor TEXT,
+  last_synced_at TIMESTAMP WITH TIME ZONE,
+  last_full_sync_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (school, term_id)
+);
+
+ALTER TABLE hyperschedule_sync_state ENABLE ROW LEVEL SECURITY;
+
+-- What each sync changed about a course: catalog fields as { field: { from, to } }
+-- and the time slots it added and removed
+CREATE TABLE IF NOT EXISTS course_changes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  school VARCHAR(20),
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('created', 'updated', 'removed')),
+  field_changes JSONB NOT NULL DEFAULT '{}',
+  time_slots_added JSONB NOT NULL DEFAULT '[]',
+  time_slots_removed JSONB NOT NULL DEFAULT '[]',
+  -- A day, time or date changed (not just the room)
+  meeting_times_changed BOOLEAN NOT NULL DEFAULT FALSE,
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_changes_course ON course_changes(course_id, synced_at DESC);
+
+ALTER TABLE course_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view course changes" ON course_changes
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Students enrolled in a course whose meeting times changed, until they
+-- acknowledge it
+CREATE TABLE IF NOT EXISTS schedule_change_flags (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  change_id UUID NOT NULL REFERENCES course_changes(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(student_id, change_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_change_flags_open
+  ON schedule_change_flags(student_id) WHERE acknowledged_at IS NULL;
+
+ALTER TABLE schedule_change_flags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own schedule changes" ON schedule_change_flags
+  FOR SELECT USING (auth.uid() = student_id);
+
+-- Set when a course drops out of Hyperschedule's catalog; the course is kept for
+-- the students enrolled in it and later syncs don't log the removal again
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE;
+
+-- Active swap requests of a flagged student: their schedule, and so what the
+-- request can be matched with, changed since they made it
+ALTER TABLE swap_requests ADD COLUMN IF NOT EXISTS schedule_changed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE hyperschedule_sync_state IS 'Incremental Hyperschedule sync cursor per school and term';
+COMMENT ON TABLE course_changes IS 'Per-course log of catalog field and time slot changes made by the Hyperschedule sync';
+COMMENT ON TABLE schedule_change_flags IS 'Students whose enrolled course changed meeting times';
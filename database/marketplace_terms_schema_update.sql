@@ -0,0 +1,94 @@
+-- Schema updates for browsing the marketplace by term
+-- Run these commands in your Supabase SQL editor after swap_target_edits_schema_update.sql
+
+-- The marketplace lists one term at a time: a swap belongs to the term of the
+-- course offered, a course request to the term of the course wanted. term_id
+-- is added last, as CREATE OR REPLACE VIEW only allows new trailing columns.
+CREATE OR REPLACE VIEW marketplace_view AS
+SELECT 
+  'swap' as type,
+  sr.id,
+  sr.requester_id,
+  p.full_name as requester_name,
+  fc.course_code as offering_course_code,
+  fc.course_title as offering_course_title,
+  fc.department as offering_department,
+  fc.instructor as offering_instructor,
+  dc.course_code as wanting_course_code,
+  dc.course_title as wanting_course_title,
+  dc.department as wanting_department,
+  dc.instructor as wanting_instructor,
+  sr.priority,
+  sr.notes,
+  sr.created_at,
+  sr.expires_at,
+  -- Time slots for offering course
+  (
+    SELECT json_agg(
+      json_build_object(
+        'day_of_week', ts.day_of_week,
+        'start_time', ts.start_time,
+        'end_time', ts.end_time,
+        'location', ts.location
+      )
+    )
+    FROM time_slots ts WHERE ts.course_id = fc.id
+  ) as offering_time_slots,
+  -- Time slots for wanted course
+  (
+    SELECT json_agg(
+      json_build_object(
+        'day_of_week', ts.day_of_week,
+        'start_time', ts.start_time,
+        'end_time', ts.end_time,
+        'location', ts.location
+      )
+    )
+    FROM time_slots ts WHERE ts.course_id = dc.id
+  ) as wanting_time_slots,
+  fc.term_id
+FROM swap_requests sr
+JOIN profiles p ON sr.requester_id = p.id
+JOIN courses fc ON sr.from_course_id = fc.id
+JOIN courses dc ON sr.desired_course_id = dc.id
+WHERE sr.status = 'active'
+
+UNION ALL
+
+SELECT 
+  'request' as type,
+  cr.id,
+  cr.student_id as requester_id,
+  p.full_name as requester_name,
+  NULL as offering_course_code,
+  NULL as offering_course_title,
+  NULL as offering_department,
+  NULL as offering_instructor,
+  c.course_code as wanting_course_code,
+  c.course_title as wanting_course_title,
+  c.department as wanting_department,
+  c.instructor as wanting_instructor,
+  cr.priority,
+  cr.notes,
+  cr.created_at,
+  cr.expires_at,
+  NULL as offering_time_slots,
+  -- Time slots for requested course
+  (
+    SELECT json_agg(
+      json_build_object(
+        'day_of_week', ts.day_of_week,
+        'start_time', ts.start_time,
+        'end_time', ts.end_time,
+        'location', ts.location
+      )
+    )
+    FROM time_slots ts WHERE ts.course_id = c.id
+  ) as wanting_time_slots,
+  c.term_id
+FROM course_requests cr
+JOIN profiles p ON cr.student_id = p.id
+JOIN courses c ON cr.requested_course_id = c.id
+WHERE cr.status = 'active';
+
+GRANT SELECT ON marketplace_view TO authenticated;
@@ -0,0 +1,15 @@
+-- Schema updates for match confirmation deadlines
+-- Run these commands in your Supabase SQL editor after swap_bundles_schema_update.sql
+
+-- Pending matches expire once their deadline passes (match_status = 'expired')
+ALTER TABLE swap_matches ADD COLUMN IF NOT EXISTS confirmation_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE swap_matches ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE;
+
+-- Give matches that are already waiting the default 48 hour window
+UPDATE swap_matches
+SET confirmation_deadline = matched_at + INTERVAL '48 hours'
+WHERE match_status = 'pending' AND confirmation_deadline IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_swap_matches_deadline ON swap_matches(match_status, confirmation_deadline);
+
+COMMENT ON COLUMN swap_matches.confirmation_deadline IS 'Time by which every student must confirm before the match expires';
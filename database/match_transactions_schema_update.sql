@@ -0,0 +1,380 @@
+-- Transactional functions for match creation, status changes and enrollment counts
+-- Run these commands in your Supabase SQL editor after match_deadlines_schema_update.sql
+--
+-- Every function locks the rows it changes (FOR UPDATE) so two concurrent callers
+-- can never put the same swap request into two matches or overfill a course.
+-- Requests are always locked in id order so overlapping callers can't deadlock.
+
+CREATE OR REPLACE FUNCTION lock_active_swap_requests(p_request_ids UUID[])
+RETURNS VOID AS $$
+DECLARE
+  v_active INTEGER;
+BEGIN
+  PERFORM 1 FROM swap_requests
+  WHERE id = ANY(p_request_ids)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT COUNT(*) INTO v_active
+  FROM swap_requests
+  WHERE id = ANY(p_request_ids) AND status = 'active';
+
+  IF v_active <> (SELECT COUNT(DISTINCT request_id) FROM unnest(p_request_ids) AS request_id) THEN
+    RAISE EXCEPTION 'Swap request is no longer available for matching';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_swap_match(
+  p_request_a_id UUID,
+  p_request_b_id UUID,
+  p_bundle_id UUID DEFAULT NULL,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS swap_matches AS $$
+DECLARE
+  v_request_a swap_requests;
+  v_request_b swap_requests;
+  v_match swap_matches;
+BEGIN
+  PERFORM lock_active_swap_requests(ARRAY[p_request_a_id, p_request_b_id]);
+
+  SELECT * INTO v_request_a FROM swap_requests WHERE id = p_request_a_id;
+  SELECT * INTO v_request_b FROM swap_requests WHERE id = p_request_b_id;
+
+  INSERT INTO swap_matches (
+    request_a_id, request_b_id, student_a_id, student_b_id,
+    course_a_id, course_b_id, match_status, bundle_id, confirmation_deadline
+  )
+  VALUES (
+    v_request_a.id, v_request_b.id, v_request_a.requester_id, v_request_b.requester_id,
+    v_request_a.from_course_id, v_request_b.from_course_id, 'pending', p_bundle_id, p_confirmation_deadline
+  )
+  RETURNING * INTO v_match;
+
+  UPDATE swap_requests SET status = 'matched' WHERE id IN (p_request_a_id, p_request_b_id);
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql;
+
+-- p_participants: [{ request_id, student_id, gives_course_id, receives_course_id, position }]
+CREATE OR REPLACE FUNCTION create_cycle_match(
+  p_participants JSONB,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS swap_matches AS $$
+DECLARE
+  v_request_ids UUID[];
+  v_match swap_matches;
+BEGIN
+  SELECT array_agg((participant->>'request_id')::UUID ORDER BY (participant->>'position')::INTEGER)
+  INTO v_request_ids
+  FROM jsonb_array_elements(p_participants) AS participant;
+
+  PERFORM lock_active_swap_requests(v_request_ids);
+
+  INSERT INTO swap_matches (
+    request_a_id, request_b_id, student_a_id, student_b_id,
+    course_a_id, course_b_id, match_status, match_type, participant_count, confirmation_deadline
+  )
+  SELECT
+    first.request_id, second.request_id, first.student_id, second.student_id,
+    first.gives_course_id, second.gives_course_id, 'pending', 'cycle',
+    jsonb_array_length(p_participants), p_confirmation_deadline
+  FROM jsonb_to_recordset(p_participants) AS first(request_id UUID, student_id UUID, gives_course_id UUID, position INTEGER),
+       jsonb_to_recordset(p_participants) AS second(request_id UUID, student_id UUID, gives_course_id UUID, position INTEGER)
+  WHERE first.position = 0 AND second.position = 1
+  RETURNING * INTO v_match;
+
+  INSERT INTO swap_match_participants (match_id, request_id, student_id, gives_course_id, receives_course_id, position)
+  SELECT v_match.id, request_id, student_id, gives_course_id, receives_course_id, position
+  FROM jsonb_to_recordset(p_participants)
+    AS participant(request_id UUID, student_id UUID, gives_course_id UUID, receives_course_id UUID, position INTEGER);
+
+  UPDATE swap_requests SET status = 'matched' WHERE id = ANY(v_request_ids);
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Creates many matches in one transaction. p_matches holds either
+-- { request_a_id, request_b_id, bundle_id } or { participants: [...] } per match.
+-- Matches whose requests were taken in the meantime are skipped, unless
+-- p_all_or_nothing is set (bundles), in which case nothing is created.
+CREATE OR REPLACE FUNCTION create_swap_matches(
+  p_matches JSONB,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_all_or_nothing BOOLEAN DEFAULT false
+)
+RETURNS SETOF swap_matches AS $$
+DECLARE
+  v_item JSONB;
+  v_match swap_matches;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_matches) LOOP
+    BEGIN
+      IF v_item ? 'participants' THEN
+        v_match := create_cycle_match(v_item->'participants', p_confirmation_deadline);
+      ELSE
+        v_match := create_swap_match(
+          (v_item->>'request_a_id')::UUID,
+          (v_item->>'request_b_id')::UUID,
+          (v_item->>'bundle_id')::UUID,
+          p_confirmation_deadline
+        );
+      END IF;
+
+      RETURN NEXT v_match;
+    EXCEPTION WHEN raise_exception THEN
+      IF p_all_or_nothing THEN
+        RAISE;
+      END IF;
+    END;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION confirm_swap_match(p_match_id UUID, p_student_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_match swap_matches;
+  v_remaining INTEGER;
+BEGIN
+  SELECT * INTO v_match FROM swap_matches WHERE id = p_match_id FOR UPDATE;
+
+  IF NOT FOUND OR v_match.match_status <> 'pending' THEN
+    RAISE EXCEPTION 'Swap match not found or already processed';
+  END IF;
+
+  IF v_match.confirmation_deadline IS NOT NULL AND v_match.confirmation_deadline <= NOW() THEN
+    RAISE EXCEPTION 'This swap match has expired';
+  END IF;
+
+  IF v_match.match_type = 'cycle' THEN
+    UPDATE swap_match_participants
+    SET confirmed = true, confirmed_at = NOW()
+    WHERE match_id = p_match_id AND student_id = p_student_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Student not part of this match';
+    END IF;
+
+    SELECT COUNT(*) INTO v_remaining
+    FROM swap_match_participants
+    WHERE match_id = p_match_id AND NOT COALESCE(confirmed, false);
+  ELSIF p_student_id = v_match.student_a_id THEN
+    UPDATE swap_matches SET student_a_confirmed = true, confirmed_at = NOW() WHERE id = p_match_id;
+    v_remaining := CASE WHEN COALESCE(v_match.student_b_confirmed, false) THEN 0 ELSE 1 END;
+  ELSIF p_student_id = v_match.student_b_id THEN
+    UPDATE swap_matches SET student_b_confirmed = true, confirmed_at = NOW() WHERE id = p_match_id;
+    v_remaining := CASE WHEN COALESCE(v_match.student_a_confirmed, false) THEN 0 ELSE 1 END;
+  ELSE
+    RAISE EXCEPTION 'Student not part of this match';
+  END IF;
+
+  IF v_remaining = 0 THEN
+    UPDATE swap_matches
+    SET match_status = 'confirmed', confirmed_at = NOW(), contact_shared_at = NOW()
+    WHERE id = p_match_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'status', CASE WHEN v_remaining = 0 THEN 'confirmed' ELSE 'waiting_for_other_confirmation' END,
+    'remaining', v_remaining
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Returns how many matches were released (more than one when the match belongs to a bundle)
+CREATE OR REPLACE FUNCTION reject_swap_match(p_match_id UUID, p_student_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  v_match swap_matches;
+  v_match_ids UUID[];
+  v_request_ids UUID[];
+BEGIN
+  SELECT * INTO v_match FROM swap_matches WHERE id = p_match_id FOR UPDATE;
+
+  IF NOT FOUND OR v_match.match_status <> 'pending' THEN
+    RAISE EXCEPTION 'Swap match not found or already processed';
+  END IF;
+
+  IF p_student_id NOT IN (v_match.student_a_id, v_match.student_b_id) AND NOT EXISTS (
+    SELECT 1 FROM swap_match_participants WHERE match_id = p_match_id AND student_id = p_student_id
+  ) THEN
+    RAISE EXCEPTION 'Student not part of this match';
+  END IF;
+
+  -- A bundle only goes through as a whole, so rejecting one of its swaps unwinds the rest
+  IF v_match.bundle_id IS NOT NULL THEN
+    SELECT array_agg(id ORDER BY id) INTO v_match_ids
+    FROM (
+      SELECT id FROM swap_matches
+      WHERE bundle_id = v_match.bundle_id AND match_status IN ('pending', 'confirmed')
+      ORDER BY id
+      FOR UPDATE
+    ) bundle_matches;
+
+    UPDATE swap_bundles SET status = 'active' WHERE id = v_match.bundle_id AND status = 'matched';
+  ELSE
+    v_match_ids := ARRAY[p_match_id];
+  END IF;
+
+  SELECT array_agg(request_id) INTO v_request_ids
+  FROM (
+    SELECT request_a_id AS request_id FROM swap_matches WHERE id = ANY(v_match_ids)
+    UNION
+    SELECT request_b_id FROM swap_matches WHERE id = ANY(v_match_ids)
+    UNION
+    SELECT request_id FROM swap_match_participants WHERE match_id = ANY(v_match_ids)
+  ) requests;
+
+  UPDATE swap_matches SET match_status = 'rejected' WHERE id = ANY(v_match_ids);
+  UPDATE swap_requests SET status = 'active' WHERE id = ANY(v_request_ids);
+
+  RETURN cardinality(v_match_ids);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION complete_swap_match(p_match_id UUID, p_student_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_match swap_matches;
+  v_remaining INTEGER;
+  v_request_ids UUID[];
+  v_bundle_completed BOOLEAN := false;
+BEGIN
+  SELECT * INTO v_match FROM swap_matches WHERE id = p_match_id FOR UPDATE;
+
+  IF NOT FOUND OR v_match.match_status <> 'confirmed' THEN
+    RAISE EXCEPTION 'Match not found or not in confirmed status';
+  END IF;
+
+  IF v_match.match_type = 'cycle' THEN
+    UPDATE swap_match_participants
+    SET completed = true
+    WHERE match_id = p_match_id AND student_id = p_student_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Student not part of this match';
+    END IF;
+
+    SELECT COUNT(*) INTO v_remaining
+    FROM swap_match_participants
+    WHERE match_id = p_match_id AND NOT COALESCE(completed, false);
+
+    SELECT array_agg(request_id) INTO v_request_ids
+    FROM swap_match_participants WHERE match_id = p_match_id;
+  ELSIF p_student_id = v_match.student_a_id THEN
+    UPDATE swap_matches SET student_a_completed = true WHERE id = p_match_id;
+    v_remaining := CASE WHEN COALESCE(v_match.student_b_completed, false) THEN 0 ELSE 1 END;
+    v_request_ids := ARRAY[v_match.request_a_id, v_match.request_b_id];
+  ELSIF p_student_id = v_match.student_b_id THEN
+    UPDATE swap_matches SET student_b_completed = true WHERE id = p_match_id;
+    v_remaining := CASE WHEN COALESCE(v_match.student_a_completed, false) THEN 0 ELSE 1 END;
+    v_request_ids := ARRAY[v_match.request_a_id, v_match.request_b_id];
+  ELSE
+    RAISE EXCEPTION 'Student not part of this match';
+  END IF;
+
+  IF v_remaining = 0 THEN
+    UPDATE swap_matches
+    SET match_status = 'completed', completed_at = NOW()
+    WHERE id = p_match_id;
+
+    IF v_match.bundle_id IS NULL THEN
+      UPDATE swap_requests SET status = 'completed' WHERE id = ANY(v_request_ids);
+    ELSIF NOT EXISTS (
+      SELECT 1 FROM swap_matches
+      WHERE bundle_id = v_match.bundle_id AND match_status <> 'completed'
+    ) THEN
+      -- Bundle requests are completed together once every swap in the bundle is done
+      UPDATE swap_requests SET status = 'completed'
+      WHERE id IN (
+        SELECT request_a_id FROM swap_matches WHERE bundle_id = v_match.bundle_id
+        UNION
+        SELECT request_b_id FROM swap_matches WHERE bundle_id = v_match.bundle_id
+      );
+
+      UPDATE swap_bundles
+      SET status = 'completed', completed_at = NOW()
+      WHERE id = v_match.bundle_id;
+
+      v_bundle_completed := true;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'status', CASE WHEN v_remaining = 0 THEN 'completed' ELSE 'waiting_for_other_completion' END,
+    'remaining', v_remaining,
+    'bundle_completed', v_bundle_completed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- The course row is locked so concurrent enrollments can't push it past max_capacity
+CREATE OR REPLACE FUNCTION enroll_in_course(p_student_id UUID, p_course_id UUID)
+RETURNS enrollments AS $$
+DECLARE
+  v_course courses;
+  v_enrollment enrollments;
+BEGIN
+  SELECT * INTO v_course FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Course not found';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM enrollments WHERE student_id = p_student_id AND course_id = p_course_id) THEN
+    RAISE EXCEPTION 'Already enrolled in this course';
+  END IF;
+
+  IF v_course.max_capacity IS NOT NULL AND v_course.current_enrollment >= v_course.max_capacity THEN
+    RAISE EXCEPTION 'Course is at maximum capacity';
+  END IF;
+
+  INSERT INTO enrollments (student_id, course_id, enrollment_status)
+  VALUES (p_student_id, p_course_id, 'enrolled')
+  RETURNING * INTO v_enrollment;
+
+  UPDATE courses SET current_enrollment = current_enrollment + 1 WHERE id = p_course_id;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION drop_course_enrollment(p_student_id UUID, p_course_id UUID)
+RETURNS enrollments AS $$
+DECLARE
+  v_enrollment enrollments;
+BEGIN
+  PERFORM 1 FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  UPDATE enrollments
+  SET enrollment_status = 'dropped'
+  WHERE student_id = p_student_id AND course_id = p_course_id AND enrollment_status = 'enrolled'
+  RETURNING * INTO v_enrollment;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Enrollment not found';
+  END IF;
+
+  UPDATE courses
+  SET current_enrollment = GREATEST(current_enrollment - 1, 0)
+  WHERE id = p_course_id;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- These take student ids as arguments, so only the server (service role) may call them
+REVOKE EXECUTE ON FUNCTION lock_active_swap_requests(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_swap_match(UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_cycle_match(JSONB, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_swap_matches(JSONB, TIMESTAMP WITH TIME ZONE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION confirm_swap_match(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reject_swap_match(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION complete_swap_match(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION enroll_in_course(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION drop_course_enrollment(UUID, UUID) FROM PUBLIC, anon, authenticated;
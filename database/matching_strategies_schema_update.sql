@@ -0,0 +1,132 @@
+-- Schema updates for pluggable matching strategies
+-- Run these commands in your Supabase SQL editor after match_transactions_schema_update.sql
+
+-- Name of the strategy that picked the match (fifo, priority, seniority, fairness, optimal, ...)
+ALTER TABLE swap_matches ADD COLUMN IF NOT EXISTS strategy VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_swap_matches_strategy ON swap_matches(strategy);
+
+COMMENT ON COLUMN swap_matches.strategy IS 'Matching strategy that produced this match';
+
+-- The match creation functions gain a p_strategy argument, so the old signatures go first
+DROP FUNCTION IF EXISTS create_swap_match(UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE);
+DROP FUNCTION IF EXISTS create_cycle_match(JSONB, TIMESTAMP WITH TIME ZONE);
+
+CREATE OR REPLACE FUNCTION create_swap_match(
+  p_request_a_id UUID,
+  p_request_b_id UUID,
+  p_bundle_id UUID DEFAULT NULL,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_strategy VARCHAR DEFAULT NULL
+)
+RETURNS swap_matches AS $$
+DECLARE
+  v_request_a swap_requests;
+  v_request_b swap_requests;
+  v_match swap_matches;
+BEGIN
+  PERFORM lock_active_swap_requests(ARRAY[p_request_a_id, p_request_b_id]);
+
+  SELECT * INTO v_request_a FROM swap_requests WHERE id = p_request_a_id;
+  SELECT * INTO v_request_b FROM swap_requests WHERE id = p_request_b_id;
+
+  INSERT INTO swap_matches (
+    request_a_id, request_b_id, student_a_id, student_b_id,
+    course_a_id, course_b_id, match_status, bundle_id, confirmation_deadline, strategy
+  )
+  VALUES (
+    v_request_a.id, v_request_b.id, v_request_a.requester_id, v_request_b.requester_id,
+    v_request_a.from_course_id, v_request_b.from_course_id, 'pending', p_bundle_id,
+    p_confirmation_deadline, p_strategy
+  )
+  RETURNING * INTO v_match;
+
+  UPDATE swap_requests SET status = 'matched' WHERE id IN (p_request_a_id, p_request_b_id);
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql;
+
+-- p_participants: [{ request_id, student_id, gives_course_id, receives_course_id, position }]
+CREATE OR REPLACE FUNCTION create_cycle_match(
+  p_participants JSONB,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_strategy VARCHAR DEFAULT NULL
+)
+RETURNS swap_matches AS $$
+DECLARE
+  v_request_ids UUID[];
+  v_match swap_matches;
+BEGIN
+  SELECT array_agg((participant->>'request_id')::UUID ORDER BY (participant->>'position')::INTEGER)
+  INTO v_request_ids
+  FROM jsonb_array_elements(p_participants) AS participant;
+
+  PERFORM lock_active_swap_requests(v_request_ids);
+
+  INSERT INTO swap_matches (
+    request_a_id, request_b_id, student_a_id, student_b_id,
+    course_a_id, course_b_id, match_status, match_type, participant_count,
+    confirmation_deadline, strategy
+  )
+  SELECT
+    first.request_id, second.request_id, first.student_id, second.student_id,
+    first.gives_course_id, second.gives_course_id, 'pending', 'cycle',
+    jsonb_array_length(p_participants), p_confirmation_deadline, p_strategy
+  FROM jsonb_to_recordset(p_participants) AS first(request_id UUID, student_id UUID, gives_course_id UUID, position INTEGER),
+       jsonb_to_recordset(p_participants) AS second(request_id UUID, student_id UUID, gives_course_id UUID, position INTEGER)
+  WHERE first.position = 0 AND second.position = 1
+  RETURNING * INTO v_match;
+
+  INSERT INTO swap_match_participants (match_id, request_id, student_id, gives_course_id, receives_course_id, position)
+  SELECT v_match.id, request_id, student_id, gives_course_id, receives_course_id, position
+  FROM jsonb_to_recordset(p_participants)
+    AS participant(request_id UUID, student_id UUID, gives_course_id UUID, receives_course_id UUID, position INTEGER);
+
+  UPDATE swap_requests SET status = 'matched' WHERE id = ANY(v_request_ids);
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Each item in p_matches may now carry the strategy that picked it
+CREATE OR REPLACE FUNCTION create_swap_matches(
+  p_matches JSONB,
+  p_confirmation_deadline TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_all_or_nothing BOOLEAN DEFAULT false
+)
+RETURNS SETOF swap_matches AS $$
+DECLARE
+  v_item JSONB;
+  v_match swap_matches;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_matches) LOOP
+    BEGIN
+      IF v_item ? 'participants' THEN
+        v_match := create_cycle_match(
+          v_item->'participants',
+          p_confirmation_deadline,
+          v_item->>'strategy'
+        );
+      ELSE
+        v_match := create_swap_match(
+          (v_item->>'request_a_id')::UUID,
+          (v_item->>'request_b_id')::UUID,
+          (v_item->>'bundle_id')::UUID,
+          p_confirmation_deadline,
+          v_item->>'strategy'
+        );
+      END IF;
+
+      RETURN NEXT v_match;
+    EXCEPTION WHEN raise_exception THEN
+      IF p_all_or_nothing THEN
+        RAISE;
+      END IF;
+    END;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION create_swap_match(UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_cycle_match(JSONB, TIMESTAMP WITH TIME ZONE, VARCHAR) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,29 @@
+-- Schema updates for remembering rejected pairings
+-- Run these commands in your Supabase SQL editor after course_restrictions_schema_update.sql
+
+-- A student who rejects a match is not paired with the other students in it again,
+-- until they clear the exclusion themselves
+CREATE TABLE IF NOT EXISTS rejected_pairings (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  student_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  partner_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  match_id UUID REFERENCES swap_matches(id) ON DELETE SET NULL,
+  reason_code VARCHAR(50) CHECK (reason_code IN ('not_interested', 'schedule_changed', 'found_elsewhere', 'partner_unresponsive', 'other')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(student_id, partner_id),
+  CHECK (student_id <> partner_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rejected_pairings_student ON rejected_pairings(student_id);
+CREATE INDEX IF NOT EXISTS idx_rejected_pairings_partner ON rejected_pairings(partner_id);
+
+ALTER TABLE rejected_pairings ENABLE ROW LEVEL SECURITY;
+
+-- Pairings are recorded by the server; students see and clear their own
+CREATE POLICY "Users can view their own rejected pairings" ON rejected_pairings
+  FOR SELECT USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can delete their own rejected pairings" ON rejected_pairings
+  FOR DELETE USING (auth.uid() = student_id);
+
+COMMENT ON TABLE rejected_pairings IS 'Students who rejected a match with each other; the matcher skips these pairs';
@@ -0,0 +1,41 @@
+-- Schema updates for conditional swap requests
+-- Run these commands in your Supabase SQL editor after schedule_preferences_schema_update.sql
+
+-- A condition ties a swap request to another request of the same student:
+--   requires: only match this request once the other one is matched too
+--   excludes: the two are alternatives; once either completes the other is cancelled
+-- A condition disappears with the request it depends on.
+CREATE TABLE IF NOT EXISTS swap_request_conditions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  swap_request_id UUID NOT NULL REFERENCES swap_requests(id) ON DELETE CASCADE,
+  condition_type VARCHAR(20) NOT NULL CHECK (condition_type IN ('requires', 'excludes')),
+  depends_on_request_id UUID REFERENCES swap_requests(id) ON DELETE CASCADE,
+  depends_on_course_request_id UUID REFERENCES course_requests(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((depends_on_request_id IS NULL) <> (depends_on_course_request_id IS NULL)),
+  CHECK (depends_on_request_id IS DISTINCT FROM swap_request_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_swap_request_conditions_request ON swap_request_conditions(swap_request_id);
+CREATE INDEX IF NOT EXISTS idx_swap_request_conditions_depends_on_request ON swap_request_conditions(depends_on_request_id);
+CREATE INDEX IF NOT EXISTS idx_swap_request_conditions_depends_on_course_request ON swap_request_conditions(depends_on_course_request_id);
+
+ALTER TABLE swap_request_conditions ENABLE ROW LEVEL SECURITY;
+
+-- Students manage the conditions on their own requests
+CREATE POLICY "Users can view conditions on their own requests" ON swap_request_conditions
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM swap_requests WHERE id = swap_request_id AND requester_id = auth.uid())
+  );
+
+CREATE POLICY "Users can add conditions to their own requests" ON swap_request_conditions
+  FOR INSERT WITH CHECK (
+    EXISTS (SELECT 1 FROM swap_requests WHERE id = swap_request_id AND requester_id = auth.uid())
+  );
+
+CREATE POLICY "Users can delete conditions on their own requests" ON swap_request_conditions
+  FOR DELETE USING (
+    EXISTS (SELECT 1 FROM swap_requests WHERE id = swap_request_id AND requester_id = auth.uid())
+  );
+
+COMMENT ON TABLE swap_request_conditions IS 'Swap requests that depend on (requires) or are alternatives to (excludes) another request of the same student';
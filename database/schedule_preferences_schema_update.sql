@@ -0,0 +1,33 @@
+-- Schema updates for personal schedule preferences
+-- Run these commands in your Supabase SQL editor after waitlist_schema_update.sql
+
+-- What a student would like their week to look like. The matcher never refuses a
+-- match over these; it scores valid matches with them and prefers the better fit.
+CREATE TABLE IF NOT EXISTS schedule_preferences (
+  student_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  no_classes_before TIME,
+  free_days INTEGER[] DEFAULT '{}' CHECK (free_days <@ ARRAY[0, 1, 2, 3, 4, 5, 6]), -- day_of_week values, 0 = Sunday
+  max_consecutive_hours NUMERIC(3, 1) CHECK (max_consecutive_hours > 0),
+  preferred_campuses TEXT[] DEFAULT '{}', -- campus names from config/travelTimes.json
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE schedule_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own schedule preferences" ON schedule_preferences
+  FOR SELECT USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can insert their own schedule preferences" ON schedule_preferences
+  FOR INSERT WITH CHECK (auth.uid() = student_id);
+
+CREATE POLICY "Users can update their own schedule preferences" ON schedule_preferences
+  FOR UPDATE USING (auth.uid() = student_id);
+
+CREATE POLICY "Users can delete their own schedule preferences" ON schedule_preferences
+  FOR DELETE USING (auth.uid() = student_id);
+
+CREATE TRIGGER update_schedule_preferences_updated_at BEFORE UPDATE ON schedule_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE schedule_preferences IS 'Per-student schedule preferences used to score and rank otherwise equal matches';
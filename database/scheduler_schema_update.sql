@@ -0,0 +1,54 @@
+-- Schema updates for the background scheduler
+-- Run these commands in your Supabase SQL editor after rejected_pairings_schema_update.sql
+
+-- One row per job while an instance is running it. A lock past locked_until
+-- belongs to an instance that died and may be taken over.
+CREATE TABLE IF NOT EXISTS scheduler_locks (
+  job_name VARCHAR(50) PRIMARY KEY,
+  locked_by TEXT NOT NULL,
+  locked_until TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS scheduler_runs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_name VARCHAR(50) NOT NULL,
+  instance_id TEXT,
+  trigger VARCHAR(20) DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  status VARCHAR(30) DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'completed_with_errors', 'failed')),
+  counts JSONB DEFAULT '{}'::jsonb,
+  errors JSONB DEFAULT '[]'::jsonb,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduler_runs_job_started ON scheduler_runs(job_name, started_at DESC);
+
+-- Only the server reads and writes these
+ALTER TABLE scheduler_locks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduler_runs ENABLE ROW LEVEL SECURITY;
+
+-- Returns true when p_owner now holds the lock
+CREATE OR REPLACE FUNCTION acquire_scheduler_lock(p_job_name TEXT, p_owner TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+  INSERT INTO scheduler_locks (job_name, locked_by, locked_until)
+  VALUES (p_job_name, p_owner, NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (job_name) DO UPDATE
+  SET locked_by = EXCLUDED.locked_by, locked_until = EXCLUDED.locked_until
+  WHERE scheduler_locks.locked_until < NOW() OR scheduler_locks.locked_by = p_owner;
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_scheduler_lock(p_job_name TEXT, p_owner TEXT)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM scheduler_locks WHERE job_name = p_job_name AND locked_by = p_owner;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION acquire_scheduler_lock(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_scheduler_lock(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE scheduler_runs IS 'History of background job runs with their counts and errors';
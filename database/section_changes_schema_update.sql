@@ -0,0 +1,15 @@
+-- Schema updates for section change requests
+-- Run these commands in your Supabase SQL editor after hyperschedule_sync_schema_update.sql
+
+-- Section changes (POST /api/swaps/sections) are only ever resolved by the stable
+-- section assignment, never by the greedy matcher. Requests made before this
+-- update stay ordinary swaps.
+ALTER TABLE swap_requests ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'swap';
+
+ALTER TABLE swap_requests DROP CONSTRAINT IF EXISTS swap_requests_kind_check;
+ALTER TABLE swap_requests ADD CONSTRAINT swap_requests_kind_check CHECK (kind IN ('swap', 'section_change'));
+
+CREATE INDEX IF NOT EXISTS idx_swap_requests_section_changes
+  ON swap_requests(from_course_id) WHERE kind = 'section_change' AND status = 'active';
+
+COMMENT ON COLUMN swap_requests.kind IS 'swap, or section_change for requests only the stable section assignment resolves';
@@ -0,0 +1,47 @@
+-- Schema updates for bundle swaps (give several courses, get several courses as one unit)
+-- Run these commands in your Supabase SQL editor after swap_targets_schema_update.sql
+
+CREATE TABLE IF NOT EXISTS swap_bundles (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  requester_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  give_course_ids UUID[] NOT NULL,
+  get_course_ids UUID[] NOT NULL,
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'matched', 'completed', 'cancelled', 'expired')),
+  priority INTEGER DEFAULT 1 CHECK (priority >= 1 AND priority <= 5),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '30 days'),
+  CHECK (cardinality(give_course_ids) = cardinality(get_course_ids)),
+  CHECK (cardinality(give_course_ids) >= 1)
+);
+
+-- Each course a bundle gives up is a regular swap request tied to the bundle.
+-- The matcher only matches these together, never on their own.
+ALTER TABLE swap_requests ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES swap_bundles(id) ON DELETE CASCADE;
+ALTER TABLE swap_matches ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES swap_bundles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_swap_bundles_requester ON swap_bundles(requester_id);
+CREATE INDEX IF NOT EXISTS idx_swap_bundles_status ON swap_bundles(status);
+CREATE INDEX IF NOT EXISTS idx_swap_requests_bundle ON swap_requests(bundle_id);
+CREATE INDEX IF NOT EXISTS idx_swap_matches_bundle ON swap_matches(bundle_id);
+
+CREATE TRIGGER update_swap_bundles_updated_at BEFORE UPDATE ON swap_bundles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE swap_bundles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own swap bundles" ON swap_bundles
+  FOR SELECT USING (auth.uid() = requester_id);
+
+CREATE POLICY "Users can create their own swap bundles" ON swap_bundles
+  FOR INSERT WITH CHECK (auth.uid() = requester_id);
+
+CREATE POLICY "Users can update their own swap bundles" ON swap_bundles
+  FOR UPDATE USING (auth.uid() = requester_id);
+
+CREATE POLICY "Users can delete their own swap bundles" ON swap_bundles
+  FOR DELETE USING (auth.uid() = requester_id);
+
+COMMENT ON TABLE swap_bundles IS 'Multi-course swaps that only complete if every component swap is matched';
@@ -0,0 +1,33 @@
+-- Schema updates for editing a swap request's acceptable courses
+-- Run these commands in your Supabase SQL editor after section_changes_schema_update.sql
+
+-- Replaces a request's ranked targets (rank 1 = first choice) and keeps
+-- desired_course_id on the first choice, all in one transaction, so the matcher
+-- never sees a request with its old targets removed and the new ones missing
+CREATE OR REPLACE FUNCTION replace_swap_request_targets(p_request_id UUID, p_course_ids UUID[])
+RETURNS SETOF swap_request_targets AS $$
+BEGIN
+  PERFORM 1 FROM swap_requests WHERE id = p_request_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Swap request not found';
+  END IF;
+
+  IF COALESCE(array_length(p_course_ids, 1), 0) = 0 THEN
+    RAISE EXCEPTION 'At least one desired course is required';
+  END IF;
+
+  DELETE FROM swap_request_targets WHERE swap_request_id = p_request_id;
+
+  UPDATE swap_requests SET desired_course_id = p_course_ids[1] WHERE id = p_request_id;
+
+  RETURN QUERY
+  INSERT INTO swap_request_targets (swap_request_id, course_id, rank)
+  SELECT p_request_id, targets.course_id, targets.rank::INTEGER
+  FROM unnest(p_course_ids) WITH ORDINALITY AS targets(course_id, rank)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API (service role) replaces targets, after checking who owns the request
+REVOKE EXECUTE ON FUNCTION replace_swap_request_targets(UUID, UUID[]) FROM PUBLIC, anon, authenticated;
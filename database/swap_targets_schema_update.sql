@@ -0,0 +1,53 @@
+-- Schema updates for swap requests with several acceptable target courses
+-- Run these commands in your Supabase SQL editor after cycle_swaps_schema_update.sql
+
+-- Ranked list of courses a swap request would accept (rank 1 = first choice).
+-- swap_requests.desired_course_id keeps the first choice so older queries and the
+-- marketplace view continue to work.
+CREATE TABLE IF NOT EXISTS swap_request_targets (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  swap_request_id UUID REFERENCES swap_requests(id) ON DELETE CASCADE,
+  course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL CHECK (rank >= 1),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(swap_request_id, course_id),
+  UNIQUE(swap_request_id, rank)
+);
+
+CREATE INDEX IF NOT EXISTS idx_swap_request_targets_request ON swap_request_targets(swap_request_id);
+CREATE INDEX IF NOT EXISTS idx_swap_request_targets_course ON swap_request_targets(course_id);
+
+-- Backfill existing single-target requests
+INSERT INTO swap_request_targets (swap_request_id, course_id, rank)
+SELECT id, desired_course_id, 1
+FROM swap_requests
+WHERE desired_course_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE swap_request_targets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view targets of their own swap requests" ON swap_request_targets
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM swap_requests sr
+      WHERE sr.id = swap_request_targets.swap_request_id AND sr.requester_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can add targets to their own swap requests" ON swap_request_targets
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM swap_requests sr
+      WHERE sr.id = swap_request_targets.swap_request_id AND sr.requester_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can remove targets from their own swap requests" ON swap_request_targets
+  FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM swap_requests sr
+      WHERE sr.id = swap_request_targets.swap_request_id AND sr.requester_id = auth.uid()
+    )
+  );
+
+COMMENT ON TABLE swap_request_targets IS 'Ranked acceptable courses for a swap request; any of them can satisfy the request';
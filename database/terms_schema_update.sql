@@ -0,0 +1,143 @@
+-- Schema updates for academic terms
+-- Run these commands in your Supabase SQL editor after calendar_feeds_schema_update.sql
+
+-- A term replaces the free-text semester/year pair on courses. Exactly one
+-- term is current; routes, imports and the Hyperschedule sync default to it.
+CREATE TABLE IF NOT EXISTS terms (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  semester VARCHAR(20) NOT NULL,
+  year INTEGER NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- Last day students can enroll, drop or ask for swaps; NULL means until the term ends
+  add_drop_deadline DATE,
+  is_current BOOLEAN NOT NULL DEFAULT FALSE,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(semester, year),
+  CHECK (end_date >= start_date),
+  CHECK (add_drop_deadline IS NULL OR add_drop_deadline BETWEEN start_date AND end_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_terms_current ON terms(is_current) WHERE is_current;
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS term_id UUID REFERENCES terms(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_courses_term_id ON courses(term_id);
+
+-- One term for every semester/year already on courses, using the usual
+-- Spring/Summer/Fall windows; adjust the dates afterwards in the admin API
+INSERT INTO terms (name, semester, year, start_date, end_date)
+SELECT DISTINCT
+  semester || ' ' || year,
+  semester,
+  year,
+  CASE semester
+    WHEN 'Spring' THEN make_date(year, 1, 15)
+    WHEN 'Summer' THEN make_date(year, 5, 20)
+    WHEN 'Fall' THEN make_date(year, 8, 25)
+    ELSE make_date(year, 1, 1)
+  END,
+  CASE semester
+    WHEN 'Spring' THEN make_date(year, 5, 15)
+    WHEN 'Summer' THEN make_date(year, 8, 15)
+    WHEN 'Fall' THEN make_date(year, 12, 15)
+    ELSE make_date(year, 12, 31)
+  END
+FROM courses
+WHERE semester IS NOT NULL AND year IS NOT NULL
+ON CONFLICT (semester, year) DO NOTHING;
+
+UPDATE courses SET term_id = terms.id
+FROM terms
+WHERE courses.term_id IS NULL AND terms.semester = courses.semester AND terms.year = courses.year;
+
+-- The term in session today, or else the one that starts next, or the latest
+UPDATE terms SET is_current = TRUE
+WHERE id = (
+  SELECT id FROM terms
+  ORDER BY
+    (CURRENT_DATE BETWEEN start_date AND end_date) DESC,
+    (start_date > CURRENT_DATE) DESC,
+    CASE WHEN start_date > CURRENT_DATE THEN start_date END ASC,
+    start_date DESC
+  LIMIT 1
+)
+AND NOT EXISTS (SELECT 1 FROM terms WHERE is_current);
+
+-- Open requests and matches of a finished term are archived, not deleted
+ALTER TABLE swap_bundles DROP CONSTRAINT IF EXISTS swap_bundles_status_check;
+ALTER TABLE swap_bundles ADD CONSTRAINT swap_bundles_status_check
+  CHECK (status IN ('active', 'matched', 'completed', 'cancelled', 'expired', 'archived'));
+
+ALTER TABLE terms ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can see the terms; admins change them through the API
+CREATE POLICY "Anyone can view terms" ON terms
+  FOR SELECT USING (true);
+
+-- Makes a term current and archives the open swap requests, course requests,
+-- bundles and matches of the term it replaces, all at once
+CREATE OR REPLACE FUNCTION rollover_term(p_term_id UUID)
+RETURNS JSON AS $$
+DECLARE
+  v_previous_id UUID;
+  v_course_ids UUID[];
+  v_matches INTEGER := 0;
+  v_swap_requests INTEGER := 0;
+  v_course_requests INTEGER := 0;
+  v_bundles INTEGER := 0;
+BEGIN
+  PERFORM 1 FROM terms WHERE id = p_term_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Term not found';
+  END IF;
+
+  SELECT id INTO v_previous_id FROM terms WHERE is_current FOR UPDATE;
+
+  IF v_previous_id = p_term_id THEN
+    RAISE EXCEPTION 'Term is already the current term';
+  END IF;
+
+  UPDATE terms SET is_current = FALSE, archived_at = NOW(), updated_at = NOW() WHERE id = v_previous_id;
+  UPDATE terms SET is_current = TRUE, archived_at = NULL, updated_at = NOW() WHERE id = p_term_id;
+
+  IF v_previous_id IS NOT NULL THEN
+    SELECT ARRAY_AGG(id) INTO v_course_ids FROM courses WHERE term_id = v_previous_id;
+
+    UPDATE swap_matches SET match_status = 'archived'
+    WHERE match_status IN ('pending', 'accepted', 'confirmed') AND course_a_id = ANY(v_course_ids);
+    GET DIAGNOSTICS v_matches = ROW_COUNT;
+
+    UPDATE swap_bundles SET status = 'archived', updated_at = NOW()
+    WHERE status IN ('active', 'matched') AND id IN (
+      SELECT bundle_id FROM swap_requests WHERE from_course_id = ANY(v_course_ids)
+    );
+    GET DIAGNOSTICS v_bundles = ROW_COUNT;
+
+    UPDATE swap_requests SET status = 'archived', updated_at = NOW()
+    WHERE status IN ('active', 'matched') AND from_course_id = ANY(v_course_ids);
+    GET DIAGNOSTICS v_swap_requests = ROW_COUNT;
+
+    UPDATE course_requests SET status = 'archived', updated_at = NOW()
+    WHERE status IN ('active', 'matched') AND requested_course_id = ANY(v_course_ids);
+    GET DIAGNOSTICS v_course_requests = ROW_COUNT;
+  END IF;
+
+  RETURN json_build_object(
+    'previousTermId', v_previous_id,
+    'archivedMatches', v_matches,
+    'archivedSwapRequests', v_swap_requests,
+    'archivedCourseRequests', v_course_requests,
+    'archivedBundles', v_bundles
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the API (service role) rolls terms over
+REVOKE EXECUTE ON FUNCTION rollover_term(UUID) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE terms IS 'Academic terms with their dates and add/drop deadline; one is current';
+COMMENT ON FUNCTION rollover_term IS 'Makes a term current and archives the open requests and matches of the previous one';
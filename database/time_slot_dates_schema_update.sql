@@ -0,0 +1,15 @@
+-- Schema updates for date-ranged time slots (half-semester courses, exams)
+-- Run these commands in your Supabase SQL editor after matching_strategies_schema_update.sql
+
+-- A slot without dates meets every week of the term
+ALTER TABLE time_slots ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE time_slots ADD COLUMN IF NOT EXISTS end_date DATE;
+ALTER TABLE time_slots ADD COLUMN IF NOT EXISTS exception_dates DATE[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE time_slots DROP CONSTRAINT IF EXISTS time_slots_date_range_check;
+ALTER TABLE time_slots ADD CONSTRAINT time_slots_date_range_check
+  CHECK (start_date IS NULL OR end_date IS NULL OR start_date <= end_date);
+
+COMMENT ON COLUMN time_slots.start_date IS 'First date the slot meets (NULL: start of term)';
+COMMENT ON COLUMN time_slots.end_date IS 'Last date the slot meets (NULL: end of term)';
+COMMENT ON COLUMN time_slots.exception_dates IS 'Dates within the range on which the slot does not meet';
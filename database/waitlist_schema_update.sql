@@ -0,0 +1,203 @@
+-- Schema updates for course waitlists
+-- Run these commands in your Supabase SQL editor after scheduler_schema_update.sql
+--
+-- Waitlisted students are enrollments rows with enrollment_status = 'waitlist',
+-- ordered by waitlist_position. When a seat opens the first eligible student is
+-- moved to 'offered': the seat is held for them (counted in current_enrollment)
+-- until they accept it or the offer expires.
+
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS waitlist_position INTEGER;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS offer_expires_at TIMESTAMP WITH TIME ZONE;
+-- The course request that put the student on the waitlist, if any
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS course_request_id UUID REFERENCES course_requests(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN enrollments.enrollment_status IS 'enrolled, dropped, waitlist or offered (a seat held for a waitlisted student)';
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_waitlist ON enrollments(course_id, waitlist_position)
+  WHERE enrollment_status IN ('waitlist', 'offered');
+CREATE INDEX IF NOT EXISTS idx_enrollments_offer_expiry ON enrollments(offer_expires_at)
+  WHERE enrollment_status = 'offered';
+
+-- Same as before, but tells waitlisted students where they stand
+CREATE OR REPLACE FUNCTION enroll_in_course(p_student_id UUID, p_course_id UUID)
+RETURNS enrollments AS $$
+DECLARE
+  v_course courses;
+  v_existing enrollments;
+  v_enrollment enrollments;
+BEGIN
+  SELECT * INTO v_course FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Course not found';
+  END IF;
+
+  SELECT * INTO v_existing FROM enrollments
+  WHERE student_id = p_student_id AND course_id = p_course_id;
+
+  IF FOUND AND v_existing.enrollment_status = 'offered' THEN
+    RAISE EXCEPTION 'A seat is being held for you; accept the waitlist offer instead';
+  ELSIF FOUND AND v_existing.enrollment_status = 'waitlist' THEN
+    RAISE EXCEPTION 'Already on the waitlist for this course';
+  ELSIF FOUND THEN
+    RAISE EXCEPTION 'Already enrolled in this course';
+  END IF;
+
+  IF v_course.max_capacity IS NOT NULL AND v_course.current_enrollment >= v_course.max_capacity THEN
+    RAISE EXCEPTION 'Course is at maximum capacity';
+  END IF;
+
+  INSERT INTO enrollments (student_id, course_id, enrollment_status)
+  VALUES (p_student_id, p_course_id, 'enrolled')
+  RETURNING * INTO v_enrollment;
+
+  UPDATE courses SET current_enrollment = current_enrollment + 1 WHERE id = p_course_id;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Adds the student to the end of the course's waitlist
+CREATE OR REPLACE FUNCTION join_course_waitlist(p_student_id UUID, p_course_id UUID, p_course_request_id UUID DEFAULT NULL)
+RETURNS enrollments AS $$
+DECLARE
+  v_enrollment enrollments;
+BEGIN
+  PERFORM 1 FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Course not found';
+  END IF;
+
+  SELECT * INTO v_enrollment FROM enrollments
+  WHERE student_id = p_student_id AND course_id = p_course_id;
+
+  IF FOUND AND v_enrollment.enrollment_status IN ('waitlist', 'offered') THEN
+    RAISE EXCEPTION 'Already on the waitlist for this course';
+  ELSIF FOUND THEN
+    RAISE EXCEPTION 'Already enrolled in this course';
+  END IF;
+
+  INSERT INTO enrollments (student_id, course_id, enrollment_status, waitlist_position, waitlisted_at, course_request_id)
+  VALUES (
+    p_student_id,
+    p_course_id,
+    'waitlist',
+    (SELECT COALESCE(MAX(waitlist_position), 0) + 1 FROM enrollments
+     WHERE course_id = p_course_id AND enrollment_status IN ('waitlist', 'offered')),
+    NOW(),
+    p_course_request_id
+  )
+  RETURNING * INTO v_enrollment;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Holds an open seat for a waitlisted student. Returns false when the course has
+-- no seat left or the student is no longer waiting.
+CREATE OR REPLACE FUNCTION offer_waitlist_seat(p_enrollment_id UUID, p_offer_expires_at TIMESTAMP WITH TIME ZONE)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_course courses;
+BEGIN
+  SELECT courses.* INTO v_course
+  FROM courses JOIN enrollments ON enrollments.course_id = courses.id
+  WHERE enrollments.id = p_enrollment_id
+  FOR UPDATE OF courses;
+
+  IF NOT FOUND OR (v_course.max_capacity IS NOT NULL AND v_course.current_enrollment >= v_course.max_capacity) THEN
+    RETURN false;
+  END IF;
+
+  UPDATE enrollments
+  SET enrollment_status = 'offered', offer_expires_at = p_offer_expires_at
+  WHERE id = p_enrollment_id AND enrollment_status = 'waitlist';
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE courses SET current_enrollment = current_enrollment + 1 WHERE id = v_course.id;
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION accept_waitlist_offer(p_student_id UUID, p_course_id UUID)
+RETURNS enrollments AS $$
+DECLARE
+  v_enrollment enrollments;
+BEGIN
+  PERFORM 1 FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  UPDATE enrollments
+  SET enrollment_status = 'enrolled', enrolled_at = NOW(), waitlist_position = NULL, offer_expires_at = NULL
+  WHERE student_id = p_student_id AND course_id = p_course_id
+    AND enrollment_status = 'offered' AND offer_expires_at > NOW()
+  RETURNING * INTO v_enrollment;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No open seat offer for this course';
+  END IF;
+
+  IF v_enrollment.course_request_id IS NOT NULL THEN
+    UPDATE course_requests SET status = 'matched', updated_at = NOW()
+    WHERE id = v_enrollment.course_request_id AND status = 'active';
+  END IF;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Takes the student off the waitlist, giving back the seat if one was held for them
+CREATE OR REPLACE FUNCTION leave_course_waitlist(p_student_id UUID, p_course_id UUID)
+RETURNS enrollments AS $$
+DECLARE
+  v_enrollment enrollments;
+BEGIN
+  PERFORM 1 FROM courses WHERE id = p_course_id FOR UPDATE;
+
+  DELETE FROM enrollments
+  WHERE student_id = p_student_id AND course_id = p_course_id
+    AND enrollment_status IN ('waitlist', 'offered')
+  RETURNING * INTO v_enrollment;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not on the waitlist for this course';
+  END IF;
+
+  IF v_enrollment.enrollment_status = 'offered' THEN
+    UPDATE courses
+    SET current_enrollment = GREATEST(current_enrollment - 1, 0)
+    WHERE id = p_course_id;
+  END IF;
+
+  RETURN v_enrollment;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION join_course_waitlist(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION offer_waitlist_seat(UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION accept_waitlist_offer(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION leave_course_waitlist(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Active course requests for full courses join the waitlist in the order they were made
+INSERT INTO enrollments (student_id, course_id, enrollment_status, waitlist_position, waitlisted_at, course_request_id)
+SELECT
+  cr.student_id,
+  cr.requested_course_id,
+  'waitlist',
+  ROW_NUMBER() OVER (PARTITION BY cr.requested_course_id ORDER BY cr.created_at),
+  cr.created_at,
+  cr.id
+FROM course_requests cr
+JOIN courses c ON c.id = cr.requested_course_id
+WHERE cr.status = 'active'
+  AND c.max_capacity IS NOT NULL
+  AND c.current_enrollment >= c.max_capacity
+  AND NOT EXISTS (
+    SELECT 1 FROM enrollments e
+    WHERE e.student_id = cr.student_id AND e.course_id = cr.requested_course_id
+  );
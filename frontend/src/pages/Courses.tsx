@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { Course, Enrollment } from '../types';
+import { Course, Term, Enrollment } from '../types';
 import api from '../config/api';
 import {
   MagnifyingGlassIcon,
@@ -21,21 +21,25 @@ const Courses: React.FC = () => {
   // Filters
   const [search, setSearch] = useState('');
   const [selectedDepartment, setSelectedDepartment] = useState('');
-  const [semester, setSemester] = useState('Fall');
-  const [year, setYear] = useState(new Date().getFullYear().toString());
+  const [terms, setTerms] = useState<Term[]>([]);
+  // Empty means the current term
+  const [termId, setTermId] = useState('');
+
+  useEffect(() => {
+    fetchTerms();
+  }, []);
 
   useEffect(() => {
     fetchCourses();
     fetchEnrollments();
     fetchDepartments();
-  }, [search, selectedDepartment, semester, year]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [search, selectedDepartment, termId]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchCourses = async () => {
     try {
       setLoading(true);
       const params = new URLSearchParams({
-        semester,
-        year,
+        ...(termId && { termId }),
         ...(search && { search }),
         ...(selectedDepartment && { department: selectedDepartment }),
       });
@@ -59,6 +63,15 @@ const Courses: React.FC = () => {
     }
   };
 
+  const fetchTerms = async () => {
+    try {
+      const response = await api.get('/api/courses/terms');
+      setTerms(response.data.terms || []);
+    } catch (error) {
+      console.error('Error fetching terms:', error);
+    }
+  };
+
   const fetchDepartments = async () => {
     try {
       const response = await api.get('/api/courses/departments');
@@ -121,7 +134,7 @@ const Courses: React.FC = () => {
 
       {/* Filters */}
       <div className="bg-white rounded-lg shadow p-6">
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Search
@@ -156,30 +169,16 @@ const Courses: React.FC = () => {
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              Semester
-            </label>
-            <select
-              className="input-field"
-              value={semester}
-              onChange={(e) => setSemester(e.target.value)}
-            >
-              <option value="Fall">Fall</option>
-              <option value="Spring">Spring</option>
-              <option value="Summer">Summer</option>
-            </select>
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Year
+              Term
             </label>
             <select
               className="input-field"
-              value={year}
-              onChange={(e) => setYear(e.target.value)}
+              value={termId}
+              onChange={(e) => setTermId(e.target.value)}
             >
-              {[2024, 2025, 2026].map(y => (
-                <option key={y} value={y.toString()}>{y}</option>
+              <option value="">Current Term</option>
+              {terms.filter(term => !term.is_current).map(term => (
+                <option key={term.id} value={term.id}>{term.name}</option>
               ))}
             </select>
           </div>
@@ -23,11 +23,24 @@ export interface Course {
   current_enrollment?: number;
   semester: string;
   year: number;
+  term_id?: string | null;
   time_slots?: TimeSlot[];
   created_at?: string;
   updated_at?: string;
 }
 
+export interface Term {
+  id: string;
+  name: string;
+  semester: string;
+  year: number;
+  start_date: string;
+  end_date: string;
+  add_drop_deadline: string | null;
+  is_current: boolean;
+  archived_at: string | null;
+}
+
 export interface TimeSlot {
   id?: string;
   course_id?: string;
@@ -35,6 +48,9 @@ export interface TimeSlot {
   start_time: string;
   end_time: string;
   location?: string;
+  start_date?: string | null;
+  end_date?: string | null;
+  exception_dates?: string[];
   created_at?: string;
 }
 
@@ -42,8 +58,10 @@ export interface Enrollment {
   id: string;
   student_id: string;
   course_id: string;
-  enrollment_status: 'enrolled' | 'waitlisted' | 'dropped';
+  enrollment_status: 'enrolled' | 'waitlist' | 'offered' | 'dropped';
   enrolled_at?: string;
+  waitlist_position?: number | null;
+  offer_expires_at?: string | null;
   courses?: Course;
 }
 
@@ -57,9 +75,38 @@ export interface SwapRequest {
   notes?: string;
   created_at: string;
   expires_at?: string;
+  schedule_changed_at?: string | null;
   from_course?: Course;
   desired_course?: Course;
+  targets?: SwapRequestTarget[];
+  bundle_id?: string | null;
   requester?: User;
+  conditions?: SwapRequestCondition[];
+}
+
+export interface SwapRequestCondition {
+  condition_type: 'requires' | 'excludes';
+  depends_on_request_id: string | null;
+  depends_on_course_request_id: string | null;
+}
+
+export interface SwapRequestTarget {
+  rank: number;
+  course: Course;
+}
+
+export interface SwapBundle {
+  id: string;
+  requester_id: string;
+  give_course_ids: string[];
+  get_course_ids: string[];
+  status: 'active' | 'matched' | 'completed' | 'cancelled' | 'expired';
+  priority: number;
+  notes?: string;
+  created_at: string;
+  completed_at?: string;
+  expires_at?: string;
+  components?: Pick<SwapRequest, 'id' | 'status' | 'from_course_id' | 'desired_course_id'>[];
 }
 
 export interface SwapMatch {
@@ -68,8 +115,15 @@ export interface SwapMatch {
   student_b_id: string;
   course_a_id: string;
   course_b_id: string;
-  match_status: 'pending' | 'confirmed' | 'rejected' | 'completed';
+  match_status: 'pending' | 'confirmed' | 'rejected' | 'completed' | 'expired';
+  match_type?: 'pair' | 'cycle';
+  participant_count?: number;
+  participants?: SwapMatchParticipant[];
+  bundle_id?: string | null;
+  strategy?: string | null;
   matched_at: string;
+  confirmation_deadline?: string;
+  expired_at?: string;
   confirmed_at?: string;
   contact_shared_at?: string;
   completed_at?: string;
@@ -83,6 +137,90 @@ export interface SwapMatch {
   student_b?: User;
   course_a?: Course;
   course_b?: Course;
+  preference_score?: PreferenceScore | null;
+}
+
+export interface CalendarFeed {
+  url: string;
+  created_at: string;
+  last_accessed_at?: string | null;
+}
+
+export interface CalendarImportMeeting {
+  day_of_week: number;
+  start_time: string;
+  end_time: string;
+  location: string | null;
+  start_date: string;
+  end_date: string | null;
+}
+
+export interface CalendarImportMatch {
+  course: Course;
+  match: 'code_and_meetings' | 'code';
+  meetingOverlap: number;
+  events: string[];
+  enrollment_status?: string;
+}
+
+export interface CalendarImportProposal {
+  term: Term;
+  proposed: CalendarImportMatch[];
+  alreadyEnrolled: CalendarImportMatch[];
+  unmatched: {
+    summary: string;
+    reason: 'no_matching_course' | 'no_meeting_times' | 'unsupported_recurrence';
+    meetings: CalendarImportMeeting[];
+    candidates: { course: Course; codeMatch: boolean; meetingOverlap: number }[];
+  }[];
+}
+
+export interface CourseChange {
+  id: string;
+  course_id: string;
+  change_type: 'created' | 'updated' | 'removed';
+  field_changes: Record<string, { from: string | number | null; to: string | number | null }>;
+  time_slots_added: TimeSlot[];
+  time_slots_removed: TimeSlot[];
+  meeting_times_changed: boolean;
+  synced_at: string;
+}
+
+export interface ScheduleChange {
+  id: string;
+  course_id: string;
+  created_at: string;
+  acknowledged_at: string | null;
+  courses: Pick<Course, 'id' | 'course_code' | 'course_title'>;
+  course_changes: CourseChange;
+}
+
+export interface SchedulePreferences {
+  no_classes_before: string | null;
+  free_days: number[];
+  max_consecutive_hours: number | null;
+  preferred_campuses: string[];
+  updated_at?: string;
+}
+
+export interface PreferenceScore {
+  score: number;
+  breakdown: {
+    preference: 'no_classes_before' | 'free_days' | 'max_consecutive_hours' | 'preferred_campuses';
+    value: string | number | number[] | string[];
+    violations?: number;
+    longestRunHours?: number;
+    penalty: number;
+  }[];
+}
+
+export interface SwapMatchParticipant {
+  student_id: string;
+  position: number;
+  gives_course_id: string;
+  receives_course_id: string;
+  confirmed: boolean;
+  completed: boolean;
 }
 
 export interface ContactInfo {
@@ -119,4 +257,38 @@ export interface PaginatedResponse<T> {
     limit: number;
     total: number;
   };
-} 
\ No newline at end of file
+} 
+export interface SwapDiagnosticReason {
+  code: 'same_requester' | 'expired' | 'no_reverse_request' | 'pending_match' | 'time_conflict';
+  student?: 'requester' | 'candidate';
+  day?: string;
+  start_time?: string;
+  end_time?: string;
+  conflicting_course_code?: string;
+  match_id?: string;
+  expires_at?: string;
+}
+
+export interface SwapDiagnostics {
+  request: {
+    id: string;
+    status: SwapRequest['status'];
+    from_course_id: string;
+    acceptable_course_ids: string[];
+    expires_at?: string;
+  };
+  issues: { code: string; [key: string]: unknown }[];
+  candidates: {
+    request_id: string;
+    from_course_id: string;
+    target_rank: number;
+    eligible: boolean;
+    reasons: SwapDiagnosticReason[];
+  }[];
+  summary: {
+    candidatesConsidered: number;
+    eligibleCandidates: number;
+    cyclesFound: number;
+    wouldMatch: boolean;
+  };
+}
@@ -55,19 +55,23 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+const isAdmin = async (userId) => {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('role')
+    .eq('id', userId)
+    .single();
+
+  return !error && !!profile && profile.role === 'admin';
+};
+
 const adminOnly = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const { data: profile, error } = await supabaseAdmin
-      .from('profiles')
-      .select('role')
-      .eq('id', req.user.id)
-      .single();
-
-    if (error || !profile || profile.role !== 'admin') {
+    if (!(await isAdmin(req.user.id))) {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
@@ -82,5 +86,6 @@ module.exports = {
   authenticateToken,
   requireAuth,
   optionalAuth,
-  adminOnly
+  adminOnly,
+  isAdmin
 };
\ No newline at end of file
@@ -0,0 +1,428 @@
+const express = require('express');
+const { authenticateToken, requireAuth, adminOnly } = require('../middleware/auth');
+const { supabaseAdmin } = require('../config/supabase');
+const { optimizeTermMatches, assignCourseSections } = require('../services/batchMatching');
+const { expirePendingMatches } = require('../services/matchingAlgorithm');
+const { listStrategies } = require('../services/matchingStrategies');
+const { normalizeCourseCode } = require('../services/courseRestrictions');
+const { scheduler, getSchedulerRuns } = require('../services/scheduler');
+const {
+  validateTermData,
+  listTerms,
+  getTerm,
+  resolveTerm,
+  createTerm,
+  updateTerm,
+  rolloverTerm
+} = require('../services/terms');
+const matchingConfig = require('../config/matching');
+const schedulerConfig = require('../config/scheduler');
+
+const router = express.Router();
+
+router.post('/matching/optimize', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { termId, semester, year, dryRun = false } = req.body;
+
+    if (!semester !== !year) {
+      return res.status(400).json({ error: 'Semester and year must be given together' });
+    }
+
+    // Without a term, the current one
+    const term = await resolveTerm({ termId, semester, year });
+
+    const report = await optimizeTermMatches({
+      semester: term.semester,
+      year: term.year,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.json({
+      message: report.dryRun
+        ? 'Optimal matching computed (dry run, no matches created)'
+        : 'Optimal matching completed',
+      report
+    });
+
+  } catch (error) {
+    console.error('Error running optimal batch matching:', error);
+
+    if (['Term not found', 'No current term is set'].includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to run batch matching',
+      details: error.message 
+    });
+  }
+});
+
+// Stable seat trades among students who ranked other sections of the course
+router.post('/matching/sections', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { courseId, dryRun = false } = req.body;
+
+    if (!courseId) {
+      return res.status(400).json({ error: 'courseId is required' });
+    }
+
+    const report = await assignCourseSections({
+      courseId,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.json({
+      message: report.dryRun
+        ? 'Section assignment computed (dry run, no matches created)'
+        : 'Section assignment completed',
+      report
+    });
+
+  } catch (error) {
+    console.error('Error running section assignment:', error);
+    const status = error.message === 'Course not found' ? 404 : 500;
+    res.status(status).json({ 
+      error: 'Failed to run section assignment',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/matching/strategies', authenticateToken, requireAuth, adminOnly, (req, res) => {
+  res.json({
+    strategies: listStrategies(),
+    defaultStrategy: matchingConfig.strategy,
+    termStrategies: matchingConfig.termStrategies
+  });
+});
+
+router.post('/matches/expire', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const results = await expirePendingMatches();
+
+    res.json({
+      message: `Expired ${results.length} overdue swap match${results.length === 1 ? '' : 'es'}`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error expiring pending matches:', error);
+    res.status(500).json({ 
+      error: 'Failed to expire pending matches',
+      details: error.message 
+    });
+  }
+});
+
+// Replaces the course's restrictions; send an empty body to lift them all
+router.put('/courses/:courseId/restrictions', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const {
+      prerequisiteCourseCodes = [],
+      allowedMajors = [],
+      allowedYears = [],
+      requiresInstructorPermission = false,
+      enforced = true,
+      notes = null
+    } = req.body;
+
+    if (![prerequisiteCourseCodes, allowedMajors, allowedYears].every(Array.isArray)) {
+      return res.status(400).json({ 
+        error: 'prerequisiteCourseCodes, allowedMajors and allowedYears must be arrays' 
+      });
+    }
+
+    if (allowedYears.some(year => !Number.isInteger(Number(year)))) {
+      return res.status(400).json({ error: 'allowedYears must be class years (1, 2, 3, ...)' });
+    }
+
+    const { data: restriction, error } = await supabaseAdmin
+      .from('course_restrictions')
+      .upsert({
+        course_id: req.params.courseId,
+        prerequisite_course_codes: prerequisiteCourseCodes.map(normalizeCourseCode).filter(Boolean),
+        allowed_majors: allowedMajors.map(major => String(major).trim()).filter(Boolean),
+        allowed_years: allowedYears.map(Number),
+        requires_instructor_permission: requiresInstructorPermission === true,
+        enforced: enforced !== false,
+        notes
+      }, { onConflict: 'course_id' })
+      .select()
+      .single();
+
+    if (error) {
+      const status = error.code === '23503' ? 404 : 500;
+      return res.status(status).json({ error: status === 404 ? 'Course not found' : error.message });
+    }
+
+    res.json({ message: 'Course restrictions saved', restriction });
+
+  } catch (error) {
+    console.error('Error saving course restrictions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/credit-rules', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { studentId, semester, year } = req.query;
+
+    let query = supabaseAdmin
+      .from('credit_rules')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (studentId) query = query.eq('student_id', studentId);
+    if (semester) query = query.eq('semester', semester);
+    if (year) query = query.eq('year', parseInt(year));
+
+    const { data: rules, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      rules,
+      defaults: {
+        minCredits: matchingConfig.minCredits,
+        maxCredits: matchingConfig.maxCredits
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching credit rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/credit-rules', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { studentId = null, semester = null, year = null, minCredits = null, maxCredits = null } = req.body;
+
+    if (!studentId && !(semester && year)) {
+      return res.status(400).json({ error: 'A credit rule needs a student, a term (semester and year), or both' });
+    }
+
+    if (!semester !== !year) {
+      return res.status(400).json({ error: 'Semester and year must be given together' });
+    }
+
+    if (minCredits == null && maxCredits == null) {
+      return res.status(400).json({ error: 'Set minCredits, maxCredits, or both' });
+    }
+
+    if (minCredits != null && maxCredits != null && Number(minCredits) > Number(maxCredits)) {
+      return res.status(400).json({ error: 'minCredits cannot be more than maxCredits' });
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('credit_rules')
+      .insert({
+        student_id: studentId,
+        semester,
+        year: year ? parseInt(year) : null,
+        min_credits: minCredits,
+        max_credits: maxCredits
+      })
+      .select()
+      .single();
+
+    if (error) {
+      const status = error.code === '23505' ? 409 : 500;
+      return res.status(status).json({
+        error: status === 409 ? 'A credit rule already exists for this student and term' : error.message
+      });
+    }
+
+    res.status(201).json({ message: 'Credit rule created', rule });
+
+  } catch (error) {
+    console.error('Error creating credit rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/credit-rules/:id', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { data: rule, error } = await supabaseAdmin
+      .from('credit_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error || !rule) {
+      return res.status(404).json({ error: 'Credit rule not found' });
+    }
+
+    res.json({ message: 'Credit rule deleted' });
+
+  } catch (error) {
+    console.error('Error deleting credit rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/terms', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const terms = await listTerms();
+    res.json({ terms, currentTerm: terms.find(term => term.is_current) || null });
+
+  } catch (error) {
+    console.error('Error fetching terms:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/terms', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { name, semester, year, startDate, endDate, addDropDeadline = null } = req.body;
+    const term = {
+      name,
+      semester: semester && String(semester).trim(),
+      year: parseInt(year),
+      start_date: startDate,
+      end_date: endDate,
+      add_drop_deadline: addDropDeadline
+    };
+
+    const errors = validateTermData(term);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid term', details: errors });
+    }
+
+    res.status(201).json({ message: 'Term created', term: await createTerm(term) });
+
+  } catch (error) {
+    console.error('Error creating term:', error);
+
+    if (error.message === 'Term already exists') {
+      return res.status(409).json({ error: 'A term already exists for this semester and year' });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Changes a term's name, dates or add/drop deadline
+router.patch('/terms/:termId', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const existing = await getTerm(req.params.termId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    const { name, startDate, endDate, addDropDeadline } = req.body;
+    const updates = { name, start_date: startDate, end_date: endDate, add_drop_deadline: addDropDeadline };
+    const errors = validateTermData({
+      ...existing,
+      ...Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid term', details: errors });
+    }
+
+    res.json({ message: 'Term updated', term: await updateTerm(existing.id, updates) });
+
+  } catch (error) {
+    console.error('Error updating term:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Makes the term current. Open swap requests, course requests, bundles and
+// matches of the previous current term are archived.
+router.post('/terms/:termId/rollover', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const result = await rolloverTerm(req.params.termId);
+
+    res.json({
+      message: `${result.term.name} is now the current term`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error rolling over term:', error);
+
+    if (error.message === 'Term not found') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message === 'Term is already the current term') {
+      return res.status(409).json({ error: error.message });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to roll over term',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/scheduler', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const jobs = scheduler.getJobs();
+    const lastRuns = await Promise.all(jobs.map(job => getSchedulerRuns({ jobName: job.name, limit: 1 })));
+
+    res.json({
+      enabled: schedulerConfig.enabled,
+      instanceId: scheduler.instanceId,
+      jobs: jobs.map((job, index) => ({ ...job, lastRun: lastRuns[index][0] || null }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching scheduler status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/scheduler/runs', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { job, status, limit = 50 } = req.query;
+
+    const runs = await getSchedulerRuns({
+      jobName: job,
+      status,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({ runs });
+
+  } catch (error) {
+    console.error('Error fetching scheduler runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Runs a job now, outside its schedule. Still takes the job's lock.
+router.post('/scheduler/jobs/:job/run', authenticateToken, requireAuth, adminOnly, async (req, res) => {
+  try {
+    const { job } = req.params;
+
+    if (!scheduler.jobs[job]) {
+      return res.status(404).json({ error: `Unknown scheduler job: ${job}` });
+    }
+
+    const run = await scheduler.runJob(job, { trigger: 'manual' });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({ error: 'Job is already running', reason: run.reason });
+    }
+
+    res.json({ run });
+
+  } catch (error) {
+    console.error('Error running scheduler job:', error);
+    res.status(500).json({ 
+      error: 'Failed to run scheduler job',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { authenticateToken, requireAuth } = require('../middleware/auth');
+const calendarConfig = require('../config/calendar');
+const {
+  buildStudentCalendar,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getFeedCalendar
+} = require('../services/calendarFeed');
+
+const router = express.Router();
+
+const FEED_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+const getFeedUrl = (req, token) =>
+  `${calendarConfig.publicUrl || `${req.protocol}://${req.get('host')}`}/api/calendar/feeds/${token}.ics`;
+
+const formatFeed = (req, feed) => feed && {
+  url: getFeedUrl(req, feed.token),
+  created_at: feed.created_at,
+  last_accessed_at: feed.last_accessed_at
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(calendar);
+};
+
+router.get('/schedule.ics', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    sendCalendar(res, await buildStudentCalendar(req.user.id), 'schedule.ics');
+  } catch (error) {
+    console.error('Error exporting schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/feed', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const feed = await getCalendarFeed(req.user.id);
+    res.json({ feed: formatFeed(req, feed) });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Creates the subscription URL, or replaces it so the old one stops working
+router.post('/feed', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const feed = await createCalendarFeed(req.user.id);
+    res.status(201).json({ feed: formatFeed(req, feed) });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/feed', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeCalendarFeed(req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'No calendar feed to revoke' });
+    }
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Polled by calendar apps, which can't send a bearer token; the token in the
+// URL is the credential
+router.get('/feeds/:file', async (req, res) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, '');
+
+    if (!FEED_TOKEN_PATTERN.test(token)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const calendar = await getFeedCalendar(token);
+
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    sendCalendar(res, calendar, 'schedule.ics');
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,114 @@
 const express = require('express');
+const multer = require('multer');
 const { authenticateToken, requireAuth } = require('../middleware/auth');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const hyperscheduleService = require('../services/hyperscheduleService');
+const { findTightTransitions, splitTransitions } = require('../services/travelTime');
+const { checkCourseEligibility, cancelExclusiveAlternatives } = require('../services/matchingAlgorithm');
+const { normalizeCourseCode } = require('../services/courseRestrictions');
+const { getCourseSections } = require('../services/batchMatching');
+const {
+  getStudentWaitlists,
+  joinWaitlist,
+  linkWaitlistRequest,
+  offerSeatsInCourses,
+  acceptWaitlistOffer,
+  leaveWaitlist
+} = require('../services/waitlist');
+const { parseScheduleCsv } = require('../utils/courseImport');
+const {
+  importSchedule,
+  proposeCalendarImport,
+  confirmCalendarImport
+} = require('../services/scheduleImport');
+const { listTerms, resolveTerm, getTermAddDropError, getAddDropError } = require('../services/terms');
+const {
+  getScheduleChanges,
+  acknowledgeScheduleChange,
+  getCourseChanges
+} = require('../services/scheduleChanges');
 
 const router = express.Router();
 
+// Schedule files are small; keep them in memory rather than on disk
+const createUpload = ({ field, extension, mimetype, message }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (extension.test(file.originalname) || file.mimetype === mimetype) {
+        return cb(null, true);
+      }
+      cb(new Error(message));
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      next();
+    });
+  };
+};
+
+const uploadSchedule = createUpload({
+  field: 'schedule',
+  extension: /\.csv$/i,
+  mimetype: 'text/csv',
+  message: 'Only CSV files can be imported'
+});
+
+const uploadCalendar = createUpload({
+  field: 'calendar',
+  extension: /\.ics$/i,
+  mimetype: 'text/calendar',
+  message: 'Only .ics calendar files can be imported'
+});
+
+// A termId, or semester and year, that doesn't match a term, or no current term
+const TERM_ERRORS = ['Term not found', 'No current term is set'];
+
+// Tight transitions between every pair of enrolled courses
+const findScheduleTransitions = (courses) => {
+  const withCourse = course => (course.time_slots || []).map(slot => ({
+    ...slot,
+    course_id: course.id,
+    course_code: course.course_code
+  }));
+
+  const transitions = courses.flatMap((course, index) =>
+    findTightTransitions(courses.slice(index + 1).flatMap(withCourse), withCourse(course))
+  );
+
+  return splitTransitions(transitions);
+};
+
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { 
       search, 
       department, 
-      semester = 'Fall', 
-      year = new Date().getFullYear(),
+      termId,
+      semester, 
+      year,
       page = 1,
       limit = 50 
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    const term = await resolveTerm({ termId, semester, year });
     
     const courses = await hyperscheduleService.searchCourses(search, {
       department,
-      semester,
-      year,
+      termId: term.id,
       limit: parseInt(limit),
       offset
     });
 
     res.json({
+      term,
       courses,
       pagination: {
         page: parseInt(page),
@@ -37,13 +119,21 @@ router.get('/', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching courses:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 router.get('/enrolled', authenticateToken, requireAuth, async (req, res) => {
   try {
-    const { data: enrollments, error } = await supabase
+    // Without a termId, the current term
+    const term = await resolveTerm({ termId: req.query.termId });
+
+    const { data: allEnrollments, error } = await supabase
       .from('enrollments')
       .select(`
         id,
@@ -58,11 +148,15 @@ router.get('/enrolled', authenticateToken, requireAuth, async (req, res) => {
           instructor,
           semester,
           year,
+          term_id,
           time_slots (
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
           )
         )
       `)
@@ -73,10 +167,21 @@ router.get('/enrolled', authenticateToken, requireAuth, async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ enrollments });
+    const enrollments = allEnrollments.filter(enrollment =>
+      enrollment.courses && enrollment.courses.term_id === term.id
+    );
+
+    const travel = findScheduleTransitions(enrollments.map(enrollment => enrollment.courses).filter(Boolean));
+
+    res.json({ term, enrollments, travelConflicts: travel.conflicts, travelWarnings: travel.warnings });
 
   } catch (error) {
     console.error('Error fetching enrolled courses:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -102,56 +207,178 @@ router.get('/departments', authenticateToken, async (req, res) => {
   }
 });
 
+// Terms students can browse, newest first, with the current one
+router.get('/terms', authenticateToken, async (req, res) => {
+  try {
+    const terms = await listTerms();
+    res.json({ terms, currentTerm: terms.find(term => term.is_current) || null });
 
-router.post('/enroll/:courseId', authenticateToken, requireAuth, async (req, res) => {
+  } catch (error) {
+    console.error('Error fetching terms:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Imports a schedule CSV (multipart field `schedule`) for the term in `termId`,
+// or `semester` and `year`, or else the current term: one row per course
+// meeting pattern
+router.post('/import', authenticateToken, requireAuth, uploadSchedule, async (req, res) => {
   try {
-    const { courseId } = req.params;
+    if (!req.file) {
+      return res.status(400).json({ error: 'CSV file is required (multipart field "schedule")' });
+    }
 
-    const { data: existingEnrollment } = await supabase
-      .from('enrollments')
-      .select('id')
-      .eq('student_id', req.user.id)
-      .eq('course_id', courseId)
-      .single();
+    const { termId, semester, year } = req.body || {};
 
-    if (existingEnrollment) {
-      return res.status(400).json({ error: 'Already enrolled in this course' });
+    if (year && Number.isNaN(parseInt(year))) {
+      return res.status(400).json({ error: 'year must be a number' });
     }
 
-    const { data: course, error: courseError } = await supabase
-      .from('courses')
-      .select('max_capacity, current_enrollment')
-      .eq('id', courseId)
-      .single();
+    const term = await resolveTerm({ termId, semester, year });
 
-    if (courseError) {
-      return res.status(404).json({ error: 'Course not found' });
+    // Every row enrolls the student in a course of the term
+    const deadlineError = getTermAddDropError(term);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
     }
 
-    if (course.max_capacity && course.current_enrollment >= course.max_capacity) {
-      return res.status(400).json({ error: 'Course is at maximum capacity' });
+    const parsed = parseScheduleCsv(req.file.buffer.toString('utf8'), {
+      semester: term.semester,
+      year: term.year,
+      termId: term.id
+    });
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
 
-    const { data: enrollment, error } = await supabase
-      .from('enrollments')
-      .insert({
-        student_id: req.user.id,
-        course_id: courseId,
-        enrollment_status: 'enrolled'
-      })
-      .select()
-      .single();
+    const { imported, skipped, failed } = await importSchedule(req.user.id, parsed.rows);
+    const allFailed = [...parsed.failed, ...failed].sort((a, b) => a.lines[0] - b.lines[0]);
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    res.json({
+      message: `Imported ${imported.length} course${imported.length === 1 ? '' : 's'}`,
+      term,
+      importedCount: imported.length,
+      skippedCount: skipped.length,
+      failedCount: allFailed.length,
+      courses: imported.map(entry => ({ ...entry.course, created: entry.created, lines: entry.lines })),
+      skipped,
+      failed: allFailed
+    });
+
+  } catch (error) {
+    console.error('Error importing schedule:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
     }
 
-    await supabaseAdmin
-      .from('courses')
-      .update({ 
-        current_enrollment: course.current_enrollment + 1 
-      })
-      .eq('id', courseId);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reads an .ics file (multipart field `calendar`) exported from a calendar app
+// or the registrar and proposes enrollments in the term's courses. Nothing is
+// written until the student confirms the courses they want.
+router.post('/import/ics', authenticateToken, requireAuth, uploadCalendar, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Calendar file is required (multipart field "calendar")' });
+    }
+
+    const { termId, semester, year } = req.body || {};
+
+    if (year && Number.isNaN(parseInt(year))) {
+      return res.status(400).json({ error: 'year must be a number' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+
+    if (!/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({ error: 'File is not an iCalendar file' });
+    }
+
+    const term = await resolveTerm({ termId, semester, year });
+    const proposal = await proposeCalendarImport(req.user.id, text, term);
+
+    res.json({ term, ...proposal });
+
+  } catch (error) {
+    console.error('Error reading calendar import:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enrolls the student in the proposed courses they accepted
+router.post('/import/ics/confirm', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { courseIds } = req.body || {};
+
+    if (!Array.isArray(courseIds) || courseIds.length === 0 || !courseIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'courseIds must be a non-empty array of course ids' });
+    }
+
+    const deadlineError = await getAddDropError(courseIds);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
+
+    const { imported, skipped, failed } = await confirmCalendarImport(req.user.id, courseIds);
+
+    res.json({
+      message: `Imported ${imported.length} course${imported.length === 1 ? '' : 's'}`,
+      importedCount: imported.length,
+      skippedCount: skipped.length,
+      failedCount: failed.length,
+      courses: imported.map(entry => entry.course),
+      skipped,
+      failed
+    });
+
+  } catch (error) {
+    console.error('Error confirming calendar import:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/enroll/:courseId', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const deadlineError = await getAddDropError([courseId]);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
+
+    // Locks the course row so concurrent enrollments can't exceed capacity
+    const { data: enrollment, error } = await supabaseAdmin.rpc('enroll_in_course', {
+      p_student_id: req.user.id,
+      p_course_id: courseId
+    });
+
+    // A full course puts the student on its waitlist instead
+    if (error && error.message === 'Course is at maximum capacity') {
+      const entry = await joinWaitlist(req.user.id, courseId);
+
+      return res.status(202).json({
+        message: entry.enrollment_status === 'offered'
+          ? 'A seat opened up and is being held for you'
+          : `Course is full; you are number ${entry.position} on the waitlist`,
+        waitlist: entry
+      });
+    }
+
+    if (error) {
+      const status = error.message === 'Course not found' ? 404 : 400;
+      return res.status(status).json({ error: error.message });
+    }
 
     res.status(201).json({ 
       message: 'Successfully enrolled in course',
@@ -167,47 +394,250 @@ router.post('/enroll/:courseId', authenticateToken, requireAuth, async (req, res
 router.delete('/enroll/:courseId', authenticateToken, requireAuth, async (req, res) => {
   try {
     const { courseId } = req.params;
+    const deadlineError = await getAddDropError([courseId]);
 
-    const { data: enrollment, error: fetchError } = await supabase
-      .from('enrollments')
-      .select('id')
-      .eq('student_id', req.user.id)
-      .eq('course_id', courseId)
-      .eq('enrollment_status', 'enrolled')
-      .single();
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
 
-    if (fetchError || !enrollment) {
-      return res.status(404).json({ error: 'Enrollment not found' });
+    const { error } = await supabaseAdmin.rpc('drop_course_enrollment', {
+      p_student_id: req.user.id,
+      p_course_id: courseId
+    });
+
+    if (error) {
+      const status = error.message === 'Enrollment not found' ? 404 : 500;
+      return res.status(status).json({ error: error.message });
     }
 
-    const { error } = await supabase
-      .from('enrollments')
-      .update({ enrollment_status: 'dropped' })
-      .eq('id', enrollment.id);
+    const offers = await offerSeatsInCourses([courseId]);
+
+    res.json({ message: 'Successfully dropped course', seatsOffered: offers.length });
+
+  } catch (error) {
+    console.error('Error dropping course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/waitlist', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const waitlists = await getStudentWaitlists(req.user.id);
+
+    res.json({ waitlists });
+
+  } catch (error) {
+    console.error('Error fetching waitlists:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/waitlist/:courseId/accept', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const enrollment = await acceptWaitlistOffer(req.user.id, req.params.courseId);
+
+    // The course request behind this place is fulfilled, so its alternatives are dropped
+    let cancelledAlternatives = [];
+    if (enrollment.course_request_id) {
+      try {
+        cancelledAlternatives = await cancelExclusiveAlternatives({ courseRequestIds: [enrollment.course_request_id] });
+      } catch (conditionError) {
+        console.error('Error cancelling alternatives after accepting a seat:', conditionError);
+      }
+    }
+
+    res.json({ 
+      message: 'Successfully enrolled in course',
+      enrollment,
+      ...(cancelledAlternatives.length > 0 ? { cancelledAlternatives } : {})
+    });
+
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Leaves the waitlist, declining the held seat if there is one
+router.delete('/waitlist/:courseId', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    await leaveWaitlist(req.user.id, req.params.courseId);
+
+    res.json({ message: 'Left the waitlist' });
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    const status = error.message === 'Not on the waitlist for this course' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Enrolled courses whose meeting times changed in a Hyperschedule sync
+router.get('/schedule-changes', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const changes = await getScheduleChanges(req.user.id, {
+      includeAcknowledged: req.query.all === 'true'
+    });
+
+    res.json({ changes });
+
+  } catch (error) {
+    console.error('Error fetching schedule changes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/schedule-changes/:flagId/acknowledge', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const acknowledged = await acknowledgeScheduleChange(req.user.id, req.params.flagId);
+
+    if (!acknowledged) {
+      return res.status(404).json({ error: 'Schedule change not found' });
+    }
+
+    res.json({ message: 'Schedule change acknowledged' });
+
+  } catch (error) {
+    console.error('Error acknowledging schedule change:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Other sections of the same course and term, to rank in a section change request
+router.get('/:courseId/sections', authenticateToken, async (req, res) => {
+  try {
+    const sections = await getCourseSections(req.params.courseId);
+
+    res.json({ sections });
+
+  } catch (error) {
+    console.error('Error fetching course sections:', error);
+    const status = error.message === 'Course not found' ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// What recent syncs changed about the course, newest first
+router.get('/:courseId/changes', authenticateToken, async (req, res) => {
+  try {
+    const changes = await getCourseChanges(req.params.courseId);
+
+    res.json({ changes });
+
+  } catch (error) {
+    console.error('Error fetching course changes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/:courseId/restrictions', authenticateToken, async (req, res) => {
+  try {
+    const { data: restriction, error } = await supabase
+      .from('course_restrictions')
+      .select('*')
+      .eq('course_id', req.params.courseId)
+      .maybeSingle();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
-    const { data: course } = await supabase
-      .from('courses')
-      .select('current_enrollment')
-      .eq('id', courseId)
-      .single();
+    res.json({ restriction });
+
+  } catch (error) {
+    console.error('Error fetching course restrictions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Completed courses count towards prerequisites
+router.get('/completed', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { data: completedCourses, error } = await supabase
+      .from('completed_courses')
+      .select('*')
+      .eq('student_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ completedCourses });
+
+  } catch (error) {
+    console.error('Error fetching completed courses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (course && course.current_enrollment > 0) {
-      await supabaseAdmin
+router.post('/completed', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { courseId, courseCode, semester, year } = req.body;
+    let completed = { course_code: courseCode, semester, year: year ? parseInt(year) : null };
+
+    if (courseId) {
+      const { data: course, error: courseError } = await supabase
         .from('courses')
-        .update({ 
-          current_enrollment: course.current_enrollment - 1 
-        })
-        .eq('id', courseId);
+        .select('id, course_code, semester, year')
+        .eq('id', courseId)
+        .single();
+
+      if (courseError || !course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      completed = { course_code: course.course_code, semester: course.semester, year: course.year };
     }
 
-    res.json({ message: 'Successfully dropped course' });
+    if (!completed.course_code) {
+      return res.status(400).json({ error: 'courseId or courseCode is required' });
+    }
+
+    const { data: completedCourse, error } = await supabase
+      .from('completed_courses')
+      .insert({
+        student_id: req.user.id,
+        ...completed,
+        course_code: normalizeCourseCode(completed.course_code)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      const status = error.code === '23505' ? 409 : 500;
+      return res.status(status).json({
+        error: status === 409 ? 'Course already recorded as completed' : error.message
+      });
+    }
+
+    res.status(201).json({
+      message: 'Completed course recorded',
+      completedCourse
+    });
 
   } catch (error) {
-    console.error('Error dropping course:', error);
+    console.error('Error recording completed course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/completed/:completedId', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('completed_courses')
+      .delete()
+      .eq('id', req.params.completedId)
+      .eq('student_id', req.user.id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ message: 'Completed course removed' });
+
+  } catch (error) {
+    console.error('Error removing completed course:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -215,7 +645,10 @@ router.delete('/enroll/:courseId', authenticateToken, requireAuth, async (req, r
 // Course requests endpoints
 router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
   try {
-    const { data: requests, error } = await supabase
+    // Without a termId, the current term
+    const term = await resolveTerm({ termId: req.query.termId });
+
+    const { data: allRequests, error } = await supabase
       .from('course_requests')
       .select(`
         id,
@@ -233,11 +666,15 @@ router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
           instructor,
           semester,
           year,
+          term_id,
           time_slots (
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
           )
         )
       `)
@@ -248,10 +685,17 @@ router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ requests });
+    const requests = allRequests.filter(request => request.courses && request.courses.term_id === term.id);
+
+    res.json({ term, requests });
 
   } catch (error) {
     console.error('Error fetching course requests:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -267,7 +711,7 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
     // Check if course exists
     const { data: course, error: courseError } = await supabase
       .from('courses')
-      .select('id, course_code, course_title')
+      .select('id, course_code, course_title, max_capacity, current_enrollment')
       .eq('id', courseId)
       .single();
 
@@ -275,6 +719,12 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
 
+    const deadlineError = await getAddDropError([courseId]);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
+
     // Check if student is already enrolled in this course
     const { data: existingEnrollment } = await supabase
       .from('enrollments')
@@ -301,6 +751,15 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Course request already exists' });
     }
 
+    const eligibility = await checkCourseEligibility(req.user.id, [courseId]);
+
+    if (eligibility.conflicts.length > 0) {
+      return res.status(400).json({ 
+        error: 'You are not eligible for this course',
+        restrictions: eligibility.conflicts
+      });
+    }
+
     const { data: request, error } = await supabase
       .from('course_requests')
       .insert({
@@ -330,9 +789,34 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    // While the course is full the request also holds a place on its waitlist
+    let waitlist = null;
+    const isFull = course.max_capacity != null && course.current_enrollment >= course.max_capacity;
+
+    if (isFull) {
+      try {
+        waitlist = await joinWaitlist(req.user.id, courseId, { courseRequestId: request.id });
+      } catch (waitlistError) {
+        if (waitlistError.message !== 'Already on the waitlist for this course') {
+          // Without its place on the waitlist the request is taken back
+          await supabase
+            .from('course_requests')
+            .delete()
+            .eq('id', request.id);
+
+          throw waitlistError;
+        }
+
+        // A student already waiting for the course keeps their place
+        waitlist = await linkWaitlistRequest(req.user.id, courseId, request.id);
+      }
+    }
+
     res.status(201).json({ 
       message: 'Course request created successfully',
-      request 
+      request,
+      waitlist,
+      warnings: eligibility.warnings
     });
 
   } catch (error) {
@@ -382,6 +866,19 @@ router.delete('/requests/:requestId', authenticateToken, requireAuth, async (req
   try {
     const { requestId } = req.params;
 
+    const { data: waitlistEntry } = await supabaseAdmin
+      .from('enrollments')
+      .select('course_id')
+      .eq('course_request_id', requestId)
+      .eq('student_id', req.user.id)
+      .in('enrollment_status', ['waitlist', 'offered'])
+      .maybeSingle();
+
+    // Withdrawing the request gives up its place on the waitlist too
+    if (waitlistEntry) {
+      await leaveWaitlist(req.user.id, waitlistEntry.course_id);
+    }
+
     const { error } = await supabase
       .from('course_requests')
       .delete()
@@ -400,21 +897,30 @@ router.delete('/requests/:requestId', authenticateToken, requireAuth, async (req
   }
 });
 
-// Hyperschedule sync endpoint (admin only for now)
+// Hyperschedule sync endpoint (admin only for now). Syncs the courses of one
+// term: `termId`, or `semester` and `year`, or else the current term. Only
+// changes since the last sync are fetched unless `full` is set.
 router.post('/sync-hyperschedule', authenticateToken, async (req, res) => {
   try {
-    const { school = 'hmc' } = req.body;
+    const { school = 'hmc', termId, semester, year, full = false } = req.body;
+    const term = await resolveTerm({ termId, semester, year });
 
-    console.log(`Starting Hyperschedule sync for school: ${school}`);
-    const result = await hyperscheduleService.syncAllCourses(school);
+    console.log(`Starting Hyperschedule sync for school: ${school}, term: ${term.name}`);
+    const result = await hyperscheduleService.syncAllCourses(school, term, { full: full === true });
 
     res.json({
       message: 'Hyperschedule sync completed',
+      term,
       ...result
     });
 
   } catch (error) {
     console.error('Error syncing with Hyperschedule:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
     res.status(500).json({ 
       error: 'Failed to sync with Hyperschedule',
       details: error.message 
@@ -1,23 +1,44 @@
 const express = require('express');
-const { authenticateToken, requireAuth } = require('../middleware/auth');
+const { authenticateToken, requireAuth, isAdmin } = require('../middleware/auth');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { 
   processSwapRequest, 
   confirmSwapMatch, 
   getMatchContactInfo,
   markSwapCompleted,
-  findMutualSwapMatches 
+  getMatchCourseIds,
+  findMutualSwapMatches,
+  getAcceptableCourseIds,
+  validateBundleSchedule,
+  processSwapBundle,
+  checkCourseEligibility,
+  REJECTION_REASONS,
+  recordRejectedPairings,
+  getSwapPreferenceScore,
+  getMatchRequestIds,
+  getUnmetMatchConditions,
+  cancelExclusiveAlternatives
 } = require('../services/matchingAlgorithm');
+const { CONDITION_TYPES } = require('../services/requestConditions');
+const { diagnoseSwapRequest } = require('../services/matchDiagnostics');
+const { offerSeatsInCourses } = require('../services/waitlist');
+const { getCourseSections } = require('../services/batchMatching');
+const { resolveTerm, getAddDropError } = require('../services/terms');
+const travelConfig = require('../config/travel');
 
 const router = express.Router();
 
+const TERM_ERRORS = ['Term not found', 'No current term is set'];
+
 router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
   try {
-    const { status = 'active', page = 1, limit = 20 } = req.query;
+    const { status = 'active', termId, page = 1, limit = 20 } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    // Without a termId, the current term
+    const term = await resolveTerm({ termId });
 
-    const { data: swapRequests, error } = await supabase
+    const { data: allRequests, error } = await supabase
       .from('swap_requests')
       .select(`
         id,
@@ -26,16 +47,21 @@ router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
         notes,
         created_at,
         expires_at,
+        schedule_changed_at,
         from_course:courses!swap_requests_from_course_id_fkey (
           id,
           course_code,
           course_title,
           department,
+          term_id,
           time_slots (
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
           )
         ),
         desired_course:courses!swap_requests_desired_course_id_fkey (
@@ -47,20 +73,42 @@ router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
+          )
+        ),
+        targets:swap_request_targets (
+          rank,
+          course:courses (
+            id,
+            course_code,
+            course_title,
+            department
           )
+        ),
+        conditions:swap_request_conditions!swap_request_conditions_swap_request_id_fkey (
+          condition_type,
+          depends_on_request_id,
+          depends_on_course_request_id
         )
       `)
       .eq('requester_id', req.user.id)
       .eq('status', status)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + parseInt(limit) - 1);
+      .order('created_at', { ascending: false });
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    // A student has few requests, so the term's are picked out here and then paged
+    const swapRequests = allRequests
+      .filter(request => request.from_course && request.from_course.term_id === term.id)
+      .slice(offset, offset + parseInt(limit));
+
     res.json({
+      term,
       swapRequests,
       pagination: {
         page: parseInt(page),
@@ -71,24 +119,140 @@ router.get('/requests', authenticateToken, requireAuth, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching swap requests:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const MAX_DESIRED_COURSES = 10;
+
+// Accepts either a single desiredCourseId or a ranked desiredCourseIds list (best first)
+const normalizeDesiredCourseIds = (desiredCourseId, desiredCourseIds) => {
+  if (Array.isArray(desiredCourseIds) && desiredCourseIds.length > 0) {
+    return desiredCourseIds;
+  }
+  return desiredCourseId ? [desiredCourseId] : [];
+};
+
+const validateDesiredCourseIds = (fromCourseId, desiredIds) => {
+  if (desiredIds.length > MAX_DESIRED_COURSES) {
+    return `You can list at most ${MAX_DESIRED_COURSES} acceptable courses`;
+  }
+
+  if (new Set(desiredIds).size !== desiredIds.length) {
+    return 'Each acceptable course can only be listed once';
+  }
+
+  if (desiredIds.includes(fromCourseId)) {
+    return 'Cannot swap a course for itself';
+  }
+
+  return null;
+};
+
+// Each condition names one other request of the student's that is still open:
+// { type: 'requires' | 'excludes', swapRequestId } or { type, courseRequestId }
+const validateConditions = async (studentId, conditions) => {
+  if (!Array.isArray(conditions)) {
+    return 'conditions must be a list';
+  }
+
+  for (const condition of conditions) {
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      return `Each condition needs a type: ${CONDITION_TYPES.join(' or ')}`;
+    }
+
+    if (!condition.swapRequestId === !condition.courseRequestId) {
+      return 'Each condition must name either a swapRequestId or a courseRequestId';
+    }
+
+    const { data: other } = await supabase
+      .from(condition.swapRequestId ? 'swap_requests' : 'course_requests')
+      .select('id, status')
+      .eq('id', condition.swapRequestId || condition.courseRequestId)
+      .eq(condition.swapRequestId ? 'requester_id' : 'student_id', studentId)
+      .maybeSingle();
+
+    if (!other || !['active', 'matched'].includes(other.status)) {
+      return 'Conditions can only refer to your own open requests';
+    }
+  }
+
+  return null;
+};
+
+const insertSwapRequestConditions = (requestId, conditions) =>
+  supabase
+    .from('swap_request_conditions')
+    .insert(conditions.map(condition => ({
+      swap_request_id: requestId,
+      condition_type: condition.type,
+      depends_on_request_id: condition.swapRequestId || null,
+      depends_on_course_request_id: condition.courseRequestId || null
+    })));
+
+// Old targets are removed and the new ones ranked in one transaction; callers
+// check that the request belongs to the student first
+const replaceSwapRequestTargets = (requestId, desiredIds) =>
+  supabaseAdmin.rpc('replace_swap_request_targets', {
+    p_request_id: requestId,
+    p_course_ids: desiredIds
+  });
+
+router.get('/requests/:requestId/diagnostics', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const { data: request, error: fetchError } = await supabaseAdmin
+      .from('swap_requests')
+      .select('*, swap_request_targets(course_id, rank)')
+      .eq('id', requestId)
+      .single();
+
+    if (fetchError || !request) {
+      return res.status(404).json({ error: 'Swap request not found' });
+    }
+
+    // Students can diagnose their own requests; support staff can diagnose anyone's
+    if (request.requester_id !== req.user.id && !(await isAdmin(req.user.id))) {
+      return res.status(403).json({ error: 'Not authorized to view this swap request' });
+    }
+
+    const diagnostics = await diagnoseSwapRequest(request);
+
+    res.json({ diagnostics });
+
+  } catch (error) {
+    console.error('Error diagnosing swap request:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
   try {
-    const { fromCourseId, desiredCourseId, priority = 1, notes } = req.body;
+    const { fromCourseId, desiredCourseId, desiredCourseIds, priority = 1, notes, conditions = [] } = req.body;
+    const desiredIds = normalizeDesiredCourseIds(desiredCourseId, desiredCourseIds);
 
-    if (!fromCourseId || !desiredCourseId) {
+    if (!fromCourseId || desiredIds.length === 0) {
       return res.status(400).json({ 
-        error: 'Both fromCourseId and desiredCourseId are required' 
+        error: 'fromCourseId and at least one desired course (desiredCourseId or desiredCourseIds) are required' 
       });
     }
 
-    if (fromCourseId === desiredCourseId) {
-      return res.status(400).json({ 
-        error: 'Cannot swap a course for itself' 
-      });
+    const validationError = validateDesiredCourseIds(fromCourseId, desiredIds) ||
+      await validateConditions(req.user.id, conditions);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const deadlineError = await getAddDropError([fromCourseId, ...desiredIds]);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
     }
 
     const { data: enrollment, error: enrollmentError } = await supabase
@@ -105,27 +269,41 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       });
     }
 
-    const { data: existingRequest } = await supabase
+    // One active request per offered course may list any number of targets,
+    // but two requests shouldn't compete for the same target
+    const { data: existingRequests } = await supabase
       .from('swap_requests')
-      .select('id')
+      .select('id, desired_course_id, swap_request_targets(course_id, rank)')
       .eq('requester_id', req.user.id)
       .eq('from_course_id', fromCourseId)
-      .eq('desired_course_id', desiredCourseId)
-      .eq('status', 'active')
-      .single();
+      .eq('status', 'active');
+
+    const overlappingRequest = (existingRequests || []).find(existing =>
+      getAcceptableCourseIds(existing).some(courseId => desiredIds.includes(courseId))
+    );
 
-    if (existingRequest) {
+    if (overlappingRequest) {
       return res.status(400).json({ 
-        error: 'You already have an active swap request for these courses' 
+        error: 'You already have an active swap request for these courses',
+        existingRequestId: overlappingRequest.id
       });
     }
 
-    const { data: swapRequest, error } = await supabase
+    const eligibility = await checkCourseEligibility(req.user.id, desiredIds);
+
+    if (eligibility.conflicts.length > 0) {
+      return res.status(400).json({ 
+        error: 'You are not eligible for some of the courses you want',
+        restrictions: eligibility.conflicts
+      });
+    }
+
+    const { data: createdRequest, error } = await supabase
       .from('swap_requests')
       .insert({
         requester_id: req.user.id,
         from_course_id: fromCourseId,
-        desired_course_id: desiredCourseId,
+        desired_course_id: desiredIds[0],
         priority,
         notes,
         status: 'active'
@@ -137,12 +315,35 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    const { error: targetsError } = await replaceSwapRequestTargets(createdRequest.id, desiredIds);
+
+    if (targetsError) {
+      await supabase.from('swap_requests').delete().eq('id', createdRequest.id);
+      return res.status(500).json({ error: targetsError.message });
+    }
+
+    if (conditions.length > 0) {
+      const { error: conditionsError } = await insertSwapRequestConditions(createdRequest.id, conditions);
+
+      if (conditionsError) {
+        await supabase.from('swap_requests').delete().eq('id', createdRequest.id);
+        return res.status(500).json({ error: conditionsError.message });
+      }
+    }
+
+    const swapRequest = {
+      ...createdRequest,
+      desired_course_ids: desiredIds,
+      conditions
+    };
+
     try {
       const matchResult = await processSwapRequest(swapRequest.id);
       
       res.status(201).json({
         message: 'Swap request created successfully',
         swapRequest,
+        warnings: eligibility.warnings,
         matchResult
       });
     } catch (matchError) {
@@ -150,6 +351,7 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
       res.status(201).json({
         message: 'Swap request created successfully (matching will be processed later)',
         swapRequest,
+        warnings: eligibility.warnings,
         matchResult: { matched: false, error: matchError.message }
       });
     }
@@ -160,14 +362,119 @@ router.post('/requests', authenticateToken, requireAuth, async (req, res) => {
   }
 });
 
+// A ranked list of other sections of a course. Unlike other requests these aren't
+// matched on the spot: the stable section assignment trades seats between them.
+router.post('/sections', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { fromCourseId, sectionIds, notes } = req.body;
+    const desiredIds = normalizeDesiredCourseIds(null, sectionIds);
+
+    if (!fromCourseId || desiredIds.length === 0) {
+      return res.status(400).json({ error: 'fromCourseId and a ranked list of sectionIds are required' });
+    }
+
+    const validationError = validateDesiredCourseIds(fromCourseId, desiredIds);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const deadlineError = await getAddDropError([fromCourseId, ...desiredIds]);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
+
+    const { data: enrollment, error: enrollmentError } = await supabase
+      .from('enrollments')
+      .select('id')
+      .eq('student_id', req.user.id)
+      .eq('course_id', fromCourseId)
+      .eq('enrollment_status', 'enrolled')
+      .single();
+
+    if (enrollmentError || !enrollment) {
+      return res.status(400).json({ 
+        error: 'You must be enrolled in the section you want to change from' 
+      });
+    }
+
+    const sectionIdsOfCourse = (await getCourseSections(fromCourseId)).map(section => section.id);
+
+    if (desiredIds.some(courseId => !sectionIdsOfCourse.includes(courseId))) {
+      return res.status(400).json({ error: 'Every ranked section must be a section of the same course and term' });
+    }
+
+    const { data: existingRequests } = await supabase
+      .from('swap_requests')
+      .select('id, desired_course_id, swap_request_targets(course_id, rank)')
+      .eq('requester_id', req.user.id)
+      .eq('from_course_id', fromCourseId)
+      .eq('status', 'active');
+
+    const overlappingRequest = (existingRequests || []).find(existing =>
+      getAcceptableCourseIds(existing).some(courseId => desiredIds.includes(courseId))
+    );
+
+    if (overlappingRequest) {
+      return res.status(400).json({ 
+        error: 'You already have an active request for these sections; update its ranking instead',
+        existingRequestId: overlappingRequest.id
+      });
+    }
+
+    const eligibility = await checkCourseEligibility(req.user.id, desiredIds);
+
+    if (eligibility.conflicts.length > 0) {
+      return res.status(400).json({ 
+        error: 'You are not eligible for some of the sections you want',
+        restrictions: eligibility.conflicts
+      });
+    }
+
+    const { data: createdRequest, error } = await supabase
+      .from('swap_requests')
+      .insert({
+        requester_id: req.user.id,
+        from_course_id: fromCourseId,
+        desired_course_id: desiredIds[0],
+        notes,
+        kind: 'section_change',
+        status: 'active'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const { error: targetsError } = await replaceSwapRequestTargets(createdRequest.id, desiredIds);
+
+    if (targetsError) {
+      await supabase.from('swap_requests').delete().eq('id', createdRequest.id);
+      return res.status(500).json({ error: targetsError.message });
+    }
+
+    res.status(201).json({
+      message: 'Section preferences saved; seats are traded at the next section assignment',
+      swapRequest: { ...createdRequest, desired_course_ids: desiredIds },
+      warnings: eligibility.warnings
+    });
+
+  } catch (error) {
+    console.error('Error creating section change request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.put('/requests/:requestId', authenticateToken, requireAuth, async (req, res) => {
   try {
     const { requestId } = req.params;
-    const { priority, notes, status } = req.body;
+    const { priority, notes, status, desiredCourseIds } = req.body;
 
     const { data: existingRequest, error: fetchError } = await supabase
       .from('swap_requests')
-      .select('id')
+      .select('id, status, from_course_id')
       .eq('id', requestId)
       .eq('requester_id', req.user.id)
       .single();
@@ -177,26 +484,108 @@ router.put('/requests/:requestId', authenticateToken, requireAuth, async (req, r
     }
 
     const updateData = {};
+    const warnings = [];
     if (priority !== undefined) updateData.priority = priority;
     if (notes !== undefined) updateData.notes = notes;
     if (status && ['active', 'cancelled'].includes(status)) {
       updateData.status = status;
     }
 
-    const { data: swapRequest, error } = await supabase
-      .from('swap_requests')
-      .update(updateData)
-      .eq('id', requestId)
-      .select()
-      .single();
+    if (desiredCourseIds !== undefined) {
+      if (existingRequest.status !== 'active') {
+        return res.status(400).json({ 
+          error: 'Acceptable courses can only be changed while the request is active' 
+        });
+      }
+
+      const desiredIds = normalizeDesiredCourseIds(null, desiredCourseIds);
+      const validationError = desiredIds.length === 0
+        ? 'At least one desired course is required'
+        : validateDesiredCourseIds(existingRequest.from_course_id, desiredIds);
+
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const deadlineError = await getAddDropError([existingRequest.from_course_id, ...desiredIds]);
+
+      if (deadlineError) {
+        return res.status(403).json({ error: deadlineError });
+      }
+
+      // As on creation, the student's other requests from this course keep their targets
+      const { data: existingRequests } = await supabase
+        .from('swap_requests')
+        .select('id, desired_course_id, swap_request_targets(course_id, rank)')
+        .eq('requester_id', req.user.id)
+        .eq('from_course_id', existingRequest.from_course_id)
+        .eq('status', 'active')
+        .neq('id', requestId);
+
+      const overlappingRequest = (existingRequests || []).find(existing =>
+        getAcceptableCourseIds(existing).some(courseId => desiredIds.includes(courseId))
+      );
+
+      if (overlappingRequest) {
+        return res.status(400).json({ 
+          error: 'You already have an active swap request for these courses',
+          existingRequestId: overlappingRequest.id
+        });
+      }
+
+      const eligibility = await checkCourseEligibility(req.user.id, desiredIds);
+
+      if (eligibility.conflicts.length > 0) {
+        return res.status(400).json({ 
+          error: 'You are not eligible for some of the courses you want',
+          restrictions: eligibility.conflicts
+        });
+      }
+
+      warnings.push(...eligibility.warnings);
+
+      const { error: targetsError } = await replaceSwapRequestTargets(requestId, desiredIds);
+
+      if (targetsError) {
+        return res.status(500).json({ error: targetsError.message });
+      }
+    }
+
+    // With only new targets there is nothing left to update
+    const { data: swapRequest, error } = Object.keys(updateData).length > 0
+      ? await supabase
+        .from('swap_requests')
+        .update(updateData)
+        .eq('id', requestId)
+        .select('*, swap_request_targets(course_id, rank)')
+        .single()
+      : await supabase
+        .from('swap_requests')
+        .select('*, swap_request_targets(course_id, rank)')
+        .eq('id', requestId)
+        .single();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    // The edited request may match right away, as a new one would
+    let matchResult = null;
+
+    if (swapRequest.status === 'active') {
+      try {
+        matchResult = await processSwapRequest(requestId);
+      } catch (matchError) {
+        console.error('Error processing swap match:', matchError);
+        matchResult = { matched: false, error: matchError.message };
+      }
+    }
+
     res.json({
       message: 'Swap request updated successfully',
-      swapRequest
+      swapRequest,
+      warnings,
+      matchResult
     });
 
   } catch (error) {
@@ -243,18 +632,268 @@ router.delete('/requests/:requestId', authenticateToken, requireAuth, async (req
   }
 });
 
+const MAX_BUNDLE_SIZE = 4;
+
+router.get('/bundles', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { status = 'active' } = req.query;
+
+    const { data: bundles, error } = await supabase
+      .from('swap_bundles')
+      .select(`
+        *,
+        components:swap_requests (
+          id,
+          status,
+          from_course_id,
+          desired_course_id
+        )
+      `)
+      .eq('requester_id', req.user.id)
+      .eq('status', status)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ bundles });
+
+  } catch (error) {
+    console.error('Error fetching swap bundles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/bundles', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { giveCourseIds, getCourseIds, priority = 1, notes } = req.body;
+
+    if (!Array.isArray(giveCourseIds) || !Array.isArray(getCourseIds) || 
+        giveCourseIds.length === 0 || getCourseIds.length === 0) {
+      return res.status(400).json({ 
+        error: 'Both giveCourseIds and getCourseIds must be non-empty arrays' 
+      });
+    }
+
+    if (giveCourseIds.length !== getCourseIds.length) {
+      return res.status(400).json({ 
+        error: 'A bundle must give and get the same number of courses' 
+      });
+    }
+
+    if (giveCourseIds.length > MAX_BUNDLE_SIZE) {
+      return res.status(400).json({ 
+        error: `A bundle can exchange at most ${MAX_BUNDLE_SIZE} courses` 
+      });
+    }
+
+    const allCourseIds = [...giveCourseIds, ...getCourseIds];
+    if (new Set(allCourseIds).size !== allCourseIds.length) {
+      return res.status(400).json({ 
+        error: 'Each course can only appear once in a bundle' 
+      });
+    }
+
+    const deadlineError = await getAddDropError(allCourseIds);
+
+    if (deadlineError) {
+      return res.status(403).json({ error: deadlineError });
+    }
+
+    const { data: enrollments, error: enrollmentError } = await supabase
+      .from('enrollments')
+      .select('course_id')
+      .eq('student_id', req.user.id)
+      .eq('enrollment_status', 'enrolled')
+      .in('course_id', allCourseIds);
+
+    if (enrollmentError) {
+      return res.status(500).json({ error: enrollmentError.message });
+    }
+
+    const enrolledIds = enrollments.map(enrollment => enrollment.course_id);
+
+    if (!giveCourseIds.every(courseId => enrolledIds.includes(courseId))) {
+      return res.status(400).json({ 
+        error: 'You must be enrolled in every course you want to give' 
+      });
+    }
+
+    if (getCourseIds.some(courseId => enrolledIds.includes(courseId))) {
+      return res.status(400).json({ 
+        error: 'You are already enrolled in one of the courses you want to get' 
+      });
+    }
+
+    const eligibility = await checkCourseEligibility(req.user.id, getCourseIds);
+
+    if (eligibility.conflicts.length > 0) {
+      return res.status(400).json({ 
+        error: 'You are not eligible for some of the courses you want',
+        restrictions: eligibility.conflicts
+      });
+    }
+
+    const scheduleCheck = await validateBundleSchedule(req.user.id, giveCourseIds, getCourseIds);
+
+    if (!scheduleCheck.valid) {
+      return res.status(400).json({ 
+        error: 'The courses in this bundle conflict with your schedule',
+        conflicts: scheduleCheck.conflicts
+      });
+    }
+
+    const { data: bundle, error: bundleError } = await supabase
+      .from('swap_bundles')
+      .insert({
+        requester_id: req.user.id,
+        give_course_ids: giveCourseIds,
+        get_course_ids: getCourseIds,
+        priority,
+        notes,
+        status: 'active'
+      })
+      .select()
+      .single();
+
+    if (bundleError) {
+      return res.status(500).json({ error: bundleError.message });
+    }
+
+    // One component request per given course; each accepts any course the bundle wants
+    const { data: components, error: componentsError } = await supabase
+      .from('swap_requests')
+      .insert(giveCourseIds.map((courseId, index) => ({
+        requester_id: req.user.id,
+        from_course_id: courseId,
+        desired_course_id: getCourseIds[index],
+        priority,
+        notes,
+        status: 'active',
+        bundle_id: bundle.id
+      })))
+      .select();
+
+    const { error: targetsError } = componentsError 
+      ? { error: componentsError }
+      : await supabase
+        .from('swap_request_targets')
+        .insert(components.flatMap(component => 
+          getCourseIds.map((courseId, index) => ({
+            swap_request_id: component.id,
+            course_id: courseId,
+            rank: index + 1
+          }))
+        ));
+
+    if (targetsError) {
+      // Component requests cascade with the bundle
+      await supabase.from('swap_bundles').delete().eq('id', bundle.id);
+      return res.status(500).json({ error: targetsError.message });
+    }
+
+    try {
+      const matchResult = await processSwapBundle(bundle.id);
+
+      res.status(201).json({
+        message: 'Swap bundle created successfully',
+        bundle,
+        components,
+        warnings: scheduleCheck.warnings,
+        matchResult
+      });
+    } catch (matchError) {
+      console.error('Error processing swap bundle:', matchError);
+      res.status(201).json({
+        message: 'Swap bundle created successfully (matching will be processed later)',
+        bundle,
+        components,
+        warnings: scheduleCheck.warnings,
+        matchResult: { matched: false, error: matchError.message }
+      });
+    }
+
+  } catch (error) {
+    console.error('Error creating swap bundle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/bundles/:bundleId', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { bundleId } = req.params;
+
+    const { data: bundle, error: fetchError } = await supabase
+      .from('swap_bundles')
+      .select('id, status')
+      .eq('id', bundleId)
+      .eq('requester_id', req.user.id)
+      .single();
+
+    if (fetchError || !bundle) {
+      return res.status(404).json({ error: 'Swap bundle not found' });
+    }
+
+    if (bundle.status !== 'active') {
+      return res.status(400).json({ 
+        error: 'Only active swap bundles can be cancelled' 
+      });
+    }
+
+    const { error } = await supabase
+      .from('swap_bundles')
+      .update({ status: 'cancelled' })
+      .eq('id', bundleId);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await supabase
+      .from('swap_requests')
+      .update({ status: 'cancelled' })
+      .eq('bundle_id', bundleId)
+      .eq('status', 'active');
+
+    res.json({ message: 'Swap bundle cancelled successfully' });
+
+  } catch (error) {
+    console.error('Error cancelling swap bundle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.get('/matches', authenticateToken, requireAuth, async (req, res) => {
   try {
     const { status = 'pending', page = 1, limit = 20 } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
+    // Cycle members beyond the first two are only linked through swap_match_participants
+    const { data: participations } = await supabase
+      .from('swap_match_participants')
+      .select('match_id')
+      .eq('student_id', req.user.id);
+
+    const cycleMatchIds = (participations || []).map(participation => participation.match_id);
+    const involvementFilter = [
+      `student_a_id.eq.${req.user.id}`,
+      `student_b_id.eq.${req.user.id}`,
+      ...(cycleMatchIds.length > 0 ? [`id.in.(${cycleMatchIds.join(',')})`] : [])
+    ].join(',');
+
     const { data: matches, error } = await supabase
       .from('swap_matches')
       .select(`
         id,
         match_status,
+        match_type,
+        participant_count,
+        bundle_id,
+        strategy,
         matched_at,
+        confirmation_deadline,
         confirmed_at,
         contact_shared_at,
         student_a_confirmed,
@@ -286,9 +925,17 @@ router.get('/matches', authenticateToken, requireAuth, async (req, res) => {
           course_code,
           course_title,
           department
+        ),
+        participants:swap_match_participants (
+          student_id,
+          position,
+          gives_course_id,
+          receives_course_id,
+          confirmed,
+          completed
         )
       `)
-      .or(`student_a_id.eq.${req.user.id},student_b_id.eq.${req.user.id}`)
+      .or(involvementFilter)
       .eq('match_status', status)
       .order('matched_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1);
@@ -297,8 +944,27 @@ router.get('/matches', authenticateToken, requireAuth, async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    // Until the swap goes through, show how the student's new schedule fits their preferences
+    const scoredMatches = await Promise.all(matches.map(async match => {
+      if (!['pending', 'confirmed'].includes(match.match_status)) {
+        return { ...match, preference_score: null };
+      }
+
+      const side = (match.participants || []).find(participant => participant.student_id === req.user.id) ||
+        (match.student_a_id === req.user.id
+          ? { gives_course_id: match.course_a && match.course_a.id, receives_course_id: match.course_b && match.course_b.id }
+          : { gives_course_id: match.course_b && match.course_b.id, receives_course_id: match.course_a && match.course_a.id });
+
+      return {
+        ...match,
+        preference_score: side.receives_course_id
+          ? await getSwapPreferenceScore(req.user.id, side.gives_course_id, side.receives_course_id)
+          : null
+      };
+    }));
+
     res.json({
-      matches,
+      matches: scoredMatches,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -329,10 +995,17 @@ router.post('/matches/:matchId/confirm', authenticateToken, requireAuth, async (
 router.post('/matches/:matchId/reject', authenticateToken, requireAuth, async (req, res) => {
   try {
     const { matchId } = req.params;
+    const { reason = null } = req.body || {};
+
+    if (reason !== null && !REJECTION_REASONS.includes(reason)) {
+      return res.status(400).json({ 
+        error: `reason must be one of: ${REJECTION_REASONS.join(', ')}` 
+      });
+    }
 
     const { data: match, error: fetchError } = await supabase
       .from('swap_matches')
-      .select('student_a_id, student_b_id, request_a_id, request_b_id')
+      .select('student_a_id, student_b_id, match_type')
       .eq('id', matchId)
       .eq('match_status', 'pending')
       .single();
@@ -341,31 +1014,43 @@ router.post('/matches/:matchId/reject', authenticateToken, requireAuth, async (r
       return res.status(404).json({ error: 'Swap match not found or already processed' });
     }
 
-    if (match.student_a_id !== req.user.id && match.student_b_id !== req.user.id) {
+    let isParticipant = match.student_a_id === req.user.id || match.student_b_id === req.user.id;
+
+    if (match.match_type === 'cycle') {
+      const { data: participants } = await supabaseAdmin
+        .from('swap_match_participants')
+        .select('student_id')
+        .eq('match_id', matchId);
+
+      isParticipant = (participants || []).some(participant => participant.student_id === req.user.id);
+    }
+
+    if (!isParticipant) {
       return res.status(403).json({ error: 'Not authorized to reject this match' });
     }
 
-    const { error } = await supabase
-      .from('swap_matches')
-      .update({ match_status: 'rejected' })
-      .eq('id', matchId);
+    // Rejects the match and reactivates its requests in one transaction. For a
+    // bundle, every other swap in the bundle is unwound as well.
+    const { data: releasedCount, error } = await supabaseAdmin.rpc('reject_swap_match', {
+      p_match_id: matchId,
+      p_student_id: req.user.id
+    });
 
     if (error) {
-      return res.status(500).json({ error: error.message });
+      return res.status(409).json({ error: error.message });
     }
 
-    await Promise.all([
-      supabase
-        .from('swap_requests')
-        .update({ status: 'active' })
-        .eq('id', match.request_a_id),
-      supabase
-        .from('swap_requests')
-        .update({ status: 'active' })
-        .eq('id', match.request_b_id)
-    ]);
+    try {
+      await recordRejectedPairings(matchId, req.user.id, reason);
+    } catch (pairingError) {
+      // The rejection stands; the pairing may just be proposed again
+      console.error('Error remembering rejected pairing:', pairingError);
+    }
 
-    res.json({ message: 'Swap match rejected successfully' });
+    res.json({ 
+      message: 'Swap match rejected successfully',
+      ...(releasedCount > 1 ? { releasedBundleMatches: releasedCount } : {})
+    });
 
   } catch (error) {
     console.error('Error rejecting swap match:', error);
@@ -391,9 +1076,37 @@ router.post('/matches/:matchId/complete', authenticateToken, requireAuth, async
   try {
     const { matchId } = req.params;
 
+    // A conditional request only goes through together with what it depends on
+    const unmetConditions = await getUnmetMatchConditions(matchId);
+
+    if (unmetConditions.length > 0) {
+      return res.status(409).json({
+        error: 'This swap depends on another request that has not been matched yet',
+        unmetConditions
+      });
+    }
+
     const result = await markSwapCompleted(matchId, req.user.id);
 
-    res.json(result);
+    // Seats that opened up along the way go to waitlisted students
+    try {
+      await offerSeatsInCourses(await getMatchCourseIds(matchId));
+    } catch (waitlistError) {
+      console.error('Error offering seats after swap completion:', waitlistError);
+    }
+
+    // Alternatives to the requests that just completed are no longer wanted
+    let cancelledAlternatives = [];
+    try {
+      cancelledAlternatives = await cancelExclusiveAlternatives({ swapRequestIds: await getMatchRequestIds(matchId) });
+    } catch (conditionError) {
+      console.error('Error cancelling alternatives after swap completion:', conditionError);
+    }
+
+    res.json({
+      ...result,
+      ...(cancelledAlternatives.length > 0 ? { cancelledAlternatives } : {})
+    });
 
   } catch (error) {
     console.error('Error marking swap as completed:', error);
@@ -401,22 +1114,186 @@ router.post('/matches/:matchId/complete', authenticateToken, requireAuth, async
   }
 });
 
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+router.get('/preferences', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { data: preferences, error } = await supabase
+      .from('schedule_preferences')
+      .select('no_classes_before, free_days, max_consecutive_hours, preferred_campuses, updated_at')
+      .eq('student_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      preferences: preferences || {
+        no_classes_before: null,
+        free_days: [],
+        max_consecutive_hours: null,
+        preferred_campuses: []
+      },
+      campuses: Object.keys(travelConfig.campuses)
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replaces all of the student's preferences; leave one out to clear it
+router.put('/preferences', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const {
+      noClassesBefore = null,
+      freeDays = [],
+      maxConsecutiveHours = null,
+      preferredCampuses = []
+    } = req.body;
+
+    if (noClassesBefore !== null && !TIME_PATTERN.test(String(noClassesBefore))) {
+      return res.status(400).json({ error: 'noClassesBefore must be a time such as 09:00' });
+    }
+
+    if (!Array.isArray(freeDays) || !freeDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return res.status(400).json({ error: 'freeDays must be a list of days of the week (0 = Sunday to 6 = Saturday)' });
+    }
+
+    if (maxConsecutiveHours !== null && !(Number(maxConsecutiveHours) > 0 && Number(maxConsecutiveHours) <= 24)) {
+      return res.status(400).json({ error: 'maxConsecutiveHours must be between 0 and 24' });
+    }
+
+    const knownCampuses = Object.keys(travelConfig.campuses);
+    if (!Array.isArray(preferredCampuses) || !preferredCampuses.every(campus => knownCampuses.includes(campus))) {
+      return res.status(400).json({ error: `preferredCampuses must be chosen from: ${knownCampuses.join(', ')}` });
+    }
+
+    const { data: preferences, error } = await supabase
+      .from('schedule_preferences')
+      .upsert({
+        student_id: req.user.id,
+        no_classes_before: noClassesBefore,
+        free_days: [...new Set(freeDays)],
+        max_consecutive_hours: maxConsecutiveHours === null ? null : Number(maxConsecutiveHours),
+        preferred_campuses: [...new Set(preferredCampuses)]
+      }, { onConflict: 'student_id' })
+      .select('no_classes_before, free_days, max_consecutive_hours, preferred_campuses, updated_at')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      message: 'Schedule preferences saved',
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Error saving schedule preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Students you rejected a match with are not proposed to you again until you clear them
+router.get('/exclusions', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { data: exclusions, error } = await supabase
+      .from('rejected_pairings')
+      .select(`
+        id,
+        partner_id,
+        match_id,
+        reason_code,
+        created_at,
+        partner:profiles!rejected_pairings_partner_id_fkey(full_name)
+      `)
+      .eq('student_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ exclusions });
+
+  } catch (error) {
+    console.error('Error fetching exclusions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/exclusions', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { data: cleared, error } = await supabase
+      .from('rejected_pairings')
+      .delete()
+      .eq('student_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ 
+      message: 'Exclusions cleared',
+      cleared: (cleared || []).length
+    });
+
+  } catch (error) {
+    console.error('Error clearing exclusions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/exclusions/:exclusionId', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const { data: cleared, error } = await supabase
+      .from('rejected_pairings')
+      .delete()
+      .eq('id', req.params.exclusionId)
+      .eq('student_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!cleared || cleared.length === 0) {
+      return res.status(404).json({ error: 'Exclusion not found' });
+    }
+
+    res.json({ message: 'Exclusion cleared' });
+
+  } catch (error) {
+    console.error('Error clearing exclusion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.get('/marketplace', authenticateToken, requireAuth, async (req, res) => {
   try {
     const { 
       search, 
       department, 
       type = 'all', // 'all', 'swaps', 'requests'
+      termId,
       page = 1,
       limit = 20 
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    // Without a termId, the current term
+    const term = await resolveTerm({ termId });
 
     // Use the marketplace view for enhanced data
     let query = supabaseAdmin
       .from('marketplace_view')
       .select('*')
+      .eq('term_id', term.id)
       .neq('requester_id', req.user.id);
 
     // Filter by type
@@ -495,6 +1372,7 @@ router.get('/marketplace', authenticateToken, requireAuth, async (req, res) => {
     }));
 
     res.json({
+      term,
       marketplaceItems: transformedItems,
       pagination: {
         page: parseInt(page),
@@ -507,6 +1385,11 @@ router.get('/marketplace', authenticateToken, requireAuth, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching marketplace data:', error);
+
+    if (TERM_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -20,11 +20,17 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 const authRoutes = require('./routes/auth');
 const courseRoutes = require('./routes/courses');
 const swapRoutes = require('./routes/swaps');
+const adminRoutes = require('./routes/admin');
+const calendarRoutes = require('./routes/calendar');
 const { createNotificationEndpoints, notificationService } = require('./services/notifications');
+const { scheduler } = require('./services/scheduler');
+const schedulerConfig = require('./config/scheduler');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/swaps', swapRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 createNotificationEndpoints(app, notificationService);
 
@@ -44,7 +50,9 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth/*',
       courses: '/api/courses/*',
-      swaps: '/api/swaps/*'
+      swaps: '/api/swaps/*',
+      admin: '/api/admin/*',
+      calendar: '/api/calendar/*'
     }
   });
 });
@@ -76,4 +84,9 @@ app.listen(PORT, () => {
   console.log(`🚀 Course Swapper API running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  if (schedulerConfig.enabled) {
+    scheduler.start();
+    console.log(`⏱️  Scheduler running as ${scheduler.instanceId}`);
+  }
 });
\ No newline at end of file
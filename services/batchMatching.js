@@ -0,0 +1,398 @@
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  canSwapWithoutConflicts,
+  canStudentSwapCourses,
+  createSwapMatch,
+  getConfirmationDeadline,
+  getMatchPreferenceScore,
+  getUnmetRequestConditions,
+  loadRejectedPairKeys,
+  studentPairKey
+} = require('./matchingAlgorithm');
+const { matchPairs } = require('./weightedMatching');
+const { getAcceptableCourseIds, getTargetRank, isMutualSwap, describeCycle } = require('./swapGraph');
+const { getStrategy, getStrategyForTerm } = require('./matchingStrategies');
+const { loadStrategyContext, writeMatchingResults } = require('./matchingSnapshot');
+const { getSectionGroupKey, findStableTrades } = require('./sectionAssignment');
+
+const PRIORITY_WEIGHT = 100;
+const RANK_PENALTY = 10;
+const MAX_AGE_DAYS = 30;
+// Recorded on matches the optimizer creates, since the weights above pick them
+const OPTIMIZER_STRATEGY = 'optimal';
+// ...and on the seat trades of the stable section assignment
+const STABLE_SECTIONS_STRATEGY = 'stable_sections';
+
+const getRequestAgeDays = (request, now) => {
+  const ageMs = now - new Date(request.created_at).getTime();
+  return Math.min(MAX_AGE_DAYS, Math.max(0, Math.floor(ageMs / (24 * 60 * 60 * 1000))));
+};
+
+// Pairs where a student only gets a lower-ranked choice cost a little weight
+const getPairPreference = (requestA, requestB, now = Date.now()) =>
+  PRIORITY_WEIGHT * ((requestA.priority || 1) + (requestB.priority || 1)) -
+  RANK_PENALTY * (
+    Math.max(0, getTargetRank(requestA, requestB.from_course_id)) +
+    Math.max(0, getTargetRank(requestB, requestA.from_course_id))
+  ) +
+  getRequestAgeDays(requestA, now) +
+  getRequestAgeDays(requestB, now);
+
+// Each pair is worth more than the preferences of all the other pairs put together,
+// so the optimizer always maximizes the number of students matched first.
+// Rank penalties can take a preference below zero, so they are counted from the lowest.
+const weighPairs = (edges, byId, now = Date.now()) => {
+  const preferences = edges.map(({ a, b }) => getPairPreference(byId.get(a), byId.get(b), now));
+  const lowest = Math.min(...preferences);
+  const pairWeight = (Math.max(...preferences) - lowest) * edges.length + 1;
+
+  return edges.map(({ a, b }, index) => ({ a, b, weight: pairWeight + preferences[index] - lowest }));
+};
+
+const getTermSwapRequests = async ({ semester, year }) => {
+  const { data: requests, error } = await supabaseAdmin
+    .from('swap_requests')
+    .select(`
+      *,
+      swap_request_targets(course_id, rank),
+      from_course:courses!swap_requests_from_course_id_fkey(semester, year)
+    `)
+    .eq('status', 'active')
+    .is('bundle_id', null)
+    .neq('kind', 'section_change')
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error('Error fetching active swap requests');
+  }
+
+  const termRequests = (requests || []).filter(request =>
+    request.from_course &&
+    request.from_course.semester === semester &&
+    request.from_course.year === parseInt(year)
+  );
+
+  // Conditional requests whose conditions don't hold yet wait for a later run
+  const unmetConditions = await getUnmetRequestConditions(termRequests.map(request => request.id));
+
+  return termRequests.filter(request => !unmetConditions.has(request.id));
+};
+
+const buildCompatibilityGraph = async (requests) => {
+  const edges = [];
+  const rejectedPairs = await loadRejectedPairKeys(requests.map(request => request.requester_id));
+
+  for (let i = 0; i < requests.length; i++) {
+    for (let j = i + 1; j < requests.length; j++) {
+      const requestA = requests[i];
+      const requestB = requests[j];
+
+      if (!isMutualSwap(requestA, requestB)) continue;
+      if (rejectedPairs.has(studentPairKey(requestA.requester_id, requestB.requester_id))) continue;
+
+      const canSwap = await canSwapWithoutConflicts(
+        requestA.requester_id,
+        requestB.requester_id,
+        requestA.from_course_id,
+        requestB.from_course_id
+      );
+
+      if (canSwap) {
+        // Each side's fit counts when that side picks a partner
+        edges.push({
+          a: requestA.id,
+          b: requestB.id,
+          preferenceScoreA: await getMatchPreferenceScore([
+            { student_id: requestA.requester_id, gives_course_id: requestA.from_course_id, receives_course_id: requestB.from_course_id }
+          ]),
+          preferenceScoreB: await getMatchPreferenceScore([
+            { student_id: requestB.requester_id, gives_course_id: requestB.from_course_id, receives_course_id: requestA.from_course_id }
+          ])
+        });
+      }
+    }
+  }
+
+  return edges;
+};
+
+// Replays today's first-come pass: each request in creation order takes its
+// best remaining partner by target rank, then the term's strategy, then its
+// schedule preference fit.
+const simulateGreedyMatching = (requests, edges, { strategy = getStrategy(), context = {} } = {}) => {
+  const byId = new Map(requests.map(request => [request.id, request]));
+  const neighbors = new Map(requests.map(request => [request.id, []]));
+  for (const { a, b, preferenceScoreA, preferenceScoreB } of edges) {
+    neighbors.get(a).push({ id: b, preferenceScore: preferenceScoreA });
+    neighbors.get(b).push({ id: a, preferenceScore: preferenceScoreB });
+  }
+
+  const matched = new Set();
+  const pairs = [];
+
+  for (const request of requests) {
+    if (matched.has(request.id)) continue;
+
+    const candidates = neighbors.get(request.id)
+      .filter(({ id }) => !matched.has(id))
+      .map(({ id, preferenceScore }) => ({
+        ...byId.get(id),
+        target_rank: getTargetRank(request, byId.get(id).from_course_id),
+        preference_score: preferenceScore
+      }))
+      .sort((a, b) => strategy.compareSwapPartners(a, b, context));
+
+    if (candidates.length > 0) {
+      matched.add(request.id);
+      matched.add(candidates[0].id);
+      pairs.push([request.id, candidates[0].id]);
+    }
+  }
+
+  return pairs;
+};
+
+const summarizePairs = (pairs, byId) => {
+  const students = new Set();
+  let totalPriority = 0;
+
+  for (const pair of pairs) {
+    for (const id of pair) {
+      const request = byId.get(id);
+      students.add(request.requester_id);
+      totalPriority += request.priority || 1;
+    }
+  }
+
+  return {
+    matchedPairs: pairs.length,
+    matchedRequests: pairs.length * 2,
+    matchedStudents: students.size,
+    totalPriority
+  };
+};
+
+const optimizeTermMatches = async ({ semester, year, dryRun = false }) => {
+  try {
+    const requests = await getTermSwapRequests({ semester, year });
+    const byId = new Map(requests.map(request => [request.id, request]));
+    const edges = await buildCompatibilityGraph(requests);
+
+    const weightedEdges = weighPairs(edges, byId);
+
+    const strategy = getStrategyForTerm({ semester, year });
+    const context = await loadStrategyContext(strategy, requests.map(request => request.requester_id));
+
+    const greedyPairs = simulateGreedyMatching(requests, edges, { strategy, context });
+    const optimalPairs = matchPairs(weightedEdges);
+
+    const greedy = summarizePairs(greedyPairs, byId);
+    const optimal = summarizePairs(optimalPairs, byId);
+
+    const created = [];
+    const failed = [];
+
+    if (!dryRun) {
+      for (const [requestAId, requestBId] of optimalPairs) {
+        try {
+          const match = await createSwapMatch(requestAId, requestBId, { strategy: OPTIMIZER_STRATEGY });
+          created.push(match.id);
+        } catch (error) {
+          failed.push({ requestAId, requestBId, error: error.message });
+        }
+      }
+    }
+
+    return {
+      term: { semester, year: parseInt(year) },
+      strategy: strategy.name,
+      dryRun,
+      requestsConsidered: requests.length,
+      compatiblePairs: edges.length,
+      before: greedy,
+      after: optimal,
+      improvement: {
+        additionalMatches: optimal.matchedPairs - greedy.matchedPairs,
+        additionalStudentsMatched: optimal.matchedStudents - greedy.matchedStudents
+      },
+      pairs: optimalPairs.map(([requestAId, requestBId]) => ({ requestAId, requestBId })),
+      createdMatchIds: created,
+      failed
+    };
+
+  } catch (error) {
+    console.error('Error optimizing term matches:', error);
+    throw error;
+  }
+};
+
+// Every section of the course, including the course itself
+const getCourseSections = async (courseId) => {
+  const { data: course, error } = await supabaseAdmin
+    .from('courses')
+    .select('id, course_code, semester, year')
+    .eq('id', courseId)
+    .single();
+
+  if (error || !course) {
+    throw new Error('Course not found');
+  }
+
+  const { data: termCourses, error: termError } = await supabaseAdmin
+    .from('courses')
+    .select('id, course_code, course_title, instructor, semester, year, max_capacity, current_enrollment')
+    .eq('semester', course.semester)
+    .eq('year', course.year);
+
+  if (termError) {
+    throw new Error('Error fetching course sections');
+  }
+
+  const groupKey = getSectionGroupKey(course);
+  return termCourses.filter(termCourse => getSectionGroupKey(termCourse) === groupKey);
+};
+
+// Reassigns seats among the students asking to change sections of a course. Only
+// the sections on a request's list count here, and only those the student can take.
+const assignCourseSections = async ({ courseId, dryRun = false }) => {
+  try {
+    const sections = await getCourseSections(courseId);
+    const sectionIds = sections.map(section => section.id);
+
+    const { data: requests, error } = await supabaseAdmin
+      .from('swap_requests')
+      .select('*, swap_request_targets(course_id, rank)')
+      .in('from_course_id', sectionIds)
+      .eq('kind', 'section_change')
+      .eq('status', 'active')
+      .is('bundle_id', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error('Error fetching section change requests');
+    }
+
+    const unmetConditions = await getUnmetRequestConditions(requests.map(request => request.id));
+    const rankedRequests = [];
+
+    for (const request of requests.filter(request => !unmetConditions.has(request.id))) {
+      const acceptable = [];
+
+      for (const sectionId of getAcceptableCourseIds(request)) {
+        if (
+          sectionIds.includes(sectionId) &&
+          sectionId !== request.from_course_id &&
+          await canStudentSwapCourses(request.requester_id, request.from_course_id, sectionId)
+        ) {
+          acceptable.push(sectionId);
+        }
+      }
+
+      if (acceptable.length > 0) {
+        rankedRequests.push({
+          ...request,
+          swap_request_targets: acceptable.map((sectionId, index) => ({ course_id: sectionId, rank: index + 1 }))
+        });
+      }
+    }
+
+    const rejectedPairs = await loadRejectedPairKeys(rankedRequests.map(request => request.requester_id));
+    const trades = findStableTrades(rankedRequests, {
+      canTrade: (request, holder) => !rejectedPairs.has(studentPairKey(request.requester_id, holder.requester_id))
+    });
+
+    const createdMatches = dryRun ? [] : await writeMatchingResults({
+      pairs: trades
+        .filter(trade => trade.length === 2)
+        .map(([requestA, requestB]) => ({ requestA, requestB, strategy: STABLE_SECTIONS_STRATEGY })),
+      cycles: trades
+        .filter(trade => trade.length > 2)
+        .map(cycle => ({ cycle, strategy: STABLE_SECTIONS_STRATEGY })),
+      courseRequestMatches: []
+    }, { confirmationDeadline: getConfirmationDeadline() });
+
+    return {
+      sections: sections.map(({ id, course_code }) => ({ id, course_code })),
+      dryRun,
+      requestsConsidered: rankedRequests.length,
+      studentsMoved: trades.reduce((total, trade) => total + trade.length, 0),
+      trades: trades.map(describeCycle),
+      createdMatchIds: createdMatches.map(match => match.id)
+    };
+
+  } catch (error) {
+    console.error('Error assigning course sections:', error);
+    throw error;
+  }
+};
+
+// Runs the stable assignment for every course with a pending section change
+const assignAllSections = async () => {
+  try {
+    const { data: requests, error } = await supabaseAdmin
+      .from('swap_requests')
+      .select('from_course_id, swap_request_targets(course_id)')
+      .eq('kind', 'section_change')
+      .eq('status', 'active')
+      .is('bundle_id', null);
+
+    if (error) {
+      throw new Error('Error fetching active swap requests');
+    }
+
+    const courseIds = [...new Set(requests.flatMap(request =>
+      [request.from_course_id, ...(request.swap_request_targets || []).map(target => target.course_id)]
+    ))];
+
+    const { data: courses, error: courseError } = await supabaseAdmin
+      .from('courses')
+      .select('id, course_code, semester, year')
+      .in('id', courseIds);
+
+    if (courseError) {
+      throw new Error('Error fetching courses');
+    }
+
+    const groupKeys = new Map(courses.map(course => [course.id, getSectionGroupKey(course)]));
+    const groups = new Map();
+
+    for (const request of requests) {
+      const groupKey = groupKeys.get(request.from_course_id);
+      const wantsSection = (request.swap_request_targets || [])
+        .some(target => target.course_id !== request.from_course_id && groupKeys.get(target.course_id) === groupKey);
+
+      if (groupKey && wantsSection && !groups.has(groupKey)) {
+        groups.set(groupKey, request.from_course_id);
+      }
+    }
+
+    const results = [];
+
+    for (const [groupKey, courseId] of groups) {
+      try {
+        results.push({ type: 'sections', course: groupKey, ...await assignCourseSections({ courseId }) });
+      } catch (groupError) {
+        results.push({ type: 'sections', course: groupKey, error: groupError.message });
+      }
+    }
+
+    return results;
+
+  } catch (error) {
+    console.error('Error assigning sections:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  optimizeTermMatches,
+  getCourseSections,
+  assignCourseSections,
+  assignAllSections,
+  simulateGreedyMatching,
+  getPairPreference,
+  weighPairs,
+  summarizePairs
+};
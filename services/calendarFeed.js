@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { buildScheduleCalendar } = require('./icsCalendar');
+
+const COURSE_SELECT = `
+  id,
+  course_code,
+  course_title,
+  instructor,
+  semester,
+  year,
+  terms (
+    start_date,
+    end_date
+  ),
+  time_slots (
+    id,
+    day_of_week,
+    start_time,
+    end_time,
+    location,
+    start_date,
+    end_date,
+    exception_dates
+  )
+`;
+
+// Completing a swap doesn't touch enrollments (students change those with the
+// registrar), so the courses each completed swap gave and received, oldest first
+const getCompletedSwapChanges = async (studentId) => {
+  const [pairResult, cycleResult] = await Promise.all([
+    supabaseAdmin
+      .from('swap_matches')
+      .select('match_type, student_a_id, course_a_id, course_b_id, completed_at')
+      .eq('match_status', 'completed')
+      .or(`student_a_id.eq.${studentId},student_b_id.eq.${studentId}`),
+    supabaseAdmin
+      .from('swap_match_participants')
+      .select('gives_course_id, receives_course_id, swap_matches(match_status, completed_at)')
+      .eq('student_id', studentId)
+  ]);
+
+  if (pairResult.error || cycleResult.error) {
+    throw new Error('Error fetching completed swaps');
+  }
+
+  const pairChanges = pairResult.data
+    .filter(match => match.match_type !== 'cycle')
+    .map(match => match.student_a_id === studentId
+      ? { gives: match.course_a_id, receives: match.course_b_id, completedAt: match.completed_at }
+      : { gives: match.course_b_id, receives: match.course_a_id, completedAt: match.completed_at });
+
+  const cycleChanges = cycleResult.data
+    .filter(participant => participant.swap_matches && participant.swap_matches.match_status === 'completed')
+    .map(participant => ({
+      gives: participant.gives_course_id,
+      receives: participant.receives_course_id,
+      completedAt: participant.swap_matches.completed_at
+    }));
+
+  return [...pairChanges, ...cycleChanges]
+    .sort((a, b) => String(a.completedAt || '').localeCompare(String(b.completedAt || '')));
+};
+
+// The courses a student is taking: their enrollments with completed swaps applied
+const getStudentSchedule = async (studentId) => {
+  try {
+    const { data: enrollments, error } = await supabaseAdmin
+      .from('enrollments')
+      .select('course_id')
+      .eq('student_id', studentId)
+      .eq('enrollment_status', 'enrolled');
+
+    if (error) {
+      throw new Error('Error fetching enrollments');
+    }
+
+    const courseIds = new Set(enrollments.map(enrollment => enrollment.course_id));
+
+    for (const { gives, receives } of await getCompletedSwapChanges(studentId)) {
+      courseIds.delete(gives);
+      courseIds.add(receives);
+    }
+
+    if (courseIds.size === 0) {
+      return [];
+    }
+
+    const { data: courses, error: courseError } = await supabaseAdmin
+      .from('courses')
+      .select(COURSE_SELECT)
+      .in('id', [...courseIds])
+      .order('course_code');
+
+    if (courseError) {
+      throw new Error('Error fetching courses');
+    }
+
+    return courses;
+
+  } catch (error) {
+    console.error('Error fetching student schedule:', error);
+    throw error;
+  }
+};
+
+const buildStudentCalendar = async (studentId) => {
+  const courses = await getStudentSchedule(studentId);
+  return buildScheduleCalendar(courses);
+};
+
+const getCalendarFeed = async (studentId) => {
+  const { data: feed, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .select('token, created_at, last_accessed_at')
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Error fetching calendar feed');
+  }
+
+  return feed;
+};
+
+// A new token replaces the old one, so earlier subscription URLs stop working
+const createCalendarFeed = async (studentId) => {
+  try {
+    await revokeCalendarFeed(studentId);
+
+    const { data: feed, error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .insert({ student_id: studentId, token: crypto.randomBytes(24).toString('hex') })
+      .select('token, created_at, last_accessed_at')
+      .single();
+
+    if (error) {
+      throw new Error('Error creating calendar feed');
+    }
+
+    return feed;
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    throw error;
+  }
+};
+
+const revokeCalendarFeed = async (studentId) => {
+  const { data: revoked, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .delete()
+    .eq('student_id', studentId)
+    .select('token');
+
+  if (error) {
+    throw new Error('Error revoking calendar feed');
+  }
+
+  return revoked.length > 0;
+};
+
+// The calendar behind a subscription URL, or null for an unknown or revoked token
+const getFeedCalendar = async (token) => {
+  try {
+    const { data: feed, error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .select('student_id')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Error fetching calendar feed');
+    }
+
+    if (!feed) {
+      return null;
+    }
+
+    await supabaseAdmin
+      .from('calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('token', token);
+
+    return buildStudentCalendar(feed.student_id);
+
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getStudentSchedule,
+  buildStudentCalendar,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getFeedCalendar
+};
@@ -0,0 +1,68 @@
+// What changed between a course as stored and as Hyperschedule lists it now.
+// Time slots are compared by value, so unchanged meetings keep their rows.
+
+// Seat counts change all the time and aren't worth logging
+const TRACKED_FIELDS = ['course_code', 'course_title', 'department', 'credits', 'description', 'instructor', 'max_capacity'];
+
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+// { field: { from, to } } for every tracked field the incoming course changes
+const diffCourseFields = (existing, incoming) => Object.fromEntries(TRACKED_FIELDS
+  .filter(field => field in incoming)
+  .filter(field => String(normalizeValue(existing[field])) !== String(normalizeValue(incoming[field])))
+  .map(field => [field, { from: normalizeValue(existing[field]), to: normalizeValue(incoming[field]) }]));
+
+const toDate = (date) => (date ? String(date).slice(0, 10) : '');
+
+// Day, times and dates: when the class meets
+const getMeetingKey = (slot) => [
+  slot.day_of_week,
+  String(slot.start_time).slice(0, 5),
+  String(slot.end_time).slice(0, 5),
+  toDate(slot.start_date),
+  toDate(slot.end_date),
+  (slot.exception_dates || []).map(toDate).sort().join(',')
+].join('|');
+
+const getSlotKey = (slot) => `${getMeetingKey(slot)}|${slot.location || ''}`;
+
+// Items of `from` with no equal item left in `to`, counting duplicates
+const subtract = (from, to, keyOf) => {
+  const remaining = new Map();
+
+  for (const item of to) {
+    remaining.set(keyOf(item), (remaining.get(keyOf(item)) || 0) + 1);
+  }
+
+  return from.filter(item => {
+    const count = remaining.get(keyOf(item)) || 0;
+
+    if (count > 0) {
+      remaining.set(keyOf(item), count - 1);
+      return false;
+    }
+
+    return true;
+  });
+};
+
+// Slots to insert and existing rows to delete. A room change alone doesn't
+// count as a meeting time change.
+const diffTimeSlots = (existingSlots, incomingSlots) => ({
+  added: subtract(incomingSlots, existingSlots, getSlotKey),
+  removed: subtract(existingSlots, incomingSlots, getSlotKey),
+  meetingTimesChanged:
+    subtract(incomingSlots, existingSlots, getMeetingKey).length > 0 ||
+    subtract(existingSlots, incomingSlots, getMeetingKey).length > 0
+});
+
+// The parts of a slot worth keeping in the change log
+const describeSlot = ({ day_of_week, start_time, end_time, location, start_date, end_date }) =>
+  ({ day_of_week, start_time, end_time, location: location || null, start_date: start_date || null, end_date: end_date || null });
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffCourseFields,
+  diffTimeSlots,
+  describeSlot
+};
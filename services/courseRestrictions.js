@@ -0,0 +1,55 @@
+// Who may take a course: prerequisites, major and class-year limits, and
+// instructor permission. Courses without a restriction row are open to everyone.
+
+const normalizeCourseCode = (code) => String(code || '').toUpperCase().replace(/\s+/g, '');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Reasons a student can't take the course. Restrictions that aren't enforced
+// come back as warnings instead, as does needing the instructor's permission.
+const findRestrictionIssues = (courseId, restriction, student = {}) => {
+  const conflicts = [];
+  const warnings = [];
+
+  if (!restriction) {
+    return { conflicts, warnings };
+  }
+
+  const violations = [];
+  const completed = new Set((student.completedCourseCodes || []).map(normalizeCourseCode));
+  const missingPrerequisites = (restriction.prerequisite_course_codes || [])
+    .filter(code => !completed.has(normalizeCourseCode(code)));
+
+  if (missingPrerequisites.length > 0) {
+    violations.push({ code: 'missing_prerequisite', missingPrerequisites });
+  }
+
+  const allowedMajors = restriction.allowed_majors || [];
+  if (allowedMajors.length > 0 && !allowedMajors.some(major => sameText(major, student.major))) {
+    violations.push({ code: 'major_restricted', allowedMajors, major: student.major || null });
+  }
+
+  const allowedYears = (restriction.allowed_years || []).map(Number);
+  if (allowedYears.length > 0 && !allowedYears.includes(Number(student.year))) {
+    violations.push({ code: 'class_year_restricted', allowedYears, year: student.year || null });
+  }
+
+  const describe = violation => ({ type: 'restriction', courseId, ...violation });
+
+  if (restriction.enforced === false) {
+    warnings.push(...violations.map(describe));
+  } else {
+    conflicts.push(...violations.map(describe));
+  }
+
+  if (restriction.requires_instructor_permission) {
+    warnings.push(describe({ code: 'instructor_permission' }));
+  }
+
+  return { conflicts, warnings };
+};
+
+module.exports = {
+  normalizeCourseCode,
+  findRestrictionIssues
+};
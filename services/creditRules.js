@@ -0,0 +1,71 @@
+const matchingConfig = require('../config/matching');
+
+// Credit limits for a student in a term. Each bound comes from the most specific
+// rule that sets it: the student's rule for the term, the student's rule for every
+// term, the term's rule, then the configured default.
+const resolveCreditLimits = (rules, studentId, { semester, year } = {}) => {
+  const forTerm = rule => rule.semester === semester && Number(rule.year) === Number(year);
+  const anyTerm = rule => rule.semester == null && rule.year == null;
+
+  const candidates = [
+    rules.find(rule => rule.student_id === studentId && forTerm(rule)),
+    rules.find(rule => rule.student_id === studentId && anyTerm(rule)),
+    rules.find(rule => rule.student_id == null && forTerm(rule)),
+    { min_credits: matchingConfig.minCredits, max_credits: matchingConfig.maxCredits }
+  ].filter(Boolean);
+
+  const pick = key => {
+    const rule = candidates.find(candidate => candidate[key] != null);
+    return rule ? Number(rule[key]) : null;
+  };
+
+  return { minCredits: pick('min_credits'), maxCredits: pick('max_credits') };
+};
+
+const termKey = course => `${course.semester} ${course.year}`;
+
+// Terms where dropping and adding courses takes a student out of range. A student
+// already out of range may still swap, as long as the swap doesn't make it worse.
+const findCreditIssues = ({ studentId, enrolledCourses, droppedCourses, addedCourses, rules = [] }) => {
+  const changedTerms = new Map();
+
+  for (const course of [...droppedCourses, ...addedCourses]) {
+    changedTerms.set(termKey(course), { semester: course.semester, year: course.year });
+  }
+
+  const creditsIn = (courses, key) => courses
+    .filter(course => termKey(course) === key)
+    .reduce((total, course) => total + (Number(course.credits) || 0), 0);
+
+  const droppedIds = new Set(droppedCourses.map(course => course.id));
+  const issues = [];
+
+  for (const [key, term] of changedTerms) {
+    const { minCredits, maxCredits } = resolveCreditLimits(rules, studentId, term);
+    const before = creditsIn(enrolledCourses, key);
+    const after = creditsIn(enrolledCourses.filter(course => !droppedIds.has(course.id)), key) +
+      creditsIn(addedCourses, key);
+
+    const belowMinimum = minCredits != null && after < minCredits && after < before;
+    const aboveMaximum = maxCredits != null && after > maxCredits && after > before;
+
+    if (belowMinimum || aboveMaximum) {
+      issues.push({
+        type: 'credits',
+        semester: term.semester,
+        year: term.year,
+        creditsBefore: before,
+        creditsAfter: after,
+        minCredits,
+        maxCredits
+      });
+    }
+  }
+
+  return issues;
+};
+
+module.exports = {
+  resolveCreditLimits,
+  findCreditIssues
+};
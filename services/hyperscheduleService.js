@@ -1,5 +1,17 @@
 const axios = require('axios');
 const { supabaseAdmin } = require('../config/supabase');
+const { addDays, daysBetween } = require('./slotDates');
+const { resolveTerm } = require('./terms');
+const { TRACKED_FIELDS, diffCourseFields, diffTimeSlots, describeSlot } = require('./courseDiff');
+const { flagScheduleChange } = require('./scheduleChanges');
+
+const SLOT_COLUMNS = 'id, day_of_week, start_time, end_time, location, start_date, end_date, exception_dates';
+
+const CHANGE_DEFAULTS = { field_changes: {}, time_slots_added: [], time_slots_removed: [], meeting_times_changed: false };
+
+const isSameChange = (logged, change) => ['change_type', ...Object.keys(CHANGE_DEFAULTS)].every(column =>
+  JSON.stringify(logged[column] === undefined ? CHANGE_DEFAULTS[column] : logged[column]) ===
+  JSON.stringify(change[column] === undefined ? CHANGE_DEFAULTS[column] : change[column]));
 
 class HyperscheduleService {
   constructor() {
@@ -50,7 +62,8 @@ class HyperscheduleService {
     }
   }
 
-  transformHyperScheduleCourse(hyperCourse) {
+  // Courses that don't say which term they are in belong to the one being synced
+  transformHyperScheduleCourse(hyperCourse, term) {
     try {
       return {
         hyperschedule_id: hyperCourse.courseCode || hyperCourse.identifier,
@@ -66,8 +79,9 @@ class HyperscheduleService {
           ? hyperCourse.seatsTotal
           : null,
         current_enrollment: hyperCourse.seatsFilled || 0,
-        semester: hyperCourse.semester || 'Fall',
-        year: hyperCourse.year || new Date().getFullYear(),
+        semester: hyperCourse.semester || term.semester,
+        year: hyperCourse.year || term.year,
+        term_id: term.id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
@@ -93,6 +107,7 @@ class HyperscheduleService {
         const days = this.parseDays(scheduleItem.scheduleDays);
         const startTime = this.parseTime(scheduleItem.scheduleStartTime);
         const endTime = this.parseTime(scheduleItem.scheduleEndTime);
+        const dates = this.parseScheduleDates(hyperCourse, scheduleItem);
 
         if (!startTime || !endTime) {
           continue;
@@ -103,7 +118,8 @@ class HyperscheduleService {
             day_of_week: day,
             start_time: startTime,
             end_time: endTime,
-            location: scheduleItem.scheduleLocation || null
+            location: scheduleItem.scheduleLocation || null,
+            ...dates
           });
         }
       }
@@ -114,6 +130,46 @@ class HyperscheduleService {
     return timeSlots;
   }
 
+  // Half-semester courses list which part of the term a meeting covers
+  // (scheduleTerms out of scheduleTermCount); one-off meetings carry their own dates
+  parseScheduleDates(hyperCourse, scheduleItem) {
+    const courseStart = this.parseDate(hyperCourse.courseStartDate || hyperCourse.startDate);
+    const courseEnd = this.parseDate(hyperCourse.courseEndDate || hyperCourse.endDate);
+    let startDate = this.parseDate(scheduleItem.scheduleStartDate) || courseStart;
+    let endDate = this.parseDate(scheduleItem.scheduleEndDate) || courseEnd;
+
+    const termCount = scheduleItem.scheduleTermCount || 1;
+    const terms = Array.isArray(scheduleItem.scheduleTerms) ? scheduleItem.scheduleTerms : [];
+
+    if (termCount > 1 && terms.length > 0 && !scheduleItem.scheduleStartDate && courseStart && courseEnd) {
+      const termLength = (daysBetween(courseStart, courseEnd) + 1) / termCount;
+      const firstTerm = Math.min(...terms);
+      const lastTerm = Math.max(...terms);
+
+      startDate = addDays(courseStart, Math.floor(firstTerm * termLength));
+      endDate = lastTerm >= termCount - 1
+        ? courseEnd
+        : addDays(courseStart, Math.floor((lastTerm + 1) * termLength) - 1);
+    }
+
+    const exceptionDates = (scheduleItem.scheduleExceptionDates || [])
+      .map(date => this.parseDate(date))
+      .filter(Boolean);
+
+    return {
+      start_date: startDate,
+      end_date: endDate,
+      exception_dates: exceptionDates
+    };
+  }
+
+  parseDate(dateString) {
+    if (!dateString) return null;
+
+    const match = String(dateString).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
   parseDays(dayString) {
     if (!dayString) return [];
     
@@ -163,103 +219,318 @@ class HyperscheduleService {
     return null;
   }
 
-  async syncCourseToDatabase(courseData, timeSlots) {
+  async getSyncState(school, termId) {
+    const { data: state, error } = await supabaseAdmin
+      .from('hyperschedule_sync_state')
+      .select('school, term_id, cursor, last_synced_at, last_full_sync_at')
+      .eq('school', school)
+      .eq('term_id', termId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Error fetching sync state');
+    }
+
+    return state;
+  }
+
+  async saveSyncState(school, termId, { cursor, full }) {
+    const now = new Date().toISOString();
+    const updates = {
+      cursor,
+      last_synced_at: now,
+      ...(full && { last_full_sync_at: now })
+    };
+
+    const existing = await this.getSyncState(school, termId);
+    const { error } = existing
+      ? await supabaseAdmin
+        .from('hyperschedule_sync_state')
+        .update(updates)
+        .eq('school', school)
+        .eq('term_id', termId)
+      : await supabaseAdmin
+        .from('hyperschedule_sync_state')
+        .insert({ school, term_id: termId, ...updates });
+
+    if (error) {
+      throw new Error('Error saving sync state');
+    }
+  }
+
+  // Courses come as a list (with removed identifiers alongside), or as a map
+  // from identifier to course where null means the course was removed
+  readCourseChanges(hyperscheduleData) {
+    const { courses, removed } = hyperscheduleData.data || {};
+
+    if (Array.isArray(courses)) {
+      return { courses, removedIds: Array.isArray(removed) ? removed : [] };
+    }
+
+    if (courses && typeof courses === 'object') {
+      const entries = Object.entries(courses);
+      return {
+        courses: entries.filter(([, course]) => course).map(([, course]) => course),
+        removedIds: entries.filter(([, course]) => !course).map(([identifier]) => identifier)
+      };
+    }
+
+    throw new Error('Invalid data structure from Hyperschedule API');
+  }
+
+  // Changes are logged before they are written, so a sync retried after a failed
+  // write finds the same change as the course's latest and reuses it
+  async logCourseChange(change) {
+    const { data: latestChange, error: latestError } = await supabaseAdmin
+      .from('course_changes')
+      .select('*')
+      .eq('course_id', change.course_id)
+      .order('synced_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) throw latestError;
+
+    if (latestChange && isSameChange(latestChange, change)) {
+      return latestChange;
+    }
+
+    const { data: loggedChange, error } = await supabaseAdmin
+      .from('course_changes')
+      .insert({ ...change, synced_at: new Date().toISOString() })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return loggedChange;
+  }
+
+  // Writes only what changed: unchanged time slots keep their rows. Returns the
+  // logged change (null when nothing tracked changed) and who was flagged.
+  async syncCourseToDatabase(courseData, timeSlots, school = null) {
     try {
-      // Check if course already exists
       const { data: existingCourse, error: searchError } = await supabaseAdmin
         .from('courses')
-        .select('id, updated_at')
+        .select(`id, ${TRACKED_FIELDS.join(', ')}, time_slots (${SLOT_COLUMNS})`)
         .eq('hyperschedule_id', courseData.hyperschedule_id)
-        .eq('semester', courseData.semester)
-        .eq('year', courseData.year)
-        .single();
+        .eq('term_id', courseData.term_id)
+        .maybeSingle();
 
-      let course;
-      
-      if (existingCourse) {
-        // Update existing course
-        const { data: updatedCourse, error: updateError } = await supabaseAdmin
-          .from('courses')
-          .update(courseData)
-          .eq('id', existingCourse.id)
-          .select()
-          .single();
+      if (searchError) throw searchError;
 
-        if (updateError) throw updateError;
-        course = updatedCourse;
-
-        // Delete existing time slots
-        await supabaseAdmin
-          .from('time_slots')
-          .delete()
-          .eq('course_id', course.id);
-      } else {
-        // Insert new course
-        const { data: newCourse, error: insertError } = await supabaseAdmin
+      if (!existingCourse) {
+        const { data: course, error: insertError } = await supabaseAdmin
           .from('courses')
           .insert(courseData)
           .select()
           .single();
 
         if (insertError) throw insertError;
-        course = newCourse;
+        await this.insertTimeSlots(course.id, timeSlots);
+
+        const change = await this.logCourseChange({
+          course_id: course.id,
+          school,
+          change_type: 'created',
+          time_slots_added: timeSlots.map(describeSlot)
+        });
+
+        return { course, change, flagged: null };
       }
 
-      // Insert time slots
-      if (timeSlots.length > 0) {
-        const timeSlotsWithCourseId = timeSlots.map(slot => ({
-          ...slot,
-          course_id: course.id
-        }));
+      // A course listed again after being removed is back in the catalog
+      const { created_at, ...courseUpdates } = courseData;
+      const updates = { ...courseUpdates, removed_at: null };
+      const fieldChanges = diffCourseFields(existingCourse, courseData);
+      const slotChanges = diffTimeSlots(existingCourse.time_slots || [], timeSlots);
+      const changed = Object.keys(fieldChanges).length > 0 || slotChanges.added.length > 0 || slotChanges.removed.length > 0;
+
+      // The change is logged and students flagged before anything is written, so
+      // a write that fails part way still leaves a record of what was coming
+      let change = null;
+      let flagged = null;
+
+      if (changed) {
+        change = await this.logCourseChange({
+          course_id: existingCourse.id,
+          school,
+          change_type: 'updated',
+          field_changes: fieldChanges,
+          time_slots_added: slotChanges.added.map(describeSlot),
+          time_slots_removed: slotChanges.removed.map(describeSlot),
+          meeting_times_changed: slotChanges.meetingTimesChanged
+        });
+
+        flagged = change.meeting_times_changed ? await flagScheduleChange(change) : null;
+      }
+
+      // Seat counts are refreshed even when nothing else changed
+      const { data: course, error: updateError } = await supabaseAdmin
+        .from('courses')
+        .update(updates)
+        .eq('id', existingCourse.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
 
-        const { error: timeSlotsError } = await supabaseAdmin
+      if (slotChanges.removed.length > 0) {
+        const { error: deleteError } = await supabaseAdmin
           .from('time_slots')
-          .insert(timeSlotsWithCourseId);
+          .delete()
+          .in('id', slotChanges.removed.map(slot => slot.id));
 
-        if (timeSlotsError) {
-          console.error('Error inserting time slots:', timeSlotsError);
-        }
+        if (deleteError) throw deleteError;
       }
 
-      return course;
+      await this.insertTimeSlots(course.id, slotChanges.added);
+
+      return { course, change, flagged };
     } catch (error) {
       console.error('Error syncing course to database:', error);
       throw error;
     }
   }
 
-  async syncAllCourses(school = 'hmc') {
+  async insertTimeSlots(courseId, timeSlots) {
+    if (timeSlots.length === 0) return;
+
+    const { error } = await supabaseAdmin
+      .from('time_slots')
+      .insert(timeSlots.map(slot => ({ ...slot, course_id: courseId })));
+
+    if (error) throw error;
+  }
+
+  // The course stays (students are enrolled in it); the removal is logged, its
+  // students are flagged and it's marked removed so later syncs skip it
+  async removeCourseFromSync(hyperscheduleId, term, school = null) {
     try {
-      console.log(`Starting sync for school: ${school}`);
-      const hyperscheduleData = await this.fetchCoursesFromHyperschedule(school);
-      
-      if (!hyperscheduleData.data || !Array.isArray(hyperscheduleData.data.courses)) {
-        throw new Error('Invalid data structure from Hyperschedule API');
+      const { data: course, error } = await supabaseAdmin
+        .from('courses')
+        .select(`id, removed_at, time_slots (${SLOT_COLUMNS})`)
+        .eq('hyperschedule_id', hyperscheduleId)
+        .eq('term_id', term.id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      // Already logged and flagged when it was first removed
+      if (!course || course.removed_at) {
+        return { change: null, flagged: null };
       }
 
-      const courses = hyperscheduleData.data.courses;
-      let syncedCount = 0;
-      let errorCount = 0;
+      const change = await this.logCourseChange({
+        course_id: course.id,
+        school,
+        change_type: 'removed',
+        time_slots_removed: (course.time_slots || []).map(describeSlot),
+        meeting_times_changed: true
+      });
+      const flagged = await flagScheduleChange(change);
+
+      const { error: markError } = await supabaseAdmin
+        .from('courses')
+        .update({ removed_at: new Date().toISOString() })
+        .eq('id', course.id);
+
+      if (markError) throw markError;
+
+      return { change, flagged };
+    } catch (error) {
+      console.error('Error removing course:', error);
+      throw error;
+    }
+  }
+
+  // Picks up from the last cursor saved for the school and term, or pulls the
+  // whole catalog when there is none or `full` is set. Courses listed for any
+  // other term are skipped. The cursor only moves forward, to the one
+  // Hyperschedule returns, when every course synced, so a failed run is
+  // retried from the same point.
+  async syncAllCourses(school = 'hmc', term, { full = false } = {}) {
+    try {
+      const state = await this.getSyncState(school, term.id);
+      const previousCursor = (state && state.cursor) || null;
+      const since = full ? null : previousCursor;
+      const mode = since ? 'incremental' : 'full';
+
+      console.log(`Starting ${mode} sync for school: ${school}, term: ${term.name}`);
+      const hyperscheduleData = await this.fetchCoursesFromHyperschedule(school, since);
+      const { courses, removedIds } = this.readCourseChanges(hyperscheduleData);
+
+      const result = {
+        mode,
+        since,
+        cursor: since,
+        total: courses.length + removedIds.length,
+        createdCount: 0,
+        updatedCount: 0,
+        unchangedCount: 0,
+        removedCount: 0,
+        skippedCount: 0,
+        errorCount: 0,
+        flaggedStudents: 0,
+        flaggedSwapRequests: 0
+      };
+
+      const countFlagged = (flagged) => {
+        if (flagged) {
+          result.flaggedStudents += flagged.studentIds.length;
+          result.flaggedSwapRequests += flagged.swapRequestIds.length;
+        }
+      };
 
       for (const hyperCourse of courses) {
         try {
-          const courseData = this.transformHyperScheduleCourse(hyperCourse);
+          const courseData = this.transformHyperScheduleCourse(hyperCourse, term);
+
+          if (courseData.semester !== term.semester || Number(courseData.year) !== term.year) {
+            result.skippedCount++;
+            continue;
+          }
+
           const timeSlots = this.transformTimeSlots(hyperCourse);
-          
-          await this.syncCourseToDatabase(courseData, timeSlots);
-          syncedCount++;
-          
-          if (syncedCount % 50 === 0) {
-            console.log(`Synced ${syncedCount} courses...`);
+          const { change, flagged } = await this.syncCourseToDatabase(courseData, timeSlots, school);
+
+          if (!change) {
+            result.unchangedCount++;
+          } else if (change.change_type === 'created') {
+            result.createdCount++;
+          } else {
+            result.updatedCount++;
           }
+          countFlagged(flagged);
         } catch (error) {
           console.error(`Error syncing course ${hyperCourse.courseCode}:`, error.message);
-          errorCount++;
+          result.errorCount++;
         }
       }
 
-      console.log(`Sync completed. Synced: ${syncedCount}, Errors: ${errorCount}`);
-      return { syncedCount, errorCount, total: courses.length };
+      for (const hyperscheduleId of removedIds) {
+        try {
+          const { change, flagged } = await this.removeCourseFromSync(hyperscheduleId, term, school);
+
+          if (change) {
+            result.removedCount++;
+          }
+          countFlagged(flagged);
+        } catch (error) {
+          console.error(`Error removing course ${hyperscheduleId}:`, error.message);
+          result.errorCount++;
+        }
+      }
+
+      if (result.errorCount === 0) {
+        // Only Hyperschedule's own cursor is trusted; without one the saved
+        // cursor stays and the next sync starts from it again
+        result.cursor = hyperscheduleData.until || (hyperscheduleData.data && hyperscheduleData.data.until) || previousCursor;
+        await this.saveSyncState(school, term.id, { cursor: result.cursor, full: mode === 'full' });
+      }
+
+      console.log(`Sync completed. Created: ${result.createdCount}, Updated: ${result.updatedCount}, ` +
+        `Removed: ${result.removedCount}, Skipped: ${result.skippedCount}, Errors: ${result.errorCount}`);
+      return result;
     } catch (error) {
       console.error('Error in syncAllCourses:', error);
       throw error;
@@ -270,12 +541,14 @@ class HyperscheduleService {
     try {
       const { 
         department, 
-        semester = 'Fall', 
-        year = new Date().getFullYear(),
+        termId,
         limit = 50,
         offset = 0
       } = filters;
 
+      // Without a term, the current one
+      const term = await resolveTerm({ termId });
+
       let dbQuery = supabaseAdmin
         .from('courses')
         .select(`
@@ -291,15 +564,18 @@ class HyperscheduleService {
           current_enrollment,
           semester,
           year,
+          term_id,
           time_slots (
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
           )
         `)
-        .eq('semester', semester)
-        .eq('year', parseInt(year))
+        .eq('term_id', term.id)
         .range(offset, offset + limit - 1);
 
       if (query) {
@@ -0,0 +1,416 @@
+const calendarConfig = require('../config/calendar');
+const { addDays, getMeetingDates } = require('./slotDates');
+
+// iCalendar (RFC 5545) for student schedules. Exports write one weekly recurring
+// event per time slot, running for the dates of the course's term; imports read
+// calendar files back into weekly meetings.
+
+const PRODUCT_ID = '-//Swappers//Course Schedule//EN';
+const MAX_LINE_OCTETS = 75;
+
+// Commas, semicolons, backslashes and newlines are special in text values
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Long lines are split into 75-octet pieces; continuations start with a space
+const foldLine = (line) => {
+  const pieces = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (Buffer.byteLength(current + char) > limit) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  pieces.push(current);
+  return pieces.join('\r\n ');
+};
+
+// '2024-09-02' and '09:00:00' -> '20240902T090000'
+const formatLocalDateTime = (date, time) =>
+  `${date.replace(/-/g, '')}T${String(time).slice(0, 8).replace(/:/g, '').padEnd(6, '0')}`;
+
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// First and last day of classes for a course's term, or null if unknown. The
+// course's term row wins over CALENDAR_TERM_DATES and the usual windows.
+const getTermDates = ({ semester, year, terms }, config = calendarConfig) => {
+  if (terms && terms.start_date && terms.end_date) {
+    return { start: String(terms.start_date).slice(0, 10), end: String(terms.end_date).slice(0, 10) };
+  }
+
+  const configured = config.termDates[`${semester} ${year}`];
+
+  if (configured) {
+    return configured;
+  }
+
+  const window = config.semesterWindows[semester];
+  return window && year ? { start: `${year}-${window.start}`, end: `${year}-${window.end}` } : null;
+};
+
+const laterOf = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+const earlierOf = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+
+// The dates a slot meets on within the term, ignoring exceptions
+const getSlotMeetingDates = (slot, term) => {
+  const from = laterOf(term && term.start, slot.start_date && String(slot.start_date).slice(0, 10));
+  const to = earlierOf(term && term.end, slot.end_date && String(slot.end_date).slice(0, 10));
+
+  if (!from || !to || from > to) {
+    return [];
+  }
+
+  // Exceptions are left to EXDATE so the recurrence stays a simple weekly rule
+  return getMeetingDates({ day_of_week: slot.day_of_week }, from, to);
+};
+
+// The VEVENT lines for one slot meeting on the given dates
+const buildSlotEvent = (course, slot, dates, { timezone, stamp }) => {
+  const zone = timezone ? `;TZID=${timezone}` : '';
+  const exceptions = (slot.exception_dates || [])
+    .map(date => String(date).slice(0, 10))
+    .filter(date => dates.includes(date));
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${slot.id || `${course.id}-${slot.day_of_week}-${slot.start_time}`}@swappers`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART${zone}:${formatLocalDateTime(dates[0], slot.start_time)}`,
+    `DTEND${zone}:${formatLocalDateTime(dates[0], slot.end_time)}`,
+    ...(dates.length > 1 ? [`RRULE:FREQ=WEEKLY;COUNT=${dates.length}`] : []),
+    ...(exceptions.length > 0
+      ? [`EXDATE${zone}:${exceptions.map(date => formatLocalDateTime(date, slot.start_time)).join(',')}`]
+      : []),
+    `SUMMARY:${escapeText([course.course_code, course.course_title].filter(Boolean).join(' '))}`,
+    ...(slot.location ? [`LOCATION:${escapeText(slot.location)}`] : []),
+    ...(course.instructor ? [`DESCRIPTION:${escapeText(`Instructor: ${course.instructor}`)}`] : []),
+    'END:VEVENT'
+  ];
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const offsetFormats = new Map();
+
+// Minutes the zone is ahead of UTC at the instant (a Date's time value)
+const getUtcOffset = (timezone, instant) => {
+  if (!offsetFormats.has(timezone)) {
+    offsetFormats.set(timezone, new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' }));
+  }
+
+  const zoneName = offsetFormats.get(timezone).formatToParts(new Date(instant))
+    .find(part => part.type === 'timeZoneName').value;
+  const match = zoneName.match(/GMT([+-])(\d{2}):(\d{2})/);
+
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+// -420 -> '-0700'
+const formatUtcOffset = (minutes) => {
+  const absolute = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Every change of the zone's UTC offset from the start of one year to the end of
+// another, found day by day and then narrowed down to the minute
+const findOffsetChanges = (timezone, fromYear, toYear) => {
+  const changes = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let previousOffset = getUtcOffset(timezone, Date.UTC(fromYear, 0, 1));
+
+  for (let time = Date.UTC(fromYear, 0, 1) + DAY; time <= end; time += DAY) {
+    const offset = getUtcOffset(timezone, time);
+
+    if (offset === previousOffset) continue;
+
+    let before = time - DAY;
+    let after = time;
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / (2 * MINUTE)) * MINUTE;
+
+      if (getUtcOffset(timezone, middle) === previousOffset) {
+        before = middle;
+      } else {
+        after = middle;
+      }
+    }
+
+    changes.push({ instant: after, from: previousOffset, to: offset });
+    previousOffset = offset;
+  }
+
+  return changes;
+};
+
+// VTIMEZONE for the years the events fall in, so calendar apps don't have to
+// know the TZID. Each observance starts at the local time the offset changed;
+// offsets ahead of the zone's lowest are daylight time.
+const buildTimezone = (timezone, fromYear, toYear) => {
+  const initialOffset = getUtcOffset(timezone, Date.UTC(fromYear, 0, 1));
+  const changes = findOffsetChanges(timezone, fromYear, toYear);
+  const standardOffset = Math.min(initialOffset, ...changes.map(change => change.to));
+
+  const observance = ({ instant, from, to }) => {
+    const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${formatUtcDateTime(new Date(instant + from * MINUTE)).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      `END:${kind}`
+    ];
+  };
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    // Whatever applied on January 1 of the first year, starting at local midnight
+    ...observance({ instant: Date.UTC(fromYear, 0, 1) - initialOffset * MINUTE, from: initialOffset, to: initialOffset }),
+    ...changes.flatMap(observance),
+    'END:VTIMEZONE'
+  ];
+};
+
+// courses carry their time_slots; slots meet for the whole term unless they
+// have their own start_date / end_date
+const buildScheduleCalendar = (courses, { name = 'Class Schedule', now = new Date(), config = calendarConfig } = {}) => {
+  const stamp = formatUtcDateTime(now);
+  const timezone = config.timezone;
+
+  const meetings = courses.flatMap(course => {
+    const term = getTermDates(course, config);
+    return (course.time_slots || [])
+      .map(slot => ({ course, slot, dates: getSlotMeetingDates(slot, term) }))
+      .filter(meeting => meeting.dates.length > 0);
+  });
+
+  const events = meetings.flatMap(({ course, slot, dates }) => buildSlotEvent(course, slot, dates, { timezone, stamp }));
+  const years = meetings.flatMap(({ dates }) => [dates[0], dates[dates.length - 1]]).map(date => Number(date.slice(0, 4)));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${config.refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${config.refreshHours}H`,
+    ...(timezone && events.length > 0 ? buildTimezone(timezone, Math.min(...years), Math.max(...years)) : []),
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const ICS_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_RECURRENCE_COUNT = 500;
+
+const unescapeText = (value) => value
+  .replace(/\\([\;,nN])/g, (escaped, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// 'DTSTART;TZID=America/New_York:20240826T090000' -> { name: 'DTSTART', value }.
+// Parameters (TZID included) are not needed for reading class meetings.
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  return {
+    name: line.slice(0, colon).split(';')[0].toUpperCase(),
+    value: line.slice(colon + 1)
+  };
+};
+
+// UTC times are moved into the configured time zone; local and TZID times are
+// taken as they are, on the assumption that they are already campus time
+const toLocalParts = (utc, timezone) => {
+  if (!timezone) {
+    return { date: utc.toISOString().slice(0, 10), time: utc.toISOString().slice(11, 19) };
+  }
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(utc).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}:${parts.second}` };
+};
+
+// '20240826T090000' -> { date: '2024-08-26', time: '09:00:00' }; all-day values have no time
+const parseDateTime = (value, timezone = calendarConfig.timezone) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+  if (utc) {
+    return toLocalParts(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)), timezone);
+  }
+
+  return { date: `${year}-${month}-${day}`, time: hours ? `${hours}:${minutes}:${seconds}` : null };
+};
+
+// 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=...' -> { FREQ, BYDAY, UNTIL, untilDate }
+const parseRecurrence = (value, timezone) => {
+  const recurrence = Object.fromEntries(value.split(';').map(part => {
+    const [key, rest = ''] = part.split('=');
+    return [key.toUpperCase(), rest];
+  }));
+  const until = recurrence.UNTIL && parseDateTime(recurrence.UNTIL, timezone);
+
+  return { ...recurrence, untilDate: until ? until.date : null };
+};
+
+// The VEVENTs of a calendar file, with their dates and recurrence read but not
+// expanded. Cancelled events and changes to single occurrences are left out.
+const parseCalendar = (text, { timezone = calendarConfig.timezone } = {}) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = { exceptionDates: [] };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT' && event) {
+      if (event.status !== 'CANCELLED' && !event.recurrenceId && event.start) {
+        events.push(event);
+      }
+      event = null;
+    } else if (event) {
+      switch (property.name) {
+        case 'UID': event.uid = property.value; break;
+        case 'SUMMARY': event.summary = unescapeText(property.value); break;
+        case 'LOCATION': event.location = unescapeText(property.value); break;
+        case 'DESCRIPTION': event.description = unescapeText(property.value); break;
+        case 'STATUS': event.status = property.value.toUpperCase(); break;
+        case 'RECURRENCE-ID': event.recurrenceId = property.value; break;
+        case 'DTSTART': event.start = parseDateTime(property.value, timezone); break;
+        case 'DTEND': event.end = parseDateTime(property.value, timezone); break;
+        case 'RRULE': event.recurrence = parseRecurrence(property.value, timezone); break;
+        case 'EXDATE':
+          event.exceptionDates.push(...property.value.split(',')
+            .map(value => parseDateTime(value, timezone))
+            .filter(Boolean)
+            .map(({ date }) => date));
+          break;
+        default: break;
+      }
+    }
+  }
+
+  return events;
+};
+
+// Weekly meetings an event stands for, shaped like time_slots rows. Returns
+// { meetings } or { reason } when the event isn't a weekly class meeting.
+const getEventMeetings = (event) => {
+  const { start, end, recurrence } = event;
+
+  // All-day events (and events with only a DURATION) aren't class meetings we can place
+  if (!start.time || !end || !end.time) {
+    return { reason: 'no_meeting_times' };
+  }
+
+  const startDay = weekdayOf(start.date);
+
+  if (!recurrence) {
+    return {
+      meetings: [{
+        day_of_week: startDay,
+        start_time: start.time,
+        end_time: end.time,
+        location: event.location || null,
+        start_date: start.date,
+        end_date: start.date,
+        exception_dates: []
+      }]
+    };
+  }
+
+  const days = recurrence.BYDAY
+    ? recurrence.BYDAY.split(',').map(day => ICS_DAYS[day.slice(-2)]).filter(day => day !== undefined)
+    : [startDay];
+
+  if (recurrence.FREQ !== 'WEEKLY' || (recurrence.INTERVAL && recurrence.INTERVAL !== '1') || days.length === 0) {
+    return { reason: 'unsupported_recurrence' };
+  }
+
+  let endDate = recurrence.untilDate;
+
+  // COUNT runs over every listed weekday from the first meeting on
+  if (!endDate && recurrence.COUNT) {
+    // A term's worth of meetings at most
+    let remaining = Math.min(parseInt(recurrence.COUNT) || 0, MAX_RECURRENCE_COUNT);
+    let date = start.date;
+
+    while (remaining > 0) {
+      if (days.includes(weekdayOf(date))) {
+        endDate = date;
+        remaining--;
+      }
+      date = addDays(date, 1);
+    }
+  }
+
+  return {
+    meetings: days.map(day => ({
+      day_of_week: day,
+      start_time: start.time,
+      end_time: end.time,
+      location: event.location || null,
+      start_date: start.date,
+      end_date: endDate,
+      exception_dates: event.exceptionDates
+    }))
+  };
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  getTermDates,
+  buildScheduleCalendar,
+  parseCalendar,
+  getEventMeetings
+};
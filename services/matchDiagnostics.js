@@ -0,0 +1,241 @@
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  getSwapScheduleIssues,
+  findSwapCycles,
+  loadRejectedPairKeys,
+  studentPairKey
+} = require('./matchingAlgorithm');
+const { getAcceptableCourseIds, getTargetRank } = require('./swapGraph');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isExpired = (request, now) =>
+  request.status === 'expired' ||
+  (!!request.expires_at && new Date(request.expires_at).getTime() <= now);
+
+// Reasons that can be read straight off the two requests, cheapest first
+const getCandidateReasons = (request, candidate, {
+  now = Date.now(),
+  pendingRequestIds = new Map(),
+  rejectedPairs = new Set()
+} = {}) => {
+  const reasons = [];
+
+  if (candidate.requester_id === request.requester_id) {
+    reasons.push({ code: 'same_requester' });
+    return reasons;
+  }
+
+  if (isExpired(candidate, now)) {
+    reasons.push({ code: 'expired', expires_at: candidate.expires_at });
+  }
+
+  if (getTargetRank(candidate, request.from_course_id) === -1) {
+    reasons.push({ code: 'no_reverse_request' });
+  }
+
+  if (pendingRequestIds.has(candidate.id)) {
+    reasons.push({ code: 'pending_match', match_id: pendingRequestIds.get(candidate.id) });
+  }
+
+  if (rejectedPairs.has(studentPairKey(request.requester_id, candidate.requester_id))) {
+    reasons.push({ code: 'rejected_pairing' });
+  }
+
+  return reasons;
+};
+
+const describeSlots = (student, { slot, conflictsWith }) => ({
+  student,
+  day: DAY_NAMES[slot.day_of_week],
+  start_time: slot.start_time,
+  end_time: slot.end_time,
+  conflicting_course_id: conflictsWith.course_id,
+  conflicting_course_code: conflictsWith.course_code,
+  conflicting_start_time: conflictsWith.start_time,
+  conflicting_end_time: conflictsWith.end_time
+});
+
+const describeTransition = (student, transition) => ({
+  code: 'travel_time',
+  ...describeSlots(student, transition),
+  location: transition.slot.location,
+  conflicting_location: transition.conflictsWith.location,
+  gap_minutes: transition.gapMinutes,
+  required_minutes: transition.requiredMinutes
+});
+
+const describeCreditLoad = (student, issue) => ({
+  code: 'credit_load',
+  student,
+  semester: issue.semester,
+  year: issue.year,
+  credits_before: issue.creditsBefore,
+  credits_after: issue.creditsAfter,
+  min_credits: issue.minCredits,
+  max_credits: issue.maxCredits
+});
+
+const describeRestriction = (student, { code, courseId, missingPrerequisites, allowedMajors, major, allowedYears, year }) => ({
+  code,
+  student,
+  course_id: courseId,
+  ...(missingPrerequisites && { missing_prerequisites: missingPrerequisites }),
+  ...(allowedMajors && { allowed_majors: allowedMajors, major }),
+  ...(allowedYears && { allowed_years: allowedYears, year })
+});
+
+const toConflictReason = (student, conflict) => {
+  switch (conflict.type) {
+    case 'travel': return describeTransition(student, conflict);
+    case 'credits': return describeCreditLoad(student, conflict);
+    case 'restriction': return describeRestriction(student, conflict);
+    default: return { code: 'time_conflict', ...describeSlots(student, conflict) };
+  }
+};
+
+// Map of request id -> pending match id, covering pairs as well as cycle members
+const getPendingMatchesByRequest = async (requestIds) => {
+  const pending = new Map();
+
+  if (requestIds.length === 0) {
+    return pending;
+  }
+
+  const idList = requestIds.join(',');
+  const [pairResult, participantResult] = await Promise.all([
+    supabaseAdmin
+      .from('swap_matches')
+      .select('id, request_a_id, request_b_id')
+      .eq('match_status', 'pending')
+      .or(`request_a_id.in.(${idList}),request_b_id.in.(${idList})`),
+    supabaseAdmin
+      .from('swap_match_participants')
+      .select('match_id, request_id, swap_matches(match_status)')
+      .in('request_id', requestIds)
+  ]);
+
+  if (pairResult.error || participantResult.error) {
+    throw new Error('Error fetching pending matches');
+  }
+
+  for (const match of pairResult.data || []) {
+    if (match.request_a_id) pending.set(match.request_a_id, match.id);
+    if (match.request_b_id) pending.set(match.request_b_id, match.id);
+  }
+
+  for (const participant of participantResult.data || []) {
+    if (participant.swap_matches && participant.swap_matches.match_status === 'pending') {
+      pending.set(participant.request_id, participant.match_id);
+    }
+  }
+
+  return pending;
+};
+
+// Walks the same steps as processSwapRequest without creating any matches
+const diagnoseSwapRequest = async (request) => {
+  try {
+    const now = Date.now();
+    const acceptableCourseIds = getAcceptableCourseIds(request);
+    const requestIssues = [];
+
+    if (request.bundle_id) {
+      requestIssues.push({ code: 'bundle_component', bundle_id: request.bundle_id });
+    }
+
+    if (isExpired(request, now)) {
+      requestIssues.push({ code: 'expired', expires_at: request.expires_at });
+    } else if (request.status !== 'active') {
+      requestIssues.push({ code: 'inactive', status: request.status });
+    }
+
+    const { data: candidateRequests, error } = await supabaseAdmin
+      .from('swap_requests')
+      .select('*, swap_request_targets(course_id, rank)')
+      .in('from_course_id', acceptableCourseIds)
+      .in('status', ['active', 'expired'])
+      .is('bundle_id', null)
+      .neq('kind', 'section_change')
+      .neq('id', request.id);
+
+    if (error) {
+      throw new Error('Error finding potential matches');
+    }
+
+    const candidates = candidateRequests || [];
+    const [pendingRequestIds, rejectedPairs] = await Promise.all([
+      getPendingMatchesByRequest([request.id, ...candidates.map(candidate => candidate.id)]),
+      loadRejectedPairKeys([request.requester_id, ...candidates.map(candidate => candidate.requester_id)])
+    ]);
+
+    if (pendingRequestIds.has(request.id)) {
+      requestIssues.push({ code: 'pending_match', match_id: pendingRequestIds.get(request.id) });
+    }
+
+    const evaluated = [];
+
+    for (const candidate of candidates) {
+      const reasons = getCandidateReasons(request, candidate, { now, pendingRequestIds, rejectedPairs });
+      const warnings = [];
+
+      if (!reasons.some(reason => reason.code === 'same_requester')) {
+        const [requesterIssues, candidateIssues] = await Promise.all([
+          getSwapScheduleIssues(request.requester_id, request.from_course_id, candidate.from_course_id),
+          getSwapScheduleIssues(candidate.requester_id, candidate.from_course_id, request.from_course_id)
+        ]);
+
+        reasons.push(
+          ...requesterIssues.conflicts.map(conflict => toConflictReason('requester', conflict)),
+          ...candidateIssues.conflicts.map(conflict => toConflictReason('candidate', conflict))
+        );
+        warnings.push(
+          ...requesterIssues.warnings.map(warning => toConflictReason('requester', warning)),
+          ...candidateIssues.warnings.map(warning => toConflictReason('candidate', warning))
+        );
+      }
+
+      evaluated.push({
+        request_id: candidate.id,
+        from_course_id: candidate.from_course_id,
+        target_rank: getTargetRank(request, candidate.from_course_id),
+        eligible: reasons.length === 0,
+        reasons,
+        warnings
+      });
+    }
+
+    const cyclesFound = requestIssues.length === 0
+      ? (await findSwapCycles(request.id)).length
+      : 0;
+
+    const eligibleCandidates = evaluated.filter(candidate => candidate.eligible).length;
+
+    return {
+      request: {
+        id: request.id,
+        status: request.status,
+        from_course_id: request.from_course_id,
+        acceptable_course_ids: acceptableCourseIds,
+        expires_at: request.expires_at
+      },
+      issues: requestIssues,
+      candidates: evaluated,
+      summary: {
+        candidatesConsidered: evaluated.length,
+        eligibleCandidates,
+        cyclesFound,
+        wouldMatch: requestIssues.length === 0 && (eligibleCandidates > 0 || cyclesFound > 0)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error diagnosing swap request:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  diagnoseSwapRequest,
+  getCandidateReasons
+};
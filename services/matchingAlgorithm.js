@@ -1,9 +1,47 @@
 const { supabaseAdmin } = require('../config/supabase');
+const matchingConfig = require('../config/matching');
+const {
+  getAcceptableCourseIds,
+  getTargetRank,
+  buildSwapGraph,
+  findCyclesThrough,
+  describeCycle,
+  findBundleAssignment,
+  rankCycles
+} = require('./swapGraph');
+const { findTimeConflicts, findScheduleIssues, getRemainingSlots, runMatching } = require('./matchingEngine');
+const {
+  loadMatchingSnapshot,
+  loadCreditRules,
+  loadCourseRestrictions,
+  loadStudentEligibility,
+  loadRejectedPairings,
+  loadSchedulePreferences,
+  loadRequestConditions,
+  loadStrategyContext,
+  writeMatchingResults
+} = require('./matchingSnapshot');
+const { getStrategy, getStrategyForTerm } = require('./matchingStrategies');
+const { shareMeetingDate } = require('./slotDates');
+const { findCreditIssues } = require('./creditRules');
+const { findRestrictionIssues } = require('./courseRestrictions');
+const { scoreSchedule } = require('./schedulePreferences');
+const {
+  COMPLETED_STATUSES,
+  getDependency,
+  findUnmetConditions,
+  groupConditionsByRequest
+} = require('./requestConditions');
+
+// Swap requests are always read together with their ranked target courses
+const SWAP_REQUEST_SELECT = '*, swap_request_targets(course_id, rank)';
+// ...and with the term of the offered course when we need its matching strategy
+const SWAP_REQUEST_TERM_SELECT = `${SWAP_REQUEST_SELECT}, from_course:courses!swap_requests_from_course_id_fkey(semester, year)`;
 
 const checkTimeConflicts = (existingTimeSlots, newTimeSlots) => {
   for (let existing of existingTimeSlots) {
     for (let newSlot of newTimeSlots) {
-      if (existing.day_of_week === newSlot.day_of_week) {
+      if (existing.day_of_week === newSlot.day_of_week && shareMeetingDate(existing, newSlot)) {
         const existingStart = existing.start_time;
         const existingEnd = existing.end_time;
         const newStart = newSlot.start_time;
@@ -32,11 +70,17 @@ const getStudentSchedule = async (studentId) => {
           id,
           course_code,
           course_title,
+          credits,
+          semester,
+          year,
           time_slots (
             day_of_week,
             start_time,
             end_time,
-            location
+            location,
+            start_date,
+            end_date,
+            exception_dates
           )
         )
       `)
@@ -59,47 +103,163 @@ const getStudentSchedule = async (studentId) => {
   }
 };
 
+const getCourseTimeSlots = async (courseId) => {
+  const { data: timeSlots, error } = await supabaseAdmin
+    .from('time_slots')
+    .select('*')
+    .eq('course_id', courseId);
+
+  if (error) {
+    throw new Error('Error fetching course time slots');
+  }
+
+  return timeSlots || [];
+};
+
+const getCreditCourses = async (courseIds) => {
+  const { data: courses, error } = await supabaseAdmin
+    .from('courses')
+    .select('id, semester, year, credits')
+    .in('id', courseIds);
+
+  if (error) {
+    throw new Error('Error fetching course credits');
+  }
+
+  return courseIds
+    .map(courseId => (courses || []).find(course => course.id === courseId))
+    .filter(Boolean);
+};
+
+// Would swapping courses take the student's credit load out of range?
+const getCreditIssues = async (studentId, schedule, dropCourseIds, addCourseIds) => {
+  const [droppedCourses, addedCourses, rules] = await Promise.all([
+    getCreditCourses(dropCourseIds),
+    getCreditCourses(addCourseIds),
+    loadCreditRules([studentId])
+  ]);
+
+  return findCreditIssues({
+    studentId,
+    enrolledCourses: schedule.enrollments.map(enrollment => enrollment.courses).filter(Boolean),
+    droppedCourses,
+    addedCourses,
+    rules
+  });
+};
+
+// Is the student allowed to take each course? Blocking restrictions come back as
+// conflicts, advisory ones (and instructor permission) as warnings.
+const checkCourseEligibility = async (studentId, courseIds) => {
+  const [restrictions, eligibility] = await Promise.all([
+    loadCourseRestrictions(courseIds),
+    loadStudentEligibility([studentId])
+  ]);
+
+  const issues = courseIds.map(courseId =>
+    findRestrictionIssues(courseId, restrictions.get(courseId), eligibility.get(studentId))
+  );
+
+  return {
+    conflicts: issues.flatMap(issue => issue.conflicts),
+    warnings: issues.flatMap(issue => issue.warnings)
+  };
+};
+
+// Which of the student's remaining classes would clash with the added course,
+// which would leave too little time to get between classes, would the
+// student's credit load stay in range, and may they take the course at all?
+// Without a dropCourseId the course is simply added (e.g. from a waitlist).
+const getSwapScheduleIssues = async (studentId, dropCourseId, addCourseId) => {
+  const [schedule, droppedTimeSlots, addedTimeSlots] = await Promise.all([
+    getStudentSchedule(studentId),
+    dropCourseId ? getCourseTimeSlots(dropCourseId) : [],
+    getCourseTimeSlots(addCourseId)
+  ]);
+
+  const scheduledSlots = schedule.enrollments.flatMap(enrollment =>
+    ((enrollment.courses && enrollment.courses.time_slots) || []).map(slot => ({
+      ...slot,
+      course_id: enrollment.course_id,
+      course_code: enrollment.courses.course_code
+    }))
+  );
+
+  const { conflicts, warnings } = findScheduleIssues(getRemainingSlots(scheduledSlots, droppedTimeSlots), addedTimeSlots);
+  const [creditIssues, restrictionIssues] = await Promise.all([
+    getCreditIssues(studentId, schedule, dropCourseId ? [dropCourseId] : [], [addCourseId]),
+    checkCourseEligibility(studentId, [addCourseId])
+  ]);
+
+  return {
+    conflicts: [...conflicts, ...creditIssues, ...restrictionIssues.conflicts],
+    warnings: [...warnings, ...restrictionIssues.warnings]
+  };
+};
+
+const getSwapConflicts = async (studentId, dropCourseId, addCourseId) =>
+  (await getSwapScheduleIssues(studentId, dropCourseId, addCourseId)).conflicts;
+
+// Tight transitions and advisory restrictions the students accept along with a match
+const getMatchWarnings = async (participants) => {
+  const issues = await Promise.all(participants.map(participant =>
+    getSwapScheduleIssues(participant.student_id, participant.gives_course_id, participant.receives_course_id)
+  ));
+
+  return participants.flatMap((participant, index) =>
+    issues[index].warnings.map(warning => ({ student_id: participant.student_id, ...warning }))
+  );
+};
+
+// How well the student's schedule after the swap would fit their preferences,
+// with a breakdown per preference
+const getSwapPreferenceScore = async (studentId, dropCourseId, addCourseId) => {
+  const preferences = (await loadSchedulePreferences([studentId])).get(studentId);
+
+  if (!preferences) {
+    return scoreSchedule(null, []);
+  }
+
+  const [schedule, droppedTimeSlots, addedTimeSlots] = await Promise.all([
+    getStudentSchedule(studentId),
+    dropCourseId ? getCourseTimeSlots(dropCourseId) : [],
+    getCourseTimeSlots(addCourseId)
+  ]);
+
+  return scoreSchedule(preferences, [...getRemainingSlots(schedule.timeSlots, droppedTimeSlots), ...addedTimeSlots]);
+};
+
+// Fit of a match for the requester, its first participant; the matcher prefers
+// higher. Partners' preferences don't count, or students who set none (a perfect
+// score) would always be picked over those who do.
+const getMatchPreferenceScore = async ([requester]) =>
+  (await getSwapPreferenceScore(requester.student_id, requester.gives_course_id, requester.receives_course_id)).score;
+
+const describePair = (requestA, requestB) => [
+  { student_id: requestA.requester_id, gives_course_id: requestA.from_course_id, receives_course_id: requestB.from_course_id },
+  { student_id: requestB.requester_id, gives_course_id: requestB.from_course_id, receives_course_id: requestA.from_course_id }
+];
+
+// Can this student drop one course and pick up another without a clash?
+const canStudentSwapCourses = async (studentId, dropCourseId, addCourseId) => {
+  try {
+    const conflicts = await getSwapConflicts(studentId, dropCourseId, addCourseId);
+    return conflicts.length === 0;
+
+  } catch (error) {
+    console.error('Error checking student swap conflicts:', error);
+    return false;
+  }
+};
+
 const canSwapWithoutConflicts = async (studentAId, studentBId, courseAId, courseBId) => {
   try {
-    const [studentASchedule, studentBSchedule] = await Promise.all([
-      getStudentSchedule(studentAId),
-      getStudentSchedule(studentBId)
+    const [studentACanSwap, studentBCanSwap] = await Promise.all([
+      canStudentSwapCourses(studentAId, courseAId, courseBId),
+      canStudentSwapCourses(studentBId, courseBId, courseAId)
     ]);
     
-    const { data: courseATimeSlots, error: errorA } = await supabaseAdmin
-      .from('time_slots')
-      .select('*')
-      .eq('course_id', courseAId);
-      
-    const { data: courseBTimeSlots, error: errorB } = await supabaseAdmin
-      .from('time_slots')
-      .select('*')
-      .eq('course_id', courseBId);
-      
-    if (errorA || errorB) {
-      throw new Error('Error fetching course time slots');
-    }
-    
-    const studentACurrentSlots = studentASchedule.timeSlots.filter(slot => 
-      !courseATimeSlots.some(courseSlot => 
-        courseSlot.day_of_week === slot.day_of_week &&
-        courseSlot.start_time === slot.start_time &&
-        courseSlot.end_time === slot.end_time
-      )
-    );
-    
-    const studentBCurrentSlots = studentBSchedule.timeSlots.filter(slot => 
-      !courseBTimeSlots.some(courseSlot => 
-        courseSlot.day_of_week === slot.day_of_week &&
-        courseSlot.start_time === slot.start_time &&
-        courseSlot.end_time === slot.end_time
-      )
-    );
-    
-    const studentAHasConflict = checkTimeConflicts(studentACurrentSlots, courseBTimeSlots);
-    const studentBHasConflict = checkTimeConflicts(studentBCurrentSlots, courseATimeSlots);
-    
-    return !studentAHasConflict && !studentBHasConflict;
+    return studentACanSwap && studentBCanSwap;
     
   } catch (error) {
     console.error('Error checking swap conflicts:', error);
@@ -107,11 +267,99 @@ const canSwapWithoutConflicts = async (studentAId, studentBId, courseAId, course
   }
 };
 
+// Reasons a student can give when rejecting a match
+const REJECTION_REASONS = ['not_interested', 'schedule_changed', 'found_elsewhere', 'partner_unresponsive', 'other'];
+
+const studentPairKey = (studentAId, studentBId) => [studentAId, studentBId].sort().join('|');
+
+// Pairs of students who won't be proposed to each other again
+const loadRejectedPairKeys = async (studentIds) =>
+  new Set((await loadRejectedPairings(studentIds)).map(pairing => studentPairKey(pairing.student_id, pairing.partner_id)));
+
+// Remembers who the rejecting student turned down, so the matcher stops pairing them
+const recordRejectedPairings = async (matchId, studentId, reasonCode = null) => {
+  try {
+    const { data: match, error } = await supabaseAdmin
+      .from('swap_matches')
+      .select('student_a_id, student_b_id, match_type')
+      .eq('id', matchId)
+      .single();
+
+    if (error || !match) {
+      throw new Error('Swap match not found');
+    }
+
+    let studentIds = [match.student_a_id, match.student_b_id];
+
+    if (match.match_type === 'cycle') {
+      const { data: participants, error: participantsError } = await supabaseAdmin
+        .from('swap_match_participants')
+        .select('student_id')
+        .eq('match_id', matchId);
+
+      if (participantsError) {
+        throw new Error('Error fetching cycle participants');
+      }
+
+      studentIds = (participants || []).map(participant => participant.student_id);
+    }
+
+    const partnerIds = [...new Set(studentIds)].filter(id => id && id !== studentId);
+
+    if (partnerIds.length === 0) {
+      return [];
+    }
+
+    // Rejecting the same partner again replaces the earlier reason
+    await supabaseAdmin
+      .from('rejected_pairings')
+      .delete()
+      .eq('student_id', studentId)
+      .in('partner_id', partnerIds);
+
+    const { data: pairings, error: insertError } = await supabaseAdmin
+      .from('rejected_pairings')
+      .insert(partnerIds.map(partnerId => ({
+        student_id: studentId,
+        partner_id: partnerId,
+        match_id: matchId,
+        reason_code: reasonCode
+      })))
+      .select();
+
+    if (insertError) {
+      throw new Error(`Error recording rejected pairings: ${insertError.message}`);
+    }
+
+    return pairings || [];
+
+  } catch (error) {
+    console.error('Error recording rejected pairings:', error);
+    throw error;
+  }
+};
+
+// Conditions each request can't meet as things stand, for the requests that have any
+const getUnmetRequestConditions = async (requestIds) => {
+  const conditionsByRequest = groupConditionsByRequest(await loadRequestConditions(requestIds));
+  const unmet = new Map();
+
+  for (const [requestId, conditions] of conditionsByRequest) {
+    const failing = findUnmetConditions(conditions);
+
+    if (failing.length > 0) {
+      unmet.set(requestId, failing);
+    }
+  }
+
+  return unmet;
+};
+
 const findMutualSwapMatches = async (requestId) => {
   try {
     const { data: request, error: requestError } = await supabaseAdmin
       .from('swap_requests')
-      .select('*')
+      .select(SWAP_REQUEST_SELECT)
       .eq('id', requestId)
       .eq('status', 'active')
       .single();
@@ -120,26 +368,39 @@ const findMutualSwapMatches = async (requestId) => {
       throw new Error('Swap request not found or inactive');
     }
     
+    // Anyone offering a course on our list who would accept our course in return
     const { data: potentialMatches, error: matchError } = await supabaseAdmin
       .from('swap_requests')
-      .select('*')
-      .eq('from_course_id', request.desired_course_id)
-      .eq('desired_course_id', request.from_course_id)
+      .select(SWAP_REQUEST_SELECT)
+      .in('from_course_id', getAcceptableCourseIds(request))
       .eq('status', 'active')
+      .is('bundle_id', null)
+      .neq('kind', 'section_change')
       .neq('requester_id', request.requester_id);
       
     if (matchError) {
       throw new Error('Error finding potential matches');
     }
     
+    const rejectedPairs = await loadRejectedPairKeys([
+      request.requester_id,
+      ...potentialMatches.map(match => match.requester_id)
+    ]);
     const validMatches = [];
     
     for (let match of potentialMatches) {
+      if (
+        getTargetRank(match, request.from_course_id) === -1 ||
+        rejectedPairs.has(studentPairKey(request.requester_id, match.requester_id))
+      ) {
+        continue;
+      }
+
       const canSwap = await canSwapWithoutConflicts(
         request.requester_id,
         match.requester_id,
         request.from_course_id,
-        request.desired_course_id
+        match.from_course_id
       );
       
       if (canSwap) {
@@ -151,93 +412,710 @@ const findMutualSwapMatches = async (requestId) => {
           .eq('match_status', 'pending');
           
         if (!existingMatch || existingMatch.length === 0) {
-          validMatches.push(match);
+          validMatches.push({
+            ...match,
+            target_rank: getTargetRank(request, match.from_course_id),
+            partner_target_rank: getTargetRank(match, request.from_course_id),
+            preference_score: await getMatchPreferenceScore(describePair(request, match))
+          });
+        }
+      }
+    }
+    
+    return validMatches;
+    
+  } catch (error) {
+    console.error('Error finding mutual swap matches:', error);
+    throw error;
+  }
+};
+
+const getConfirmationDeadline = (from = Date.now()) =>
+  new Date(from + matchingConfig.confirmationWindowHours * 60 * 60 * 1000).toISOString();
+
+// Locks both requests and creates the match in one transaction (see create_swap_match)
+const createSwapMatch = async (requestAId, requestBId, { bundleId = null, strategy = getStrategy().name } = {}) => {
+  try {
+    const { data: match, error } = await supabaseAdmin.rpc('create_swap_match', {
+      p_request_a_id: requestAId,
+      p_request_b_id: requestBId,
+      p_bundle_id: bundleId,
+      p_confirmation_deadline: getConfirmationDeadline(),
+      p_strategy: strategy
+    });
+      
+    if (error) {
+      throw new Error(`Error creating swap match: ${error.message}`);
+    }
+    
+    return match;
+    
+  } catch (error) {
+    console.error('Error creating swap match:', error);
+    throw error;
+  }
+};
+
+const findSwapCycles = async (requestId, maxLength = matchingConfig.maxCycleLength) => {
+  try {
+    if (maxLength < 3) {
+      return [];
+    }
+
+    const { data: activeRequests, error } = await supabaseAdmin
+      .from('swap_requests')
+      .select(SWAP_REQUEST_SELECT)
+      .eq('status', 'active')
+      .neq('kind', 'section_change');
+
+    if (error) {
+      throw new Error('Error fetching active swap requests');
+    }
+
+    if (!activeRequests.some(request => request.id === requestId)) {
+      throw new Error('Swap request not found or inactive');
+    }
+
+    // Bundle components are only ever matched together, never as part of a loop
+    const graph = buildSwapGraph(activeRequests.filter(request => !request.bundle_id));
+    const cycles = findCyclesThrough(graph, requestId, { minLength: 3, maxLength });
+    const rejectedPairs = await loadRejectedPairKeys(cycles.flat().map(request => request.requester_id));
+    const validCycles = [];
+
+    for (const cycle of cycles) {
+      const participants = describeCycle(cycle);
+      const rejected = participants.some((participant, position) =>
+        participants.slice(position + 1).some(other =>
+          rejectedPairs.has(studentPairKey(participant.student_id, other.student_id))
+        )
+      );
+
+      if (rejected) {
+        continue;
+      }
+
+      const checks = await Promise.all(participants.map(participant =>
+        canStudentSwapCourses(
+          participant.student_id,
+          participant.gives_course_id,
+          participant.receives_course_id
+        )
+      ));
+
+      if (checks.every(Boolean)) {
+        validCycles.push(cycle);
+      }
+    }
+
+    return validCycles;
+
+  } catch (error) {
+    console.error('Error finding swap cycles:', error);
+    throw error;
+  }
+};
+
+const createCycleMatch = async (cycle, { strategy = getStrategy().name } = {}) => {
+  try {
+    const participants = describeCycle(cycle);
+
+    const { data: match, error } = await supabaseAdmin.rpc('create_cycle_match', {
+      p_participants: participants,
+      p_confirmation_deadline: getConfirmationDeadline(),
+      p_strategy: strategy
+    });
+
+    if (error) {
+      throw new Error(`Error creating cycle match: ${error.message}`);
+    }
+
+    return { ...match, participants };
+
+  } catch (error) {
+    console.error('Error creating cycle match:', error);
+    throw error;
+  }
+};
+
+const getCycleParticipants = async (matchId) => {
+  const { data: participants, error } = await supabaseAdmin
+    .from('swap_match_participants')
+    .select(`
+      *,
+      student:profiles!swap_match_participants_student_id_fkey(id, full_name, email, student_id),
+      gives_course:courses!swap_match_participants_gives_course_id_fkey(course_code, course_title),
+      receives_course:courses!swap_match_participants_receives_course_id_fkey(course_code, course_title)
+    `)
+    .eq('match_id', matchId)
+    .order('position');
+
+  if (error || !participants || participants.length === 0) {
+    throw new Error('Error fetching cycle participants');
+  }
+
+  return participants;
+};
+
+// In a cycle you hand your course to the previous member and receive from the next one
+const getCycleNeighbors = (participants, studentId) => {
+  const index = participants.findIndex(participant => participant.student_id === studentId);
+  if (index === -1) {
+    return null;
+  }
+
+  return {
+    self: participants[index],
+    givesTo: participants[(index - 1 + participants.length) % participants.length],
+    receivesFrom: participants[(index + 1) % participants.length]
+  };
+};
+
+const toContactInfo = (student) => ({
+  name: student.full_name,
+  email: student.email,
+  studentId: student.student_id
+});
+
+const confirmCycleMatch = async (match, studentId) => {
+  const participants = await getCycleParticipants(match.id);
+  const neighbors = getCycleNeighbors(participants, studentId);
+
+  if (!neighbors) {
+    throw new Error('Student not part of this match');
+  }
+
+  const { data: confirmation, error } = await supabaseAdmin.rpc('confirm_swap_match', {
+    p_match_id: match.id,
+    p_student_id: studentId
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Error confirming swap match');
+  }
+
+  const remaining = confirmation.remaining;
+
+  if (remaining > 0) {
+    return {
+      success: true,
+      message: `Your confirmation recorded. Waiting for ${remaining} other student${remaining === 1 ? '' : 's'} to confirm.`,
+      status: 'waiting_for_other_confirmation',
+      remainingConfirmations: remaining
+    };
+  }
+
+  return {
+    success: true,
+    message: 'Everyone in the swap confirmed! Contact information is now available.',
+    contactInfo: toContactInfo(neighbors.receivesFrom.student),
+    cycleContacts: {
+      givesTo: toContactInfo(neighbors.givesTo.student),
+      receivesFrom: toContactInfo(neighbors.receivesFrom.student)
+    },
+    status: 'confirmed'
+  };
+};
+
+const getCycleContactInfo = async (match, studentId) => {
+  const participants = await getCycleParticipants(match.id);
+  const neighbors = getCycleNeighbors(participants, studentId);
+
+  if (!neighbors) {
+    throw new Error('Student not part of this match');
+  }
+
+  return {
+    matchId: match.id,
+    matchType: 'cycle',
+    contactInfo: toContactInfo(neighbors.receivesFrom.student),
+    cycleContacts: {
+      givesTo: toContactInfo(neighbors.givesTo.student),
+      receivesFrom: toContactInfo(neighbors.receivesFrom.student)
+    },
+    participants: participants.map(participant => ({
+      position: participant.position,
+      ...toContactInfo(participant.student),
+      gives: participant.gives_course.course_code,
+      receives: participant.receives_course.course_code
+    })),
+    swapDetails: {
+      yourCourse: {
+        code: neighbors.self.gives_course.course_code,
+        title: neighbors.self.gives_course.course_title
+      },
+      theirCourse: {
+        code: neighbors.self.receives_course.course_code,
+        title: neighbors.self.receives_course.course_title
+      }
+    },
+    confirmedAt: match.confirmed_at,
+    instructions: 'This is a multi-student swap. Coordinate with everyone in the loop so all enrollment changes happen together through your school\'s enrollment system.'
+  };
+};
+
+const validateBundleSchedule = async (studentId, giveCourseIds, getCourseIds) => {
+  const schedule = await getStudentSchedule(studentId);
+  const remainingSlots = schedule.enrollments
+    .filter(enrollment => !giveCourseIds.includes(enrollment.course_id))
+    .flatMap(enrollment => (enrollment.courses && enrollment.courses.time_slots) || []);
+
+  const wantedSlots = await Promise.all(getCourseIds.map(getCourseTimeSlots));
+  const conflicts = [];
+  const warnings = [];
+
+  const check = (courseId, existingSlots, newSlots, conflictsWith) => {
+    const issues = findScheduleIssues(existingSlots, newSlots);
+
+    for (const type of new Set(issues.conflicts.map(conflict => conflict.type))) {
+      conflicts.push({ courseId, conflictsWith, type });
+    }
+
+    warnings.push(...issues.warnings.map(warning => ({ courseId, conflictsWith, ...warning })));
+  };
+
+  getCourseIds.forEach((courseId, index) => {
+    check(courseId, remainingSlots, wantedSlots[index], 'current_schedule');
+
+    for (let other = index + 1; other < getCourseIds.length; other++) {
+      check(courseId, wantedSlots[index], wantedSlots[other], getCourseIds[other]);
+    }
+  });
+
+  const [creditIssues, restrictionIssues] = await Promise.all([
+    getCreditIssues(studentId, schedule, giveCourseIds, getCourseIds),
+    checkCourseEligibility(studentId, getCourseIds)
+  ]);
+  conflicts.push(...creditIssues.map(issue => ({ conflictsWith: 'credit_load', ...issue })));
+  conflicts.push(...restrictionIssues.conflicts);
+  warnings.push(...restrictionIssues.warnings);
+
+  return { valid: conflicts.length === 0, conflicts, warnings };
+};
+
+const processSwapBundle = async (bundleId) => {
+  try {
+    const { data: bundle, error: bundleError } = await supabaseAdmin
+      .from('swap_bundles')
+      .select('*')
+      .eq('id', bundleId)
+      .eq('status', 'active')
+      .single();
+
+    if (bundleError || !bundle) {
+      throw new Error('Swap bundle not found or inactive');
+    }
+
+    const { data: components, error: componentsError } = await supabaseAdmin
+      .from('swap_requests')
+      .select(SWAP_REQUEST_TERM_SELECT)
+      .eq('bundle_id', bundleId)
+      .eq('status', 'active')
+      .order('created_at');
+
+    if (componentsError || !components || components.length !== bundle.give_course_ids.length) {
+      throw new Error('Swap bundle components are missing or already matched');
+    }
+
+    const scheduleCheck = await validateBundleSchedule(
+      bundle.requester_id,
+      bundle.give_course_ids,
+      bundle.get_course_ids
+    );
+
+    if (!scheduleCheck.valid) {
+      return { matched: false, matches: [], conflicts: scheduleCheck.conflicts };
+    }
+
+    const { data: potentialPartners, error: partnersError } = await supabaseAdmin
+      .from('swap_requests')
+      .select(SWAP_REQUEST_SELECT)
+      .in('from_course_id', bundle.get_course_ids)
+      .eq('status', 'active')
+      .is('bundle_id', null)
+      .neq('kind', 'section_change')
+      .neq('requester_id', bundle.requester_id);
+
+    if (partnersError) {
+      throw new Error('Error finding potential bundle partners');
+    }
+
+    // Partners whose conditions don't hold yet wait, as they do for single requests,
+    // and students who turned the requester down before aren't offered again
+    const blockedPartners = await getUnmetRequestConditions(potentialPartners.map(partner => partner.id));
+    const rejectedPairs = await loadRejectedPairKeys([
+      bundle.requester_id,
+      ...potentialPartners.map(partner => partner.requester_id)
+    ]);
+    const availablePartners = potentialPartners.filter(partner =>
+      !blockedPartners.has(partner.id) &&
+      !rejectedPairs.has(studentPairKey(bundle.requester_id, partner.requester_id))
+    );
+
+    const strategy = getStrategyForTerm(components[0].from_course);
+    const context = await loadStrategyContext(strategy, availablePartners.map(partner => partner.requester_id));
+
+    const candidatesByComponent = [];
+    for (const component of components) {
+      const candidates = [];
+
+      for (const partner of availablePartners) {
+        if (getTargetRank(partner, component.from_course_id) === -1) continue;
+
+        const partnerCanSwap = await canStudentSwapCourses(
+          partner.requester_id,
+          partner.from_course_id,
+          component.from_course_id
+        );
+
+        if (partnerCanSwap) {
+          candidates.push(partner);
         }
       }
+
+      candidatesByComponent.push(candidates.sort((a, b) => strategy.compareRequests(a, b, context)));
+    }
+
+    const partners = findBundleAssignment(components, candidatesByComponent);
+
+    if (!partners) {
+      return { matched: false, matches: [] };
+    }
+
+    // Every swap in the bundle is created or none is
+    const { data: matches, error: matchError } = await supabaseAdmin.rpc('create_swap_matches', {
+      p_matches: components.map((component, index) => ({
+        request_a_id: component.id,
+        request_b_id: partners[index].id,
+        bundle_id: bundleId,
+        strategy: strategy.name
+      })),
+      p_confirmation_deadline: getConfirmationDeadline(),
+      p_all_or_nothing: true
+    });
+
+    if (matchError) {
+      throw new Error(`Error creating bundle matches: ${matchError.message}`);
+    }
+
+    await supabaseAdmin
+      .from('swap_bundles')
+      .update({ status: 'matched' })
+      .eq('id', bundleId);
+
+    return {
+      matched: true,
+      bundle: { ...bundle, status: 'matched' },
+      matches
+    };
+
+  } catch (error) {
+    console.error('Error processing swap bundle:', error);
+    throw error;
+  }
+};
+
+// Gives bundles waiting on this request's course a chance to complete
+const matchWaitingBundles = async (request) => {
+  const { data: components, error } = await supabaseAdmin
+    .from('swap_requests')
+    .select(SWAP_REQUEST_SELECT)
+    .in('from_course_id', getAcceptableCourseIds(request))
+    .eq('status', 'active')
+    .not('bundle_id', 'is', null)
+    .neq('requester_id', request.requester_id);
+
+  if (error) {
+    throw new Error('Error finding waiting bundles');
+  }
+
+  const bundleIds = [...new Set(
+    components
+      .filter(component => getTargetRank(component, request.from_course_id) !== -1)
+      .map(component => component.bundle_id)
+  )];
+
+  for (const bundleId of bundleIds) {
+    const result = await processSwapBundle(bundleId);
+    const match = result.matched && result.matches.find(bundleMatch => 
+      bundleMatch.request_a_id === request.id || bundleMatch.request_b_id === request.id
+    );
+
+    if (match) {
+      return { matched: true, match, bundle: result.bundle };
+    }
+  }
+
+  return null;
+};
+
+// Unwinds every open swap in a bundle so the bundle can be matched again as a whole
+const releaseSwapBundle = async (bundleId) => {
+  const { data: openMatches, error } = await supabaseAdmin
+    .from('swap_matches')
+    .select('id, request_a_id, request_b_id')
+    .eq('bundle_id', bundleId)
+    .in('match_status', ['pending', 'confirmed']);
+
+  if (error) {
+    throw new Error('Error fetching bundle matches');
+  }
+
+  if (openMatches.length > 0) {
+    await supabaseAdmin
+      .from('swap_matches')
+      .update({ match_status: 'rejected' })
+      .in('id', openMatches.map(openMatch => openMatch.id));
+
+    await supabaseAdmin
+      .from('swap_requests')
+      .update({ status: 'active' })
+      .in('id', openMatches.flatMap(openMatch => [openMatch.request_a_id, openMatch.request_b_id]));
+  }
+
+  await supabaseAdmin
+    .from('swap_bundles')
+    .update({ status: 'active' })
+    .eq('id', bundleId)
+    .eq('status', 'matched');
+
+  return openMatches.length;
+};
+
+const processSwapRequest = async (requestId) => {
+  try {
+    const { data: request } = await supabaseAdmin
+      .from('swap_requests')
+      .select(SWAP_REQUEST_TERM_SELECT)
+      .eq('id', requestId)
+      .single();
+
+    if (request && request.bundle_id) {
+      return processSwapBundle(request.bundle_id);
+    }
+
+    // Section changes wait for the stable section assignment
+    if (request && request.kind === 'section_change') {
+      return { matched: false, matches: [], sectionChange: true };
+    }
+
+    // Conditional requests wait until their conditions hold, and so do partners
+    const unmetConditions = (await getUnmetRequestConditions([requestId])).get(requestId);
+
+    if (unmetConditions) {
+      return { matched: false, matches: [], unmetConditions };
+    }
+
+    const strategy = getStrategyForTerm(request && request.from_course);
+    const candidates = await findMutualSwapMatches(requestId);
+    const blockedPartners = await getUnmetRequestConditions(candidates.map(match => match.id));
+    const matches = candidates.filter(match => !blockedPartners.has(match.id));
+    
+    if (matches.length === 0) {
+      const foundCycles = await findSwapCycles(requestId);
+      const blockedMembers = await getUnmetRequestConditions(foundCycles.flat().map(member => member.id));
+      const cycles = foundCycles.filter(cycle => !cycle.some(member => blockedMembers.has(member.id)));
+
+      if (cycles.length === 0) {
+        const bundleResult = await matchWaitingBundles(request);
+        return bundleResult || { matched: false, matches: [] };
+      }
+
+      const preferenceScores = new Map(await Promise.all(cycles.map(async cycle =>
+        [cycle, await getMatchPreferenceScore(describeCycle(cycle))]
+      )));
+      const bestCycle = rankCycles(cycles, { preferenceScore: cycle => preferenceScores.get(cycle) })[0];
+      const cycleMatch = await createCycleMatch(bestCycle, { strategy: strategy.name });
+
+      return {
+        matched: true,
+        match: cycleMatch,
+        cycle: bestCycle,
+        warnings: await getMatchWarnings(cycleMatch.participants)
+      };
     }
     
-    return validMatches;
+    const context = await loadStrategyContext(strategy, matches.map(match => match.requester_id));
+    const sortedMatches = matches.sort((a, b) => strategy.compareSwapPartners(a, b, context));
+    
+    const bestMatch = sortedMatches[0];
+    const swapMatch = await createSwapMatch(requestId, bestMatch.id, { strategy: strategy.name });
+    
+    return {
+      matched: true,
+      match: swapMatch,
+      matchedWith: bestMatch,
+      warnings: await getMatchWarnings(describePair(request, bestMatch))
+    };
     
   } catch (error) {
-    console.error('Error finding mutual swap matches:', error);
+    console.error('Error processing swap request:', error);
     throw error;
   }
 };
 
-const createSwapMatch = async (requestAId, requestBId) => {
-  try {
-    const [requestA, requestB] = await Promise.all([
-      supabaseAdmin.from('swap_requests').select('*').eq('id', requestAId).single(),
-      supabaseAdmin.from('swap_requests').select('*').eq('id', requestBId).single()
-    ]);
-    
-    if (requestA.error || requestB.error || !requestA.data || !requestB.data) {
-      throw new Error('One or both swap requests not found');
+const isPastConfirmationDeadline = (match, now = Date.now()) =>
+  !!match.confirmation_deadline && new Date(match.confirmation_deadline).getTime() <= now;
+
+// Splits a match's requests into those whose student confirmed in time and those who didn't
+const splitMatchResponses = (match, participants = []) => {
+  const members = match.match_type === 'cycle'
+    ? participants.map(participant => ({ requestId: participant.request_id, confirmed: !!participant.confirmed }))
+    : [
+      { requestId: match.request_a_id, confirmed: !!match.student_a_confirmed },
+      { requestId: match.request_b_id, confirmed: !!match.student_b_confirmed }
+    ];
+
+  return {
+    responsive: members.filter(member => member.confirmed).map(member => member.requestId),
+    unresponsive: members.filter(member => !member.confirmed).map(member => member.requestId)
+  };
+};
+
+const expireSwapMatch = async (match) => {
+  const { data: expired, error } = await supabaseAdmin
+    .from('swap_matches')
+    .update({ match_status: 'expired', expired_at: new Date().toISOString() })
+    .eq('id', match.id)
+    .eq('match_status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error('Error expiring swap match');
+  }
+
+  // Someone else already resolved this match
+  if (!expired || expired.length === 0) {
+    return null;
+  }
+
+  const participants = match.match_type === 'cycle'
+    ? await getCycleParticipants(match.id)
+    : [];
+  const { responsive, unresponsive } = splitMatchResponses(match, participants);
+
+  if (match.bundle_id) {
+    await releaseSwapBundle(match.bundle_id);
+  }
+
+  if (unresponsive.length > 0) {
+    await supabaseAdmin
+      .from('swap_requests')
+      .update({ status: 'expired' })
+      .in('id', unresponsive);
+  }
+
+  if (responsive.length > 0) {
+    await supabaseAdmin
+      .from('swap_requests')
+      .update({ status: 'active' })
+      .in('id', responsive);
+  }
+
+  const rematched = [];
+  for (const requestId of responsive) {
+    try {
+      const result = await processSwapRequest(requestId);
+      rematched.push({ requestId, matched: result.matched });
+    } catch (rematchError) {
+      rematched.push({ requestId, matched: false, error: rematchError.message });
     }
-    
-    const { data: match, error } = await supabaseAdmin
+  }
+
+  return {
+    matchId: match.id,
+    reactivatedRequestIds: responsive,
+    expiredRequestIds: unresponsive,
+    rematched
+  };
+};
+
+const expirePendingMatches = async () => {
+  try {
+    const { data: overdueMatches, error } = await supabaseAdmin
       .from('swap_matches')
-      .insert({
-        request_a_id: requestAId,
-        request_b_id: requestBId,
-        student_a_id: requestA.data.requester_id,
-        student_b_id: requestB.data.requester_id,
-        course_a_id: requestA.data.from_course_id,
-        course_b_id: requestB.data.from_course_id,
-        match_status: 'pending'
-      })
-      .select()
-      .single();
-      
+      .select('*')
+      .eq('match_status', 'pending')
+      .lt('confirmation_deadline', new Date().toISOString());
+
     if (error) {
-      throw new Error(`Error creating swap match: ${error.message}`);
+      throw new Error('Error fetching overdue swap matches');
     }
-    
-    await Promise.all([
-      supabaseAdmin
-        .from('swap_requests')
-        .update({ status: 'matched' })
-        .eq('id', requestAId),
-      supabaseAdmin
-        .from('swap_requests')
-        .update({ status: 'matched' })
-        .eq('id', requestBId)
-    ]);
-    
-    return match;
-    
+
+    const results = [];
+
+    for (const match of overdueMatches) {
+      try {
+        const result = await expireSwapMatch(match);
+        if (result) {
+          results.push(result);
+        }
+      } catch (expireError) {
+        results.push({ matchId: match.id, error: expireError.message });
+      }
+    }
+
+    return results;
+
   } catch (error) {
-    console.error('Error creating swap match:', error);
+    console.error('Error expiring pending matches:', error);
     throw error;
   }
 };
 
-const processSwapRequest = async (requestId) => {
+// Active requests past their expires_at stop being matched. A bundle expires as a
+// whole, taking its component swap requests with it.
+const expireStaleRequests = async (now = new Date().toISOString()) => {
   try {
-    const matches = await findMutualSwapMatches(requestId);
-    
-    if (matches.length === 0) {
-      return { matched: false, matches: [] };
+    const expire = (table) => supabaseAdmin
+      .from(table)
+      .update({ status: 'expired', updated_at: now })
+      .eq('status', 'active')
+      .lt('expires_at', now)
+      .select('id');
+
+    const { data: bundles, error: bundleError } = await expire('swap_bundles');
+
+    if (bundleError) {
+      throw new Error('Error expiring swap bundles');
     }
-    
-    const sortedMatches = matches.sort((a, b) => {
-      const priorityDiff = (b.priority || 1) - (a.priority || 1);
-      if (priorityDiff !== 0) return priorityDiff;
-      
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
-    
-    const bestMatch = sortedMatches[0];
-    const swapMatch = await createSwapMatch(requestId, bestMatch.id);
-    
+
+    const { data: swapRequests, error: swapError } = await expire('swap_requests');
+
+    if (swapError) {
+      throw new Error('Error expiring swap requests');
+    }
+
+    let bundleComponents = [];
+
+    if (bundles.length > 0) {
+      const { data, error } = await supabaseAdmin
+        .from('swap_requests')
+        .update({ status: 'expired', updated_at: now })
+        .in('bundle_id', bundles.map(bundle => bundle.id))
+        .eq('status', 'active')
+        .select('id');
+
+      if (error) {
+        throw new Error('Error expiring bundle swap requests');
+      }
+
+      bundleComponents = data;
+    }
+
+    const { data: courseRequests, error: courseError } = await expire('course_requests');
+
+    if (courseError) {
+      throw new Error('Error expiring course requests');
+    }
+
     return {
-      matched: true,
-      match: swapMatch,
-      matchedWith: bestMatch
+      swapRequests: swapRequests.length + bundleComponents.length,
+      courseRequests: courseRequests.length,
+      bundles: bundles.length
     };
-    
+
   } catch (error) {
-    console.error('Error processing swap request:', error);
+    console.error('Error expiring stale requests:', error);
     throw error;
   }
 };
@@ -258,38 +1136,32 @@ const confirmSwapMatch = async (matchId, studentId) => {
     if (error || !match) {
       throw new Error('Swap match not found or already processed');
     }
+
+    if (isPastConfirmationDeadline(match)) {
+      await expireSwapMatch(match);
+      throw new Error('This swap match has expired');
+    }
+
+    if (match.match_type === 'cycle') {
+      return confirmCycleMatch(match, studentId);
+    }
     
     if (match.student_a_id !== studentId && match.student_b_id !== studentId) {
       throw new Error('Student not part of this match');
     }
 
-    // Check if this student has already confirmed
-    const confirmationField = match.student_a_id === studentId ? 'student_a_confirmed' : 'student_b_confirmed';
-    const otherConfirmationField = match.student_a_id === studentId ? 'student_b_confirmed' : 'student_a_confirmed';
-    
-    // Update confirmation status
-    const updateData = {
-      [confirmationField]: true,
-      confirmed_at: new Date().toISOString()
-    };
-    
-    // If other student already confirmed, mark as fully confirmed
-    if (match[otherConfirmationField]) {
-      updateData.match_status = 'confirmed';
-      updateData.contact_shared_at = new Date().toISOString();
-    }
-    
-    const { error: updateError } = await supabaseAdmin
-      .from('swap_matches')
-      .update(updateData)
-      .eq('id', matchId);
+    // Locks the match so two students confirming at once both get counted
+    const { data: confirmation, error: confirmError } = await supabaseAdmin.rpc('confirm_swap_match', {
+      p_match_id: matchId,
+      p_student_id: studentId
+    });
       
-    if (updateError) {
-      throw new Error('Error confirming swap match');
+    if (confirmError) {
+      throw new Error(confirmError.message || 'Error confirming swap match');
     }
     
     // If both confirmed, return contact information
-    if (match[otherConfirmationField] || updateData.match_status === 'confirmed') {
+    if (confirmation.status === 'confirmed') {
       const otherStudent = match.student_a_id === studentId ? match.student_b : match.student_a;
       return {
         success: true,
@@ -333,6 +1205,10 @@ const getMatchContactInfo = async (matchId, studentId) => {
     if (error || !match) {
       throw new Error('Match not found or not confirmed yet');
     }
+
+    if (match.match_type === 'cycle') {
+      return getCycleContactInfo(match, studentId);
+    }
     
     if (match.student_a_id !== studentId && match.student_b_id !== studentId) {
       throw new Error('Student not part of this match');
@@ -369,6 +1245,210 @@ const getMatchContactInfo = async (matchId, studentId) => {
   }
 };
 
+// Every course that changes hands in the match
+const getMatchCourseIds = async (matchId) => {
+  try {
+    const { data: match, error } = await supabaseAdmin
+      .from('swap_matches')
+      .select('course_a_id, course_b_id, swap_match_participants(gives_course_id)')
+      .eq('id', matchId)
+      .single();
+
+    if (error || !match) {
+      throw new Error('Swap match not found');
+    }
+
+    const participantCourseIds = (match.swap_match_participants || [])
+      .map(participant => participant.gives_course_id);
+
+    return [...new Set([match.course_a_id, match.course_b_id, ...participantCourseIds])];
+
+  } catch (error) {
+    console.error('Error fetching match courses:', error);
+    throw error;
+  }
+};
+
+const getMatchRequestIds = async (matchId) => {
+  const { data: match, error } = await supabaseAdmin
+    .from('swap_matches')
+    .select('request_a_id, request_b_id, swap_match_participants(request_id)')
+    .eq('id', matchId)
+    .single();
+
+  if (error || !match) {
+    throw new Error('Swap match not found');
+  }
+
+  return [...new Set([
+    match.request_a_id,
+    match.request_b_id,
+    ...(match.swap_match_participants || []).map(participant => participant.request_id)
+  ])];
+};
+
+// A match only goes through once the conditions of every request in it hold
+const getUnmetMatchConditions = async (matchId) => {
+  try {
+    const unmet = await getUnmetRequestConditions(await getMatchRequestIds(matchId));
+
+    return [...unmet].flatMap(([requestId, conditions]) =>
+      conditions.map(condition => ({ request_id: requestId, ...condition }))
+    );
+
+  } catch (error) {
+    console.error('Error checking match conditions:', error);
+    throw error;
+  }
+};
+
+const findPendingMatchId = async (requestId) => {
+  const [pairResult, participantResult] = await Promise.all([
+    supabaseAdmin
+      .from('swap_matches')
+      .select('id')
+      .or(`request_a_id.eq.${requestId},request_b_id.eq.${requestId}`)
+      .eq('match_status', 'pending'),
+    supabaseAdmin
+      .from('swap_match_participants')
+      .select('match_id, swap_matches(match_status)')
+      .eq('request_id', requestId)
+  ]);
+
+  if (pairResult.error || participantResult.error) {
+    throw new Error('Error fetching pending match');
+  }
+
+  const cycleMatch = (participantResult.data || [])
+    .find(participant => participant.swap_matches && participant.swap_matches.match_status === 'pending');
+
+  return ((pairResult.data || [])[0] || {}).id || (cycleMatch && cycleMatch.match_id) || null;
+};
+
+const cancelAlternativeSwapRequest = async (requestId) => {
+  const { data: request, error } = await supabaseAdmin
+    .from('swap_requests')
+    .select('id, requester_id, status')
+    .eq('id', requestId)
+    .single();
+
+  if (error || !request) {
+    throw new Error('Swap request not found');
+  }
+
+  if (request.status === 'matched') {
+    const matchId = await findPendingMatchId(requestId);
+
+    // A confirmed swap is the students' to finish or abandon
+    if (!matchId) {
+      return { type: 'swap_request', id: requestId, cancelled: false, reason: 'match_confirmed' };
+    }
+
+    // Gives up the match, which puts the partners' requests back up for matching
+    const { error: rejectError } = await supabaseAdmin.rpc('reject_swap_match', {
+      p_match_id: matchId,
+      p_student_id: request.requester_id
+    });
+
+    if (rejectError) {
+      throw new Error(rejectError.message || 'Error releasing swap match');
+    }
+  } else if (request.status !== 'active') {
+    return { type: 'swap_request', id: requestId, cancelled: false, reason: request.status };
+  }
+
+  const { error: cancelError } = await supabaseAdmin
+    .from('swap_requests')
+    .update({ status: 'cancelled' })
+    .eq('id', requestId)
+    .eq('status', 'active');
+
+  if (cancelError) {
+    throw new Error('Error cancelling swap request');
+  }
+
+  return { type: 'swap_request', id: requestId, cancelled: true };
+};
+
+// Once a request is done, the alternatives it excludes are cancelled. Swap requests
+// are done once completed; course requests when the swap generated from them
+// completes, or when the student takes a waitlist seat for them.
+const cancelExclusiveAlternatives = async ({ swapRequestIds = [], courseRequestIds = [] }) => {
+  try {
+    const { data: doneRequests, error } = swapRequestIds.length > 0
+      ? await supabaseAdmin
+        .from('swap_requests')
+        .select('id, course_request_id')
+        .in('id', swapRequestIds)
+        .in('status', COMPLETED_STATUSES.swap_request)
+      : { data: [] };
+
+    if (error) {
+      throw new Error('Error fetching completed swap requests');
+    }
+
+    const doneCourseRequestIds = [...new Set([
+      ...courseRequestIds,
+      ...doneRequests.map(request => request.course_request_id).filter(Boolean)
+    ])];
+
+    const { data: courseRequestConditions, error: conditionError } = doneCourseRequestIds.length > 0
+      ? await supabaseAdmin
+        .from('swap_request_conditions')
+        .select('swap_request_id')
+        .eq('condition_type', 'excludes')
+        .in('depends_on_course_request_id', doneCourseRequestIds)
+      : { data: [] };
+
+    if (conditionError) {
+      throw new Error('Error fetching request conditions');
+    }
+
+    const alternatives = [
+      ...(await loadRequestConditions(doneRequests.map(request => request.id)))
+        .filter(condition => condition.condition_type === 'excludes')
+        .map(getDependency),
+      ...courseRequestConditions.map(condition => ({ kind: 'swap_request', id: condition.swap_request_id }))
+    ];
+
+    const results = [];
+    const seen = new Set([...doneRequests.map(request => request.id), ...doneCourseRequestIds]);
+
+    for (const { kind, id } of alternatives) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      try {
+        if (kind === 'swap_request') {
+          results.push(await cancelAlternativeSwapRequest(id));
+          continue;
+        }
+
+        const { data: cancelled, error: cancelError } = await supabaseAdmin
+          .from('course_requests')
+          .update({ status: 'cancelled' })
+          .eq('id', id)
+          .eq('status', 'active')
+          .select('id');
+
+        if (cancelError) {
+          throw new Error('Error cancelling course request');
+        }
+
+        results.push({ type: 'course_request', id, cancelled: (cancelled || []).length > 0 });
+      } catch (cancelError) {
+        results.push({ type: kind, id, cancelled: false, error: cancelError.message });
+      }
+    }
+
+    return results;
+
+  } catch (error) {
+    console.error('Error cancelling exclusive alternatives:', error);
+    throw error;
+  }
+};
+
 const markSwapCompleted = async (matchId, studentId) => {
   try {
     const { data: match, error } = await supabaseAdmin
@@ -381,49 +1461,37 @@ const markSwapCompleted = async (matchId, studentId) => {
     if (error || !match) {
       throw new Error('Match not found or not in confirmed status');
     }
+
+    const isCycle = match.match_type === 'cycle';
     
-    if (match.student_a_id !== studentId && match.student_b_id !== studentId) {
+    if (!isCycle && match.student_a_id !== studentId && match.student_b_id !== studentId) {
       throw new Error('Student not part of this match');
     }
     
-    // Mark completion status for this student
-    const completionField = match.student_a_id === studentId ? 'student_a_completed' : 'student_b_completed';
-    const otherCompletionField = match.student_a_id === studentId ? 'student_b_completed' : 'student_a_completed';
-    
-    const updateData = {
-      [completionField]: true
-    };
-    
-    // If other student also marked completed, mark entire match as completed
-    if (match[otherCompletionField]) {
-      updateData.match_status = 'completed';
-      updateData.completed_at = new Date().toISOString();
+    // Completes the match, its requests and any finished bundle in one transaction
+    const { data: completion, error: completeError } = await supabaseAdmin.rpc('complete_swap_match', {
+      p_match_id: matchId,
+      p_student_id: studentId
+    });
       
-      // Mark swap requests as completed
-      await Promise.all([
-        supabaseAdmin
-          .from('swap_requests')
-          .update({ status: 'completed' })
-          .eq('id', match.request_a_id),
-        supabaseAdmin
-          .from('swap_requests')
-          .update({ status: 'completed' })
-          .eq('id', match.request_b_id)
-      ]);
+    if (completeError) {
+      throw new Error(completeError.message || 'Error marking swap as completed');
     }
-    
-    const { error: updateError } = await supabaseAdmin
-      .from('swap_matches')
-      .update(updateData)
-      .eq('id', matchId);
-      
-    if (updateError) {
-      throw new Error('Error marking swap as completed');
+
+    const completed = completion.status === 'completed';
+
+    if (isCycle) {
+      return {
+        success: true,
+        message: completed
+          ? 'Swap marked as completed by every student!'
+          : 'Your completion recorded. Waiting for the other students to confirm completion.'
+      };
     }
     
     return {
       success: true,
-      message: updateData.match_status === 'completed' 
+      message: completed 
         ? 'Swap marked as completed by both students!' 
         : 'Your completion recorded. Waiting for other student to confirm completion.'
     };
@@ -442,12 +1510,15 @@ const findCoursesToSwapFor = async (requestedCourseId) => {
       .from('swap_requests')
       .select(`
         *,
+        swap_request_targets(course_id, rank),
         requester:profiles!swap_requests_requester_id_fkey(id, full_name),
         from_course:courses!swap_requests_from_course_id_fkey(course_code, course_title),
         desired_course:courses!swap_requests_desired_course_id_fkey(course_code, course_title)
       `)
       .eq('from_course_id', requestedCourseId)
-      .eq('status', 'active');
+      .eq('status', 'active')
+      .is('bundle_id', null)
+      .neq('kind', 'section_change');
 
     if (error) throw error;
 
@@ -468,6 +1539,8 @@ const findMatchesForCourseRequest = async (courseRequestId) => {
           id,
           course_code,
           course_title,
+          semester,
+          year,
           time_slots (*)
         )
       `)
@@ -498,14 +1571,21 @@ const findMatchesForCourseRequest = async (courseRequestId) => {
 
     // Find swap requests that want any of the student's courses and offer the requested course
     const potentialMatches = [];
+    const availableSwaps = await findCoursesToSwapFor(courseRequest.requested_course_id);
+    const rejectedPairs = await loadRejectedPairKeys([
+      courseRequest.student_id,
+      ...availableSwaps.map(swap => swap.requester_id)
+    ]);
     
     for (const enrollment of studentEnrollments) {
-      const availableSwaps = await findCoursesToSwapFor(courseRequest.requested_course_id);
-      
       for (const swap of availableSwaps) {
-        // Check if the swap wants a course the requesting student has
-        const wantedCourse = swap.desired_course_id;
-        if (enrollment.course_id === wantedCourse) {
+        if (rejectedPairs.has(studentPairKey(courseRequest.student_id, swap.requester_id))) {
+          continue;
+        }
+
+        // Check if the swap would accept a course the requesting student has
+        const wantedRank = getTargetRank(swap, enrollment.course_id);
+        if (wantedRank !== -1) {
           // Check for time conflicts
           const canSwap = await canSwapWithoutConflicts(
             courseRequest.student_id,
@@ -519,15 +1599,23 @@ const findMatchesForCourseRequest = async (courseRequestId) => {
               swapRequest: swap,
               studentWillGive: enrollment.courses,
               studentWillGet: courseRequest.courses,
-              priority: courseRequest.priority + swap.priority
+              priority: courseRequest.priority + swap.priority,
+              partnerTargetRank: wantedRank,
+              preferenceScore: await getMatchPreferenceScore([
+                { student_id: courseRequest.student_id, gives_course_id: enrollment.course_id, receives_course_id: courseRequest.requested_course_id },
+                { student_id: swap.requester_id, gives_course_id: swap.from_course_id, receives_course_id: enrollment.course_id }
+              ])
             });
           }
         }
       }
     }
 
-    // Sort by combined priority
-    return potentialMatches.sort((a, b) => b.priority - a.priority);
+    // Best partner under the term's strategy, then by how highly the other student ranked our course
+    const strategy = getStrategyForTerm(courseRequest.courses);
+    const context = await loadStrategyContext(strategy, availableSwaps.map(swap => swap.requester_id));
+
+    return potentialMatches.sort((a, b) => strategy.compareCourseRequestMatches(a, b, context));
 
   } catch (error) {
     console.error('Error finding matches for course request:', error);
@@ -535,7 +1623,7 @@ const findMatchesForCourseRequest = async (courseRequestId) => {
   }
 };
 
-const createSwapFromCourseRequest = async (courseRequestId, swapRequestId) => {
+const createSwapFromCourseRequest = async (courseRequestId, swapRequestId, offeredCourseId = null, { strategy } = {}) => {
   try {
     const { data: courseRequest } = await supabaseAdmin
       .from('course_requests')
@@ -558,11 +1646,12 @@ const createSwapFromCourseRequest = async (courseRequestId, swapRequestId) => {
       .from('swap_requests')
       .insert({
         requester_id: courseRequest.student_id,
-        from_course_id: swapRequest.desired_course_id,
+        from_course_id: offeredCourseId || swapRequest.desired_course_id,
         desired_course_id: courseRequest.requested_course_id,
         priority: courseRequest.priority,
         notes: `Auto-generated from course request: ${courseRequest.notes || ''}`,
-        course_request_id: courseRequestId
+        course_request_id: courseRequestId,
+        status: 'active'
       })
       .select()
       .single();
@@ -570,7 +1659,7 @@ const createSwapFromCourseRequest = async (courseRequestId, swapRequestId) => {
     if (createError) throw createError;
 
     // Create the swap match
-    const swapMatch = await createSwapMatch(newSwapRequest.id, swapRequestId);
+    const swapMatch = await createSwapMatch(newSwapRequest.id, swapRequestId, { strategy });
 
     // Update course request status
     await supabaseAdmin
@@ -581,7 +1670,8 @@ const createSwapFromCourseRequest = async (courseRequestId, swapRequestId) => {
     return {
       matched: true,
       swapMatch,
-      generatedSwapRequest: newSwapRequest
+      generatedSwapRequest: newSwapRequest,
+      warnings: await getMatchWarnings(describePair(newSwapRequest, swapRequest))
     };
 
   } catch (error) {
@@ -592,7 +1682,9 @@ const createSwapFromCourseRequest = async (courseRequestId, swapRequestId) => {
 
 const processCourseRequest = async (courseRequestId) => {
   try {
-    const matches = await findMatchesForCourseRequest(courseRequestId);
+    const candidates = await findMatchesForCourseRequest(courseRequestId);
+    const blockedPartners = await getUnmetRequestConditions(candidates.map(match => match.swapRequest.id));
+    const matches = candidates.filter(match => !blockedPartners.has(match.swapRequest.id));
     
     if (matches.length === 0) {
       return { matched: false, matches: [] };
@@ -600,7 +1692,12 @@ const processCourseRequest = async (courseRequestId) => {
 
     // Try to create a swap with the best match
     const bestMatch = matches[0];
-    const result = await createSwapFromCourseRequest(courseRequestId, bestMatch.swapRequest.id);
+    const result = await createSwapFromCourseRequest(
+      courseRequestId,
+      bestMatch.swapRequest.id,
+      bestMatch.studentWillGive.id,
+      { strategy: getStrategyForTerm(bestMatch.studentWillGet).name }
+    );
 
     return result;
 
@@ -612,54 +1709,94 @@ const processCourseRequest = async (courseRequestId) => {
 
 const batchProcessSwaps = async () => {
   try {
-    // Process traditional swap requests
-    const { data: activeSwapRequests, error: swapError } = await supabaseAdmin
-      .from('swap_requests')
-      .select('id')
-      .eq('status', 'active')
-      .lt('expires_at', new Date().toISOString());
-      
-    if (swapError) {
-      throw new Error('Error fetching active swap requests');
+    // Free up requests stuck behind unanswered matches before matching again
+    const expiredMatches = await expirePendingMatches();
+
+    // Match the whole term in memory, then write every new match back at once
+    const snapshot = await loadMatchingSnapshot();
+    const outcome = runMatching(snapshot, { maxCycleLength: matchingConfig.maxCycleLength });
+    const createdMatches = await writeMatchingResults(outcome, {
+      confirmationDeadline: getConfirmationDeadline()
+    });
+    const matchFor = requestId => createdMatches.find(match => match.request_b_id === requestId);
+    // create_swap_matches skips a match when one of its requests was taken meanwhile
+    const unmatched = (type, requestIds) =>
+      requestIds.map(requestId => ({ type, requestId, matched: false, matches: [] }));
+
+    const results = expiredMatches.map(expired => ({ type: 'expired_match', ...expired }));
+
+    for (const { requestA, requestB, warnings } of outcome.pairs) {
+      const match = matchFor(requestB.id);
+
+      if (!match) {
+        results.push(...unmatched('swap', [requestA.id, requestB.id]));
+        continue;
+      }
+
+      results.push({ 
+        type: 'swap', 
+        requestId: requestA.id, 
+        matched: true, 
+        match,
+        matchedWith: requestB,
+        warnings
+      });
     }
 
-    // Process course requests
-    const { data: activeCourseRequests, error: courseError } = await supabaseAdmin
-      .from('course_requests')
-      .select('id')
-      .eq('status', 'active')
-      .lt('expires_at', new Date().toISOString());
-      
-    if (courseError) {
-      throw new Error('Error fetching active course requests');
+    for (const { cycle, warnings } of outcome.cycles) {
+      const match = matchFor(cycle[1].id);
+
+      if (!match) {
+        results.push(...unmatched('swap', cycle.map(member => member.id)));
+        continue;
+      }
+
+      results.push({ 
+        type: 'swap', 
+        requestId: cycle[0].id, 
+        matched: true, 
+        match,
+        cycle,
+        warnings
+      });
     }
-    
-    const results = [];
-    
-    // Process swap requests
-    for (let request of activeSwapRequests) {
-      try {
-        const result = await processSwapRequest(request.id);
-        results.push({ type: 'swap', requestId: request.id, ...result });
-      } catch (error) {
-        results.push({ 
-          type: 'swap',
-          requestId: request.id, 
-          matched: false, 
-          error: error.message 
-        });
+
+    results.push(...unmatched('swap', outcome.unmatchedRequestIds));
+
+    for (const { courseRequest, swapRequest, warnings } of outcome.courseRequestMatches) {
+      const swapMatch = matchFor(swapRequest.id);
+
+      if (!swapMatch) {
+        results.push(...unmatched('course_request', [courseRequest.id]));
+        continue;
       }
+
+      results.push({ 
+        type: 'course_request', 
+        requestId: courseRequest.id, 
+        matched: true, 
+        swapMatch,
+        warnings
+      });
     }
 
-    // Process course requests
-    for (let request of activeCourseRequests) {
+    results.push(...unmatched('course_request', outcome.unmatchedCourseRequestIds));
+
+    // Bundles need every component matched together, so they go through the regular path
+    const bundleIds = [...new Set(
+      snapshot.swapRequests
+        .filter(request => request.bundle_id)
+        .map(request => request.bundle_id)
+    )];
+
+    for (const bundleId of bundleIds) {
       try {
-        const result = await processCourseRequest(request.id);
-        results.push({ type: 'course_request', requestId: request.id, ...result });
+        const result = await processSwapBundle(bundleId);
+        results.push({ type: 'bundle', bundleId, ...result });
       } catch (error) {
         results.push({ 
-          type: 'course_request',
-          requestId: request.id, 
+          type: 'bundle',
+          bundleId, 
           matched: false, 
           error: error.message 
         });
@@ -677,17 +1814,47 @@ const batchProcessSwaps = async () => {
 module.exports = {
   findMutualSwapMatches,
   processSwapRequest,
+  REJECTION_REASONS,
+  recordRejectedPairings,
+  loadRejectedPairKeys,
+  studentPairKey,
   createSwapMatch,
   confirmSwapMatch,
   getMatchContactInfo,
   markSwapCompleted,
+  getMatchCourseIds,
+  getMatchRequestIds,
+  getUnmetRequestConditions,
+  getUnmetMatchConditions,
+  cancelExclusiveAlternatives,
   batchProcessSwaps,
   canSwapWithoutConflicts,
+  canStudentSwapCourses,
   checkTimeConflicts,
+  findTimeConflicts,
+  findScheduleIssues,
+  getSwapConflicts,
+  getSwapScheduleIssues,
+  getSwapPreferenceScore,
+  getMatchPreferenceScore,
+  checkCourseEligibility,
   getStudentSchedule,
   // New course request functions
   findCoursesToSwapFor,
   findMatchesForCourseRequest,
   createSwapFromCourseRequest,
-  processCourseRequest
+  processCourseRequest,
+  // Ranked target courses
+  getAcceptableCourseIds,
+  // Multi-party cycle swaps
+  findSwapCycles,
+  createCycleMatch,
+  // Bundle swaps
+  validateBundleSchedule,
+  processSwapBundle,
+  releaseSwapBundle,
+  expirePendingMatches,
+  expireStaleRequests,
+  splitMatchResponses,
+  getConfirmationDeadline
 };
\ No newline at end of file
@@ -0,0 +1,450 @@
+const {
+  getAcceptableCourseIds,
+  getTargetRank,
+  buildSwapGraph,
+  findCyclesThrough,
+  describeCycle,
+  rankCycles
+} = require('./swapGraph');
+const { getStrategy, getStrategyForTerm } = require('./matchingStrategies');
+const { findTightTransitions, splitTransitions } = require('./travelTime');
+const { shareMeetingDate } = require('./slotDates');
+const { findCreditIssues } = require('./creditRules');
+const { findRestrictionIssues } = require('./courseRestrictions');
+const { scoreSchedule } = require('./schedulePreferences');
+const { findUnmetConditions, groupConditionsByRequest } = require('./requestConditions');
+
+// Pure matching over a snapshot of the database. Mirrors processSwapRequest and
+// processCourseRequest step for step, without a query per candidate.
+
+const slotsOverlap = (existing, newSlot) =>
+  existing.day_of_week === newSlot.day_of_week &&
+  newSlot.start_time < existing.end_time &&
+  newSlot.end_time > existing.start_time &&
+  shareMeetingDate(existing, newSlot);
+
+// Same check as checkTimeConflicts, but reports every clashing pair of slots
+const findTimeConflicts = (existingTimeSlots, newTimeSlots) => {
+  const conflicts = [];
+
+  for (const newSlot of newTimeSlots) {
+    for (const existing of existingTimeSlots) {
+      if (slotsOverlap(existing, newSlot)) {
+        conflicts.push({ slot: newSlot, conflictsWith: existing });
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+// Overlaps always block a change; tight transitions block it or only warn,
+// depending on the travel mode
+const findScheduleIssues = (existingTimeSlots, newTimeSlots) => {
+  const { conflicts, warnings } = splitTransitions(findTightTransitions(existingTimeSlots, newTimeSlots));
+
+  return {
+    conflicts: [
+      ...findTimeConflicts(existingTimeSlots, newTimeSlots).map(conflict => ({ type: 'overlap', ...conflict })),
+      ...conflicts
+    ],
+    warnings
+  };
+};
+
+// A student's schedule once the slots of the course they give up are removed
+const getRemainingSlots = (scheduledSlots, droppedTimeSlots) =>
+  scheduledSlots.filter(slot =>
+    !droppedTimeSlots.some(courseSlot =>
+      courseSlot.day_of_week === slot.day_of_week &&
+      courseSlot.start_time === slot.start_time &&
+      courseSlot.end_time === slot.end_time
+    )
+  );
+
+const pairKey = (requestAId, requestBId) => [requestAId, requestBId].sort().join('|');
+
+const isExpired = (request, now) =>
+  !!request.expires_at && new Date(request.expires_at).getTime() <= now;
+
+const indexSnapshot = ({
+  enrollments = [],
+  timeSlots = [],
+  courses = [],
+  studentStats = new Map(),
+  creditRules = [],
+  restrictions = new Map(),
+  eligibility = new Map(),
+  rejectedPairings = [],
+  schedulePreferences = new Map(),
+  pendingMatches = []
+}) => {
+  const slotsByCourse = new Map();
+  for (const slot of timeSlots) {
+    if (!slotsByCourse.has(slot.course_id)) {
+      slotsByCourse.set(slot.course_id, []);
+    }
+    slotsByCourse.get(slot.course_id).push(slot);
+  }
+
+  const coursesByStudent = new Map();
+  for (const enrollment of enrollments) {
+    if (!coursesByStudent.has(enrollment.student_id)) {
+      coursesByStudent.set(enrollment.student_id, []);
+    }
+    coursesByStudent.get(enrollment.student_id).push(enrollment.course_id);
+  }
+
+  return {
+    slotsByCourse,
+    coursesByStudent,
+    coursesById: new Map(courses.map(course => [course.id, course])),
+    creditRules,
+    restrictions,
+    eligibility,
+    preferences: schedulePreferences,
+    // Doubles as the strategy context
+    students: studentStats,
+    stats: { conflictsRejected: 0 },
+    pendingPairs: new Set(pendingMatches.map(match => pairKey(match.request_a_id, match.request_b_id))),
+    // Students who rejected a match with each other aren't proposed again
+    rejectedPairs: new Set(rejectedPairings.map(pairing => pairKey(pairing.student_id, pairing.partner_id)))
+  };
+};
+
+const getSlots = (index, courseId) => index.slotsByCourse.get(courseId) || [];
+
+const getCourses = (index, courseIds) => courseIds
+  .map(courseId => index.coursesById.get(courseId))
+  .filter(Boolean);
+
+const getScheduledSlots = (index, studentId) =>
+  (index.coursesByStudent.get(studentId) || []).flatMap(courseId => getSlots(index, courseId));
+
+const getSwapIssues = (index, studentId, dropCourseId, addCourseId) => {
+  const enrolledCourseIds = index.coursesByStudent.get(studentId) || [];
+  const scheduledSlots = getScheduledSlots(index, studentId);
+
+  const { conflicts, warnings } = findScheduleIssues(
+    getRemainingSlots(scheduledSlots, getSlots(index, dropCourseId)),
+    getSlots(index, addCourseId)
+  );
+
+  const creditIssues = findCreditIssues({
+    studentId,
+    enrolledCourses: getCourses(index, enrolledCourseIds),
+    droppedCourses: getCourses(index, [dropCourseId]),
+    addedCourses: getCourses(index, [addCourseId]),
+    rules: index.creditRules
+  });
+
+  const restrictionIssues = findRestrictionIssues(
+    addCourseId,
+    index.restrictions.get(addCourseId),
+    index.eligibility.get(studentId)
+  );
+
+  return {
+    conflicts: [...conflicts, ...creditIssues, ...restrictionIssues.conflicts],
+    warnings: [...warnings, ...restrictionIssues.warnings]
+  };
+};
+
+const canStudentSwapCourses = (index, studentId, dropCourseId, addCourseId) =>
+  getSwapIssues(index, studentId, dropCourseId, addCourseId).conflicts.length === 0;
+
+// Tight transitions every student in a match accepted along with the swap
+const getMatchWarnings = (index, participants) => participants.flatMap(participant =>
+  getSwapIssues(index, participant.student_id, participant.gives_course_id, participant.receives_course_id)
+    .warnings
+    .map(warning => ({ student_id: participant.student_id, ...warning }))
+);
+
+// How well the student's schedule after the swap fits their preferences
+const getSwapPreferenceScore = (index, studentId, dropCourseId, addCourseId) => {
+  const preferences = index.preferences.get(studentId);
+
+  if (!preferences) {
+    return scoreSchedule(null, []);
+  }
+
+  return scoreSchedule(preferences, [
+    ...getRemainingSlots(getScheduledSlots(index, studentId), getSlots(index, dropCourseId)),
+    ...getSlots(index, addCourseId)
+  ]);
+};
+
+// Fit of a match for the requester, its first participant (see matchingAlgorithm)
+const getMatchPreferenceScore = (index, [requester]) =>
+  getSwapPreferenceScore(index, requester.student_id, requester.gives_course_id, requester.receives_course_id).score;
+
+const canSwapWithoutConflicts = (index, studentAId, studentBId, courseAId, courseBId) => {
+  const canSwap =
+    canStudentSwapCourses(index, studentAId, courseAId, courseBId) &&
+    canStudentSwapCourses(index, studentBId, courseBId, courseAId);
+
+  if (!canSwap) {
+    index.stats.conflictsRejected++;
+  }
+
+  return canSwap;
+};
+
+const wasRejected = (index, studentAId, studentBId) => index.rejectedPairs.has(pairKey(studentAId, studentBId));
+
+const hasRejectedPair = (index, participants) => participants.some((participant, position) =>
+  participants.slice(position + 1).some(other => wasRejected(index, participant.student_id, other.student_id))
+);
+
+const findMutualSwapMatches = (index, activeRequests, request, strategy = getStrategy()) => {
+  const acceptable = getAcceptableCourseIds(request);
+  const validMatches = [];
+
+  for (const match of activeRequests.values()) {
+    if (
+      !acceptable.includes(match.from_course_id) ||
+      match.bundle_id ||
+      match.requester_id === request.requester_id ||
+      getTargetRank(match, request.from_course_id) === -1 ||
+      wasRejected(index, request.requester_id, match.requester_id)
+    ) {
+      continue;
+    }
+
+    const canSwap = canSwapWithoutConflicts(
+      index,
+      request.requester_id,
+      match.requester_id,
+      request.from_course_id,
+      match.from_course_id
+    );
+
+    if (canSwap && !index.pendingPairs.has(pairKey(request.id, match.id))) {
+      validMatches.push({
+        ...match,
+        target_rank: getTargetRank(request, match.from_course_id),
+        partner_target_rank: getTargetRank(match, request.from_course_id),
+        preference_score: getMatchPreferenceScore(index, [
+          { student_id: request.requester_id, gives_course_id: request.from_course_id, receives_course_id: match.from_course_id },
+          { student_id: match.requester_id, gives_course_id: match.from_course_id, receives_course_id: request.from_course_id }
+        ])
+      });
+    }
+  }
+
+  return validMatches.sort((a, b) => strategy.compareSwapPartners(a, b, index));
+};
+
+const findSwapCycles = (index, activeRequests, request, maxLength) => {
+  if (maxLength < 3) {
+    return [];
+  }
+
+  const graph = buildSwapGraph([...activeRequests.values()].filter(active => !active.bundle_id));
+  const cycles = findCyclesThrough(graph, request.id, { minLength: 3, maxLength });
+
+  return cycles.filter(cycle => {
+    if (hasRejectedPair(index, describeCycle(cycle))) {
+      return false;
+    }
+
+    const canSwap = describeCycle(cycle).every(participant =>
+      canStudentSwapCourses(
+        index,
+        participant.student_id,
+        participant.gives_course_id,
+        participant.receives_course_id
+      )
+    );
+
+    if (!canSwap) {
+      index.stats.conflictsRejected++;
+    }
+
+    return canSwap;
+  });
+};
+
+const findMatchesForCourseRequest = (index, activeRequests, courseRequest, strategy = getStrategy()) => {
+  const availableSwaps = [...activeRequests.values()].filter(swap =>
+    swap.from_course_id === courseRequest.requested_course_id && !swap.bundle_id
+  );
+  const potentialMatches = [];
+
+  for (const offeredCourseId of index.coursesByStudent.get(courseRequest.student_id) || []) {
+    for (const swap of availableSwaps) {
+      const wantedRank = getTargetRank(swap, offeredCourseId);
+      if (wantedRank === -1 || wasRejected(index, courseRequest.student_id, swap.requester_id)) continue;
+
+      const canSwap = canSwapWithoutConflicts(
+        index,
+        courseRequest.student_id,
+        swap.requester_id,
+        offeredCourseId,
+        courseRequest.requested_course_id
+      );
+
+      if (canSwap) {
+        potentialMatches.push({
+          swapRequest: swap,
+          offeredCourseId,
+          priority: courseRequest.priority + swap.priority,
+          partnerTargetRank: wantedRank,
+          preferenceScore: getMatchPreferenceScore(index, [
+            { student_id: courseRequest.student_id, gives_course_id: offeredCourseId, receives_course_id: courseRequest.requested_course_id },
+            { student_id: swap.requester_id, gives_course_id: swap.from_course_id, receives_course_id: offeredCourseId }
+          ])
+        });
+      }
+    }
+  }
+
+  return potentialMatches.sort((a, b) => strategy.compareCourseRequestMatches(a, b, index));
+};
+
+// One pass over every active request in creation order, each under the strategy
+// of its course's term unless one is forced. Held-back requests sit it out.
+const matchRequests = (snapshot, { maxCycleLength, now = Date.now(), strategy: forcedStrategy } = {}, heldBackIds = new Set()) => {
+  const index = indexSnapshot(snapshot);
+  const strategyFor = courseId => forcedStrategy
+    ? getStrategy(forcedStrategy)
+    : getStrategyForTerm(index.coursesById.get(courseId));
+  const activeRequests = new Map(
+    (snapshot.swapRequests || [])
+      .filter(request => request.status === 'active' && !heldBackIds.has(request.id))
+      .map(request => [request.id, request])
+  );
+
+  const pairs = [];
+  const cycles = [];
+  const courseRequestMatches = [];
+  const unmatchedRequestIds = [];
+  const unmatchedCourseRequestIds = [];
+
+  for (const request of snapshot.swapRequests || []) {
+    if (!activeRequests.has(request.id) || request.bundle_id || isExpired(request, now)) {
+      continue;
+    }
+
+    const strategy = strategyFor(request.from_course_id);
+    const matches = findMutualSwapMatches(index, activeRequests, request, strategy);
+
+    if (matches.length > 0) {
+      const partner = activeRequests.get(matches[0].id);
+      pairs.push({
+        requestA: request,
+        requestB: partner,
+        strategy: strategy.name,
+        warnings: getMatchWarnings(index, [
+          { student_id: request.requester_id, gives_course_id: request.from_course_id, receives_course_id: partner.from_course_id },
+          { student_id: partner.requester_id, gives_course_id: partner.from_course_id, receives_course_id: request.from_course_id }
+        ])
+      });
+      activeRequests.delete(request.id);
+      activeRequests.delete(partner.id);
+      continue;
+    }
+
+    const found = findSwapCycles(index, activeRequests, request, maxCycleLength);
+
+    if (found.length > 0) {
+      const bestCycle = rankCycles(found, {
+        preferenceScore: cycle => getMatchPreferenceScore(index, describeCycle(cycle))
+      })[0];
+      cycles.push({
+        cycle: bestCycle,
+        strategy: strategy.name,
+        warnings: getMatchWarnings(index, describeCycle(bestCycle))
+      });
+      bestCycle.forEach(member => activeRequests.delete(member.id));
+      continue;
+    }
+
+    unmatchedRequestIds.push(request.id);
+  }
+
+  for (const courseRequest of snapshot.courseRequests || []) {
+    if (courseRequest.status !== 'active' || isExpired(courseRequest, now)) {
+      continue;
+    }
+
+    const strategy = strategyFor(courseRequest.requested_course_id);
+    const matches = findMatchesForCourseRequest(index, activeRequests, courseRequest, strategy);
+
+    if (matches.length === 0) {
+      unmatchedCourseRequestIds.push(courseRequest.id);
+      continue;
+    }
+
+    const { swapRequest, offeredCourseId } = matches[0];
+
+    courseRequestMatches.push({
+      courseRequest,
+      swapRequest,
+      offeredCourseId,
+      strategy: strategy.name,
+      warnings: getMatchWarnings(index, [
+        { student_id: courseRequest.student_id, gives_course_id: offeredCourseId, receives_course_id: courseRequest.requested_course_id },
+        { student_id: swapRequest.requester_id, gives_course_id: swapRequest.from_course_id, receives_course_id: offeredCourseId }
+      ])
+    });
+    activeRequests.delete(swapRequest.id);
+  }
+
+  return {
+    pairs,
+    cycles,
+    courseRequestMatches,
+    unmatchedRequestIds: unmatchedRequestIds.filter(id => activeRequests.has(id)),
+    unmatchedCourseRequestIds,
+    conflictsRejected: index.stats.conflictsRejected
+  };
+};
+
+// Conditional requests only go through when their conditions hold together with
+// everything else matched in the same pass. Any that don't are held back and the
+// pass is rerun without them, until every match it makes stands. Unlike
+// processSwapRequest, a request required by another may be matched in the same pass.
+// Bundles are left to processSwapBundle, which needs the requests this pass leaves unmatched.
+const runMatching = (snapshot, options = {}) => {
+  const conditionsByRequest = groupConditionsByRequest(snapshot.requestConditions);
+  const heldBackIds = new Set();
+
+  for (;;) {
+    const outcome = matchRequests(snapshot, options, heldBackIds);
+    const matchedRequestIds = new Set([
+      ...outcome.pairs.flatMap(({ requestA, requestB }) => [requestA.id, requestB.id]),
+      ...outcome.cycles.flatMap(({ cycle }) => cycle.map(request => request.id)),
+      ...outcome.courseRequestMatches.map(({ swapRequest }) => swapRequest.id)
+    ]);
+    const matchedCourseRequestIds = new Set(outcome.courseRequestMatches.map(({ courseRequest }) => courseRequest.id));
+
+    const unmetIds = [...matchedRequestIds].filter(requestId =>
+      findUnmetConditions(conditionsByRequest.get(requestId), { matchedRequestIds, matchedCourseRequestIds }).length > 0
+    );
+
+    if (unmetIds.length === 0) {
+      return {
+        ...outcome,
+        unmatchedRequestIds: [...outcome.unmatchedRequestIds, ...heldBackIds],
+        heldBackRequestIds: [...heldBackIds]
+      };
+    }
+
+    unmetIds.forEach(requestId => heldBackIds.add(requestId));
+  }
+};
+
+module.exports = {
+  findTimeConflicts,
+  findScheduleIssues,
+  getRemainingSlots,
+  indexSnapshot,
+  getSwapIssues,
+  getSwapPreferenceScore,
+  canStudentSwapCourses,
+  findMutualSwapMatches,
+  findSwapCycles,
+  findMatchesForCourseRequest,
+  runMatching
+};
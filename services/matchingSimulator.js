@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { runMatching } = require('./matchingEngine');
+const { listStrategies } = require('./matchingStrategies');
+
+// Offline runs of the matching engine over a saved or synthetic snapshot, so
+// strategies can be compared on realistic volumes without touching Supabase.
+
+const SLOT_PATTERNS = [
+  { days: [1, 3, 5], minutes: 50, starts: ['08:00', '09:00', '10:00', '11:00', '13:00', '14:00', '15:00'] },
+  { days: [2, 4], minutes: 75, starts: ['08:00', '09:30', '11:00', '12:30', '14:00', '15:30'] }
+];
+
+// Small seeded PRNG (mulberry32) so a seed always generates the same population
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const pickWeighted = (random, items, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let roll = random() * total;
+
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+
+  return items[items.length - 1];
+};
+
+const normalizeTime = (time) => {
+  const [hours = '0', minutes = '0', seconds = '0'] = String(time).trim().split(':');
+  return [hours, minutes, seconds].map(part => part.padStart(2, '0')).join(':');
+};
+
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+  return normalizeTime(`${Math.floor(total / 60)}:${total % 60}`);
+};
+
+const slotsOverlap = (a, b) =>
+  a.day_of_week === b.day_of_week && a.start_time < b.end_time && b.start_time < a.end_time;
+
+// Course popularity falls off with rank; skew 0 spreads demand evenly
+const generatePopulation = ({
+  students = 200,
+  courses = 40,
+  coursesPerStudent = 4,
+  requestRate = 0.6,
+  courseRequestRate = 0,
+  maxTargets = 3,
+  skew = 1,
+  seed = 1,
+  semester = 'Fall',
+  year = new Date().getFullYear()
+} = {}) => {
+  const random = createRandom(seed);
+  const start = Date.UTC(year, 7, 1);
+
+  const courseList = Array.from({ length: courses }, (_, index) => ({
+    id: `course-${index + 1}`,
+    course_code: `SIM${String(index + 1).padStart(3, '0')}`,
+    semester,
+    year
+  }));
+  const popularity = courseList.map((_, index) => 1 / Math.pow(index + 1, skew));
+
+  const timeSlots = courseList.flatMap(course => {
+    const pattern = SLOT_PATTERNS[randomInt(random, 0, SLOT_PATTERNS.length - 1)];
+    const startTime = normalizeTime(pattern.starts[randomInt(random, 0, pattern.starts.length - 1)]);
+
+    return pattern.days.map(day => ({
+      course_id: course.id,
+      day_of_week: day,
+      start_time: startTime,
+      end_time: addMinutes(startTime, pattern.minutes)
+    }));
+  });
+  const slotsFor = courseId => timeSlots.filter(slot => slot.course_id === courseId);
+
+  const studentList = [];
+  const enrollments = [];
+  const swapRequests = [];
+  const courseRequests = [];
+
+  for (let i = 0; i < students; i++) {
+    const studentId = `student-${i + 1}`;
+    const enrolled = [];
+    const schedule = [];
+
+    studentList.push({ id: studentId, year: randomInt(random, 1, 4), completed_swaps: randomInt(random, 0, 2) });
+
+    for (let attempt = 0; attempt < coursesPerStudent * 10 && enrolled.length < coursesPerStudent; attempt++) {
+      const course = pickWeighted(random, courseList, popularity);
+      const slots = slotsFor(course.id);
+
+      if (enrolled.includes(course.id) || slots.some(slot => schedule.some(taken => slotsOverlap(slot, taken)))) {
+        continue;
+      }
+
+      enrolled.push(course.id);
+      schedule.push(...slots);
+      enrollments.push({ student_id: studentId, course_id: course.id });
+    }
+
+    const pickTargets = (count) => {
+      const targets = [];
+      for (let attempt = 0; attempt < count * 10 && targets.length < count; attempt++) {
+        const course = pickWeighted(random, courseList, popularity);
+        if (!enrolled.includes(course.id) && !targets.includes(course.id)) {
+          targets.push(course.id);
+        }
+      }
+      return targets;
+    };
+
+    const createdAt = () => new Date(start + randomInt(random, 0, 14 * 24 * 60) * 60 * 1000).toISOString();
+
+    if (enrolled.length > 0 && random() < requestRate) {
+      const targets = pickTargets(randomInt(random, 1, maxTargets));
+
+      if (targets.length > 0) {
+        swapRequests.push({
+          id: `request-${swapRequests.length + 1}`,
+          requester_id: studentId,
+          from_course_id: enrolled[randomInt(random, 0, enrolled.length - 1)],
+          desired_course_ids: targets,
+          priority: randomInt(random, 1, 5),
+          created_at: createdAt()
+        });
+      }
+    }
+
+    if (random() < courseRequestRate) {
+      const [requested] = pickTargets(1);
+
+      if (requested) {
+        courseRequests.push({
+          id: `course-request-${courseRequests.length + 1}`,
+          student_id: studentId,
+          requested_course_id: requested,
+          priority: randomInt(random, 1, 5),
+          created_at: createdAt()
+        });
+      }
+    }
+  }
+
+  return normalizeSnapshot({
+    swapRequests,
+    courseRequests,
+    enrollments,
+    timeSlots,
+    courses: courseList,
+    students: studentList
+  });
+};
+
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(';'))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Accepts the shape loadMatchingSnapshot returns, with ranked targets given either
+// as swap_request_targets or as a desired_course_ids list
+const normalizeSnapshot = ({
+  swapRequests = [],
+  courseRequests = [],
+  enrollments = [],
+  timeSlots = [],
+  courses = [],
+  students = []
+}) => {
+  const requests = swapRequests.map(request => {
+    const targets = request.swap_request_targets ||
+      parseList(request.desired_course_ids || request.desired_course_id)
+        .map((courseId, rank) => ({ course_id: courseId, rank: rank + 1 }));
+
+    return {
+      ...request,
+      desired_course_id: request.desired_course_id || (targets[0] && targets[0].course_id) || null,
+      swap_request_targets: targets,
+      priority: toNumber(request.priority, 1),
+      status: request.status || 'active',
+      bundle_id: request.bundle_id || null,
+      expires_at: request.expires_at || null
+    };
+  });
+
+  return {
+    swapRequests: requests.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))),
+    courseRequests: courseRequests.map(courseRequest => ({
+      ...courseRequest,
+      priority: toNumber(courseRequest.priority, 1),
+      status: courseRequest.status || 'active',
+      expires_at: courseRequest.expires_at || null
+    })),
+    enrollments: enrollments.map(({ student_id, course_id }) => ({ student_id, course_id })),
+    timeSlots: timeSlots.map(slot => ({
+      ...slot,
+      day_of_week: toNumber(slot.day_of_week, 0),
+      start_time: normalizeTime(slot.start_time),
+      end_time: normalizeTime(slot.end_time),
+      start_date: slot.start_date || null,
+      end_date: slot.end_date || null,
+      exception_dates: parseList(slot.exception_dates)
+    })),
+    courses: courses.map(course => ({ ...course, year: toNumber(course.year, null) })),
+    studentStats: new Map(students.map(student => [student.id, {
+      year: toNumber(student.year, null),
+      completedSwaps: toNumber(student.completed_swaps, 0)
+    }]))
+  };
+};
+
+// Inverse of normalizeSnapshot, for saving a generated population
+const serializeSnapshot = (snapshot) => ({
+  swapRequests: snapshot.swapRequests.map(({ swap_request_targets, ...request }) => ({
+    ...request,
+    desired_course_ids: [...swap_request_targets].sort((a, b) => a.rank - b.rank).map(target => target.course_id)
+  })),
+  courseRequests: snapshot.courseRequests,
+  enrollments: snapshot.enrollments,
+  timeSlots: snapshot.timeSlots,
+  courses: snapshot.courses,
+  students: [...snapshot.studentStats].map(([id, stats]) => ({
+    id,
+    year: stats.year,
+    completed_swaps: stats.completedSwaps
+  }))
+});
+
+const parseCsvLine = (line) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+};
+
+const readCsv = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const [header, ...lines] = fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim());
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = parseCsvLine(header);
+  return lines.map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(columns.map((column, index) => [column, values[index] === '' ? undefined : values[index]]));
+  });
+};
+
+// A .json file, or a directory holding swap_requests.csv, enrollments.csv and
+// time_slots.csv (plus optional courses.csv, course_requests.csv and students.csv)
+const loadSnapshotFile = (inputPath) => {
+  if (fs.statSync(inputPath).isDirectory()) {
+    const table = name => readCsv(path.join(inputPath, `${name}.csv`));
+
+    if (!fs.existsSync(path.join(inputPath, 'swap_requests.csv'))) {
+      throw new Error(`No swap_requests.csv found in ${inputPath}`);
+    }
+
+    return normalizeSnapshot({
+      swapRequests: table('swap_requests'),
+      courseRequests: table('course_requests'),
+      enrollments: table('enrollments'),
+      timeSlots: table('time_slots'),
+      courses: table('courses'),
+      students: table('students')
+    });
+  }
+
+  return normalizeSnapshot(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+};
+
+const average = (values) =>
+  values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const summarizeOutcome = (snapshot, outcome, now) => {
+  const eligible = snapshot.swapRequests.filter(request =>
+    request.status === 'active' &&
+    !request.bundle_id &&
+    !(request.expires_at && new Date(request.expires_at).getTime() <= now)
+  );
+  const matched = [
+    ...outcome.pairs.flatMap(({ requestA, requestB }) => [requestA, requestB]),
+    ...outcome.cycles.flatMap(({ cycle }) => cycle),
+    ...outcome.courseRequestMatches.map(({ swapRequest }) => swapRequest)
+  ];
+  const studentsMatched = new Set([
+    ...matched.map(request => request.requester_id),
+    ...outcome.courseRequestMatches.map(({ courseRequest }) => courseRequest.student_id)
+  ]);
+
+  return {
+    requests: eligible.length,
+    matchedRequests: matched.length,
+    matchRate: eligible.length === 0 ? 0 : matched.length / eligible.length,
+    averagePriorityServed: average(matched.map(request => request.priority || 1)),
+    pairs: outcome.pairs.length,
+    cyclesFound: outcome.cycles.length,
+    courseRequests: snapshot.courseRequests.length,
+    courseRequestsMatched: outcome.courseRequestMatches.length,
+    studentsMatched: studentsMatched.size,
+    conflictsRejected: outcome.conflictsRejected
+  };
+};
+
+const simulateStrategies = (snapshot, {
+  strategies = listStrategies().map(strategy => strategy.name),
+  maxCycleLength,
+  now = Date.now()
+} = {}) => strategies.map(strategy => {
+  const startedAt = Date.now();
+  const outcome = runMatching(snapshot, { maxCycleLength, now, strategy });
+
+  return {
+    strategy,
+    ...summarizeOutcome(snapshot, outcome, now),
+    durationMs: Date.now() - startedAt
+  };
+});
+
+const formatReport = (results) => {
+  const columns = [
+    ['Strategy', result => result.strategy],
+    ['Requests', result => result.requests],
+    ['Matched', result => result.matchedRequests],
+    ['Match rate', result => `${(result.matchRate * 100).toFixed(1)}%`],
+    ['Avg priority', result => result.averagePriorityServed.toFixed(2)],
+    ['Pairs', result => result.pairs],
+    ['Cycles', result => result.cyclesFound],
+    ['Course reqs', result => `${result.courseRequestsMatched}/${result.courseRequests}`],
+    ['Conflicts', result => result.conflictsRejected],
+    ['Time (ms)', result => result.durationMs]
+  ];
+
+  const rows = [
+    columns.map(([title]) => title),
+    ...results.map(result => columns.map(([, value]) => String(value(result))))
+  ];
+  const widths = columns.map((_, index) => Math.max(...rows.map(row => row[index].length)));
+
+  return rows
+    .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+};
+
+module.exports = {
+  generatePopulation,
+  normalizeSnapshot,
+  serializeSnapshot,
+  loadSnapshotFile,
+  simulateStrategies,
+  formatReport
+};
@@ -0,0 +1,464 @@
+const { randomUUID } = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { getAcceptableCourseIds, describeCycle } = require('./swapGraph');
+const { normalizeCourseCode } = require('./courseRestrictions');
+
+// Year and completed swap count per student, for strategies that rank by them
+const loadStudentStats = async (studentIds) => {
+  try {
+    const ids = [...new Set(studentIds)];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const [profileResult, completedResult] = await Promise.all([
+      supabaseAdmin
+        .from('profiles')
+        .select('id, year')
+        .in('id', ids),
+      supabaseAdmin
+        .from('swap_requests')
+        .select('requester_id')
+        .eq('status', 'completed')
+        .in('requester_id', ids)
+    ]);
+
+    if (profileResult.error || completedResult.error) {
+      throw new Error('Error loading student stats');
+    }
+
+    const stats = new Map(ids.map(id => [id, { year: null, completedSwaps: 0 }]));
+
+    for (const profile of profileResult.data || []) {
+      stats.get(profile.id).year = profile.year;
+    }
+
+    for (const { requester_id } of completedResult.data || []) {
+      stats.get(requester_id).completedSwaps++;
+    }
+
+    return stats;
+
+  } catch (error) {
+    console.error('Error loading student stats:', error);
+    throw error;
+  }
+};
+
+// Term-wide credit rules plus the overrides of the given students
+const loadCreditRules = async (studentIds) => {
+  try {
+    const ids = [...new Set(studentIds)];
+    const filter = ids.length > 0
+      ? `student_id.is.null,student_id.in.(${ids.join(',')})`
+      : 'student_id.is.null';
+
+    const { data: rules, error } = await supabaseAdmin
+      .from('credit_rules')
+      .select('student_id, semester, year, min_credits, max_credits')
+      .or(filter);
+
+    if (error) {
+      throw new Error('Error loading credit rules');
+    }
+
+    return rules || [];
+
+  } catch (error) {
+    console.error('Error loading credit rules:', error);
+    throw error;
+  }
+};
+
+// Restriction rows of the given courses, keyed by course id
+const loadCourseRestrictions = async (courseIds) => {
+  try {
+    const ids = [...new Set(courseIds)];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const { data: restrictions, error } = await supabaseAdmin
+      .from('course_restrictions')
+      .select('*')
+      .in('course_id', ids);
+
+    if (error) {
+      throw new Error('Error loading course restrictions');
+    }
+
+    return new Map((restrictions || []).map(restriction => [restriction.course_id, restriction]));
+
+  } catch (error) {
+    console.error('Error loading course restrictions:', error);
+    throw error;
+  }
+};
+
+// Major, class year and completed course codes per student
+const loadStudentEligibility = async (studentIds) => {
+  try {
+    const ids = [...new Set(studentIds)];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const [profileResult, completedResult] = await Promise.all([
+      supabaseAdmin
+        .from('profiles')
+        .select('id, major, year')
+        .in('id', ids),
+      supabaseAdmin
+        .from('completed_courses')
+        .select('student_id, course_code')
+        .in('student_id', ids)
+    ]);
+
+    if (profileResult.error || completedResult.error) {
+      throw new Error('Error loading student eligibility');
+    }
+
+    const eligibility = new Map(ids.map(id => [id, { major: null, year: null, completedCourseCodes: [] }]));
+
+    for (const profile of profileResult.data || []) {
+      Object.assign(eligibility.get(profile.id), { major: profile.major, year: profile.year });
+    }
+
+    for (const { student_id, course_code } of completedResult.data || []) {
+      eligibility.get(student_id).completedCourseCodes.push(normalizeCourseCode(course_code));
+    }
+
+    return eligibility;
+
+  } catch (error) {
+    console.error('Error loading student eligibility:', error);
+    throw error;
+  }
+};
+
+// Student pairs where one of them rejected a match with the other
+const loadRejectedPairings = async (studentIds) => {
+  try {
+    const ids = [...new Set(studentIds)];
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const { data: pairings, error } = await supabaseAdmin
+      .from('rejected_pairings')
+      .select('student_id, partner_id')
+      .in('student_id', ids);
+
+    if (error) {
+      throw new Error('Error loading rejected pairings');
+    }
+
+    return pairings || [];
+
+  } catch (error) {
+    console.error('Error loading rejected pairings:', error);
+    throw error;
+  }
+};
+
+// Schedule preferences of the given students, keyed by student id
+const loadSchedulePreferences = async (studentIds) => {
+  try {
+    const ids = [...new Set(studentIds)];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const { data: preferences, error } = await supabaseAdmin
+      .from('schedule_preferences')
+      .select('student_id, no_classes_before, free_days, max_consecutive_hours, preferred_campuses')
+      .in('student_id', ids);
+
+    if (error) {
+      throw new Error('Error loading schedule preferences');
+    }
+
+    return new Map((preferences || []).map(preference => [preference.student_id, preference]));
+
+  } catch (error) {
+    console.error('Error loading schedule preferences:', error);
+    throw error;
+  }
+};
+
+// Conditions constraining the given swap requests, each with the current status
+// of the request it depends on. Excludes conditions stored on the other request
+// are turned around so they read from the given request's side too.
+const loadRequestConditions = async (swapRequestIds) => {
+  try {
+    const ids = [...new Set(swapRequestIds)];
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const [ownResult, reverseResult] = await Promise.all([
+      supabaseAdmin
+        .from('swap_request_conditions')
+        .select('id, swap_request_id, condition_type, depends_on_request_id, depends_on_course_request_id')
+        .in('swap_request_id', ids),
+      supabaseAdmin
+        .from('swap_request_conditions')
+        .select('id, swap_request_id, condition_type, depends_on_request_id')
+        .eq('condition_type', 'excludes')
+        .in('depends_on_request_id', ids)
+    ]);
+
+    if (ownResult.error || reverseResult.error) {
+      throw new Error('Error loading request conditions');
+    }
+
+    const conditions = [
+      ...(ownResult.data || []),
+      ...(reverseResult.data || []).map(condition => ({
+        id: condition.id,
+        swap_request_id: condition.depends_on_request_id,
+        condition_type: 'excludes',
+        depends_on_request_id: condition.swap_request_id,
+        depends_on_course_request_id: null
+      }))
+    ];
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const swapIds = [...new Set(conditions.map(condition => condition.depends_on_request_id).filter(Boolean))];
+    const courseRequestIds = [...new Set(conditions.map(condition => condition.depends_on_course_request_id).filter(Boolean))];
+
+    const [swapResult, courseRequestResult] = await Promise.all([
+      swapIds.length > 0
+        ? supabaseAdmin.from('swap_requests').select('id, status').in('id', swapIds)
+        : { data: [] },
+      courseRequestIds.length > 0
+        ? supabaseAdmin.from('course_requests').select('id, status').in('id', courseRequestIds)
+        : { data: [] }
+    ]);
+
+    if (swapResult.error || courseRequestResult.error) {
+      throw new Error('Error loading request conditions');
+    }
+
+    const statuses = new Map([...swapResult.data, ...courseRequestResult.data].map(row => [row.id, row.status]));
+
+    return conditions.map(condition => ({
+      ...condition,
+      depends_on_status: statuses.get(condition.depends_on_request_id || condition.depends_on_course_request_id) || null
+    }));
+
+  } catch (error) {
+    console.error('Error loading request conditions:', error);
+    throw error;
+  }
+};
+
+const loadStrategyContext = async (strategy, studentIds) => ({
+  students: strategy.usesStudentStats ? await loadStudentStats(studentIds) : new Map()
+});
+
+// Everything runMatching needs, in a handful of queries instead of several per candidate
+const loadMatchingSnapshot = async () => {
+  try {
+    const now = new Date().toISOString();
+
+    const [swapResult, courseRequestResult, pendingResult] = await Promise.all([
+      supabaseAdmin
+        .from('swap_requests')
+        .select('*, swap_request_targets(course_id, rank)')
+        .eq('status', 'active')
+        .neq('kind', 'section_change')
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('course_requests')
+        .select('*')
+        .eq('status', 'active')
+        .gt('expires_at', now)
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('swap_matches')
+        .select('request_a_id, request_b_id')
+        .eq('match_status', 'pending')
+    ]);
+
+    if (swapResult.error || courseRequestResult.error || pendingResult.error) {
+      throw new Error('Error loading matching snapshot');
+    }
+
+    const swapRequests = swapResult.data || [];
+    const courseRequests = courseRequestResult.data || [];
+
+    const studentIds = [...new Set([
+      ...swapRequests.map(request => request.requester_id),
+      ...courseRequests.map(request => request.student_id)
+    ])];
+
+    const { data: enrollments, error: enrollmentError } = await supabaseAdmin
+      .from('enrollments')
+      .select('student_id, course_id')
+      .eq('enrollment_status', 'enrolled')
+      .in('student_id', studentIds);
+
+    if (enrollmentError) {
+      throw new Error('Error loading matching snapshot');
+    }
+
+    const courseIds = [...new Set([
+      ...enrollments.map(enrollment => enrollment.course_id),
+      ...swapRequests.flatMap(request => [request.from_course_id, ...getAcceptableCourseIds(request)]),
+      ...courseRequests.map(request => request.requested_course_id)
+    ])];
+
+    const [
+      slotResult,
+      courseResult,
+      studentStats,
+      creditRules,
+      restrictions,
+      eligibility,
+      rejectedPairings,
+      schedulePreferences,
+      requestConditions
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('time_slots')
+        .select('course_id, day_of_week, start_time, end_time, location, start_date, end_date, exception_dates')
+        .in('course_id', courseIds),
+      supabaseAdmin
+        .from('courses')
+        .select('id, semester, year, credits')
+        .in('id', courseIds),
+      loadStudentStats(studentIds),
+      loadCreditRules(studentIds),
+      loadCourseRestrictions(courseIds),
+      loadStudentEligibility(studentIds),
+      loadRejectedPairings(studentIds),
+      loadSchedulePreferences(studentIds),
+      loadRequestConditions(swapRequests.map(request => request.id))
+    ]);
+
+    if (slotResult.error || courseResult.error) {
+      throw new Error('Error loading matching snapshot');
+    }
+
+    return {
+      swapRequests,
+      courseRequests,
+      enrollments,
+      timeSlots: slotResult.data,
+      courses: courseResult.data,
+      studentStats,
+      creditRules,
+      restrictions,
+      eligibility,
+      rejectedPairings,
+      schedulePreferences,
+      requestConditions,
+      pendingMatches: pendingResult.data || []
+    };
+
+  } catch (error) {
+    console.error('Error loading matching snapshot:', error);
+    throw error;
+  }
+};
+
+// Same matches createSwapMatch, createCycleMatch and createSwapFromCourseRequest
+// would create, sent as one transaction. Requests taken by someone else since the
+// snapshot was loaded are skipped by the database rather than double-booked.
+const writeMatchingResults = async ({ pairs, cycles, courseRequestMatches }, { confirmationDeadline }) => {
+  try {
+    const generatedRequests = courseRequestMatches.map(({ courseRequest, offeredCourseId }) => ({
+      id: randomUUID(),
+      requester_id: courseRequest.student_id,
+      from_course_id: offeredCourseId,
+      desired_course_id: courseRequest.requested_course_id,
+      priority: courseRequest.priority,
+      notes: `Auto-generated from course request: ${courseRequest.notes || ''}`,
+      course_request_id: courseRequest.id,
+      status: 'active'
+    }));
+
+    const plannedMatches = [
+      ...pairs.map(({ requestA, requestB, strategy }) => ({
+        request_a_id: requestA.id,
+        request_b_id: requestB.id,
+        strategy
+      })),
+      ...courseRequestMatches.map(({ swapRequest, strategy }, index) => ({
+        request_a_id: generatedRequests[index].id,
+        request_b_id: swapRequest.id,
+        strategy
+      })),
+      ...cycles.map(({ cycle, strategy }) => ({ participants: describeCycle(cycle), strategy }))
+    ];
+
+    if (plannedMatches.length === 0) {
+      return [];
+    }
+
+    if (generatedRequests.length > 0) {
+      const { error } = await supabaseAdmin.from('swap_requests').insert(generatedRequests);
+      if (error) throw new Error(`Error creating swap requests: ${error.message}`);
+    }
+
+    const { data: matches, error: matchError } = await supabaseAdmin.rpc('create_swap_matches', {
+      p_matches: plannedMatches,
+      p_confirmation_deadline: confirmationDeadline
+    });
+
+    if (matchError) {
+      throw new Error(`Error creating swap matches: ${matchError.message}`);
+    }
+
+    const matchedRequestIds = new Set((matches || []).map(match => match.request_a_id));
+    const matchedCourseRequestIds = courseRequestMatches
+      .filter((courseRequestMatch, index) => matchedRequestIds.has(generatedRequests[index].id))
+      .map(({ courseRequest }) => courseRequest.id);
+    const orphanedRequestIds = generatedRequests
+      .filter(generated => !matchedRequestIds.has(generated.id))
+      .map(generated => generated.id);
+
+    if (matchedCourseRequestIds.length > 0) {
+      await supabaseAdmin
+        .from('course_requests')
+        .update({ status: 'matched' })
+        .in('id', matchedCourseRequestIds);
+    }
+
+    if (orphanedRequestIds.length > 0) {
+      await supabaseAdmin
+        .from('swap_requests')
+        .delete()
+        .in('id', orphanedRequestIds);
+    }
+
+    return matches || [];
+
+  } catch (error) {
+    console.error('Error writing matching results:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  loadStudentStats,
+  loadCreditRules,
+  loadCourseRestrictions,
+  loadStudentEligibility,
+  loadRejectedPairings,
+  loadSchedulePreferences,
+  loadRequestConditions,
+  loadStrategyContext,
+  loadMatchingSnapshot,
+  writeMatchingResults
+};
@@ -0,0 +1,105 @@
+const matchingConfig = require('../config/matching');
+
+// A strategy decides which of several compatible partners a request gets.
+// It only scores candidate requests (higher goes first): the requester's own
+// target ranking always comes before the score, how well the match fits the
+// requester's schedule preferences breaks ties in it, and after that the oldest
+// request goes first.
+
+const strategies = new Map();
+
+const byAge = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// Candidates scored against schedule preferences; unscored ones count as equal
+const byPreferenceScore = (a = 0, b = 0) => b - a;
+
+const getStudentStats = (context, studentId) =>
+  (context && context.students && context.students.get(studentId)) || {};
+
+const registerStrategy = ({ name, description = '', score, usesStudentStats = false }) => {
+  if (!name || typeof score !== 'function') {
+    throw new Error('A matching strategy needs a name and a score function');
+  }
+
+  const compareRequests = (a, b, context) =>
+    (score(b, context) - score(a, context)) || byAge(a, b);
+
+  const strategy = {
+    name,
+    description,
+    usesStudentStats,
+    score,
+    compareRequests,
+    compareSwapPartners: (a, b, context) =>
+      (a.target_rank - b.target_rank) ||
+      (score(b, context) - score(a, context)) ||
+      byPreferenceScore(a.preference_score, b.preference_score) ||
+      byAge(a, b),
+    compareCourseRequestMatches: (a, b, context) =>
+      (score(b.swapRequest, context) - score(a.swapRequest, context)) ||
+      (a.partnerTargetRank - b.partnerTargetRank) ||
+      byPreferenceScore(a.preferenceScore, b.preferenceScore) ||
+      byAge(a.swapRequest, b.swapRequest)
+  };
+
+  strategies.set(name, strategy);
+  return strategy;
+};
+
+const getStrategy = (name = matchingConfig.strategy) => {
+  const strategy = strategies.get(name);
+
+  if (!strategy) {
+    throw new Error(`Unknown matching strategy: ${name}`);
+  }
+
+  return strategy;
+};
+
+const getTermKey = (term) =>
+  term && term.semester && term.year ? `${term.semester} ${term.year}` : null;
+
+// term is anything with semester and year, usually the course being swapped
+const getStrategyForTerm = (term) =>
+  getStrategy(matchingConfig.termStrategies[getTermKey(term)] || matchingConfig.strategy);
+
+const listStrategies = () => [...strategies.values()].map(({ name, description, usesStudentStats }) => ({
+  name,
+  description,
+  usesStudentStats,
+  default: name === matchingConfig.strategy
+}));
+
+registerStrategy({
+  name: 'fifo',
+  description: 'Oldest request first',
+  score: () => 0
+});
+
+registerStrategy({
+  name: 'priority',
+  description: 'Highest request priority first, then oldest request',
+  score: request => request.priority || 1
+});
+
+registerStrategy({
+  name: 'seniority',
+  description: 'Students in a later year first, then oldest request',
+  usesStudentStats: true,
+  score: (request, context) => getStudentStats(context, request.requester_id).year || 0
+});
+
+registerStrategy({
+  name: 'fairness',
+  description: 'Students with the fewest completed swaps first, then oldest request',
+  usesStudentStats: true,
+  score: (request, context) => -(getStudentStats(context, request.requester_id).completedSwaps || 0)
+});
+
+module.exports = {
+  registerStrategy,
+  getStrategy,
+  getStrategyForTerm,
+  getTermKey,
+  listStrategies
+};
@@ -30,6 +30,22 @@ class NotificationService {
           });
         }
       )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'swap_match_participants',
+          filter: `student_id=eq.${userId}`
+        },
+        (payload) => {
+          callback({
+            type: 'new_match',
+            data: payload.new,
+            message: 'You are part of a new multi-student swap!'
+          });
+        }
+      )
       .on(
         'postgres_changes',
         {
@@ -52,6 +68,9 @@ class NotificationService {
             case 'completed':
               message = 'Your course swap has been completed successfully!';
               break;
+            case 'expired':
+              message = 'Your swap match expired because not everyone confirmed in time.';
+              break;
             default:
               message = 'Your swap match status has been updated.';
           }
@@ -94,6 +113,9 @@ class NotificationService {
             case 'matched':
               message = 'Your swap request has been matched with another student!';
               break;
+            case 'active':
+              message = 'Your swap request is back in the matching pool.';
+              break;
             case 'completed':
               message = 'Your swap request has been completed!';
               break;
@@ -117,6 +139,70 @@ class NotificationService {
     return channelName;
   }
 
+  subscribeToWaitlist(userId, callback) {
+    const channelName = `waitlist_${userId}`;
+    
+    if (this.subscriptions.has(channelName)) {
+      this.subscriptions.get(channelName).unsubscribe();
+    }
+
+    const subscription = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'enrollments',
+          filter: `student_id=eq.${userId}`
+        },
+        (payload) => {
+          if (payload.new.enrollment_status === 'offered') {
+            callback({
+              type: 'waitlist_offer',
+              data: payload.new,
+              message: 'A seat opened up in a course you are waitlisted for! Accept it before the offer expires.'
+            });
+          }
+        }
+      )
+      .subscribe();
+
+    this.subscriptions.set(channelName, subscription);
+    return channelName;
+  }
+
+  subscribeToScheduleChanges(userId, callback) {
+    const channelName = `schedule_changes_${userId}`;
+    
+    if (this.subscriptions.has(channelName)) {
+      this.subscriptions.get(channelName).unsubscribe();
+    }
+
+    const subscription = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'schedule_change_flags',
+          filter: `student_id=eq.${userId}`
+        },
+        (payload) => {
+          callback({
+            type: 'schedule_changed',
+            data: payload.new,
+            message: 'The meeting times of a course you are enrolled in changed. Check that your swap requests still make sense.'
+          });
+        }
+      )
+      .subscribe();
+
+    this.subscriptions.set(channelName, subscription);
+    return channelName;
+  }
+
   subscribeToNewSwapOpportunities(userId, enrolledCourseIds, callback) {
     if (!enrolledCourseIds || enrolledCourseIds.length === 0) {
       return null;
@@ -254,6 +340,12 @@ const createNotificationEndpoints = (app, notificationService) => {
       case 'requests':
         channelName = notificationService.subscribeToSwapRequests(userId, sendEvent);
         break;
+      case 'waitlist':
+        channelName = notificationService.subscribeToWaitlist(userId, sendEvent);
+        break;
+      case 'schedule-changes':
+        channelName = notificationService.subscribeToScheduleChanges(userId, sendEvent);
+        break;
       case 'opportunities':
         if (courseIds) {
           const courseIdArray = courseIds.split(',');
@@ -0,0 +1,69 @@
+// Conditions tie a swap request to another request of the same student:
+//   requires - only match this request once the other one (a swap request or a
+//              course request) is matched as well
+//   excludes - the two are alternatives: neither goes through once the other has
+//              completed, and completing one cancels the other
+// Conditions are stored one way but excludes holds both ways; loadRequestConditions
+// returns each from the point of view of the request it constrains.
+
+const CONDITION_TYPES = ['requires', 'excludes'];
+
+// Statuses of the other request that satisfy requires...
+const MATCHED_STATUSES = {
+  swap_request: ['matched', 'completed'],
+  course_request: ['matched']
+};
+
+// ...and that rule out an excludes alternative for good. A course request is
+// matched well before the swap behind it completes, so its alternatives are
+// cancelled when that swap completes instead (see cancelExclusiveAlternatives).
+const COMPLETED_STATUSES = {
+  swap_request: ['completed'],
+  course_request: []
+};
+
+const getDependency = (condition) => condition.depends_on_request_id
+  ? { kind: 'swap_request', id: condition.depends_on_request_id }
+  : { kind: 'course_request', id: condition.depends_on_course_request_id };
+
+// Conditions of one request that don't hold. Requests matched in the same pass
+// (not yet written back) count as matched.
+const findUnmetConditions = (conditions = [], { matchedRequestIds = new Set(), matchedCourseRequestIds = new Set() } = {}) =>
+  conditions
+    .map(condition => {
+      const { kind, id } = getDependency(condition);
+      const matchedNow = kind === 'swap_request' ? matchedRequestIds.has(id) : matchedCourseRequestIds.has(id);
+      const status = condition.depends_on_status;
+
+      if (condition.condition_type === 'requires' && !matchedNow && !MATCHED_STATUSES[kind].includes(status)) {
+        return { type: 'requires', [`${kind}_id`]: id, status: status || null, reason: 'not_matched' };
+      }
+
+      if (condition.condition_type === 'excludes' && COMPLETED_STATUSES[kind].includes(status)) {
+        return { type: 'excludes', [`${kind}_id`]: id, status, reason: 'alternative_completed' };
+      }
+
+      return null;
+    })
+    .filter(Boolean);
+
+const groupConditionsByRequest = (conditions = []) => {
+  const grouped = new Map();
+
+  for (const condition of conditions) {
+    if (!grouped.has(condition.swap_request_id)) {
+      grouped.set(condition.swap_request_id, []);
+    }
+    grouped.get(condition.swap_request_id).push(condition);
+  }
+
+  return grouped;
+};
+
+module.exports = {
+  CONDITION_TYPES,
+  COMPLETED_STATUSES,
+  getDependency,
+  findUnmetConditions,
+  groupConditionsByRequest
+};
@@ -0,0 +1,185 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const CHANGE_SELECT = `
+  id,
+  course_id,
+  change_type,
+  field_changes,
+  time_slots_added,
+  time_slots_removed,
+  meeting_times_changed,
+  synced_at
+`;
+
+const FLAG_SELECT = `
+  id,
+  course_id,
+  created_at,
+  acknowledged_at,
+  courses (
+    id,
+    course_code,
+    course_title
+  ),
+  course_changes (${CHANGE_SELECT})
+`;
+
+// Flags every student enrolled in the changed course, and marks their active
+// swap requests out of it, which were made against the old meeting times.
+// Students already flagged for the change (a retried sync) are left alone.
+const flagScheduleChange = async (change) => {
+  try {
+    const { data: enrollments, error } = await supabaseAdmin
+      .from('enrollments')
+      .select('student_id')
+      .eq('course_id', change.course_id)
+      .eq('enrollment_status', 'enrolled');
+
+    if (error) {
+      throw new Error('Error fetching enrollments');
+    }
+
+    const { data: existingFlags, error: existingError } = await supabaseAdmin
+      .from('schedule_change_flags')
+      .select('student_id')
+      .eq('change_id', change.id);
+
+    if (existingError) {
+      throw new Error('Error fetching schedule change flags');
+    }
+
+    const flaggedIds = new Set(existingFlags.map(flag => flag.student_id));
+    const studentIds = [...new Set(enrollments.map(enrollment => enrollment.student_id))]
+      .filter(studentId => !flaggedIds.has(studentId));
+
+    if (studentIds.length === 0) {
+      return { studentIds, swapRequestIds: [] };
+    }
+
+    const { error: flagError } = await supabaseAdmin
+      .from('schedule_change_flags')
+      .insert(studentIds.map(studentId => ({
+        student_id: studentId,
+        course_id: change.course_id,
+        change_id: change.id
+      })));
+
+    if (flagError) {
+      throw new Error('Error flagging students');
+    }
+
+    const { data: swapRequests, error: requestError } = await supabaseAdmin
+      .from('swap_requests')
+      .update({ schedule_changed_at: new Date().toISOString() })
+      .in('requester_id', studentIds)
+      .eq('from_course_id', change.course_id)
+      .eq('status', 'active')
+      .select('id');
+
+    if (requestError) {
+      throw new Error('Error flagging swap requests');
+    }
+
+    return { studentIds, swapRequestIds: swapRequests.map(request => request.id) };
+
+  } catch (error) {
+    console.error('Error flagging schedule change:', error);
+    throw error;
+  }
+};
+
+const getScheduleChanges = async (studentId, { includeAcknowledged = false } = {}) => {
+  try {
+    let query = supabaseAdmin
+      .from('schedule_change_flags')
+      .select(FLAG_SELECT)
+      .eq('student_id', studentId)
+      .order('created_at', { ascending: false });
+
+    if (!includeAcknowledged) {
+      query = query.is('acknowledged_at', null);
+    }
+
+    const { data: flags, error } = await query;
+
+    if (error) {
+      throw new Error('Error fetching schedule changes');
+    }
+
+    return flags;
+
+  } catch (error) {
+    console.error('Error fetching schedule changes:', error);
+    throw error;
+  }
+};
+
+// Once the student has seen every change, their swap requests are no longer flagged
+const acknowledgeScheduleChange = async (studentId, flagId) => {
+  try {
+    const { data: flag, error } = await supabaseAdmin
+      .from('schedule_change_flags')
+      .update({ acknowledged_at: new Date().toISOString() })
+      .eq('id', flagId)
+      .eq('student_id', studentId)
+      .is('acknowledged_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Error acknowledging schedule change');
+    }
+
+    if (!flag) {
+      return false;
+    }
+
+    const remaining = await getScheduleChanges(studentId);
+
+    if (remaining.length === 0) {
+      const { error: requestError } = await supabaseAdmin
+        .from('swap_requests')
+        .update({ schedule_changed_at: null })
+        .eq('requester_id', studentId)
+        .not('schedule_changed_at', 'is', null);
+
+      if (requestError) {
+        throw new Error('Error clearing swap request flags');
+      }
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('Error acknowledging schedule change:', error);
+    throw error;
+  }
+};
+
+const getCourseChanges = async (courseId, { limit = 20 } = {}) => {
+  try {
+    const { data: changes, error } = await supabaseAdmin
+      .from('course_changes')
+      .select(CHANGE_SELECT)
+      .eq('course_id', courseId)
+      .order('synced_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error('Error fetching course changes');
+    }
+
+    return changes;
+
+  } catch (error) {
+    console.error('Error fetching course changes:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  flagScheduleChange,
+  getScheduleChanges,
+  acknowledgeScheduleChange,
+  getCourseChanges
+};
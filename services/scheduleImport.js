@@ -0,0 +1,423 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { parseCalendar, getEventMeetings } = require('./icsCalendar');
+const { normalizeCourseCode } = require('./courseRestrictions');
+
+const COURSE_SELECT = 'id, course_code, course_title, department, instructor, credits, semester, year';
+const CALENDAR_COURSE_SELECT = `
+  id,
+  course_code,
+  course_title,
+  instructor,
+  semester,
+  year,
+  time_slots (
+    day_of_week,
+    start_time,
+    end_time,
+    location
+  )
+`;
+
+// Closest courses listed for an event that couldn't be matched
+const MAX_CANDIDATES = 3;
+
+// Rows for the same course (a lecture and a lab, say) become one course with
+// all of their meetings
+const groupRowsByCourse = (rows) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const group = groups.get(row.course.course_code);
+
+    if (group) {
+      group.lines.push(...row.lines);
+      group.timeSlots.push(...row.timeSlots);
+    } else {
+      groups.set(row.course.course_code, { lines: [...row.lines], course: row.course, timeSlots: [...row.timeSlots] });
+    }
+  }
+
+  return [...groups.values()];
+};
+
+const findCourse = async ({ course_code, semester, year }) => {
+  const { data: course, error } = await supabaseAdmin
+    .from('courses')
+    .select(COURSE_SELECT)
+    .eq('course_code', course_code)
+    .eq('semester', semester)
+    .eq('year', year)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Error fetching course');
+  }
+
+  return course;
+};
+
+// Courses already in the catalog keep their own time slots; new ones get the
+// meetings from the file
+const createCourse = async ({ course, timeSlots }) => {
+  const { data: created, error } = await supabaseAdmin
+    .from('courses')
+    .insert(course)
+    .select(COURSE_SELECT)
+    .single();
+
+  // Another import created it in the meantime
+  if (error && error.code === '23505') {
+    return { course: await findCourse(course), created: false };
+  }
+
+  if (error) {
+    throw new Error('Error creating course');
+  }
+
+  const { error: slotsError } = await supabaseAdmin
+    .from('time_slots')
+    .insert(timeSlots.map(slot => ({ ...slot, course_id: created.id })));
+
+  if (slotsError) {
+    await supabaseAdmin.from('courses').delete().eq('id', created.id);
+    throw new Error('Error creating time slots');
+  }
+
+  return { course: created, created: true };
+};
+
+// The reason the student couldn't be enrolled, or null once they are
+const enrollStudent = async (studentId, courseId) => {
+  const { error } = await supabaseAdmin.rpc('enroll_in_course', {
+    p_student_id: studentId,
+    p_course_id: courseId
+  });
+
+  return error ? error.message : null;
+};
+
+// Enrolls the student in every course of a parsed schedule (see
+// parseScheduleCsv), matching rows to existing courses of the term or creating
+// them. Courses the student already has an enrollment for are skipped.
+const importSchedule = async (studentId, rows) => {
+  try {
+    const groups = groupRowsByCourse(rows);
+    const imported = [];
+    const skipped = [];
+    const failed = [];
+
+    if (groups.length === 0) {
+      return { imported, skipped, failed };
+    }
+
+    const { semester, year } = groups[0].course;
+
+    const { data: existingCourses, error } = await supabaseAdmin
+      .from('courses')
+      .select(COURSE_SELECT)
+      .in('course_code', groups.map(group => group.course.course_code))
+      .eq('semester', semester)
+      .eq('year', year);
+
+    if (error) {
+      throw new Error('Error fetching courses');
+    }
+
+    const { data: enrollments, error: enrollmentError } = existingCourses.length > 0
+      ? await supabaseAdmin
+        .from('enrollments')
+        .select('course_id, enrollment_status')
+        .eq('student_id', studentId)
+        .in('course_id', existingCourses.map(course => course.id))
+      : { data: [] };
+
+    if (enrollmentError) {
+      throw new Error('Error fetching enrollments');
+    }
+
+    const coursesByCode = new Map(existingCourses.map(course => [course.course_code, course]));
+    const enrollmentsByCourse = new Map(enrollments.map(enrollment => [enrollment.course_id, enrollment]));
+
+    for (const group of groups) {
+      const { lines, course: { course_code } } = group;
+      const existing = coursesByCode.get(course_code);
+      const enrollment = existing && enrollmentsByCourse.get(existing.id);
+
+      if (enrollment) {
+        skipped.push({
+          lines,
+          course_code,
+          course_id: existing.id,
+          reason: 'already_enrolled',
+          enrollment_status: enrollment.enrollment_status
+        });
+        continue;
+      }
+
+      try {
+        const { course, created } = existing
+          ? { course: existing, created: false }
+          : await createCourse(group);
+
+        const enrollError = await enrollStudent(studentId, course.id);
+
+        if (enrollError) {
+          failed.push({ lines, course_code, errors: [enrollError] });
+          continue;
+        }
+
+        imported.push({ lines, course, created });
+      } catch (rowError) {
+        failed.push({ lines, course_code, errors: [rowError.message] });
+      }
+    }
+
+    return { imported, skipped, failed };
+
+  } catch (error) {
+    console.error('Error importing schedule:', error);
+    throw error;
+  }
+};
+
+// Section suffixes ('-01') are dropped, so any section of a course matches
+const getBaseCode = (courseCode) => normalizeCourseCode(courseCode).replace(/-[A-Z0-9]+$/, '');
+
+// Does the text mention the code, allowing for spaces or dashes inside it
+// ('CSCI 005', 'CSCI-005')? A longer number ('CSCI0051') doesn't count.
+const mentionsCode = (text, code) => {
+  if (!code) {
+    return false;
+  }
+
+  const pattern = [...code].map(char => char.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')).join('[\\s-]*');
+  return new RegExp(`(?<![A-Z0-9])${pattern}(?![0-9])`, 'i').test(text);
+};
+
+const toMeetingPattern = (slot) =>
+  `${slot.day_of_week}|${String(slot.start_time).slice(0, 5)}|${String(slot.end_time).slice(0, 5)}`;
+
+// Share of weekly meeting patterns (day, start, end) two schedules have in common
+const getMeetingOverlap = (meetings, slots) => {
+  const ours = new Set(meetings.map(toMeetingPattern));
+  const theirs = new Set(slots.map(toMeetingPattern));
+  const shared = [...ours].filter(pattern => theirs.has(pattern)).length;
+  const total = new Set([...ours, ...theirs]).size;
+
+  return total === 0 ? 0 : shared / total;
+};
+
+// Registrar exports often have one event per meeting, or per weekday; events
+// with the same title become one list of weekly meetings
+const groupCalendarEvents = (events) => {
+  const groups = new Map();
+  const unreadable = [];
+
+  for (const event of events) {
+    const summary = (event.summary || '').trim();
+    const { meetings, reason } = getEventMeetings(event);
+
+    if (reason) {
+      unreadable.push({ summary, reason });
+      continue;
+    }
+
+    if (!groups.has(summary)) {
+      groups.set(summary, new Map());
+    }
+
+    const patterns = groups.get(summary);
+
+    for (const meeting of meetings) {
+      const pattern = toMeetingPattern(meeting);
+      const known = patterns.get(pattern);
+
+      patterns.set(pattern, known
+        ? {
+          ...known,
+          start_date: known.start_date < meeting.start_date ? known.start_date : meeting.start_date,
+          end_date: !known.end_date || !meeting.end_date ? null : (known.end_date > meeting.end_date ? known.end_date : meeting.end_date)
+        }
+        : meeting);
+    }
+  }
+
+  return {
+    groups: [...groups].map(([summary, patterns]) => ({ summary, meetings: [...patterns.values()] })),
+    unreadable
+  };
+};
+
+// The course an event group stands for, or the closest candidates. A course is
+// picked when its code is in the title and either its meetings are the same or
+// it is the only section with that code.
+const matchCalendarEvents = ({ summary, meetings }, courses) => {
+  const scored = courses.map(course => ({
+    course,
+    codeMatch: mentionsCode(summary, getBaseCode(course.course_code)),
+    sectionMatch: mentionsCode(summary, normalizeCourseCode(course.course_code)),
+    meetingOverlap: getMeetingOverlap(meetings, course.time_slots || [])
+  }));
+
+  const byCloseness = (a, b) =>
+    (b.codeMatch - a.codeMatch) ||
+    (b.sectionMatch - a.sectionMatch) ||
+    (b.meetingOverlap - a.meetingOverlap) ||
+    a.course.course_code.localeCompare(b.course.course_code);
+
+  const sameCode = scored.filter(entry => entry.codeMatch).sort(byCloseness);
+  const [best] = sameCode;
+
+  if (best && (best.meetingOverlap === 1 || sameCode.length === 1)) {
+    return { match: best.meetingOverlap === 1 ? 'code_and_meetings' : 'code', ...best };
+  }
+
+  return {
+    candidates: scored
+      .filter(entry => entry.codeMatch || entry.meetingOverlap > 0)
+      .sort(byCloseness)
+      .slice(0, MAX_CANDIDATES)
+  };
+};
+
+const describeCourse = ({ time_slots, ...course }) => ({ ...course, time_slots: time_slots || [] });
+
+// Reads a calendar file and proposes enrollments for the term without writing
+// anything; confirmCalendarImport enrolls the courses the student accepts
+const proposeCalendarImport = async (studentId, text, term) => {
+  try {
+    const { groups, unreadable } = groupCalendarEvents(parseCalendar(text));
+
+    const [courseResult, enrollmentResult] = await Promise.all([
+      supabaseAdmin
+        .from('courses')
+        .select(CALENDAR_COURSE_SELECT)
+        .eq('term_id', term.id),
+      supabaseAdmin
+        .from('enrollments')
+        .select('course_id, enrollment_status')
+        .eq('student_id', studentId)
+    ]);
+
+    if (courseResult.error || enrollmentResult.error) {
+      throw new Error('Error fetching courses');
+    }
+
+    const enrollments = new Map(enrollmentResult.data.map(enrollment => [enrollment.course_id, enrollment]));
+    const proposed = new Map();
+    const alreadyEnrolled = new Map();
+    const unmatched = unreadable.map(entry => ({ ...entry, meetings: [], candidates: [] }));
+
+    for (const group of groups) {
+      const { course, match, meetingOverlap, candidates } = matchCalendarEvents(group, courseResult.data);
+
+      if (!course) {
+        unmatched.push({
+          summary: group.summary,
+          reason: 'no_matching_course',
+          meetings: group.meetings,
+          candidates: candidates.map(candidate => ({
+            course: describeCourse(candidate.course),
+            codeMatch: candidate.codeMatch,
+            meetingOverlap: Math.round(candidate.meetingOverlap * 100) / 100
+          }))
+        });
+        continue;
+      }
+
+      // A lecture and a lab exported under different titles are one course
+      const target = enrollments.has(course.id) ? alreadyEnrolled : proposed;
+      const entry = target.get(course.id) || {
+        course: describeCourse(course),
+        match,
+        meetingOverlap: Math.round(meetingOverlap * 100) / 100,
+        events: [],
+        ...(target === alreadyEnrolled ? { enrollment_status: enrollments.get(course.id).enrollment_status } : {})
+      };
+
+      entry.events.push(group.summary);
+      target.set(course.id, entry);
+    }
+
+    return {
+      proposed: [...proposed.values()],
+      alreadyEnrolled: [...alreadyEnrolled.values()],
+      unmatched
+    };
+
+  } catch (error) {
+    console.error('Error proposing calendar import:', error);
+    throw error;
+  }
+};
+
+const confirmCalendarImport = async (studentId, courseIds) => {
+  try {
+    const ids = [...new Set(courseIds)];
+
+    const [courseResult, enrollmentResult] = await Promise.all([
+      supabaseAdmin
+        .from('courses')
+        .select(COURSE_SELECT)
+        .in('id', ids),
+      supabaseAdmin
+        .from('enrollments')
+        .select('course_id, enrollment_status')
+        .eq('student_id', studentId)
+        .in('course_id', ids)
+    ]);
+
+    if (courseResult.error || enrollmentResult.error) {
+      throw new Error('Error fetching courses');
+    }
+
+    const courses = new Map(courseResult.data.map(course => [course.id, course]));
+    const enrollments = new Map(enrollmentResult.data.map(enrollment => [enrollment.course_id, enrollment]));
+    const imported = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const courseId of ids) {
+      const course = courses.get(courseId);
+
+      if (!course) {
+        failed.push({ course_id: courseId, errors: ['Course not found'] });
+        continue;
+      }
+
+      if (enrollments.has(courseId)) {
+        skipped.push({
+          course_id: courseId,
+          course_code: course.course_code,
+          reason: 'already_enrolled',
+          enrollment_status: enrollments.get(courseId).enrollment_status
+        });
+        continue;
+      }
+
+      const enrollError = await enrollStudent(studentId, courseId);
+
+      if (enrollError) {
+        failed.push({ course_id: courseId, course_code: course.course_code, errors: [enrollError] });
+      } else {
+        imported.push({ course });
+      }
+    }
+
+    return { imported, skipped, failed };
+
+  } catch (error) {
+    console.error('Error confirming calendar import:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  groupRowsByCourse,
+  importSchedule,
+  mentionsCode,
+  groupCalendarEvents,
+  matchCalendarEvents,
+  proposeCalendarImport,
+  confirmCalendarImport
+};
@@ -0,0 +1,93 @@
+const { getCampus } = require('./travelTime');
+
+// How well a schedule fits a student's preferences: 100 when it fits all of them,
+// minus a penalty for every class meeting (or extra hour in a row) that doesn't.
+// Only used to choose between matches that are valid either way.
+
+const PERFECT_SCORE = 100;
+const PENALTY_POINTS = 10;
+// Classes this close together count as back to back
+const BACK_TO_BACK_MINUTES = 15;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Longest run of back-to-back classes on any day, in hours
+const getLongestRunHours = (slots) => {
+  let longest = 0;
+
+  for (const day of new Set(slots.map(slot => slot.day_of_week))) {
+    const meetings = slots
+      .filter(slot => slot.day_of_week === day)
+      .map(slot => ({ start: toMinutes(slot.start_time), end: toMinutes(slot.end_time) }))
+      .sort((a, b) => a.start - b.start);
+
+    let runStart = meetings[0].start;
+    let runEnd = meetings[0].end;
+
+    for (const meeting of meetings.slice(1)) {
+      if (meeting.start - runEnd > BACK_TO_BACK_MINUTES) {
+        longest = Math.max(longest, runEnd - runStart);
+        runStart = meeting.start;
+      }
+      runEnd = Math.max(runEnd, meeting.end);
+    }
+
+    longest = Math.max(longest, runEnd - runStart);
+  }
+
+  return longest / 60;
+};
+
+// preferences is a schedule_preferences row (or null); slots is the whole
+// schedule the student would have. Each preference that is set gets a
+// breakdown entry with its penalty.
+const scoreSchedule = (preferences, slots) => {
+  const breakdown = [];
+
+  if (preferences) {
+    const {
+      no_classes_before: noClassesBefore,
+      free_days: freeDays = [],
+      max_consecutive_hours: maxConsecutiveHours,
+      preferred_campuses: preferredCampuses = []
+    } = preferences;
+
+    if (noClassesBefore) {
+      const early = slots.filter(slot => toMinutes(slot.start_time) < toMinutes(noClassesBefore));
+      breakdown.push({ preference: 'no_classes_before', value: noClassesBefore, violations: early.length, penalty: early.length * PENALTY_POINTS });
+    }
+
+    if (freeDays && freeDays.length > 0) {
+      const onFreeDays = slots.filter(slot => freeDays.includes(slot.day_of_week));
+      breakdown.push({ preference: 'free_days', value: freeDays, violations: onFreeDays.length, penalty: onFreeDays.length * PENALTY_POINTS });
+    }
+
+    if (maxConsecutiveHours) {
+      const longestRunHours = getLongestRunHours(slots);
+      const hoursOver = Math.max(0, Math.ceil(longestRunHours - Number(maxConsecutiveHours)));
+      breakdown.push({ preference: 'max_consecutive_hours', value: Number(maxConsecutiveHours), longestRunHours, penalty: hoursOver * PENALTY_POINTS });
+    }
+
+    if (preferredCampuses && preferredCampuses.length > 0) {
+      // Meetings without a known campus don't count against the student
+      const elsewhere = slots.filter(slot => {
+        const campus = getCampus(slot.location);
+        return campus && !preferredCampuses.includes(campus);
+      });
+      breakdown.push({ preference: 'preferred_campuses', value: preferredCampuses, violations: elsewhere.length, penalty: elsewhere.length * PENALTY_POINTS });
+    }
+  }
+
+  const penalty = breakdown.reduce((total, entry) => total + entry.penalty, 0);
+
+  return { score: Math.max(0, PERFECT_SCORE - penalty), breakdown };
+};
+
+module.exports = {
+  PERFECT_SCORE,
+  getLongestRunHours,
+  scoreSchedule
+};
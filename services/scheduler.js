@@ -0,0 +1,250 @@
+const os = require('os');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const schedulerConfig = require('../config/scheduler');
+const {
+  batchProcessSwaps,
+  expirePendingMatches,
+  expireStaleRequests
+} = require('./matchingAlgorithm');
+const { expireWaitlistOffers } = require('./waitlist');
+const { assignAllSections } = require('./batchMatching');
+
+// Per-item failures a job recovered from; they don't fail the run
+const collectErrors = (results) => results
+  .filter(result => result.error)
+  .map(({ type, requestId, bundleId, matchId, enrollmentId, course, error }) =>
+    ({ type, requestId, bundleId, matchId, enrollmentId, course, error }));
+
+const summarizeBatch = (results) => {
+  const count = (predicate) => results.filter(predicate).length;
+
+  return {
+    counts: {
+      expiredMatches: count(result => result.type === 'expired_match' && !result.error),
+      swapRequestsMatched: count(result => result.type === 'swap' && result.matched),
+      swapRequestsUnmatched: count(result => result.type === 'swap' && !result.matched),
+      courseRequestsMatched: count(result => result.type === 'course_request' && result.matched),
+      courseRequestsUnmatched: count(result => result.type === 'course_request' && !result.matched),
+      bundlesMatched: count(result => result.type === 'bundle' && result.matched)
+    },
+    errors: collectErrors(results)
+  };
+};
+
+const defaultJobs = () => ({
+  expire_requests: {
+    intervalMinutes: schedulerConfig.expiryIntervalMinutes,
+    run: async () => ({ counts: await expireStaleRequests(), errors: [] })
+  },
+  expire_matches: {
+    intervalMinutes: schedulerConfig.expiryIntervalMinutes,
+    run: async () => {
+      const results = await expirePendingMatches();
+      return {
+        counts: { expiredMatches: results.filter(result => !result.error).length },
+        errors: collectErrors(results)
+      };
+    }
+  },
+  expire_waitlist_offers: {
+    intervalMinutes: schedulerConfig.expiryIntervalMinutes,
+    run: async () => {
+      const { results, offers } = await expireWaitlistOffers();
+      return {
+        counts: {
+          expiredOffers: results.filter(result => !result.error).length,
+          seatsOffered: offers.length
+        },
+        errors: collectErrors(results)
+      };
+    }
+  },
+  section_assignment: {
+    intervalMinutes: schedulerConfig.matchingIntervalMinutes,
+    run: async () => {
+      const results = await assignAllSections();
+      const assigned = results.filter(result => !result.error);
+      return {
+        counts: {
+          courses: assigned.length,
+          studentsMoved: assigned.reduce((total, result) => total + result.studentsMoved, 0),
+          matchesCreated: assigned.reduce((total, result) => total + result.createdMatchIds.length, 0)
+        },
+        errors: collectErrors(results)
+      };
+    }
+  },
+  batch_matching: {
+    intervalMinutes: schedulerConfig.matchingIntervalMinutes,
+    run: async () => summarizeBatch(await batchProcessSwaps())
+  }
+});
+
+class Scheduler {
+  constructor(jobs = defaultJobs()) {
+    this.jobs = jobs;
+    this.timers = new Map();
+    this.running = new Set();
+    // Identifies this process in scheduler_locks and scheduler_runs
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  }
+
+  start() {
+    for (const [name, job] of Object.entries(this.jobs)) {
+      if (this.timers.has(name) || !job.intervalMinutes) {
+        continue;
+      }
+
+      const timer = setInterval(() => {
+        this.runJob(name).catch(error => console.error(`Error running scheduled job ${name}:`, error));
+      }, job.intervalMinutes * 60 * 1000);
+
+      // Don't keep the process alive just for the scheduler
+      timer.unref();
+      this.timers.set(name, timer);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  getJobs() {
+    return Object.entries(this.jobs).map(([name, job]) => ({
+      name,
+      intervalMinutes: job.intervalMinutes,
+      scheduled: this.timers.has(name),
+      running: this.running.has(name)
+    }));
+  }
+
+  // Runs a job unless this or another instance is already running it. Skipped
+  // runs aren't recorded; everything else ends up in scheduler_runs.
+  async runJob(name, { trigger = 'schedule' } = {}) {
+    const job = this.jobs[name];
+
+    if (!job) {
+      throw new Error(`Unknown scheduler job: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      return { job: name, status: 'skipped', reason: 'already_running' };
+    }
+
+    this.running.add(name);
+
+    try {
+      const { data: acquired, error: lockError } = await supabaseAdmin.rpc('acquire_scheduler_lock', {
+        p_job_name: name,
+        p_owner: this.instanceId,
+        p_ttl_seconds: schedulerConfig.lockTtlMinutes * 60
+      });
+
+      if (lockError) {
+        throw new Error(`Error acquiring scheduler lock: ${lockError.message}`);
+      }
+
+      if (!acquired) {
+        return { job: name, status: 'skipped', reason: 'locked' };
+      }
+
+      try {
+        return await this.recordRun(name, job, trigger);
+      } finally {
+        const { error: releaseError } = await supabaseAdmin.rpc('release_scheduler_lock', {
+          p_job_name: name,
+          p_owner: this.instanceId
+        });
+
+        if (releaseError) {
+          console.error(`Error releasing scheduler lock for ${name}:`, releaseError);
+        }
+      }
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  async recordRun(name, job, trigger) {
+    const { data: run, error: insertError } = await supabaseAdmin
+      .from('scheduler_runs')
+      .insert({
+        job_name: name,
+        instance_id: this.instanceId,
+        trigger,
+        status: 'running',
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      throw new Error('Error recording scheduler run');
+    }
+
+    let outcome;
+
+    try {
+      const { counts, errors } = await job.run();
+      outcome = { status: errors.length > 0 ? 'completed_with_errors' : 'succeeded', counts, errors };
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+      outcome = { status: 'failed', counts: {}, errors: [{ error: error.message }] };
+    }
+
+    const { data: finished, error: updateError } = await supabaseAdmin
+      .from('scheduler_runs')
+      .update({ ...outcome, finished_at: new Date().toISOString() })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error('Error recording scheduler run');
+    }
+
+    return { job: name, ...finished };
+  }
+}
+
+const getSchedulerRuns = async ({ jobName, status, limit = 50 } = {}) => {
+  try {
+    let query = supabaseAdmin
+      .from('scheduler_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (jobName) {
+      query = query.eq('job_name', jobName);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: runs, error } = await query;
+
+    if (error) {
+      throw new Error('Error fetching scheduler runs');
+    }
+
+    return runs;
+
+  } catch (error) {
+    console.error('Error fetching scheduler runs:', error);
+    throw error;
+  }
+};
+
+const scheduler = new Scheduler();
+
+module.exports = {
+  Scheduler,
+  scheduler,
+  getSchedulerRuns
+};
@@ -0,0 +1,81 @@
+const { normalizeCourseCode } = require('./courseRestrictions');
+const { getAcceptableCourseIds } = require('./swapGraph');
+
+// Sections of a course share a term and a course code up to the section
+// suffix: "CSCI 005 HM-01" and "CSCI 005 HM-02" are sections of one course.
+const getSectionGroupKey = (course) => {
+  const baseCode = normalizeCourseCode(course.course_code).replace(/-[A-Z0-9]+$/, '');
+  return `${baseCode} ${course.semester} ${course.year}`;
+};
+
+// Top trading cycles over the seats students hold. Each round every request points
+// at a holder of its best remaining section (earliest request first when several
+// hold one), or at itself once nothing it ranks is left; the cycles that form trade
+// seats and leave. Priority plays no part, and no two students end up in sections
+// they would both rather swap. Returns trades in describeCycle order: each request
+// receives the section of the request after it.
+const findStableTrades = (requests, { canTrade = () => true } = {}) => {
+  let remaining = [...requests].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const trades = [];
+
+  while (remaining.length > 0) {
+    const pointsTo = new Map();
+
+    for (const request of remaining) {
+      let target = request;
+
+      for (const sectionId of getAcceptableCourseIds(request)) {
+        if (sectionId === request.from_course_id) {
+          break;
+        }
+
+        const holder = remaining.find(other =>
+          other.from_course_id === sectionId &&
+          other.requester_id !== request.requester_id &&
+          canTrade(request, other)
+        );
+
+        if (holder) {
+          target = holder;
+          break;
+        }
+      }
+
+      pointsTo.set(request.id, target);
+    }
+
+    // Every request points somewhere, so following the pointers always ends in a cycle
+    const settled = new Set();
+
+    for (const start of remaining) {
+      const path = [];
+      const positions = new Map();
+      let current = start;
+
+      while (!settled.has(current.id) && !positions.has(current.id)) {
+        positions.set(current.id, path.length);
+        path.push(current);
+        current = pointsTo.get(current.id);
+      }
+
+      if (positions.has(current.id)) {
+        const cycle = path.slice(positions.get(current.id));
+        cycle.forEach(request => settled.add(request.id));
+
+        // A request pointing at itself keeps its seat
+        if (cycle.length > 1) {
+          trades.push(cycle);
+        }
+      }
+    }
+
+    remaining = remaining.filter(request => !settled.has(request.id));
+  }
+
+  return trades;
+};
+
+module.exports = {
+  getSectionGroupKey,
+  findStableTrades
+};
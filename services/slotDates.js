@@ -0,0 +1,65 @@
+// Time slots may only meet for part of the term (half-semester courses) or on a
+// single date (exams). Slots without dates meet every week of the term.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.floor(Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`) / DAY_MS);
+
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+const addDays = (date, days) => fromDay(toDay(date) + days);
+
+const daysBetween = (from, to) => toDay(to) - toDay(from);
+
+const laterOf = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+const earlierOf = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+
+// Dates in [from, to] on which a slot meets, honouring its exception dates
+const getMeetingDates = (slot, from = slot.start_date, to = slot.end_date) => {
+  if (!from || !to) {
+    throw new Error('Meeting dates need a bounded date range');
+  }
+
+  const exceptions = new Set((slot.exception_dates || []).map(date => String(date).slice(0, 10)));
+  const first = toDay(from);
+  // 1970-01-01 was a Thursday (day_of_week 4)
+  const offset = (slot.day_of_week - ((first + 4) % 7) + 7) % 7;
+  const dates = [];
+
+  for (let day = first + offset; day <= toDay(to); day += 7) {
+    const date = fromDay(day);
+    if (!exceptions.has(date)) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Do two slots on the same weekday ever meet on the same date?
+const shareMeetingDate = (a, b) => {
+  const from = laterOf(a.start_date, b.start_date);
+  const to = earlierOf(a.end_date, b.end_date);
+
+  if (from && to && from > to) {
+    return false;
+  }
+
+  // An open-ended range meets more often than any list of exceptions can cancel
+  if (!from || !to) {
+    return true;
+  }
+
+  // A short overlap may not contain their weekday at all
+  const excluded = new Set([...(a.exception_dates || []), ...(b.exception_dates || [])]
+    .map(date => String(date).slice(0, 10)));
+
+  return getMeetingDates({ day_of_week: a.day_of_week }, from, to).some(date => !excluded.has(date));
+};
+
+module.exports = {
+  addDays,
+  daysBetween,
+  getMeetingDates,
+  shareMeetingDate
+};
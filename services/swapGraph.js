@@ -0,0 +1,183 @@
+// Graph helpers for multi-party swaps.
+// An edge A -> B means request B offers the course request A wants,
+// so following edges around a cycle gives every member the course they asked for.
+
+// Courses a request would accept, best first. Requests created before ranked
+// targets existed only have desired_course_id.
+const getAcceptableCourseIds = (request) => {
+  const targets = request.swap_request_targets;
+
+  if (Array.isArray(targets) && targets.length > 0) {
+    return [...targets]
+      .sort((a, b) => a.rank - b.rank)
+      .map(target => target.course_id);
+  }
+
+  return request.desired_course_id ? [request.desired_course_id] : [];
+};
+
+// 0 for the requester's first choice; -1 when the course isn't acceptable
+const getTargetRank = (request, courseId) => getAcceptableCourseIds(request).indexOf(courseId);
+
+const isMutualSwap = (requestA, requestB) =>
+  requestA.requester_id !== requestB.requester_id &&
+  getTargetRank(requestA, requestB.from_course_id) !== -1 &&
+  getTargetRank(requestB, requestA.from_course_id) !== -1;
+
+const buildSwapGraph = (requests) => {
+  const nodes = new Map();
+  const offeredBy = new Map();
+
+  for (const request of requests) {
+    nodes.set(request.id, request);
+
+    if (!request.from_course_id) continue;
+    if (!offeredBy.has(request.from_course_id)) {
+      offeredBy.set(request.from_course_id, []);
+    }
+    offeredBy.get(request.from_course_id).push(request);
+  }
+
+  const edges = new Map();
+  for (const request of requests) {
+    const providers = getAcceptableCourseIds(request)
+      .flatMap(courseId => offeredBy.get(courseId) || []);
+    edges.set(
+      request.id,
+      providers
+        .filter(provider => provider.requester_id !== request.requester_id)
+        .map(provider => provider.id)
+    );
+  }
+
+  return { nodes, edges };
+};
+
+const findCyclesThrough = (graph, startId, { minLength = 3, maxLength = 4 } = {}) => {
+  const cycles = [];
+  const start = graph.nodes.get(startId);
+
+  if (!start || maxLength < minLength) {
+    return cycles;
+  }
+
+  const path = [startId];
+  const onPath = new Set([startId]);
+  const students = new Set([start.requester_id]);
+
+  const visit = (nodeId) => {
+    for (const nextId of graph.edges.get(nodeId) || []) {
+      if (nextId === startId) {
+        if (path.length >= minLength) {
+          cycles.push(path.map(id => graph.nodes.get(id)));
+        }
+        continue;
+      }
+
+      const next = graph.nodes.get(nextId);
+      if (onPath.has(nextId) || students.has(next.requester_id) || path.length >= maxLength) {
+        continue;
+      }
+
+      path.push(nextId);
+      onPath.add(nextId);
+      students.add(next.requester_id);
+
+      visit(nextId);
+
+      path.pop();
+      onPath.delete(nextId);
+      students.delete(next.requester_id);
+    }
+  };
+
+  visit(startId);
+  return cycles;
+};
+
+// Each member gives their own course and receives the course offered by the next member
+const describeCycle = (cycle) => cycle.map((request, index) => {
+  const next = cycle[(index + 1) % cycle.length];
+  return {
+    request_id: request.id,
+    student_id: request.requester_id,
+    gives_course_id: request.from_course_id,
+    receives_course_id: next.from_course_id,
+    position: index
+  };
+});
+
+// Sum of each member's rank for the course they would receive (0 = everyone's first choice)
+const getCycleRankCost = (cycle) => cycle.reduce((sum, request, index) => {
+  const next = cycle[(index + 1) % cycle.length];
+  return sum + getTargetRank(request, next.from_course_id);
+}, 0);
+
+// Picks one partner per bundle component so the partners' courses are all
+// different (and so cover every course the bundle asks for). candidatesByComponent
+// lists partner requests per component, best first. Returns partner requests in
+// component order, or null when the bundle can't be fulfilled.
+const findBundleAssignment = (components, candidatesByComponent) => {
+  const chosen = [];
+  const usedRequests = new Set();
+  const usedCourses = new Set();
+
+  const assign = (index) => {
+    if (index === components.length) {
+      return true;
+    }
+
+    for (const candidate of candidatesByComponent[index] || []) {
+      if (
+        usedRequests.has(candidate.id) ||
+        usedCourses.has(candidate.from_course_id)
+      ) {
+        continue;
+      }
+
+      chosen.push(candidate);
+      usedRequests.add(candidate.id);
+      usedCourses.add(candidate.from_course_id);
+
+      if (assign(index + 1)) {
+        return true;
+      }
+
+      chosen.pop();
+      usedRequests.delete(candidate.id);
+      usedCourses.delete(candidate.from_course_id);
+    }
+
+    return false;
+  };
+
+  return assign(0) ? [...chosen] : null;
+};
+
+// Shorter loops first, then better-ranked targets, then how well the new
+// schedule fits the requester's preferences, then higher priority
+const rankCycles = (cycles, { preferenceScore = () => 0 } = {}) => [...cycles].sort((a, b) => {
+  const lengthDiff = a.length - b.length;
+  if (lengthDiff !== 0) return lengthDiff;
+
+  const rankDiff = getCycleRankCost(a) - getCycleRankCost(b);
+  if (rankDiff !== 0) return rankDiff;
+
+  const preferenceDiff = preferenceScore(b) - preferenceScore(a);
+  if (preferenceDiff !== 0) return preferenceDiff;
+
+  const priority = cycle => cycle.reduce((sum, request) => sum + (request.priority || 1), 0);
+  return priority(b) - priority(a);
+});
+
+module.exports = {
+  getAcceptableCourseIds,
+  getTargetRank,
+  isMutualSwap,
+  getCycleRankCost,
+  buildSwapGraph,
+  findCyclesThrough,
+  describeCycle,
+  findBundleAssignment,
+  rankCycles
+};
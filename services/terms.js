@@ -0,0 +1,245 @@
+const { supabaseAdmin } = require('../config/supabase');
+const calendarConfig = require('../config/calendar');
+
+const TERM_SELECT = 'id, name, semester, year, start_date, end_date, add_drop_deadline, is_current, archived_at';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today's date on campus ('2024-09-02'); deadlines last the whole day
+const getToday = (now = new Date(), timezone = calendarConfig.timezone) =>
+  timezone
+    ? new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now)
+    : now.toISOString().slice(0, 10);
+
+// Enrollment changes are allowed until the add/drop deadline, or the end of
+// the term when there is none
+const isAddDropOpen = (term, today = getToday()) => {
+  const deadline = term.add_drop_deadline || term.end_date;
+  return !deadline || today <= String(deadline).slice(0, 10);
+};
+
+const validateTermData = (term) => {
+  const errors = [];
+
+  if (!term.semester || !String(term.semester).trim()) {
+    errors.push('Semester is required');
+  }
+
+  if (!Number.isInteger(term.year) || term.year < 2020 || term.year > 2030) {
+    errors.push('Year must be between 2020 and 2030');
+  }
+
+  for (const [field, label] of [['start_date', 'Start date'], ['end_date', 'End date']]) {
+    if (!DATE_PATTERN.test(term[field] || '')) {
+      errors.push(`${label} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (term.add_drop_deadline && !DATE_PATTERN.test(term.add_drop_deadline)) {
+    errors.push('Add/drop deadline must be a date (YYYY-MM-DD)');
+  }
+
+  if (errors.length === 0) {
+    if (term.end_date < term.start_date) {
+      errors.push('End date must be on or after start date');
+    } else if (term.add_drop_deadline &&
+      (term.add_drop_deadline < term.start_date || term.add_drop_deadline > term.end_date)) {
+      errors.push('Add/drop deadline must fall within the term');
+    }
+  }
+
+  return errors;
+};
+
+const listTerms = async () => {
+  try {
+    const { data: terms, error } = await supabaseAdmin
+      .from('terms')
+      .select(TERM_SELECT)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      throw new Error('Error fetching terms');
+    }
+
+    return terms;
+
+  } catch (error) {
+    console.error('Error listing terms:', error);
+    throw error;
+  }
+};
+
+const getTerm = async (termId) => {
+  const { data: term, error } = await supabaseAdmin
+    .from('terms')
+    .select(TERM_SELECT)
+    .eq('id', termId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Error fetching term');
+  }
+
+  return term;
+};
+
+const findTerm = async ({ semester, year }) => {
+  const { data: term, error } = await supabaseAdmin
+    .from('terms')
+    .select(TERM_SELECT)
+    .eq('semester', semester)
+    .eq('year', parseInt(year))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Error fetching term');
+  }
+
+  return term;
+};
+
+const getCurrentTerm = async () => {
+  const { data: term, error } = await supabaseAdmin
+    .from('terms')
+    .select(TERM_SELECT)
+    .eq('is_current', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Error fetching current term');
+  }
+
+  return term;
+};
+
+// The term a request is about: termId, or semester and year, or else the
+// current term. Throws 'Term not found' when the one asked for doesn't exist.
+const resolveTerm = async ({ termId, semester, year } = {}) => {
+  try {
+    const term = termId
+      ? await getTerm(termId)
+      : semester && year
+        ? await findTerm({ semester, year })
+        : await getCurrentTerm();
+
+    if (!term) {
+      throw new Error(termId || (semester && year) ? 'Term not found' : 'No current term is set');
+    }
+
+    return term;
+
+  } catch (error) {
+    console.error('Error resolving term:', error);
+    throw error;
+  }
+};
+
+const createTerm = async ({ semester, year, start_date, end_date, add_drop_deadline = null, name }) => {
+  try {
+    const { data: term, error } = await supabaseAdmin
+      .from('terms')
+      .insert({
+        name: name || `${semester} ${year}`,
+        semester,
+        year,
+        start_date,
+        end_date,
+        add_drop_deadline
+      })
+      .select(TERM_SELECT)
+      .single();
+
+    if (error && error.code === '23505') {
+      throw new Error('Term already exists');
+    }
+
+    if (error) {
+      throw new Error('Error creating term');
+    }
+
+    return term;
+
+  } catch (error) {
+    console.error('Error creating term:', error);
+    throw error;
+  }
+};
+
+// Only dates and the name change; moving courses between terms isn't supported
+const updateTerm = async (termId, updates) => {
+  try {
+    const changes = Object.fromEntries(['name', 'start_date', 'end_date', 'add_drop_deadline']
+      .filter(field => updates[field] !== undefined)
+      .map(field => [field, updates[field]]));
+
+    const { data: term, error } = await supabaseAdmin
+      .from('terms')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', termId)
+      .select(TERM_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error('Error updating term');
+    }
+
+    return term;
+
+  } catch (error) {
+    console.error('Error updating term:', error);
+    throw error;
+  }
+};
+
+// Makes the term current and archives the previous term's open requests and matches
+const rolloverTerm = async (termId) => {
+  try {
+    const { data: summary, error } = await supabaseAdmin.rpc('rollover_term', { p_term_id: termId });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return { term: await getTerm(termId), ...summary };
+
+  } catch (error) {
+    console.error('Error rolling over term:', error);
+    throw error;
+  }
+};
+
+// Why the student can't add or drop courses of the term now, or null if they can
+const getTermAddDropError = (term, today = getToday()) => isAddDropOpen(term, today)
+  ? null
+  : `The add/drop deadline for ${term.name} (${term.add_drop_deadline || term.end_date}) has passed`;
+
+// Same for the terms of these courses
+const getAddDropError = async (courseIds, today = getToday()) => {
+  const { data: courses, error } = await supabaseAdmin
+    .from('courses')
+    .select('id, course_code, terms (name, end_date, add_drop_deadline)')
+    .in('id', courseIds);
+
+  if (error) {
+    throw new Error('Error fetching courses');
+  }
+
+  const closed = courses.find(course => course.terms && !isAddDropOpen(course.terms, today));
+
+  return closed ? getTermAddDropError(closed.terms, today) : null;
+};
+
+module.exports = {
+  getToday,
+  isAddDropOpen,
+  validateTermData,
+  listTerms,
+  getTerm,
+  getCurrentTerm,
+  resolveTerm,
+  createTerm,
+  updateTerm,
+  rolloverTerm,
+  getTermAddDropError,
+  getAddDropError
+};
@@ -0,0 +1,105 @@
+const travelConfig = require('../config/travel');
+const { shareMeetingDate } = require('./slotDates');
+
+// Back-to-back classes that don't overlap can still be impossible when they
+// are on opposite sides of the consortium.
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const campusMatchers = new WeakMap();
+
+const getCampusMatchers = (config) => {
+  if (!campusMatchers.has(config)) {
+    campusMatchers.set(config, Object.entries(config.campuses).map(([campus, patterns]) => ({
+      campus,
+      patterns: patterns.map(pattern => new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'i'))
+    })));
+  }
+
+  return campusMatchers.get(config);
+};
+
+const getCampus = (location, config = travelConfig) => {
+  if (!location) {
+    return null;
+  }
+
+  const match = getCampusMatchers(config).find(({ patterns }) =>
+    patterns.some(pattern => pattern.test(location))
+  );
+
+  return match ? match.campus : null;
+};
+
+const getTransitionMinutes = (fromLocation, toLocation, config = travelConfig) => {
+  const from = getCampus(fromLocation, config);
+  const to = getCampus(toLocation, config);
+
+  if (!from || !to) {
+    return config.defaultMinutes;
+  }
+
+  if (from === to) {
+    return config.sameCampusMinutes;
+  }
+
+  const transition = config.transitions.find(entry =>
+    (entry.from === from && entry.to === to) || (entry.from === to && entry.to === from)
+  );
+
+  return transition ? transition.minutes : config.defaultMinutes;
+};
+
+// Same-day pairs with less time between them than it takes to walk over.
+// Overlapping slots are left to findTimeConflicts.
+const findTightTransitions = (existingTimeSlots, newTimeSlots, config = travelConfig) => {
+  if (config.mode === 'off') {
+    return [];
+  }
+
+  const transitions = [];
+
+  for (const newSlot of newTimeSlots) {
+    for (const existing of existingTimeSlots) {
+      if (existing.day_of_week !== newSlot.day_of_week || !shareMeetingDate(existing, newSlot)) continue;
+
+      const [earlier, later] = toMinutes(existing.start_time) <= toMinutes(newSlot.start_time)
+        ? [existing, newSlot]
+        : [newSlot, existing];
+      const gapMinutes = toMinutes(later.start_time) - toMinutes(earlier.end_time);
+
+      if (gapMinutes < 0) continue;
+
+      const requiredMinutes = getTransitionMinutes(earlier.location, later.location, config);
+
+      if (gapMinutes < requiredMinutes) {
+        transitions.push({
+          type: 'travel',
+          slot: newSlot,
+          conflictsWith: existing,
+          gapMinutes,
+          requiredMinutes
+        });
+      }
+    }
+  }
+
+  return transitions;
+};
+
+// In conflict mode a tight transition blocks a change just like an overlap
+const splitTransitions = (transitions, config = travelConfig) => config.mode === 'conflict'
+  ? { conflicts: transitions, warnings: [] }
+  : { conflicts: [], warnings: transitions };
+
+module.exports = {
+  getCampus,
+  getTransitionMinutes,
+  findTightTransitions,
+  splitTransitions
+};
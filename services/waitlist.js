@@ -0,0 +1,317 @@
+const { supabaseAdmin } = require('../config/supabase');
+const matchingConfig = require('../config/matching');
+const { getSwapScheduleIssues } = require('./matchingAlgorithm');
+
+const getOfferDeadline = (from = Date.now()) =>
+  new Date(from + matchingConfig.waitlistOfferHours * 60 * 60 * 1000).toISOString();
+
+const WAITLIST_SELECT = `
+  id,
+  course_id,
+  enrollment_status,
+  waitlist_position,
+  waitlisted_at,
+  offer_expires_at,
+  course_request_id,
+  courses (
+    id,
+    course_code,
+    course_title,
+    max_capacity,
+    current_enrollment
+  )
+`;
+
+// Students still waiting ahead of this entry, plus one
+const getWaitlistPosition = async (entry) => {
+  if (entry.enrollment_status === 'offered') {
+    return 0;
+  }
+
+  const { data: ahead, error } = await supabaseAdmin
+    .from('enrollments')
+    .select('id')
+    .eq('course_id', entry.course_id)
+    .eq('enrollment_status', 'waitlist')
+    .lt('waitlist_position', entry.waitlist_position);
+
+  if (error) {
+    throw new Error('Error fetching waitlist position');
+  }
+
+  return ahead.length + 1;
+};
+
+const getStudentWaitlists = async (studentId) => {
+  try {
+    const { data: entries, error } = await supabaseAdmin
+      .from('enrollments')
+      .select(WAITLIST_SELECT)
+      .eq('student_id', studentId)
+      .in('enrollment_status', ['waitlist', 'offered'])
+      .order('waitlisted_at', { ascending: true });
+
+    if (error) {
+      throw new Error('Error fetching waitlists');
+    }
+
+    return Promise.all(entries.map(async entry => ({
+      ...entry,
+      position: await getWaitlistPosition(entry)
+    })));
+
+  } catch (error) {
+    console.error('Error fetching student waitlists:', error);
+    throw error;
+  }
+};
+
+const joinWaitlist = async (studentId, courseId, { courseRequestId = null } = {}) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin.rpc('join_course_waitlist', {
+      p_student_id: studentId,
+      p_course_id: courseId,
+      p_course_request_id: courseRequestId
+    });
+
+    if (error) {
+      throw new Error(error.message || 'Error joining waitlist');
+    }
+
+    // A seat may already be free, e.g. if everyone ahead was ineligible for it
+    const offers = await offerOpenSeats(courseId);
+    const offered = offers.some(offer => offer.enrollmentId === entry.id);
+
+    return {
+      ...entry,
+      enrollment_status: offered ? 'offered' : entry.enrollment_status,
+      position: offered ? 0 : await getWaitlistPosition(entry)
+    };
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    throw error;
+  }
+};
+
+// A student who was already waiting keeps their place; the course request is
+// tied to their entry so the two are resolved together
+const linkWaitlistRequest = async (studentId, courseId, courseRequestId) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin
+      .from('enrollments')
+      .update({ course_request_id: courseRequestId })
+      .eq('student_id', studentId)
+      .eq('course_id', courseId)
+      .in('enrollment_status', ['waitlist', 'offered'])
+      .select(WAITLIST_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Error linking course request to waitlist');
+    }
+
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+
+    return { ...entry, position: await getWaitlistPosition(entry) };
+
+  } catch (error) {
+    console.error('Error linking course request to waitlist:', error);
+    throw error;
+  }
+};
+
+// Offers the course's open seats to waitlisted students in order, skipping anyone
+// the course would clash with or who isn't eligible for it. They keep their place.
+const offerOpenSeats = async (courseId) => {
+  try {
+    const { data: course, error: courseError } = await supabaseAdmin
+      .from('courses')
+      .select('id, max_capacity, current_enrollment')
+      .eq('id', courseId)
+      .single();
+
+    if (courseError || !course) {
+      throw new Error('Course not found');
+    }
+
+    const offers = [];
+
+    if (course.max_capacity == null) {
+      return offers;
+    }
+
+    let openSeats = course.max_capacity - (course.current_enrollment || 0);
+
+    if (openSeats <= 0) {
+      return offers;
+    }
+
+    const { data: waiting, error } = await supabaseAdmin
+      .from('enrollments')
+      .select('id, student_id, waitlist_position, course_requests(status)')
+      .eq('course_id', courseId)
+      .eq('enrollment_status', 'waitlist')
+      .order('waitlist_position', { ascending: true });
+
+    if (error) {
+      throw new Error('Error fetching waitlist');
+    }
+
+    for (const entry of waiting) {
+      if (openSeats === 0) {
+        break;
+      }
+
+      // The course request behind this spot was matched or withdrawn some other way
+      if (entry.course_requests && entry.course_requests.status !== 'active') {
+        const { error: leaveError } = await supabaseAdmin.rpc('leave_course_waitlist', {
+          p_student_id: entry.student_id,
+          p_course_id: courseId
+        });
+
+        if (leaveError) {
+          throw new Error(leaveError.message || 'Error leaving waitlist');
+        }
+        continue;
+      }
+
+      const { conflicts } = await getSwapScheduleIssues(entry.student_id, null, courseId);
+
+      if (conflicts.length > 0) {
+        continue;
+      }
+
+      const offerExpiresAt = getOfferDeadline();
+      const { data: offered, error: offerError } = await supabaseAdmin.rpc('offer_waitlist_seat', {
+        p_enrollment_id: entry.id,
+        p_offer_expires_at: offerExpiresAt
+      });
+
+      if (offerError) {
+        throw new Error(offerError.message || 'Error offering waitlist seat');
+      }
+
+      // Someone else took the seat in the meantime
+      if (!offered) {
+        break;
+      }
+
+      offers.push({ enrollmentId: entry.id, studentId: entry.student_id, courseId, offerExpiresAt });
+      openSeats--;
+    }
+
+    return offers;
+
+  } catch (error) {
+    console.error('Error offering open seats:', error);
+    throw error;
+  }
+};
+
+const acceptWaitlistOffer = async (studentId, courseId) => {
+  try {
+    const { data: enrollment, error } = await supabaseAdmin.rpc('accept_waitlist_offer', {
+      p_student_id: studentId,
+      p_course_id: courseId
+    });
+
+    if (error) {
+      throw new Error(error.message || 'Error accepting waitlist offer');
+    }
+
+    return enrollment;
+
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    throw error;
+  }
+};
+
+// Leaving with an offer open declines it, and the seat goes to the next student
+const leaveWaitlist = async (studentId, courseId) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin.rpc('leave_course_waitlist', {
+      p_student_id: studentId,
+      p_course_id: courseId
+    });
+
+    if (error) {
+      throw new Error(error.message || 'Error leaving waitlist');
+    }
+
+    const offers = entry.enrollment_status === 'offered' ? await offerOpenSeats(courseId) : [];
+
+    return { entry, offers };
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    throw error;
+  }
+};
+
+// Seats held past their offer deadline go to the next students in line
+const expireWaitlistOffers = async () => {
+  try {
+    const { data: overdue, error } = await supabaseAdmin
+      .from('enrollments')
+      .select('id, student_id, course_id')
+      .eq('enrollment_status', 'offered')
+      .lt('offer_expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error('Error fetching expired waitlist offers');
+    }
+
+    const results = [];
+
+    for (const entry of overdue) {
+      const { error: leaveError } = await supabaseAdmin.rpc('leave_course_waitlist', {
+        p_student_id: entry.student_id,
+        p_course_id: entry.course_id
+      });
+
+      results.push(leaveError
+        ? { type: 'waitlist_offer', enrollmentId: entry.id, error: leaveError.message }
+        : { type: 'waitlist_offer', enrollmentId: entry.id, expired: true });
+    }
+
+    const offers = await offerSeatsInCourses(overdue.map(entry => entry.course_id));
+
+    return { results, offers };
+
+  } catch (error) {
+    console.error('Error expiring waitlist offers:', error);
+    throw error;
+  }
+};
+
+// For callers that freed seats as a side effect (drops, completed swaps); a
+// failure here shouldn't undo what they did, so errors are logged per course
+const offerSeatsInCourses = async (courseIds) => {
+  const offers = [];
+
+  for (const courseId of [...new Set(courseIds.filter(Boolean))]) {
+    try {
+      offers.push(...await offerOpenSeats(courseId));
+    } catch (error) {
+      console.error(`Error offering open seats in course ${courseId}:`, error);
+    }
+  }
+
+  return offers;
+};
+
+module.exports = {
+  getOfferDeadline,
+  getStudentWaitlists,
+  joinWaitlist,
+  linkWaitlistRequest,
+  offerOpenSeats,
+  offerSeatsInCourses,
+  acceptWaitlistOffer,
+  leaveWaitlist,
+  expireWaitlistOffers
+};
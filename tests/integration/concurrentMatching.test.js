@@ -0,0 +1,142 @@
+const request = require('supertest');
+
+// Only run integration tests if INTEGRATION_TEST is set
+if (!process.env.INTEGRATION_TEST) {
+  describe.skip('Concurrent Matching Integration Tests', () => {
+    test('Skipped - Set INTEGRATION_TEST=true to run integration tests', () => {});
+  });
+} else {
+
+  const app = require('../../server');
+  const { supabaseAdmin } = require('../../config/supabase');
+
+  const runId = Date.now();
+  const students = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank'];
+
+  const register = async (name, index) => {
+    const email = `${name}.race.${runId}@example.com`;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        email,
+        password: 'testpassword123',
+        fullName: `${name} Race`,
+        studentId: `RACE${runId}${index}`,
+        university: 'Test University'
+      });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'testpassword123' });
+
+    return { name, id: login.body.user.id, token: login.body.session.access_token };
+  };
+
+  describe('Concurrent Matching Integration Tests', () => {
+    let users = [];
+    let courseA, courseB;
+
+    beforeAll(async () => {
+      users = [];
+      for (const [index, name] of students.entries()) {
+        users.push(await register(name, index));
+      }
+
+      const { data: courses } = await supabaseAdmin
+        .from('courses')
+        .insert([
+          { course_code: `RACE${runId}A`, course_title: 'Race Course A', semester: 'Fall', year: 2099 },
+          { course_code: `RACE${runId}B`, course_title: 'Race Course B', semester: 'Fall', year: 2099 }
+        ])
+        .select();
+
+      [courseA, courseB] = courses;
+
+      // Half hold A and want B, the other half the reverse, so every request
+      // has several possible partners at once
+      await supabaseAdmin
+        .from('enrollments')
+        .insert(users.map((user, index) => ({
+          student_id: user.id,
+          course_id: index % 2 === 0 ? courseA.id : courseB.id,
+          enrollment_status: 'enrolled'
+        })));
+    });
+
+    afterAll(async () => {
+      if (!courseA || !courseB) return;
+
+      const courseIds = [courseA.id, courseB.id];
+      await supabaseAdmin.from('swap_matches').delete().in('course_a_id', courseIds);
+      await supabaseAdmin.from('swap_requests').delete().in('from_course_id', courseIds);
+      await supabaseAdmin.from('enrollments').delete().in('course_id', courseIds);
+      await supabaseAdmin.from('courses').delete().in('id', courseIds);
+    });
+
+    test('parallel swap requests should each be matched at most once', async () => {
+      const responses = await Promise.all(users.map((user, index) => {
+        const [from, to] = index % 2 === 0 ? [courseA, courseB] : [courseB, courseA];
+
+        return request(app)
+          .post('/api/swaps/requests')
+          .set('Authorization', `Bearer ${user.token}`)
+          .send({ fromCourseId: from.id, desiredCourseId: to.id });
+      }));
+
+      responses.forEach(response => expect(response.status).toBe(201));
+
+      const requestIds = responses.map(response => response.body.swapRequest.id);
+
+      const { data: matches } = await supabaseAdmin
+        .from('swap_matches')
+        .select('id, request_a_id, request_b_id, match_status')
+        .or(`request_a_id.in.(${requestIds.join(',')}),request_b_id.in.(${requestIds.join(',')})`)
+        .in('match_status', ['pending', 'confirmed']);
+
+      const matchedIds = matches.flatMap(match => [match.request_a_id, match.request_b_id]);
+      expect(new Set(matchedIds).size).toBe(matchedIds.length);
+
+      const { data: storedRequests } = await supabaseAdmin
+        .from('swap_requests')
+        .select('id, status')
+        .in('id', requestIds);
+
+      // Every request marked matched belongs to exactly one match, and the rest stay active
+      storedRequests.forEach(stored => {
+        const count = matchedIds.filter(id => id === stored.id).length;
+        expect(count).toBe(stored.status === 'matched' ? 1 : 0);
+      });
+    });
+
+    test('concurrent confirmations should both be recorded', async () => {
+      const { data: match } = await supabaseAdmin
+        .from('swap_matches')
+        .select('*')
+        .in('course_a_id', [courseA.id, courseB.id])
+        .eq('match_status', 'pending')
+        .limit(1)
+        .single();
+
+      const participants = users.filter(user => [match.student_a_id, match.student_b_id].includes(user.id));
+
+      await Promise.all(participants.map(user =>
+        request(app)
+          .post(`/api/swaps/matches/${match.id}/confirm`)
+          .set('Authorization', `Bearer ${user.token}`)
+      ));
+
+      const { data: stored } = await supabaseAdmin
+        .from('swap_matches')
+        .select('match_status, student_a_confirmed, student_b_confirmed')
+        .eq('id', match.id)
+        .single();
+
+      expect(stored).toMatchObject({
+        match_status: 'confirmed',
+        student_a_confirmed: true,
+        student_b_confirmed: true
+      });
+    });
+  });
+}
@@ -0,0 +1,684 @@
+// In-memory stand-in for the Supabase query builder. It covers the subset of
+// PostgREST the matching services use, so they can run end to end in unit tests.
+
+// Relationships that don't follow the `<table>_id` naming convention
+const RELATIONS = {
+  'swap_matches.swap_match_participants': { type: 'many', column: 'match_id' },
+  'swap_match_participants.swap_matches': { type: 'one', column: 'match_id' },
+  'swap_bundles.swap_requests': { type: 'many', column: 'bundle_id' },
+  'courses.terms': { type: 'one', column: 'term_id' },
+  'schedule_change_flags.course_changes': { type: 'one', column: 'change_id' }
+};
+
+const singular = (table) => table.replace(/s$/, '');
+
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+};
+
+const parseSelect = (select = '*') => {
+  const columns = [];
+  const embeds = [];
+
+  for (const part of splitTopLevel(select.replace(/\s+/g, ' '))) {
+    const open = part.indexOf('(');
+
+    if (open === -1) {
+      columns.push(part);
+      continue;
+    }
+
+    const head = part.slice(0, open).trim();
+    const [alias, target] = head.includes(':') ? head.split(':') : [null, head];
+    const [table, fkey] = target.split('!');
+
+    embeds.push({
+      alias: alias || table,
+      table,
+      fkey,
+      select: parseSelect(part.slice(open + 1, part.lastIndexOf(')')))
+    });
+  }
+
+  return { columns, embeds };
+};
+
+const parseValue = (value) => {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+const compare = (op, actual, expected) => {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    case 'gt': return actual != null && actual > expected;
+    case 'gte': return actual != null && actual >= expected;
+    case 'lt': return actual != null && actual < expected;
+    case 'lte': return actual != null && actual <= expected;
+    case 'in': return expected.includes(actual);
+    case 'is': return expected === null ? actual == null : actual === expected;
+    default: throw new Error(`Unsupported filter: ${op}`);
+  }
+};
+
+const parseOrFilter = (filter) => splitTopLevel(filter).map(condition => {
+  const [column, op, ...rest] = condition.split('.');
+  const raw = rest.join('.');
+  const expected = op === 'in'
+    ? raw.replace(/^\(|\)$/g, '').split(',').map(parseValue)
+    : parseValue(raw);
+
+  return row => compare(op, row[column], expected);
+});
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.selection = null;
+    this.filters = [];
+    this.orders = [];
+    this.window = null;
+    this.singleRow = false;
+    this.allowEmpty = false;
+  }
+
+  select(columns = '*') {
+    this.selection = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => compare('eq', row[column], value)); }
+  neq(column, value) { return this.filter(row => compare('neq', row[column], value)); }
+  gt(column, value) { return this.filter(row => compare('gt', row[column], value)); }
+  gte(column, value) { return this.filter(row => compare('gte', row[column], value)); }
+  lt(column, value) { return this.filter(row => compare('lt', row[column], value)); }
+  lte(column, value) { return this.filter(row => compare('lte', row[column], value)); }
+  in(column, values) { return this.filter(row => compare('in', row[column], values)); }
+  is(column, value) { return this.filter(row => compare('is', row[column], value)); }
+
+  not(column, op, value) {
+    return this.filter(row => !compare(op, row[column], value));
+  }
+
+  or(filter) {
+    const conditions = parseOrFilter(filter);
+    return this.filter(row => conditions.some(condition => condition(row)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to + 1];
+    return this;
+  }
+
+  limit(count) {
+    this.window = [0, count];
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  maybeSingle() {
+    this.allowEmpty = true;
+    return this.single();
+  }
+
+  then(resolve, reject) {
+    try {
+      return Promise.resolve(this.execute()).then(resolve, reject);
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+  }
+
+  rows() {
+    return this.db.table(this.table);
+  }
+
+  matching() {
+    return this.rows().filter(row => this.filters.every(filter => filter(row)));
+  }
+
+  execute() {
+    let rows;
+
+    if (this.action === 'insert') {
+      rows = this.payload.map(row => ({
+        id: `${singular(this.table)}-${++this.db.sequence}`,
+        created_at: new Date().toISOString(),
+        ...row
+      }));
+      this.rows().push(...rows);
+    } else if (this.action === 'update') {
+      rows = this.matching();
+      rows.forEach(row => Object.assign(row, this.payload));
+    } else if (this.action === 'delete') {
+      rows = this.matching();
+      this.db.tables[this.table] = this.rows().filter(row => !rows.includes(row));
+    } else {
+      rows = this.matching();
+    }
+
+    if (this.action !== 'select' && this.selection === null) {
+      return { data: null, error: null };
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+      });
+    }
+
+    if (this.window) {
+      rows = rows.slice(...this.window);
+    }
+
+    const data = rows.map(row => this.db.project(this.table, row, parseSelect(this.selection || '*')));
+
+    if (this.singleRow && this.allowEmpty && data.length === 0) {
+      return { data: null, error: null };
+    }
+
+    if (this.singleRow) {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { message: `Expected one row, found ${data.length}` } };
+    }
+
+    return { data, error: null };
+  }
+}
+
+// JavaScript versions of the Postgres functions in match_transactions_schema_update.sql,
+// scheduler_schema_update.sql, waitlist_schema_update.sql and terms_schema_update.sql
+const lockActiveSwapRequests = (db, requestIds) => {
+  const distinct = [...new Set(requestIds)];
+  const active = db.table('swap_requests')
+    .filter(request => distinct.includes(request.id) && request.status === 'active');
+
+  if (active.length !== distinct.length) {
+    throw new Error('Swap request is no longer available for matching');
+  }
+};
+
+const insertRow = (db, table, row) => {
+  const inserted = {
+    id: `${singular(table)}-${++db.sequence}`,
+    created_at: new Date().toISOString(),
+    ...row
+  };
+  db.table(table).push(inserted);
+  return inserted;
+};
+
+const markMatched = (db, requestIds) => db.table('swap_requests')
+  .filter(request => requestIds.includes(request.id))
+  .forEach(request => { request.status = 'matched'; });
+
+const WAITING = ['waitlist', 'offered'];
+
+const findEnrollment = (db, studentId, courseId) => db.table('enrollments')
+  .find(row => row.student_id === studentId && row.course_id === courseId);
+
+const FUNCTIONS = {
+  create_swap_match(db, {
+    p_request_a_id,
+    p_request_b_id,
+    p_bundle_id = null,
+    p_confirmation_deadline = null,
+    p_strategy = null
+  }) {
+    lockActiveSwapRequests(db, [p_request_a_id, p_request_b_id]);
+
+    const requests = db.table('swap_requests');
+    const requestA = requests.find(request => request.id === p_request_a_id);
+    const requestB = requests.find(request => request.id === p_request_b_id);
+
+    const match = insertRow(db, 'swap_matches', {
+      request_a_id: requestA.id,
+      request_b_id: requestB.id,
+      student_a_id: requestA.requester_id,
+      student_b_id: requestB.requester_id,
+      course_a_id: requestA.from_course_id,
+      course_b_id: requestB.from_course_id,
+      match_status: 'pending',
+      bundle_id: p_bundle_id,
+      confirmation_deadline: p_confirmation_deadline,
+      strategy: p_strategy
+    });
+
+    markMatched(db, [requestA.id, requestB.id]);
+    return { ...match };
+  },
+
+  create_cycle_match(db, { p_participants, p_confirmation_deadline = null, p_strategy = null }) {
+    const participants = [...p_participants].sort((a, b) => a.position - b.position);
+    const requestIds = participants.map(participant => participant.request_id);
+
+    lockActiveSwapRequests(db, requestIds);
+
+    const match = insertRow(db, 'swap_matches', {
+      request_a_id: participants[0].request_id,
+      request_b_id: participants[1].request_id,
+      student_a_id: participants[0].student_id,
+      student_b_id: participants[1].student_id,
+      course_a_id: participants[0].gives_course_id,
+      course_b_id: participants[1].gives_course_id,
+      match_status: 'pending',
+      match_type: 'cycle',
+      participant_count: participants.length,
+      confirmation_deadline: p_confirmation_deadline,
+      strategy: p_strategy
+    });
+
+    participants.forEach(participant => insertRow(db, 'swap_match_participants', {
+      ...participant,
+      match_id: match.id
+    }));
+
+    markMatched(db, requestIds);
+    return { ...match };
+  },
+
+  create_swap_matches(db, { p_matches, p_confirmation_deadline = null, p_all_or_nothing = false }) {
+    const snapshot = JSON.stringify(db.tables);
+    const created = [];
+
+    for (const item of p_matches) {
+      try {
+        created.push(item.participants
+          ? FUNCTIONS.create_cycle_match(db, {
+            p_participants: item.participants,
+            p_confirmation_deadline,
+            p_strategy: item.strategy || null
+          })
+          : FUNCTIONS.create_swap_match(db, {
+            p_request_a_id: item.request_a_id,
+            p_request_b_id: item.request_b_id,
+            p_bundle_id: item.bundle_id || null,
+            p_confirmation_deadline,
+            p_strategy: item.strategy || null
+          }));
+      } catch (error) {
+        if (p_all_or_nothing) {
+          db.tables = JSON.parse(snapshot);
+          throw error;
+        }
+      }
+    }
+
+    return created;
+  },
+
+  // Bundles aren't unwound here; no test rejects a bundle match through the fake
+  replace_swap_request_targets(db, { p_request_id, p_course_ids }) {
+    const request = db.table('swap_requests').find(row => row.id === p_request_id);
+
+    if (!request) {
+      throw new Error('Swap request not found');
+    }
+
+    if (!p_course_ids || p_course_ids.length === 0) {
+      throw new Error('At least one desired course is required');
+    }
+
+    db.tables.swap_request_targets = db.table('swap_request_targets')
+      .filter(target => target.swap_request_id !== p_request_id);
+    request.desired_course_id = p_course_ids[0];
+
+    return p_course_ids.map((courseId, index) => ({ ...insertRow(db, 'swap_request_targets', {
+      swap_request_id: p_request_id,
+      course_id: courseId,
+      rank: index + 1
+    }) }));
+  },
+
+  reject_swap_match(db, { p_match_id, p_student_id }) {
+    const match = db.table('swap_matches').find(row => row.id === p_match_id);
+
+    if (!match || match.match_status !== 'pending') {
+      throw new Error('Swap match not found or already processed');
+    }
+
+    const participants = db.table('swap_match_participants').filter(row => row.match_id === p_match_id);
+
+    if (![match.student_a_id, match.student_b_id, ...participants.map(row => row.student_id)].includes(p_student_id)) {
+      throw new Error('Student not part of this match');
+    }
+
+    const requestIds = [match.request_a_id, match.request_b_id, ...participants.map(row => row.request_id)];
+
+    match.match_status = 'rejected';
+    db.table('swap_requests')
+      .filter(request => requestIds.includes(request.id))
+      .forEach(request => { request.status = 'active'; });
+
+    return 1;
+  },
+
+  acquire_scheduler_lock(db, { p_job_name, p_owner, p_ttl_seconds }) {
+    const now = new Date();
+    const lock = db.table('scheduler_locks').find(row => row.job_name === p_job_name);
+
+    if (lock && new Date(lock.locked_until) >= now && lock.locked_by !== p_owner) {
+      return false;
+    }
+
+    const lockedUntil = new Date(now.getTime() + p_ttl_seconds * 1000).toISOString();
+
+    if (lock) {
+      Object.assign(lock, { locked_by: p_owner, locked_until: lockedUntil });
+    } else {
+      db.table('scheduler_locks').push({ job_name: p_job_name, locked_by: p_owner, locked_until: lockedUntil });
+    }
+
+    return true;
+  },
+
+  release_scheduler_lock(db, { p_job_name, p_owner }) {
+    db.tables.scheduler_locks = db.table('scheduler_locks')
+      .filter(row => !(row.job_name === p_job_name && row.locked_by === p_owner));
+    return null;
+  },
+
+  enroll_in_course(db, { p_student_id, p_course_id }) {
+    const course = db.table('courses').find(row => row.id === p_course_id);
+
+    if (!course) {
+      throw new Error('Course not found');
+    }
+
+    const existing = findEnrollment(db, p_student_id, p_course_id);
+
+    if (existing) {
+      throw new Error(existing.enrollment_status === 'offered'
+        ? 'A seat is being held for you; accept the waitlist offer instead'
+        : existing.enrollment_status === 'waitlist'
+          ? 'Already on the waitlist for this course'
+          : 'Already enrolled in this course');
+    }
+
+    if (course.max_capacity != null && (course.current_enrollment || 0) >= course.max_capacity) {
+      throw new Error('Course is at maximum capacity');
+    }
+
+    course.current_enrollment = (course.current_enrollment || 0) + 1;
+
+    return { ...insertRow(db, 'enrollments', {
+      student_id: p_student_id,
+      course_id: p_course_id,
+      enrollment_status: 'enrolled',
+      enrolled_at: new Date().toISOString()
+    }) };
+  },
+
+  join_course_waitlist(db, { p_student_id, p_course_id, p_course_request_id = null }) {
+    if (!db.table('courses').some(course => course.id === p_course_id)) {
+      throw new Error('Course not found');
+    }
+
+    const existing = findEnrollment(db, p_student_id, p_course_id);
+
+    if (existing) {
+      throw new Error(WAITING.includes(existing.enrollment_status)
+        ? 'Already on the waitlist for this course'
+        : 'Already enrolled in this course');
+    }
+
+    const positions = db.table('enrollments')
+      .filter(row => row.course_id === p_course_id && WAITING.includes(row.enrollment_status))
+      .map(row => row.waitlist_position);
+
+    return { ...insertRow(db, 'enrollments', {
+      student_id: p_student_id,
+      course_id: p_course_id,
+      enrollment_status: 'waitlist',
+      waitlist_position: Math.max(0, ...positions) + 1,
+      waitlisted_at: new Date().toISOString(),
+      course_request_id: p_course_request_id
+    }) };
+  },
+
+  offer_waitlist_seat(db, { p_enrollment_id, p_offer_expires_at }) {
+    const entry = db.table('enrollments').find(row => row.id === p_enrollment_id);
+    const course = entry && db.table('courses').find(row => row.id === entry.course_id);
+
+    if (!course || entry.enrollment_status !== 'waitlist' ||
+      (course.max_capacity != null && course.current_enrollment >= course.max_capacity)) {
+      return false;
+    }
+
+    Object.assign(entry, { enrollment_status: 'offered', offer_expires_at: p_offer_expires_at });
+    course.current_enrollment += 1;
+    return true;
+  },
+
+  accept_waitlist_offer(db, { p_student_id, p_course_id }) {
+    const entry = findEnrollment(db, p_student_id, p_course_id);
+
+    if (!entry || entry.enrollment_status !== 'offered' || new Date(entry.offer_expires_at) <= new Date()) {
+      throw new Error('No open seat offer for this course');
+    }
+
+    Object.assign(entry, {
+      enrollment_status: 'enrolled',
+      enrolled_at: new Date().toISOString(),
+      waitlist_position: null,
+      offer_expires_at: null
+    });
+
+    db.table('course_requests')
+      .filter(request => request.id === entry.course_request_id && request.status === 'active')
+      .forEach(request => { request.status = 'matched'; });
+
+    return { ...entry };
+  },
+
+  leave_course_waitlist(db, { p_student_id, p_course_id }) {
+    const entry = findEnrollment(db, p_student_id, p_course_id);
+
+    if (!entry || !WAITING.includes(entry.enrollment_status)) {
+      throw new Error('Not on the waitlist for this course');
+    }
+
+    db.tables.enrollments = db.table('enrollments').filter(row => row !== entry);
+
+    if (entry.enrollment_status === 'offered') {
+      const course = db.table('courses').find(row => row.id === p_course_id);
+      course.current_enrollment = Math.max(course.current_enrollment - 1, 0);
+    }
+
+    return { ...entry };
+  },
+
+  rollover_term(db, { p_term_id }) {
+    const term = db.table('terms').find(row => row.id === p_term_id);
+
+    if (!term) {
+      throw new Error('Term not found');
+    }
+
+    const previous = db.table('terms').find(row => row.is_current);
+
+    if (previous === term) {
+      throw new Error('Term is already the current term');
+    }
+
+    const now = new Date().toISOString();
+    const archive = (rows, column, open) => {
+      const archived = rows.filter(row => open.includes(row[column]));
+      archived.forEach(row => { row[column] = 'archived'; });
+      return archived.length;
+    };
+
+    if (previous) {
+      Object.assign(previous, { is_current: false, archived_at: now });
+    }
+    Object.assign(term, { is_current: true, archived_at: null });
+
+    const courseIds = previous
+      ? db.table('courses').filter(course => course.term_id === previous.id).map(course => course.id)
+      : [];
+    const requests = db.table('swap_requests').filter(request => courseIds.includes(request.from_course_id));
+    const bundleIds = requests.map(request => request.bundle_id).filter(Boolean);
+
+    return {
+      previousTermId: previous ? previous.id : null,
+      archivedMatches: archive(
+        db.table('swap_matches').filter(match => courseIds.includes(match.course_a_id)),
+        'match_status',
+        ['pending', 'accepted', 'confirmed']
+      ),
+      archivedSwapRequests: archive(requests, 'status', ['active', 'matched']),
+      archivedCourseRequests: archive(
+        db.table('course_requests').filter(request => courseIds.includes(request.requested_course_id)),
+        'status',
+        ['active', 'matched']
+      ),
+      archivedBundles: archive(
+        db.table('swap_bundles').filter(bundle => bundleIds.includes(bundle.id)),
+        'status',
+        ['active', 'matched']
+      )
+    };
+  }
+};
+
+const createFakeSupabase = (initialTables = {}) => {
+  const db = {
+    tables: {},
+    sequence: 0,
+
+    table(name) {
+      if (!this.tables[name]) {
+        this.tables[name] = [];
+      }
+      return this.tables[name];
+    },
+
+    reset(tables = {}) {
+      this.sequence = 0;
+      this.tables = Object.fromEntries(
+        Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))])
+      );
+    },
+
+    embed(parentTable, row, { table, fkey }) {
+      const relation = RELATIONS[`${parentTable}.${table}`];
+
+      if (fkey) {
+        const column = fkey.slice(parentTable.length + 1, -'_fkey'.length);
+        return { type: 'one', column };
+      }
+
+      if (relation) {
+        return relation;
+      }
+
+      if (`${singular(table)}_id` in row) {
+        return { type: 'one', column: `${singular(table)}_id` };
+      }
+
+      return { type: 'many', column: `${singular(parentTable)}_id` };
+    },
+
+    project(tableName, row, { columns, embeds }) {
+      const projected = columns.includes('*')
+        ? { ...row }
+        : Object.fromEntries(columns.map(column => [column, row[column]]));
+
+      for (const embedded of embeds) {
+        const { type, column } = this.embed(tableName, row, embedded);
+        const related = this.table(embedded.table);
+
+        if (type === 'one') {
+          const match = related.find(candidate => candidate.id === row[column]);
+          projected[embedded.alias] = match ? this.project(embedded.table, match, embedded.select) : null;
+        } else {
+          projected[embedded.alias] = related
+            .filter(candidate => candidate[column] === row.id)
+            .map(candidate => this.project(embedded.table, candidate, embedded.select));
+        }
+      }
+
+      return projected;
+    }
+  };
+
+  db.reset(initialTables);
+
+  return {
+    db,
+    from: (table) => new FakeQuery(db, table),
+    rpc: async (name, params = {}) => {
+      if (!FUNCTIONS[name]) {
+        return { data: null, error: { message: `Unknown function: ${name}` } };
+      }
+
+      try {
+        return { data: FUNCTIONS[name](db, params), error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createFakeSupabase
+};
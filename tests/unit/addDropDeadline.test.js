@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+const auth = require('../../middleware/auth');
+const { sampleUsers } = require('../fixtures/testData');
+
+const { alice } = sampleUsers;
+
+// The routes read supabase and the auth middleware when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabase = fakeSupabase;
+supabaseConfig.supabaseAdmin = fakeSupabase;
+auth.authenticateToken = (req, res, next) => {
+  req.user = { id: alice.id };
+  next();
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses', require('../../routes/courses'));
+app.use('/api/swaps', require('../../routes/swaps'));
+
+// Add/drop closed long ago
+const spring2020 = {
+  id: 'term-spring-2020',
+  name: 'Spring 2020',
+  semester: 'Spring',
+  year: 2020,
+  start_date: '2020-01-21',
+  end_date: '2020-05-08',
+  add_drop_deadline: '2020-02-04',
+  is_current: true
+};
+
+const section = (id, code) => ({
+  id,
+  course_code: code,
+  course_title: 'Data Structures',
+  semester: 'Spring',
+  year: 2020,
+  term_id: spring2020.id,
+  max_capacity: 30
+});
+
+const deadlineError = 'The add/drop deadline for Spring 2020 (2020-02-04) has passed';
+
+describe('Add/drop deadline on imports and section changes', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset({
+      terms: [spring2020],
+      courses: [section('s1', 'CSCI 070 HM-01'), section('s2', 'CSCI 070 HM-02')],
+      time_slots: [],
+      enrollments: [{ id: 'enrollment-alice', student_id: alice.id, course_id: 's1', enrollment_status: 'enrolled' }],
+      swap_requests: [],
+      swap_request_targets: []
+    });
+  });
+
+  test('should refuse a CSV import for a term past its deadline', async () => {
+    const csv = 'course_code,course_title,days,start_time,end_time\nCSCI 070 HM-02,Data Structures,MW,9:00 AM,10:15 AM\n';
+
+    const response = await request(app)
+      .post('/api/courses/import')
+      .attach('schedule', Buffer.from(csv), 'schedule.csv');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(deadlineError);
+    expect(fakeSupabase.db.table('enrollments')).toHaveLength(1);
+  });
+
+  test('should refuse to confirm a calendar import past the deadline', async () => {
+    const response = await request(app)
+      .post('/api/courses/import/ics/confirm')
+      .send({ courseIds: ['s2'] });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(deadlineError);
+    expect(fakeSupabase.db.table('enrollments')).toHaveLength(1);
+  });
+
+  test('should refuse a section change past the deadline', async () => {
+    const response = await request(app)
+      .post('/api/swaps/sections')
+      .send({ fromCourseId: 's1', sectionIds: ['s2'] });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(deadlineError);
+    expect(fakeSupabase.db.table('swap_requests')).toEqual([]);
+  });
+
+  test('should refuse to change a swap request\'s courses past the deadline', async () => {
+    fakeSupabase.db.table('courses').push(section('s3', 'CSCI 070 HM-03'));
+    fakeSupabase.db.table('swap_requests').push({
+      id: 'request-alice', requester_id: alice.id, from_course_id: 's1', desired_course_id: 's2', status: 'active'
+    });
+    fakeSupabase.db.table('swap_request_targets').push({ id: 'target-alice', swap_request_id: 'request-alice', course_id: 's2', rank: 1 });
+
+    const response = await request(app)
+      .put('/api/swaps/requests/request-alice')
+      .send({ desiredCourseIds: ['s3'] });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(deadlineError);
+    expect(fakeSupabase.db.table('swap_request_targets')).toEqual([
+      expect.objectContaining({ swap_request_id: 'request-alice', course_id: 's2' })
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+const { maxWeightMatching, matchPairs } = require('../../services/weightedMatching');
+const { simulateGreedyMatching, getPairPreference, weighPairs, summarizePairs } = require('../../services/batchMatching');
+
+const makeRequest = (id, requesterId, priority, createdAt) => ({
+  id,
+  requester_id: requesterId,
+  priority,
+  created_at: createdAt
+});
+
+describe('Batch Matching', () => {
+
+  describe('maxWeightMatching', () => {
+    test('should return an empty matching for no edges', () => {
+      expect(maxWeightMatching([])).toEqual([]);
+    });
+
+    test('should pick the heavier of two competing edges', () => {
+      expect(maxWeightMatching([[0, 1, 5], [1, 2, 11]])).toEqual([-1, 2, 1]);
+    });
+
+    test('should prefer two light edges over one heavy middle edge', () => {
+      expect(maxWeightMatching([[0, 1, 5], [1, 2, 8], [2, 3, 5]])).toEqual([1, 0, 3, 2]);
+    });
+
+    test('should handle odd cycles (blossoms)', () => {
+      // Triangle 0-1-2 with a pendant edge 2-3
+      const mate = maxWeightMatching([[0, 1, 8], [1, 2, 9], [0, 2, 10], [2, 3, 7]]);
+      expect(mate).toEqual([1, 0, 3, 2]);
+    });
+  });
+
+  describe('matchPairs', () => {
+    test('should map arbitrary ids through the matching', () => {
+      const pairs = matchPairs([
+        { a: 'req-a', b: 'req-b', weight: 3 },
+        { a: 'req-b', b: 'req-c', weight: 2 },
+        { a: 'req-c', b: 'req-d', weight: 3 }
+      ]);
+
+      expect(pairs).toEqual([['req-a', 'req-b'], ['req-c', 'req-d']]);
+    });
+  });
+
+  describe('greedy versus optimal', () => {
+    // req-1 can swap with req-3 or req-4; req-2 can only swap with req-3.
+    // First-come pairing hands req-3 to req-1 because of its priority and strands req-2.
+    const requests = [
+      makeRequest('req-1', 'alice', 1, '2024-01-01T00:00:00Z'),
+      makeRequest('req-2', 'bob', 1, '2024-01-02T00:00:00Z'),
+      makeRequest('req-3', 'charlie', 5, '2024-01-03T00:00:00Z'),
+      makeRequest('req-4', 'dana', 1, '2024-01-04T00:00:00Z')
+    ];
+    const edges = [
+      { a: 'req-1', b: 'req-3' },
+      { a: 'req-1', b: 'req-4' },
+      { a: 'req-2', b: 'req-3' }
+    ];
+    const byId = new Map(requests.map(request => [request.id, request]));
+
+    test('should replay first-come pairing by priority', () => {
+      expect(simulateGreedyMatching(requests, edges)).toEqual([['req-1', 'req-3']]);
+    });
+
+    test('should match more students with the weighted matching', () => {
+      const now = new Date('2024-01-10T00:00:00Z').getTime();
+      const weighted = weighPairs(edges, byId, now);
+
+      const optimal = summarizePairs(matchPairs(weighted), byId);
+      const greedy = summarizePairs(simulateGreedyMatching(requests, edges), byId);
+
+      expect(greedy.matchedStudents).toBe(2);
+      expect(optimal.matchedStudents).toBe(4);
+    });
+
+    test('should weight priority above request age', () => {
+      const now = new Date('2024-02-01T00:00:00Z').getTime();
+      const older = makeRequest('old', 'erin', 1, '2024-01-01T00:00:00Z');
+      const urgent = makeRequest('urgent', 'frank', 2, '2024-01-31T00:00:00Z');
+      const partner = makeRequest('partner', 'gina', 1, '2024-01-31T00:00:00Z');
+
+      expect(getPairPreference(urgent, partner, now)).toBeGreaterThan(getPairPreference(older, partner, now));
+    });
+
+    test('should never trade a matched pair for better-placed ones', () => {
+      const now = new Date('2024-02-01T00:00:00Z').getTime();
+      // Urgent month-old requests, and fresh ones that each took the other only as a third choice
+      const urgent = [
+        makeRequest('urgent-a', 'harry', 5, '2024-01-01T00:00:00Z'),
+        makeRequest('urgent-b', 'iris', 5, '2024-01-01T00:00:00Z')
+      ];
+      const thirdChoice = (id, fromCourseId, otherCourseId) => ({
+        ...makeRequest(id, id, 1, '2024-01-31T00:00:00Z'),
+        from_course_id: fromCourseId,
+        swap_request_targets: [{ course_id: 'x', rank: 1 }, { course_id: 'y', rank: 2 }, { course_id: otherCourseId, rank: 3 }]
+      });
+      const ranked = [thirdChoice('ranked-a', 'a', 'b'), thirdChoice('ranked-b', 'b', 'a')];
+      const byRequestId = new Map([...urgent, ...ranked].map(request => [request.id, request]));
+
+      // A large term: enough pairs that their preferences add up to more than a fixed pair weight
+      const manyEdges = Array.from({ length: 200 }, (_, index) => (index % 2 === 0
+        ? { a: 'urgent-a', b: 'urgent-b' }
+        : { a: 'ranked-a', b: 'ranked-b' }));
+      const weights = weighPairs(manyEdges, byRequestId, now).map(({ weight }) => weight);
+
+      // Any k + 1 pairs outweigh any k, even the lightest against the heaviest
+      const pairs = manyEdges.length;
+      expect(Math.min(...weights) * pairs).toBeGreaterThan(Math.max(...weights) * (pairs - 1));
+    });
+  });
+});
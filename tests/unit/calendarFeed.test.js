@@ -0,0 +1,165 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const {
+  getStudentSchedule,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getFeedCalendar
+} = require('../../services/calendarFeed');
+const { buildScheduleCalendar, foldLine } = require('../../services/icsCalendar');
+const { sampleUsers, sampleCourses, sampleTimeSlots } = require('../fixtures/testData');
+
+const { alice, bob, charlie } = sampleUsers;
+const { cs101, math201, phys301 } = sampleCourses;
+
+const config = {
+  termDates: { 'Fall 2024': { start: '2024-08-26', end: '2024-12-13' } },
+  semesterWindows: {},
+  timezone: null,
+  refreshHours: 6
+};
+const now = new Date('2024-08-01T12:00:00Z');
+
+const withSlots = (course, slots) => ({
+  ...course,
+  semester: 'Fall',
+  year: 2024,
+  time_slots: slots.map((slot, index) => ({ id: `${course.id}-slot-${index}`, ...slot }))
+});
+
+const eventsOf = (calendar) => calendar.split('BEGIN:VEVENT').slice(1);
+
+describe('Calendar Feed', () => {
+
+  describe('buildScheduleCalendar', () => {
+    test('should repeat each meeting weekly for the term', () => {
+      const calendar = buildScheduleCalendar(
+        [withSlots({ ...cs101, instructor: 'Dr. Smith' }, sampleTimeSlots.cs101_mwf)],
+        { config, now }
+      );
+      const [monday] = eventsOf(calendar);
+
+      expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(eventsOf(calendar)).toHaveLength(3);
+      expect(monday).toContain('DTSTART:20240826T090000\r\n');
+      expect(monday).toContain('DTEND:20240826T100000\r\n');
+      // Every Monday from Aug 26 to Dec 9
+      expect(monday).toContain('RRULE:FREQ=WEEKLY;COUNT=16\r\n');
+      expect(monday).toContain('LOCATION:CS Building 101\r\n');
+      expect(monday).toContain('DESCRIPTION:Instructor: Dr. Smith\r\n');
+    });
+
+    test('should keep slots within their own dates and skip exception dates', () => {
+      const calendar = buildScheduleCalendar([withSlots(math201, [{
+        ...sampleTimeSlots.math201_tr[0],
+        start_date: '2024-10-15',
+        exception_dates: ['2024-11-26', '2025-01-07']
+      }])], { config: { ...config, timezone: 'America/Los_Angeles' }, now });
+
+      expect(calendar).toContain('DTSTART;TZID=America/Los_Angeles:20241015T110000\r\n');
+      expect(calendar).toContain('RRULE:FREQ=WEEKLY;COUNT=9\r\n');
+      expect(calendar).toContain('EXDATE;TZID=America/Los_Angeles:20241126T110000\r\n');
+    });
+
+    test('should define the time zone the meetings are in', () => {
+      const calendar = buildScheduleCalendar(
+        [withSlots(cs101, [sampleTimeSlots.cs101_mwf[0]])],
+        { config: { ...config, timezone: 'America/Los_Angeles' }, now }
+      );
+      const [timezone] = calendar.match(/BEGIN:VTIMEZONE[\s\S]*END:VTIMEZONE\r\n/);
+
+      expect(calendar.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(calendar.indexOf('BEGIN:VEVENT'));
+      expect(timezone).toContain('TZID:America/Los_Angeles\r\n');
+      // Daylight time ends on November 3, 2024
+      expect(timezone).toContain([
+        'BEGIN:STANDARD',
+        'DTSTART:20241103T020000',
+        'TZOFFSETFROM:-0700',
+        'TZOFFSETTO:-0800',
+        'END:STANDARD'
+      ].join('\r\n'));
+      expect(buildScheduleCalendar([withSlots(cs101, [sampleTimeSlots.cs101_mwf[0]])], { config, now }))
+        .not.toContain('VTIMEZONE');
+    });
+
+    test('should use the dates of the course\'s term over the configured ones', () => {
+      const calendar = buildScheduleCalendar(
+        [withSlots({ ...cs101, terms: { start_date: '2024-09-02', end_date: '2024-09-20' } }, [sampleTimeSlots.cs101_mwf[0]])],
+        { config, now }
+      );
+
+      expect(calendar).toContain('DTSTART:20240902T090000\r\n');
+      expect(calendar).toContain('RRULE:FREQ=WEEKLY;COUNT=3\r\n');
+    });
+
+    test('should escape text and fold long lines', () => {
+      const calendar = buildScheduleCalendar(
+        [withSlots({ ...cs101, course_title: 'Programming, Part 1; Labs' }, [sampleTimeSlots.cs101_mwf[0]])],
+        { config, now }
+      );
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+
+      expect(calendar).toContain('SUMMARY:CS101 Programming\\, Part 1\\; Labs\r\n');
+      expect(folded.split('\r\n ').map(piece => piece.length)).toEqual([75, 37]);
+    });
+  });
+
+  describe('getStudentSchedule', () => {
+    const courses = [cs101, math201, phys301].map(course => ({ ...course, semester: 'Fall', year: 2024 }));
+
+    test('should apply completed swaps on top of enrollments', async () => {
+      fakeSupabase.db.reset({
+        courses,
+        time_slots: [],
+        enrollments: [
+          { id: 'enrollment-1', student_id: alice.id, course_id: cs101.id, enrollment_status: 'enrolled' },
+          { id: 'enrollment-2', student_id: alice.id, course_id: phys301.id, enrollment_status: 'dropped' }
+        ],
+        swap_matches: [
+          // Alice gave CS101 for MATH201, then MATH201 for PHYS301 in a loop
+          { id: 'match-1', student_a_id: bob.id, student_b_id: alice.id, course_a_id: math201.id, course_b_id: cs101.id, match_status: 'completed', completed_at: '2024-09-01T00:00:00Z' },
+          { id: 'match-2', match_type: 'cycle', student_a_id: alice.id, student_b_id: charlie.id, course_a_id: math201.id, course_b_id: phys301.id, match_status: 'completed', completed_at: '2024-09-05T00:00:00Z' },
+          { id: 'match-3', student_a_id: alice.id, student_b_id: bob.id, course_a_id: phys301.id, course_b_id: cs101.id, match_status: 'pending' }
+        ],
+        swap_match_participants: [
+          { id: 'participant-1', match_id: 'match-2', student_id: alice.id, gives_course_id: math201.id, receives_course_id: phys301.id, position: 0 },
+          { id: 'participant-2', match_id: 'match-2', student_id: charlie.id, gives_course_id: phys301.id, receives_course_id: math201.id, position: 1 }
+        ]
+      });
+
+      const schedule = await getStudentSchedule(alice.id);
+
+      expect(schedule.map(course => course.course_code)).toEqual(['PHYS301']);
+    });
+  });
+
+  describe('subscription tokens', () => {
+    test('should serve the calendar until the token is replaced or revoked', async () => {
+      fakeSupabase.db.reset({
+        courses: [{ ...cs101, semester: 'Fall', year: 2024 }],
+        time_slots: [{ id: 'slot-1', ...sampleTimeSlots.cs101_mwf[0] }],
+        enrollments: [{ id: 'enrollment-1', student_id: alice.id, course_id: cs101.id, enrollment_status: 'enrolled' }],
+        swap_matches: [],
+        swap_match_participants: [],
+        calendar_feeds: []
+      });
+
+      const first = await createCalendarFeed(alice.id);
+      expect(await getFeedCalendar(first.token)).toContain('SUMMARY:CS101 Introduction to Programming');
+      expect(fakeSupabase.db.table('calendar_feeds')[0].last_accessed_at).toBeTruthy();
+
+      const second = await createCalendarFeed(alice.id);
+      expect(second.token).not.toBe(first.token);
+      expect(await getFeedCalendar(first.token)).toBeNull();
+
+      expect(await revokeCalendarFeed(alice.id)).toBe(true);
+      expect(await getFeedCalendar(second.token)).toBeNull();
+      expect(await revokeCalendarFeed(alice.id)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const { proposeCalendarImport, confirmCalendarImport } = require('../../services/scheduleImport');
+const { parseCalendar, getEventMeetings } = require('../../services/icsCalendar');
+const { sampleUsers, sampleTimeSlots } = require('../fixtures/testData');
+
+const { alice } = sampleUsers;
+const term = { id: 'term-fall-2024', name: 'Fall 2024', semester: 'Fall', year: 2024 };
+
+const calendarOf = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Registrar//Schedule//EN',
+  ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const catalogCourse = (id, courseCode, extra = {}) => ({
+  id,
+  course_code: courseCode,
+  course_title: courseCode,
+  semester: 'Fall',
+  year: 2024,
+  term_id: 'term-fall-2024',
+  max_capacity: null,
+  current_enrollment: 0,
+  ...extra
+});
+
+const slotsFor = (courseId, slots) => slots.map((slot, index) => ({ ...slot, id: `${courseId}-slot-${index}`, course_id: courseId }));
+
+describe('Calendar Import', () => {
+
+  describe('parseCalendar', () => {
+    test('should read weekly recurrences into meetings', () => {
+      const [event] = parseCalendar(calendarOf([
+        'UID:cs101@registrar',
+        'SUMMARY:CS101 Introduction to Programming\\, Lecture',
+        'DTSTART;TZID=America/Los_Angeles:20240826T090000',
+        'DTEND;TZID=America/Los_Angeles:20240826T100000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20241213T235959Z',
+        'EXDATE;TZID=America/Los_Angeles:20241125T090000',
+        'LOCATION:CS Buildin',
+        ' g 101'
+      ]), { timezone: 'America/Los_Angeles' });
+
+      expect(event.summary).toBe('CS101 Introduction to Programming, Lecture');
+      expect(getEventMeetings(event).meetings).toEqual([1, 3, 5].map(day => ({
+        day_of_week: day,
+        start_time: '09:00:00',
+        end_time: '10:00:00',
+        location: 'CS Building 101',
+        start_date: '2024-08-26',
+        end_date: '2024-12-13',
+        exception_dates: ['2024-11-25']
+      })));
+    });
+
+    test('should move UTC times into the campus time zone and end COUNT rules on the last meeting', () => {
+      const [event] = parseCalendar(calendarOf([
+        'SUMMARY:MATH201',
+        'DTSTART:20240827T180000Z',
+        'DTEND:20240827T193000Z',
+        'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4'
+      ]), { timezone: 'America/Los_Angeles' });
+
+      const { meetings } = getEventMeetings(event);
+
+      expect(meetings.map(meeting => [meeting.day_of_week, meeting.start_time, meeting.end_time])).toEqual([
+        [2, '11:00:00', '12:30:00'],
+        [4, '11:00:00', '12:30:00']
+      ]);
+      expect(meetings[0].end_date).toBe('2024-09-05');
+    });
+
+    test('should leave out cancelled events and explain the ones it cannot place', () => {
+      const events = parseCalendar(calendarOf(
+        ['SUMMARY:Dropped', 'STATUS:CANCELLED', 'DTSTART:20240826T090000', 'DTEND:20240826T100000'],
+        ['SUMMARY:Orientation', 'DTSTART;VALUE=DATE:20240824', 'DTEND;VALUE=DATE:20240825'],
+        ['SUMMARY:Seminar', 'DTSTART:20240826T090000', 'DTEND:20240826T100000', 'RRULE:FREQ=MONTHLY']
+      ));
+
+      expect(events.map(event => [event.summary, getEventMeetings(event).reason])).toEqual([
+        ['Orientation', 'no_meeting_times'],
+        ['Seminar', 'unsupported_recurrence']
+      ]);
+    });
+  });
+
+  describe('proposeCalendarImport', () => {
+    beforeEach(() => {
+      fakeSupabase.db.reset({
+        courses: [
+          catalogCourse('course-cs101-01', 'CS101-01'),
+          catalogCourse('course-cs101-02', 'CS101-02'),
+          catalogCourse('course-math201', 'MATH201'),
+          catalogCourse('course-phys301', 'PHYS301'),
+          catalogCourse('course-math201-spring', 'MATH201', { semester: 'Spring', year: 2025, term_id: 'term-spring-2025' })
+        ],
+        time_slots: [
+          ...slotsFor('course-cs101-01', sampleTimeSlots.cs101_mwf),
+          ...slotsFor('course-cs101-02', sampleTimeSlots.cs201_tr),
+          ...slotsFor('course-math201', sampleTimeSlots.math201_tr),
+          ...slotsFor('course-phys301', sampleTimeSlots.phys301_mw)
+        ],
+        enrollments: [{ id: 'enrollment-1', student_id: alice.id, course_id: 'course-math201', enrollment_status: 'enrolled' }]
+      });
+    });
+
+    test('should propose courses whose code and meetings match, without enrolling', async () => {
+      const calendar = calendarOf(
+        ['SUMMARY:CS 101-01 Lecture', 'DTSTART:20240826T090000', 'DTEND:20240826T100000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20241213'],
+        // One event per meeting, as some registrars export them
+        ['SUMMARY:MATH 201', 'DTSTART:20240827T110000', 'DTEND:20240827T123000'],
+        ['SUMMARY:MATH 201', 'DTSTART:20240829T110000', 'DTEND:20240829T123000'],
+        ['SUMMARY:MATH 201', 'DTSTART:20240903T110000', 'DTEND:20240903T123000']
+      );
+
+      const { proposed, alreadyEnrolled, unmatched } = await proposeCalendarImport(alice.id, calendar, term);
+
+      expect(proposed.map(entry => [entry.course.id, entry.match, entry.events])).toEqual([
+        ['course-cs101-01', 'code_and_meetings', ['CS 101-01 Lecture']]
+      ]);
+      expect(alreadyEnrolled.map(entry => [entry.course.id, entry.meetingOverlap, entry.enrollment_status])).toEqual([
+        ['course-math201', 1, 'enrolled']
+      ]);
+      expect(unmatched).toEqual([]);
+      expect(fakeSupabase.db.table('enrollments')).toHaveLength(1);
+    });
+
+    test('should list the closest courses for events it cannot match', async () => {
+      const calendar = calendarOf(
+        ['SUMMARY:CS101 Lab', 'DTSTART:20240830T130000', 'DTEND:20240830T150000', 'RRULE:FREQ=WEEKLY'],
+        ['SUMMARY:Study group', 'DTSTART:20240826T140000', 'DTEND:20240826T153000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'],
+        ['SUMMARY:Orientation', 'DTSTART;VALUE=DATE:20240824']
+      );
+
+      const { proposed, unmatched } = await proposeCalendarImport(alice.id, calendar, term);
+
+      expect(proposed).toEqual([]);
+      expect(unmatched.map(entry => [
+        entry.summary,
+        entry.reason,
+        entry.candidates.map(candidate => [candidate.course.id, candidate.codeMatch, candidate.meetingOverlap])
+      ])).toEqual([
+        ['Orientation', 'no_meeting_times', []],
+        // Both sections carry the code but neither meets on Friday afternoons
+        ['CS101 Lab', 'no_matching_course', [['course-cs101-01', true, 0], ['course-cs101-02', true, 0]]],
+        ['Study group', 'no_matching_course', [['course-phys301', false, 1]]]
+      ]);
+    });
+  });
+
+  describe('confirmCalendarImport', () => {
+    test('should enroll in the accepted courses and report the rest', async () => {
+      fakeSupabase.db.reset({
+        courses: [
+          catalogCourse('course-cs101-01', 'CS101-01'),
+          catalogCourse('course-math201', 'MATH201'),
+          catalogCourse('course-phys301', 'PHYS301', { max_capacity: 1, current_enrollment: 1 })
+        ],
+        enrollments: [{ id: 'enrollment-1', student_id: alice.id, course_id: 'course-math201', enrollment_status: 'enrolled' }]
+      });
+
+      const { imported, skipped, failed } = await confirmCalendarImport(alice.id, [
+        'course-cs101-01', 'course-math201', 'course-phys301', 'course-missing', 'course-cs101-01'
+      ]);
+
+      expect(imported.map(entry => entry.course.id)).toEqual(['course-cs101-01']);
+      expect(skipped).toEqual([
+        { course_id: 'course-math201', course_code: 'MATH201', reason: 'already_enrolled', enrollment_status: 'enrolled' }
+      ]);
+      expect(failed).toEqual([
+        { course_id: 'course-phys301', course_code: 'PHYS301', errors: ['Course is at maximum capacity'] },
+        { course_id: 'course-missing', errors: ['Course not found'] }
+      ]);
+      expect(fakeSupabase.db.table('enrollments')).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+const auth = require('../../middleware/auth');
+const { sampleUsers } = require('../fixtures/testData');
+
+const { alice } = sampleUsers;
+
+// The routes read supabase and the auth middleware when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabase = fakeSupabase;
+supabaseConfig.supabaseAdmin = fakeSupabase;
+auth.authenticateToken = (req, res, next) => {
+  req.user = { id: alice.id };
+  next();
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses', require('../../routes/courses'));
+
+// One seat in CS 101, already taken
+const fullCourse = { id: 'cs101', course_code: 'CS 101', course_title: 'Intro to CS', max_capacity: 1, current_enrollment: 1 };
+
+const aliceEntry = () => fakeSupabase.db.table('enrollments')
+  .find(row => row.student_id === alice.id && row.course_id === fullCourse.id);
+
+describe('Course requests for full courses', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset({
+      courses: [{ ...fullCourse }],
+      time_slots: [],
+      enrollments: [{ id: 'enrollment-bob', student_id: 'bob', course_id: fullCourse.id, enrollment_status: 'enrolled' }],
+      course_requests: [],
+      course_restrictions: [],
+      completed_courses: [],
+      profiles: [alice]
+    });
+  });
+
+  test('should put the request on the course waitlist', async () => {
+    const response = await request(app)
+      .post('/api/courses/requests')
+      .send({ courseId: fullCourse.id });
+
+    expect(response.status).toBe(201);
+    expect(response.body.waitlist).toMatchObject({ enrollment_status: 'waitlist', position: 1 });
+    expect(aliceEntry().course_request_id).toBe(response.body.request.id);
+  });
+
+  test('should tie the request to a place the student already holds', async () => {
+    fakeSupabase.db.table('enrollments').push(
+      { id: 'enrollment-carol', student_id: 'carol', course_id: fullCourse.id, enrollment_status: 'waitlist', waitlist_position: 1 },
+      { id: 'enrollment-alice', student_id: alice.id, course_id: fullCourse.id, enrollment_status: 'waitlist', waitlist_position: 2, course_request_id: null }
+    );
+
+    const response = await request(app)
+      .post('/api/courses/requests')
+      .send({ courseId: fullCourse.id });
+
+    expect(response.status).toBe(201);
+    expect(response.body.waitlist).toMatchObject({ id: 'enrollment-alice', position: 2 });
+    expect(aliceEntry().course_request_id).toBe(response.body.request.id);
+    expect(fakeSupabase.db.table('enrollments').filter(row => row.student_id === alice.id)).toHaveLength(1);
+  });
+
+  test('should take the request back when it cannot join the waitlist', async () => {
+    fakeSupabase.db.table('enrollments').push(
+      { id: 'enrollment-alice', student_id: alice.id, course_id: fullCourse.id, enrollment_status: 'dropped' }
+    );
+
+    const response = await request(app)
+      .post('/api/courses/requests')
+      .send({ courseId: fullCourse.id });
+
+    expect(response.status).toBe(500);
+    expect(fakeSupabase.db.table('course_requests')).toEqual([]);
+  });
+});
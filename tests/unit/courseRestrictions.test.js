@@ -0,0 +1,59 @@
+const { findRestrictionIssues, normalizeCourseCode } = require('../../services/courseRestrictions');
+
+const restriction = (overrides = {}) => ({
+  course_id: 'cs201',
+  prerequisite_course_codes: [],
+  allowed_majors: [],
+  allowed_years: [],
+  requires_instructor_permission: false,
+  enforced: true,
+  ...overrides
+});
+
+const student = { major: 'Computer Science', year: 2, completedCourseCodes: ['CS 101'] };
+
+describe('Course Restrictions', () => {
+  test('should normalize course codes', () => {
+    expect(normalizeCourseCode(' cs 101 ')).toBe('CS101');
+  });
+
+  test('should allow anyone into an unrestricted course', () => {
+    expect(findRestrictionIssues('cs201', undefined, student)).toEqual({ conflicts: [], warnings: [] });
+  });
+
+  test('should accept completed prerequisites regardless of formatting', () => {
+    const issues = findRestrictionIssues('cs201', restriction({ prerequisite_course_codes: ['cs101'] }), student);
+
+    expect(issues.conflicts).toEqual([]);
+  });
+
+  test('should report missing prerequisites and major or class-year limits', () => {
+    const issues = findRestrictionIssues('cs201', restriction({
+      prerequisite_course_codes: ['CS101', 'MATH101'],
+      allowed_majors: ['Mathematics'],
+      allowed_years: [3, 4]
+    }), student);
+
+    expect(issues.conflicts).toEqual([
+      { type: 'restriction', courseId: 'cs201', code: 'missing_prerequisite', missingPrerequisites: ['MATH101'] },
+      { type: 'restriction', courseId: 'cs201', code: 'major_restricted', allowedMajors: ['Mathematics'], major: 'Computer Science' },
+      { type: 'restriction', courseId: 'cs201', code: 'class_year_restricted', allowedYears: [3, 4], year: 2 }
+    ]);
+  });
+
+  test('should only warn about restrictions that are not enforced', () => {
+    const issues = findRestrictionIssues('cs201', restriction({ allowed_years: [4], enforced: false }), student);
+
+    expect(issues.conflicts).toEqual([]);
+    expect(issues.warnings).toMatchObject([{ code: 'class_year_restricted' }]);
+  });
+
+  test('should warn that instructor permission is needed', () => {
+    const issues = findRestrictionIssues('cs201', restriction({ requires_instructor_permission: true }), student);
+
+    expect(issues).toEqual({
+      conflicts: [],
+      warnings: [{ type: 'restriction', courseId: 'cs201', code: 'instructor_permission' }]
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const matchingConfig = require('../../config/matching');
+const { resolveCreditLimits, findCreditIssues } = require('../../services/creditRules');
+
+const fall = { semester: 'Fall', year: 2024 };
+const course = (id, credits, term = fall) => ({ id, credits, ...term });
+
+describe('Credit Rules', () => {
+  const originalLimits = { minCredits: matchingConfig.minCredits, maxCredits: matchingConfig.maxCredits };
+
+  afterEach(() => {
+    Object.assign(matchingConfig, originalLimits);
+  });
+
+  describe('resolveCreditLimits', () => {
+    const rules = [
+      { student_id: null, semester: 'Fall', year: 2024, min_credits: 12, max_credits: 18 },
+      { student_id: 'alice', semester: null, year: null, min_credits: null, max_credits: 21 },
+      { student_id: 'alice', semester: 'Fall', year: 2024, min_credits: 9, max_credits: null }
+    ];
+
+    test('should take each bound from the most specific rule that sets it', () => {
+      expect(resolveCreditLimits(rules, 'alice', fall)).toEqual({ minCredits: 9, maxCredits: 21 });
+      expect(resolveCreditLimits(rules, 'bob', fall)).toEqual({ minCredits: 12, maxCredits: 18 });
+    });
+
+    test('should fall back to the configured defaults', () => {
+      Object.assign(matchingConfig, { minCredits: 8, maxCredits: 20 });
+
+      expect(resolveCreditLimits(rules, 'bob', { semester: 'Spring', year: 2025 }))
+        .toEqual({ minCredits: 8, maxCredits: 20 });
+      expect(resolveCreditLimits(rules, 'alice', { semester: 'Spring', year: 2025 }))
+        .toEqual({ minCredits: 8, maxCredits: 21 });
+    });
+  });
+
+  describe('findCreditIssues', () => {
+    const rules = [{ student_id: null, semester: 'Fall', year: 2024, min_credits: 12, max_credits: 16 }];
+    const enrolledCourses = [course('a', 4), course('b', 4), course('c', 4)];
+
+    test('should reject a swap that drops the student below the minimum', () => {
+      expect(findCreditIssues({
+        studentId: 'alice',
+        enrolledCourses,
+        droppedCourses: [enrolledCourses[0]],
+        addedCourses: [course('d', 3)],
+        rules
+      })).toEqual([{
+        type: 'credits',
+        semester: 'Fall',
+        year: 2024,
+        creditsBefore: 12,
+        creditsAfter: 11,
+        minCredits: 12,
+        maxCredits: 16
+      }]);
+    });
+
+    test('should reject a swap that pushes the student over the maximum', () => {
+      const issues = findCreditIssues({
+        studentId: 'alice',
+        enrolledCourses: [...enrolledCourses, course('d', 3)],
+        droppedCourses: [enrolledCourses[0]],
+        addedCourses: [course('e', 6)],
+        rules
+      });
+
+      expect(issues).toMatchObject([{ creditsBefore: 15, creditsAfter: 17 }]);
+    });
+
+    test('should allow swaps within range or that don\'t make things worse', () => {
+      expect(findCreditIssues({
+        studentId: 'alice',
+        enrolledCourses,
+        droppedCourses: [enrolledCourses[0]],
+        addedCourses: [course('d', 4)],
+        rules
+      })).toEqual([]);
+
+      // Already under the minimum, and the swap adds credits
+      expect(findCreditIssues({
+        studentId: 'alice',
+        enrolledCourses: enrolledCourses.slice(0, 2),
+        droppedCourses: [enrolledCourses[0]],
+        addedCourses: [course('d', 5)],
+        rules
+      })).toEqual([]);
+    });
+  });
+});
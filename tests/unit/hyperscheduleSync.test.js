@@ -0,0 +1,298 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const hyperscheduleService = require('../../services/hyperscheduleService');
+const { diffCourseFields, diffTimeSlots } = require('../../services/courseDiff');
+const { getScheduleChanges, acknowledgeScheduleChange } = require('../../services/scheduleChanges');
+const { sampleUsers } = require('../fixtures/testData');
+
+const { alice, bob } = sampleUsers;
+
+const fall2024 = {
+  id: 'term-fall-2024',
+  name: 'Fall 2024',
+  semester: 'Fall',
+  year: 2024,
+  start_date: '2024-08-26',
+  end_date: '2024-12-13',
+  is_current: true
+};
+
+const slot = (day, start, end, location = 'Shanahan 1460') => ({
+  day_of_week: day,
+  start_time: start,
+  end_time: end,
+  location,
+  start_date: '2024-08-26',
+  end_date: '2024-12-13',
+  exception_dates: []
+});
+
+const hyperCourse = (courseCode, overrides = {}) => ({
+  courseCode,
+  courseName: `${courseCode} Course`,
+  department: 'CSCI',
+  faculty: ['Prof. Smith'],
+  semester: 'Fall',
+  year: 2024,
+  courseStartDate: '2024-08-26',
+  courseEndDate: '2024-12-13',
+  schedule: [{ scheduleDays: 'MW', scheduleStartTime: '09:00', scheduleEndTime: '10:15', scheduleLocation: 'Shanahan 1460' }],
+  ...overrides
+});
+
+describe('Hyperschedule sync', () => {
+
+  describe('courseDiff', () => {
+    test('should report only the tracked fields that changed', () => {
+      const existing = { course_title: 'Data Structures', instructor: 'Prof. Smith', description: null, current_enrollment: 20 };
+
+      expect(diffCourseFields(existing, {
+        course_title: 'Data Structures',
+        instructor: 'Prof. Jones',
+        description: '',
+        current_enrollment: 25
+      })).toEqual({ instructor: { from: 'Prof. Smith', to: 'Prof. Jones' } });
+    });
+
+    test('should keep matching slots and tell room changes from meeting time changes', () => {
+      const existing = [{ id: 'slot-1', ...slot(1, '09:00:00', '10:15:00') }, { id: 'slot-2', ...slot(3, '09:00:00', '10:15:00') }];
+
+      const moved = diffTimeSlots(existing, [slot(1, '09:00', '10:15'), slot(3, '09:00', '10:15', 'Parsons 1285')]);
+      expect(moved.added).toHaveLength(1);
+      expect(moved.removed.map(removed => removed.id)).toEqual(['slot-2']);
+      expect(moved.meetingTimesChanged).toBe(false);
+
+      const rescheduled = diffTimeSlots(existing, [slot(1, '09:00', '10:15'), slot(3, '13:15', '14:30')]);
+      expect(rescheduled.removed.map(removed => removed.id)).toEqual(['slot-2']);
+      expect(rescheduled.meetingTimesChanged).toBe(true);
+
+      expect(diffTimeSlots(existing, [slot(3, '09:00', '10:15'), slot(1, '09:00', '10:15')]))
+        .toEqual({ added: [], removed: [], meetingTimesChanged: false });
+    });
+
+    test('should count duplicate slots one by one', () => {
+      const monday = slot(1, '09:00', '10:15');
+
+      expect(diffTimeSlots([], [monday, monday, monday]).added).toHaveLength(3);
+      expect(diffTimeSlots([{ id: 'slot-1', ...monday }, { id: 'slot-2', ...monday }], []).removed.map(removed => removed.id))
+        .toEqual(['slot-1', 'slot-2']);
+      expect(diffTimeSlots([{ id: 'slot-1', ...monday }], [monday, monday]).added).toHaveLength(1);
+    });
+  });
+
+  describe('syncAllCourses', () => {
+    let fetchCourses;
+
+    beforeEach(() => {
+      fakeSupabase.db.reset({
+        terms: [fall2024],
+        courses: [],
+        time_slots: [],
+        enrollments: [],
+        swap_requests: [],
+        course_changes: [],
+        schedule_change_flags: [],
+        hyperschedule_sync_state: []
+      });
+      fetchCourses = jest.spyOn(hyperscheduleService, 'fetchCoursesFromHyperschedule');
+    });
+
+    afterEach(() => {
+      fetchCourses.mockRestore();
+    });
+
+    const syncFull = async () => {
+      fetchCourses.mockResolvedValueOnce({
+        until: 'cursor-1',
+        data: { courses: [hyperCourse('CSCI 070'), hyperCourse('MATH 055'), hyperCourse('CSCI 140', { semester: 'Spring', year: 2025 })] }
+      });
+      return hyperscheduleService.syncAllCourses('hmc', fall2024);
+    };
+
+    const courseId = (code) => fakeSupabase.db.table('courses').find(course => course.course_code === code).id;
+
+    test('should pull the whole catalog the first time and save the cursor', async () => {
+      const result = await syncFull();
+
+      expect(fetchCourses).toHaveBeenCalledWith('hmc', null);
+      expect(result).toMatchObject({ mode: 'full', cursor: 'cursor-1', createdCount: 2, skippedCount: 1, errorCount: 0 });
+      expect(fakeSupabase.db.table('time_slots')).toHaveLength(4);
+      expect(fakeSupabase.db.table('hyperschedule_sync_state')).toEqual([
+        expect.objectContaining({ school: 'hmc', term_id: fall2024.id, cursor: 'cursor-1', last_full_sync_at: expect.any(String) })
+      ]);
+    });
+
+    test('should apply only the changes since the cursor and flag enrolled students', async () => {
+      await syncFull();
+      const csciId = courseId('CSCI 070');
+      const mondaySlotId = fakeSupabase.db.table('time_slots').find(row => row.course_id === csciId && row.day_of_week === 1).id;
+
+      fakeSupabase.db.table('enrollments').push(
+        { id: 'enrollment-alice', student_id: alice.id, course_id: csciId, enrollment_status: 'enrolled' },
+        { id: 'enrollment-bob', student_id: bob.id, course_id: csciId, enrollment_status: 'dropped' }
+      );
+      fakeSupabase.db.table('swap_requests').push(
+        { id: 'request-active', requester_id: alice.id, from_course_id: csciId, status: 'active', schedule_changed_at: null },
+        { id: 'request-completed', requester_id: alice.id, from_course_id: csciId, status: 'completed', schedule_changed_at: null },
+        { id: 'request-other', requester_id: alice.id, from_course_id: courseId('MATH 055'), status: 'active', schedule_changed_at: null }
+      );
+
+      // Wednesday moves to Friday; MATH 055 is listed again without changes
+      fetchCourses.mockResolvedValueOnce({
+        until: 'cursor-2',
+        data: {
+          courses: [
+            hyperCourse('CSCI 070', {
+              faculty: ['Prof. Jones'],
+              schedule: [
+                { scheduleDays: 'M', scheduleStartTime: '09:00', scheduleEndTime: '10:15', scheduleLocation: 'Shanahan 1460' },
+                { scheduleDays: 'F', scheduleStartTime: '09:00', scheduleEndTime: '10:15', scheduleLocation: 'Shanahan 1460' }
+              ]
+            }),
+            hyperCourse('MATH 055')
+          ]
+        }
+      });
+
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+
+      expect(fetchCourses).toHaveBeenLastCalledWith('hmc', 'cursor-1');
+      expect(result).toMatchObject({
+        mode: 'incremental',
+        since: 'cursor-1',
+        cursor: 'cursor-2',
+        updatedCount: 1,
+        unchangedCount: 1,
+        flaggedStudents: 1,
+        flaggedSwapRequests: 1
+      });
+
+      const csciSlots = fakeSupabase.db.table('time_slots').filter(row => row.course_id === csciId);
+      expect(csciSlots.map(row => row.day_of_week).sort()).toEqual([1, 5]);
+      expect(csciSlots.map(row => row.id)).toContain(mondaySlotId);
+
+      const changes = fakeSupabase.db.table('course_changes').filter(change => change.change_type === 'updated');
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({
+        course_id: csciId,
+        school: 'hmc',
+        field_changes: { instructor: { from: 'Prof. Smith', to: 'Prof. Jones' } },
+        time_slots_added: [expect.objectContaining({ day_of_week: 5 })],
+        time_slots_removed: [expect.objectContaining({ day_of_week: 3 })],
+        meeting_times_changed: true
+      });
+
+      const requests = Object.fromEntries(fakeSupabase.db.table('swap_requests').map(request => [request.id, request.schedule_changed_at]));
+      expect(requests['request-active']).toBeTruthy();
+      expect(requests['request-completed']).toBeNull();
+      expect(requests['request-other']).toBeNull();
+
+      const [flag] = await getScheduleChanges(alice.id);
+      expect(flag.course_changes.id).toBe(changes[0].id);
+      expect(await getScheduleChanges(bob.id)).toEqual([]);
+
+      expect(await acknowledgeScheduleChange(alice.id, flag.id)).toBe(true);
+      expect(await getScheduleChanges(alice.id)).toEqual([]);
+      expect(fakeSupabase.db.table('swap_requests').find(request => request.id === 'request-active').schedule_changed_at).toBeNull();
+    });
+
+    test('should log removed courses without deleting them', async () => {
+      await syncFull();
+      const mathId = courseId('MATH 055');
+      fakeSupabase.db.table('enrollments').push({ id: 'enrollment-bob', student_id: bob.id, course_id: mathId, enrollment_status: 'enrolled' });
+
+      fetchCourses.mockResolvedValueOnce({ until: 'cursor-2', data: { courses: { 'MATH 055': null } } });
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+
+      expect(result).toMatchObject({ removedCount: 1, flaggedStudents: 1 });
+      expect(fakeSupabase.db.table('courses').some(course => course.id === mathId)).toBe(true);
+      expect(fakeSupabase.db.table('course_changes').find(change => change.change_type === 'removed'))
+        .toMatchObject({ course_id: mathId, time_slots_removed: [expect.any(Object), expect.any(Object)] });
+    });
+
+    test('should log and flag a removed course only the first time', async () => {
+      await syncFull();
+      const mathId = courseId('MATH 055');
+      fakeSupabase.db.table('enrollments').push({ id: 'enrollment-bob', student_id: bob.id, course_id: mathId, enrollment_status: 'enrolled' });
+
+      fetchCourses.mockResolvedValueOnce({ until: 'cursor-2', data: { courses: { 'MATH 055': null } } });
+      await hyperscheduleService.syncAllCourses('hmc', fall2024);
+      fetchCourses.mockResolvedValueOnce({ until: 'cursor-3', data: { courses: { 'MATH 055': null } } });
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+
+      expect(result).toMatchObject({ removedCount: 0, flaggedStudents: 0 });
+      expect(fakeSupabase.db.table('course_changes').filter(change => change.change_type === 'removed')).toHaveLength(1);
+      expect(await getScheduleChanges(bob.id)).toHaveLength(1);
+      expect(fakeSupabase.db.table('courses').find(course => course.id === mathId).removed_at).toEqual(expect.any(String));
+    });
+
+    test('should keep the saved cursor when Hyperschedule returns none', async () => {
+      await syncFull();
+      const [firstState] = fakeSupabase.db.table('hyperschedule_sync_state');
+      firstState.last_synced_at = '2024-01-01T00:00:00.000Z';
+
+      fetchCourses.mockResolvedValueOnce({ data: { courses: [hyperCourse('CSCI 070')] } });
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024, { full: true });
+
+      expect(result).toMatchObject({ mode: 'full', errorCount: 0, cursor: 'cursor-1' });
+      expect(fakeSupabase.db.table('hyperschedule_sync_state')).toEqual([
+        expect.objectContaining({ cursor: 'cursor-1', last_synced_at: expect.not.stringMatching(/^2024-01-01/) })
+      ]);
+    });
+
+    test('should log the change and flag students before writing it, once', async () => {
+      await syncFull();
+      const csciId = courseId('CSCI 070');
+      fakeSupabase.db.table('enrollments').push({ id: 'enrollment-alice', student_id: alice.id, course_id: csciId, enrollment_status: 'enrolled' });
+      // Logged well before this sync
+      fakeSupabase.db.table('course_changes').forEach(change => { change.synced_at = '2024-08-01T00:00:00.000Z'; });
+
+      // A Friday meeting is added
+      const addFriday = () => fetchCourses.mockResolvedValueOnce({
+        until: 'cursor-2',
+        data: {
+          courses: [hyperCourse('CSCI 070', {
+            schedule: [{ scheduleDays: 'MWF', scheduleStartTime: '09:00', scheduleEndTime: '10:15', scheduleLocation: 'Shanahan 1460' }]
+          })]
+        }
+      });
+      const updatedChanges = () => fakeSupabase.db.table('course_changes').filter(change => change.change_type === 'updated');
+
+      addFriday();
+      const insertSlots = jest.spyOn(hyperscheduleService, 'insertTimeSlots').mockRejectedValueOnce(new Error('Network error'));
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+      insertSlots.mockRestore();
+
+      expect(result).toMatchObject({ errorCount: 1, cursor: 'cursor-1' });
+      expect(updatedChanges()).toEqual([expect.objectContaining({ course_id: csciId, meeting_times_changed: true })]);
+      expect(await getScheduleChanges(alice.id)).toHaveLength(1);
+
+      // The retry writes the change without logging or flagging it again
+      addFriday();
+      const retry = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+
+      expect(retry).toMatchObject({ errorCount: 0, updatedCount: 1, flaggedStudents: 0, cursor: 'cursor-2' });
+      expect(updatedChanges()).toHaveLength(1);
+      expect(fakeSupabase.db.table('time_slots').filter(row => row.course_id === csciId)).toHaveLength(3);
+      expect(await getScheduleChanges(alice.id)).toHaveLength(1);
+    });
+
+    test('should keep the cursor when a course fails to sync', async () => {
+      await syncFull();
+
+      fetchCourses.mockResolvedValueOnce({ until: 'cursor-2', data: { courses: [hyperCourse('CSCI 070', { courseName: 'Renamed' })] } });
+      const syncCourse = jest.spyOn(hyperscheduleService, 'syncCourseToDatabase').mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await hyperscheduleService.syncAllCourses('hmc', fall2024);
+      syncCourse.mockRestore();
+
+      expect(result).toMatchObject({ errorCount: 1, cursor: 'cursor-1' });
+      expect(fakeSupabase.db.table('hyperschedule_sync_state')[0].cursor).toBe('cursor-1');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { getCandidateReasons } = require('../../services/matchDiagnostics');
+const { findTimeConflicts, studentPairKey } = require('../../services/matchingAlgorithm');
+const { sampleUsers, sampleCourses } = require('../fixtures/testData');
+
+const now = new Date('2024-01-15T00:00:00Z').getTime();
+
+const makeRequest = (id, requesterId, fromCourseId, desiredCourseId, overrides = {}) => ({
+  id,
+  requester_id: requesterId,
+  from_course_id: fromCourseId,
+  desired_course_id: desiredCourseId,
+  status: 'active',
+  expires_at: '2024-02-01T00:00:00Z',
+  ...overrides
+});
+
+describe('Match Diagnostics', () => {
+  const request = makeRequest('req-alice', sampleUsers.alice.id, sampleCourses.cs101.id, sampleCourses.math201.id);
+
+  describe('getCandidateReasons', () => {
+    test('should find no reasons for a valid reverse request', () => {
+      const candidate = makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id);
+
+      expect(getCandidateReasons(request, candidate, { now })).toEqual([]);
+    });
+
+    test('should report a candidate that does not want our course', () => {
+      const candidate = makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.phys301.id);
+
+      expect(getCandidateReasons(request, candidate, { now })).toEqual([
+        { code: 'no_reverse_request' }
+      ]);
+    });
+
+    test('should report expired candidates', () => {
+      const candidate = makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id, {
+        expires_at: '2024-01-01T00:00:00Z'
+      });
+
+      expect(getCandidateReasons(request, candidate, { now })).toEqual([
+        { code: 'expired', expires_at: '2024-01-01T00:00:00Z' }
+      ]);
+    });
+
+    test('should report candidates already in a pending match', () => {
+      const candidate = makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id);
+      const pendingRequestIds = new Map([['req-bob', 'match-1']]);
+
+      expect(getCandidateReasons(request, candidate, { now, pendingRequestIds })).toEqual([
+        { code: 'pending_match', match_id: 'match-1' }
+      ]);
+    });
+
+    test('should report candidates the requester rejected before', () => {
+      const candidate = makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id);
+      const rejectedPairs = new Set([studentPairKey(sampleUsers.bob.id, sampleUsers.alice.id)]);
+
+      expect(getCandidateReasons(request, candidate, { now, rejectedPairs })).toEqual([
+        { code: 'rejected_pairing' }
+      ]);
+    });
+
+    test('should stop at the same requester', () => {
+      const candidate = makeRequest('req-alice-2', sampleUsers.alice.id, sampleCourses.math201.id, sampleCourses.phys301.id);
+
+      expect(getCandidateReasons(request, candidate, { now })).toEqual([
+        { code: 'same_requester' }
+      ]);
+    });
+  });
+
+  describe('findTimeConflicts', () => {
+    test('should name each clashing pair of slots', () => {
+      const existing = [
+        { day_of_week: 1, start_time: '09:00:00', end_time: '10:00:00', course_code: 'CS101' },
+        { day_of_week: 3, start_time: '09:00:00', end_time: '10:00:00', course_code: 'CS101' }
+      ];
+      const added = [
+        { day_of_week: 1, start_time: '09:30:00', end_time: '10:30:00' },
+        { day_of_week: 2, start_time: '09:30:00', end_time: '10:30:00' }
+      ];
+
+      expect(findTimeConflicts(existing, added)).toEqual([
+        { slot: added[0], conflictsWith: existing[0] }
+      ]);
+    });
+
+    test('should treat back-to-back classes as compatible', () => {
+      const existing = [{ day_of_week: 1, start_time: '09:00:00', end_time: '10:00:00' }];
+      const added = [{ day_of_week: 1, start_time: '10:00:00', end_time: '11:00:00' }];
+
+      expect(findTimeConflicts(existing, added)).toEqual([]);
+    });
+  });
+});
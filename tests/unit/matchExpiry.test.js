@@ -0,0 +1,52 @@
+const { splitMatchResponses, getConfirmationDeadline } = require('../../services/matchingAlgorithm');
+
+describe('Match Expiry', () => {
+
+  describe('splitMatchResponses', () => {
+    test('should reactivate only the student who confirmed a direct swap', () => {
+      const match = {
+        match_type: 'pair',
+        request_a_id: 'req-a',
+        request_b_id: 'req-b',
+        student_a_confirmed: true,
+        student_b_confirmed: false
+      };
+
+      expect(splitMatchResponses(match)).toEqual({
+        responsive: ['req-a'],
+        unresponsive: ['req-b']
+      });
+    });
+
+    test('should treat missing confirmations as no response', () => {
+      const match = { request_a_id: 'req-a', request_b_id: 'req-b' };
+
+      expect(splitMatchResponses(match)).toEqual({
+        responsive: [],
+        unresponsive: ['req-a', 'req-b']
+      });
+    });
+
+    test('should use participant confirmations for cycles', () => {
+      const match = { match_type: 'cycle', request_a_id: 'req-a', request_b_id: 'req-b' };
+      const participants = [
+        { request_id: 'req-a', confirmed: true },
+        { request_id: 'req-b', confirmed: false },
+        { request_id: 'req-c', confirmed: true }
+      ];
+
+      expect(splitMatchResponses(match, participants)).toEqual({
+        responsive: ['req-a', 'req-c'],
+        unresponsive: ['req-b']
+      });
+    });
+  });
+
+  describe('getConfirmationDeadline', () => {
+    test('should add the configured window to the match time', () => {
+      const matchedAt = new Date('2024-01-15T12:00:00Z').getTime();
+
+      expect(getConfirmationDeadline(matchedAt)).toBe('2024-01-17T12:00:00.000Z');
+    });
+  });
+});
@@ -19,7 +19,8 @@ mockChain.update.mockReturnValue(mockChain);
 mockChain.delete.mockReturnValue(mockChain);
 
 const mockSupabaseAdmin = {
-  from: jest.fn(() => mockChain)
+  from: jest.fn(() => mockChain),
+  rpc: jest.fn()
 };
 
 jest.mock('../../config/supabase', () => ({
@@ -127,12 +128,18 @@ describe('Matching Algorithm Unit Tests', () => {
         error: null
       });
 
-      mockChain.eq.mockResolvedValueOnce({
+      mockSupabaseAdmin.rpc.mockResolvedValueOnce({
+        data: { status: 'pending', remaining: 1 },
         error: null
       });
 
       const result = await confirmSwapMatch('match-123', sampleUsers.alice.id);
 
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('confirm_swap_match', {
+        p_match_id: 'match-123',
+        p_student_id: sampleUsers.alice.id
+      });
+
       expect(result).toEqual({
         success: true,
         message: 'Your confirmation recorded. Waiting for the other student to confirm.',
@@ -154,17 +161,19 @@ describe('Matching Algorithm Unit Tests', () => {
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: mockMatch,
-              error: null
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: mockMatch,
+                error: null
+              })
             })
           })
         }),
-        update: jest.fn().mockReturnValue({
-          eq: jest.fn().mockResolvedValue({
-            error: null
-          })
-        })
+      });
+
+      mockSupabaseAdmin.rpc.mockResolvedValueOnce({
+        data: { status: 'confirmed', remaining: 0 },
+        error: null
       });
 
       const result = await confirmSwapMatch('match-123', sampleUsers.alice.id);
@@ -191,9 +200,11 @@ describe('Matching Algorithm Unit Tests', () => {
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: mockMatch,
-              error: null
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: mockMatch,
+                error: null
+              })
             })
           })
         })
@@ -221,9 +232,11 @@ describe('Matching Algorithm Unit Tests', () => {
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: mockMatch,
-              error: null
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: mockMatch,
+                error: null
+              })
             })
           })
         })
@@ -256,9 +269,11 @@ describe('Matching Algorithm Unit Tests', () => {
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: null,
-              error: { message: 'Not found' }
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: null,
+                error: { message: 'Not found' }
+              })
             })
           })
         })
@@ -283,17 +298,19 @@ describe('Matching Algorithm Unit Tests', () => {
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: mockMatch,
-              error: null
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: mockMatch,
+                error: null
+              })
             })
           })
         }),
-        update: jest.fn().mockReturnValue({
-          eq: jest.fn().mockResolvedValue({
-            error: null
-          })
-        })
+      });
+
+      mockSupabaseAdmin.rpc.mockResolvedValueOnce({
+        data: { status: 'confirmed', remaining: 1, bundle_completed: false },
+        error: null
       });
 
       const result = await markSwapCompleted('match-123', sampleUsers.alice.id);
@@ -316,20 +333,22 @@ describe('Matching Algorithm Unit Tests', () => {
         request_b_id: 'req-b'
       };
 
-      const updateMock = jest.fn().mockReturnValue({
-        eq: jest.fn().mockResolvedValue({ error: null })
-      });
-
       mockSupabaseAdmin.from.mockReturnValue({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: mockMatch,
-              error: null
+            eq: jest.fn().mockReturnValue({
+              single: jest.fn().mockResolvedValue({
+                data: mockMatch,
+                error: null
+              })
             })
           })
-        }),
-        update: updateMock
+        })
+      });
+
+      mockSupabaseAdmin.rpc.mockResolvedValueOnce({
+        data: { status: 'completed', remaining: 0, bundle_completed: false },
+        error: null
       });
 
       const result = await markSwapCompleted('match-123', sampleUsers.alice.id);
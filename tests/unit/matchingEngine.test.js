@@ -0,0 +1,501 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+const matchingConfig = require('../../config/matching');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const {
+  processSwapRequest,
+  processSwapBundle,
+  processCourseRequest,
+  batchProcessSwaps,
+  recordRejectedPairings
+} = require('../../services/matchingAlgorithm');
+const { runMatching, canStudentSwapCourses, indexSnapshot } = require('../../services/matchingEngine');
+const { sampleUsers, sampleCourses, sampleTimeSlots } = require('../fixtures/testData');
+
+const dave = { id: 'dave-user-id-000', full_name: 'Dave Miller', email: 'dave@example.com', student_id: 'STU004' };
+
+// MW 9:30-10:30, overlaps CS101
+const chem101 = { id: 'chem101-course-id', course_code: 'CHEM101', course_title: 'General Chemistry' };
+const chem101Slots = [
+  { course_id: chem101.id, day_of_week: 1, start_time: '09:30:00', end_time: '10:30:00', location: 'Chem Hall' },
+  { course_id: chem101.id, day_of_week: 3, start_time: '09:30:00', end_time: '10:30:00', location: 'Chem Hall' }
+];
+
+const allTimeSlots = [
+  ...sampleTimeSlots.cs101_mwf,
+  ...sampleTimeSlots.math201_tr,
+  ...sampleTimeSlots.phys301_mw,
+  ...sampleTimeSlots.cs201_tr,
+  ...chem101Slots
+].map((slot, index) => ({ id: `slot-${index}`, ...slot }));
+
+const enroll = (student, ...courses) => courses.map(course => ({
+  id: `enrollment-${student.id}-${course.id}`,
+  student_id: student.id,
+  course_id: course.id,
+  enrollment_status: 'enrolled'
+}));
+
+let clock = 0;
+const nextTimestamp = () => new Date(Date.UTC(2024, 0, 1, 0, clock++)).toISOString();
+
+const swapRequest = (id, student, fromCourse, targets, priority = 1) => ({
+  id,
+  requester_id: student.id,
+  from_course_id: fromCourse.id,
+  desired_course_id: targets[0].id,
+  status: 'active',
+  priority,
+  bundle_id: null,
+  created_at: nextTimestamp(),
+  expires_at: '2099-01-01T00:00:00.000Z'
+});
+
+const targetsFor = (request, targets) => targets.map((course, index) => ({
+  id: `target-${request.id}-${index}`,
+  swap_request_id: request.id,
+  course_id: course.id,
+  rank: index + 1
+}));
+
+const buildTables = ({
+  requests = [],
+  enrollments = [],
+  courseRequests = [],
+  creditRules = [],
+  restrictions = [],
+  completedCourses = [],
+  rejectedPairings = [],
+  schedulePreferences = []
+}) => ({
+  profiles: [...Object.values(sampleUsers), dave],
+  courses: [...Object.values(sampleCourses), chem101],
+  time_slots: allTimeSlots,
+  enrollments,
+  swap_requests: requests.map(([request]) => request),
+  swap_request_targets: requests.flatMap(([request, targets]) => targetsFor(request, targets)),
+  course_requests: courseRequests,
+  credit_rules: creditRules,
+  course_restrictions: restrictions,
+  completed_courses: completedCourses,
+  rejected_pairings: rejectedPairings,
+  schedule_preferences: schedulePreferences,
+  swap_matches: [],
+  swap_match_participants: []
+});
+
+const request = (id, student, fromCourse, targets, priority) =>
+  [swapRequest(id, student, fromCourse, targets, priority), targets];
+
+const { cs101, math201, phys301, cs201 } = sampleCourses;
+const { alice, bob, charlie } = sampleUsers;
+
+const scenarios = {
+  'a direct swap': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(bob, math201)],
+    requests: [
+      request('req-alice', alice, cs101, [math201]),
+      request('req-bob', bob, math201, [cs101])
+    ]
+  }),
+
+  'a three-way loop': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(bob, math201), ...enroll(charlie, phys301)],
+    requests: [
+      request('req-alice', alice, cs101, [math201]),
+      request('req-bob', bob, math201, [phys301]),
+      request('req-charlie', charlie, phys301, [cs101])
+    ]
+  }),
+
+  'a time conflict': () => buildTables({
+    enrollments: [...enroll(alice, cs101, phys301), ...enroll(dave, chem101)],
+    requests: [
+      request('req-alice', alice, phys301, [chem101]),
+      request('req-dave', dave, chem101, [phys301])
+    ]
+  }),
+
+  'a credit cap': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(bob, math201), ...enroll(charlie, phys301)],
+    requests: [
+      request('req-alice', alice, cs101, [math201, phys301]),
+      request('req-bob', bob, math201, [cs101]),
+      request('req-charlie', charlie, phys301, [cs101])
+    ],
+    // Alice can't take on MATH201's extra credit this term
+    creditRules: [{ id: 'rule-alice', student_id: alice.id, semester: 'Fall', year: 2024, min_credits: null, max_credits: 3 }]
+  }),
+
+  'a missing prerequisite': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(bob, math201), ...enroll(charlie, phys301)],
+    requests: [
+      request('req-alice', alice, cs101, [phys301, math201]),
+      request('req-bob', bob, math201, [cs101]),
+      request('req-charlie', charlie, phys301, [cs101])
+    ],
+    restrictions: [{ course_id: phys301.id, prerequisite_course_codes: ['CS201'], allowed_majors: [], allowed_years: [] }],
+    completedCourses: [{ id: 'completed-bob', student_id: bob.id, course_code: 'CS201' }]
+  }),
+
+  'a rejected pairing': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(bob, math201), ...enroll(charlie, phys301), ...enroll(dave, math201)],
+    requests: [
+      request('req-alice', alice, cs101, [math201, phys301]),
+      request('req-bob', bob, math201, [cs101], 3),
+      request('req-dave', dave, math201, [phys301]),
+      request('req-charlie', charlie, phys301, [cs101])
+    ],
+    // Bob turned Alice down before, so Alice has to settle for someone else
+    rejectedPairings: [{ id: 'rejected-1', student_id: bob.id, partner_id: alice.id, reason_code: 'not_interested' }]
+  }),
+
+  'competing partners with ranks and priorities': () => buildTables({
+    enrollments: [
+      ...enroll(alice, cs101),
+      ...enroll(bob, math201),
+      ...enroll(charlie, phys301),
+      ...enroll(dave, math201, cs201)
+    ],
+    requests: [
+      request('req-alice', alice, cs101, [phys301, math201]),
+      request('req-bob', bob, math201, [cs101]),
+      request('req-dave', dave, math201, [cs101], 3),
+      request('req-charlie', charlie, phys301, [cs201])
+    ]
+  }),
+
+  'partner preferences': () => buildTables({
+    enrollments: [...enroll(alice, cs101), ...enroll(dave, math201), ...enroll(bob, math201)],
+    requests: [
+      request('req-alice', alice, cs101, [math201]),
+      request('req-dave', dave, math201, [cs101]),
+      request('req-bob', bob, math201, [cs101])
+    ],
+    // CS101 meets at 9, which Dave would rather avoid; that doesn't cost him the match he asked for first
+    schedulePreferences: [{ student_id: dave.id, no_classes_before: '10:00', free_days: [], max_consecutive_hours: null, preferred_campuses: [] }]
+  }),
+
+  'schedule preferences': () => buildTables({
+    enrollments: [...enroll(bob, math201), ...enroll(dave, math201), ...enroll(charlie, phys301, cs201)],
+    requests: [
+      request('req-bob', bob, math201, [phys301]),
+      request('req-dave', dave, math201, [cs201])
+    ],
+    courseRequests: [{
+      id: 'course-req-charlie',
+      student_id: charlie.id,
+      requested_course_id: math201.id,
+      priority: 1,
+      notes: null,
+      status: 'active',
+      created_at: nextTimestamp(),
+      expires_at: '2099-01-01T00:00:00.000Z'
+    }],
+    // Giving up CS201 (9:30) rather than PHYS301 frees Charlie's mornings
+    schedulePreferences: [{ student_id: charlie.id, no_classes_before: '10:00', free_days: [], max_consecutive_hours: null, preferred_campuses: [] }]
+  }),
+
+  'a course request': () => buildTables({
+    enrollments: [...enroll(bob, math201), ...enroll(charlie, phys301, cs201)],
+    requests: [
+      request('req-bob', bob, math201, [cs101, phys301])
+    ],
+    courseRequests: [{
+      id: 'course-req-charlie',
+      student_id: charlie.id,
+      requested_course_id: math201.id,
+      priority: 2,
+      notes: 'Need it for my major',
+      status: 'active',
+      created_at: nextTimestamp(),
+      expires_at: '2099-01-01T00:00:00.000Z'
+    }]
+  })
+};
+
+// Compare outcomes by who swaps what, since generated ids differ between runs
+const summarize = ({ swap_matches, swap_match_participants, swap_requests, course_requests }) => ({
+  matches: swap_matches.map(match => [
+    match.match_type || 'pair',
+    match.match_status,
+    match.student_a_id,
+    match.student_b_id,
+    match.course_a_id,
+    match.course_b_id
+  ].join('|')).sort(),
+  participants: swap_match_participants.map(participant => [
+    participant.student_id,
+    participant.gives_course_id,
+    participant.receives_course_id,
+    participant.position
+  ].join('|')).sort(),
+  requests: swap_requests.map(swap => [
+    swap.requester_id,
+    swap.from_course_id,
+    swap.desired_course_id,
+    swap.status
+  ].join('|')).sort(),
+  courseRequests: course_requests.map(courseRequest => `${courseRequest.id}|${courseRequest.status}`).sort()
+});
+
+// Today's path: each request on its own, in creation order
+const runPerRequest = async () => {
+  const swapIds = fakeSupabase.db.table('swap_requests')
+    .filter(swap => swap.status === 'active')
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(swap => swap.id);
+  const courseRequestIds = fakeSupabase.db.table('course_requests').map(courseRequest => courseRequest.id);
+
+  for (const id of swapIds) {
+    try {
+      await processSwapRequest(id);
+    } catch (error) {
+      // Already matched earlier in the pass
+    }
+  }
+
+  for (const id of courseRequestIds) {
+    try {
+      await processCourseRequest(id);
+    } catch (error) {
+      // Already matched earlier in the pass
+    }
+  }
+};
+
+describe('Matching Engine', () => {
+
+  describe('equivalence with per-request matching', () => {
+    test.each(Object.keys(scenarios))('should produce the same matches for %s', async (name) => {
+      const tables = scenarios[name]();
+
+      fakeSupabase.db.reset(tables);
+      await runPerRequest();
+      const perRequest = summarize(fakeSupabase.db.tables);
+
+      fakeSupabase.db.reset(tables);
+      await batchProcessSwaps();
+      const engine = summarize(fakeSupabase.db.tables);
+
+      expect(engine).toEqual(perRequest);
+    });
+
+    test('should actually match requests in the fixtures', async () => {
+      fakeSupabase.db.reset(scenarios['a three-way loop']());
+      await batchProcessSwaps();
+
+      expect(fakeSupabase.db.tables.swap_matches).toHaveLength(1);
+      expect(fakeSupabase.db.tables.swap_match_participants).toHaveLength(3);
+      expect(fakeSupabase.db.tables.swap_matches[0].strategy).toBe(matchingConfig.strategy);
+    });
+
+    test('should leave section changes to the stable section assignment', async () => {
+      const tables = scenarios['a direct swap']();
+      tables.swap_requests.forEach(swap => { swap.kind = 'section_change'; });
+
+      fakeSupabase.db.reset(tables);
+      await runPerRequest();
+      expect(fakeSupabase.db.tables.swap_matches).toEqual([]);
+
+      fakeSupabase.db.reset(tables);
+      await batchProcessSwaps();
+      expect(fakeSupabase.db.tables.swap_matches).toEqual([]);
+    });
+
+    test('should report a pair taken before the write as unmatched', async () => {
+      fakeSupabase.db.reset(scenarios['a direct swap']());
+      const rpc = fakeSupabase.rpc;
+      const spy = jest.spyOn(fakeSupabase, 'rpc').mockImplementation((name, params) => {
+        // Another instance matched Bob's request after the snapshot was read
+        if (name === 'create_swap_matches') {
+          fakeSupabase.db.table('swap_requests').find(swap => swap.id === 'req-bob').status = 'matched';
+        }
+        return rpc(name, params);
+      });
+
+      const results = await batchProcessSwaps();
+      spy.mockRestore();
+
+      expect(results.filter(result => result.type === 'swap')).toEqual([
+        { type: 'swap', requestId: 'req-alice', matched: false, matches: [] },
+        { type: 'swap', requestId: 'req-bob', matched: false, matches: [] }
+      ]);
+    });
+
+    test('should skip courses the student lacks the prerequisites for', async () => {
+      fakeSupabase.db.reset(scenarios['a missing prerequisite']());
+      await batchProcessSwaps();
+
+      expect(summarize(fakeSupabase.db.tables).matches).toEqual([
+        `pair|pending|${alice.id}|${bob.id}|${cs101.id}|${math201.id}`
+      ]);
+    });
+
+    test('should not pair students who rejected each other again', async () => {
+      fakeSupabase.db.reset(scenarios['a direct swap']());
+      await batchProcessSwaps();
+      const [match] = fakeSupabase.db.tables.swap_matches;
+
+      await recordRejectedPairings(match.id, alice.id, 'schedule_changed');
+      fakeSupabase.db.tables.swap_matches = [];
+      fakeSupabase.db.tables.swap_requests.forEach(swap => { swap.status = 'active'; });
+
+      await batchProcessSwaps();
+
+      expect(fakeSupabase.db.tables.rejected_pairings).toMatchObject([
+        { student_id: alice.id, partner_id: bob.id, match_id: match.id, reason_code: 'schedule_changed' }
+      ]);
+      expect(fakeSupabase.db.tables.swap_matches).toEqual([]);
+    });
+
+    test('should not offer a bundle a partner who rejected its requester', async () => {
+      const bundleRequest = (id, fromCourse, toCourse) =>
+        [{ ...swapRequest(id, alice, fromCourse, [toCourse]), bundle_id: 'bundle-alice' }, [toCourse]];
+      const tables = buildTables({
+        enrollments: [...enroll(alice, cs101, phys301), ...enroll(bob, math201), ...enroll(dave, cs201)],
+        requests: [
+          bundleRequest('bundle-cs101', cs101, math201),
+          bundleRequest('bundle-phys301', phys301, cs201),
+          request('req-bob', bob, math201, [cs101]),
+          request('req-dave', dave, cs201, [phys301])
+        ],
+        rejectedPairings: [{ id: 'rejected-1', student_id: bob.id, partner_id: alice.id, reason_code: 'not_interested' }]
+      });
+
+      fakeSupabase.db.reset({
+        ...tables,
+        swap_bundles: [{
+          id: 'bundle-alice',
+          requester_id: alice.id,
+          give_course_ids: [cs101.id, phys301.id],
+          get_course_ids: [math201.id, cs201.id],
+          status: 'active'
+        }]
+      });
+
+      await expect(processSwapBundle('bundle-alice')).resolves.toMatchObject({ matched: false });
+      expect(fakeSupabase.db.tables.swap_matches).toEqual([]);
+    });
+
+    test('should not match a bundle for a course its requester may not take', async () => {
+      const bundleRequest = (id, fromCourse, toCourse) =>
+        [{ ...swapRequest(id, alice, fromCourse, [toCourse]), bundle_id: 'bundle-alice' }, [toCourse]];
+      const tables = buildTables({
+        enrollments: [...enroll(alice, cs101, phys301), ...enroll(bob, math201), ...enroll(dave, cs201)],
+        requests: [
+          bundleRequest('bundle-cs101', cs101, math201),
+          bundleRequest('bundle-phys301', phys301, cs201),
+          request('req-bob', bob, math201, [cs101]),
+          request('req-dave', dave, cs201, [phys301])
+        ],
+        restrictions: [{ course_id: cs201.id, prerequisite_course_codes: ['CS101'], allowed_majors: [], allowed_years: [] }]
+      });
+
+      fakeSupabase.db.reset({
+        ...tables,
+        swap_bundles: [{
+          id: 'bundle-alice',
+          requester_id: alice.id,
+          give_course_ids: [cs101.id, phys301.id],
+          get_course_ids: [math201.id, cs201.id],
+          status: 'active'
+        }]
+      });
+
+      await expect(processSwapBundle('bundle-alice')).resolves.toMatchObject({
+        matched: false,
+        conflicts: [expect.objectContaining({ type: 'restriction', courseId: cs201.id, code: 'missing_prerequisite' })]
+      });
+      expect(fakeSupabase.db.tables.swap_matches).toEqual([]);
+    });
+
+    test('should skip partners that would take a student over their credit cap', async () => {
+      fakeSupabase.db.reset(scenarios['a credit cap']());
+      await batchProcessSwaps();
+
+      expect(summarize(fakeSupabase.db.tables).matches).toEqual([
+        `pair|pending|${alice.id}|${charlie.id}|${cs101.id}|${phys301.id}`
+      ]);
+    });
+
+    test('should give up the course that leaves the requester with the better fit', async () => {
+      fakeSupabase.db.reset(scenarios['schedule preferences']());
+      await batchProcessSwaps();
+
+      expect(summarize(fakeSupabase.db.tables).matches).toEqual([
+        `pair|pending|${charlie.id}|${dave.id}|${cs201.id}|${math201.id}`
+      ]);
+    });
+
+    test('should not hold a partner\'s own preferences against them', async () => {
+      fakeSupabase.db.reset(scenarios['partner preferences']());
+      await batchProcessSwaps();
+
+      expect(summarize(fakeSupabase.db.tables).matches).toEqual([
+        `pair|pending|${alice.id}|${dave.id}|${cs101.id}|${math201.id}`
+      ]);
+    });
+
+    describe('with a term strategy', () => {
+      const original = matchingConfig.termStrategies;
+
+      afterEach(() => {
+        matchingConfig.termStrategies = original;
+      });
+
+      // Dave has the higher priority, Bob is further along
+      test('should pick and record the same partner under seniority', async () => {
+        matchingConfig.termStrategies = { 'Fall 2024': 'seniority' };
+        const tables = scenarios['competing partners with ranks and priorities']();
+
+        fakeSupabase.db.reset(tables);
+        await runPerRequest();
+        const perRequest = summarize(fakeSupabase.db.tables);
+
+        fakeSupabase.db.reset(tables);
+        await batchProcessSwaps();
+        const engine = summarize(fakeSupabase.db.tables);
+
+        expect(engine).toEqual(perRequest);
+        expect(engine.matches).toContain(
+          `pair|pending|${alice.id}|${bob.id}|${cs101.id}|${math201.id}`
+        );
+        expect(fakeSupabase.db.tables.swap_matches.every(match => match.strategy === 'seniority')).toBe(true);
+      });
+    });
+  });
+
+  describe('canStudentSwapCourses', () => {
+    const index = indexSnapshot({
+      enrollments: enroll(alice, cs101, phys301),
+      timeSlots: allTimeSlots
+    });
+
+    test('should reject a course that overlaps the rest of the schedule', () => {
+      expect(canStudentSwapCourses(index, alice.id, phys301.id, chem101.id)).toBe(false);
+    });
+
+    test('should ignore the course being given up', () => {
+      expect(canStudentSwapCourses(index, alice.id, cs101.id, chem101.id)).toBe(true);
+    });
+  });
+
+  describe('runMatching', () => {
+    test('should skip expired requests as initiators', () => {
+      const expired = { ...swapRequest('req-alice', alice, cs101, [math201]), expires_at: '2000-01-01T00:00:00.000Z' };
+      const outcome = runMatching({
+        swapRequests: [expired],
+        enrollments: enroll(alice, cs101),
+        timeSlots: allTimeSlots
+      }, { maxCycleLength: 4 });
+
+      expect(outcome.unmatchedRequestIds).toEqual([]);
+      expect(outcome.pairs).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  generatePopulation,
+  normalizeSnapshot,
+  serializeSnapshot,
+  loadSnapshotFile,
+  simulateStrategies,
+  formatReport
+} = require('../../services/matchingSimulator');
+
+describe('Matching Simulator', () => {
+
+  describe('generatePopulation', () => {
+    test('should generate the same population for the same seed', () => {
+      const options = { students: 50, courses: 12, seed: 7 };
+
+      expect(serializeSnapshot(generatePopulation(options)))
+        .toEqual(serializeSnapshot(generatePopulation(options)));
+    });
+
+    test('should only enroll students in courses that fit their schedule', () => {
+      const snapshot = generatePopulation({ students: 40, courses: 15, seed: 3 });
+      const slotsFor = courseId => snapshot.timeSlots.filter(slot => slot.course_id === courseId);
+
+      const byStudent = new Map();
+      for (const { student_id, course_id } of snapshot.enrollments) {
+        byStudent.set(student_id, [...(byStudent.get(student_id) || []), ...slotsFor(course_id)]);
+      }
+
+      for (const slots of byStudent.values()) {
+        for (let i = 0; i < slots.length; i++) {
+          for (let j = i + 1; j < slots.length; j++) {
+            const overlap = slots[i].day_of_week === slots[j].day_of_week &&
+              slots[i].start_time < slots[j].end_time &&
+              slots[j].start_time < slots[i].end_time;
+            expect(overlap).toBe(false);
+          }
+        }
+      }
+    });
+
+    test('should concentrate demand on popular courses when skewed', () => {
+      const demandForTop = skew => {
+        const snapshot = generatePopulation({ students: 300, courses: 20, skew, seed: 11 });
+        const targets = snapshot.swapRequests.flatMap(request => request.swap_request_targets);
+        return targets.filter(target => target.course_id === 'course-1').length / targets.length;
+      };
+
+      expect(demandForTop(2)).toBeGreaterThan(demandForTop(0));
+    });
+  });
+
+  describe('simulateStrategies', () => {
+    test('should report metrics for each requested strategy', () => {
+      const snapshot = generatePopulation({ students: 80, courses: 10, seed: 5 });
+      const results = simulateStrategies(snapshot, { strategies: ['fifo', 'priority'], maxCycleLength: 3 });
+
+      expect(results.map(result => result.strategy)).toEqual(['fifo', 'priority']);
+      for (const result of results) {
+        expect(result.requests).toBe(snapshot.swapRequests.length);
+        expect(result.matchRate).toBeGreaterThanOrEqual(0);
+        expect(result.matchRate).toBeLessThanOrEqual(1);
+        expect(result.matchedRequests).toBeGreaterThanOrEqual(result.pairs * 2);
+        expect(typeof result.conflictsRejected).toBe('number');
+      }
+
+      expect(formatReport(results).split('\n')).toHaveLength(3);
+    });
+
+    test('should match a direct swap and count a rejected conflict', () => {
+      const snapshot = normalizeSnapshot({
+        swapRequests: [
+          { id: 'a', requester_id: 'alice', from_course_id: 'cs', desired_course_ids: 'math', created_at: '2024-01-01' },
+          { id: 'b', requester_id: 'bob', from_course_id: 'math', desired_course_ids: 'cs', created_at: '2024-01-02' },
+          { id: 'c', requester_id: 'carol', from_course_id: 'math', desired_course_ids: 'cs', created_at: '2024-01-03' }
+        ],
+        enrollments: [
+          { student_id: 'alice', course_id: 'cs' },
+          { student_id: 'bob', course_id: 'math' },
+          { student_id: 'carol', course_id: 'math' },
+          { student_id: 'carol', course_id: 'lab' }
+        ],
+        timeSlots: [
+          { course_id: 'cs', day_of_week: 1, start_time: '9:00', end_time: '10:00' },
+          { course_id: 'math', day_of_week: 2, start_time: '9:00', end_time: '10:00' },
+          { course_id: 'lab', day_of_week: 1, start_time: '9:30', end_time: '11:00' }
+        ]
+      });
+
+      const [result] = simulateStrategies(snapshot, { strategies: ['fifo'], maxCycleLength: 2 });
+
+      expect(result).toMatchObject({
+        requests: 3,
+        matchedRequests: 2,
+        pairs: 1,
+        cyclesFound: 0,
+        conflictsRejected: 1
+      });
+    });
+  });
+
+  describe('loadSnapshotFile', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swappers-sim-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load a directory of CSV files', () => {
+      fs.writeFileSync(path.join(directory, 'swap_requests.csv'), [
+        'id,requester_id,from_course_id,desired_course_ids,priority,created_at',
+        'a,alice,cs,"math;phys",2,2024-01-01T00:00:00Z'
+      ].join('\n'));
+      fs.writeFileSync(path.join(directory, 'enrollments.csv'), 'student_id,course_id\nalice,cs\n');
+      fs.writeFileSync(path.join(directory, 'time_slots.csv'), [
+        'course_id,day_of_week,start_time,end_time',
+        'cs,1,9:00,9:50'
+      ].join('\n'));
+
+      const snapshot = loadSnapshotFile(directory);
+
+      expect(snapshot.swapRequests[0]).toMatchObject({
+        priority: 2,
+        status: 'active',
+        desired_course_id: 'math',
+        swap_request_targets: [{ course_id: 'math', rank: 1 }, { course_id: 'phys', rank: 2 }]
+      });
+      expect(snapshot.timeSlots[0]).toMatchObject({ day_of_week: 1, start_time: '09:00:00', end_time: '09:50:00' });
+    });
+
+    test('should round-trip a saved JSON snapshot', () => {
+      const snapshot = generatePopulation({ students: 20, courses: 8, seed: 2 });
+      const file = path.join(directory, 'snapshot.json');
+      fs.writeFileSync(file, JSON.stringify(serializeSnapshot(snapshot)));
+
+      expect(loadSnapshotFile(file)).toEqual(snapshot);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const matchingConfig = require('../../config/matching');
+const {
+  registerStrategy,
+  getStrategy,
+  getStrategyForTerm,
+  listStrategies
+} = require('../../services/matchingStrategies');
+
+const candidate = (id, requesterId, priority, createdAt, targetRank = 0) => ({
+  id,
+  requester_id: requesterId,
+  priority,
+  created_at: createdAt,
+  target_rank: targetRank
+});
+
+const pick = (strategyName, candidates, context = {}) =>
+  [...candidates].sort((a, b) => getStrategy(strategyName).compareSwapPartners(a, b, context))[0].id;
+
+describe('Matching Strategies', () => {
+  const older = candidate('older', 'student-old', 1, '2024-01-01T00:00:00Z');
+  const urgent = candidate('urgent', 'student-urgent', 5, '2024-01-02T00:00:00Z');
+  const candidates = [urgent, older];
+
+  test('should register the built-in strategies', () => {
+    expect(listStrategies().map(strategy => strategy.name))
+      .toEqual(expect.arrayContaining(['fifo', 'priority', 'seniority', 'fairness']));
+  });
+
+  test('fifo should pick the oldest request', () => {
+    expect(pick('fifo', candidates)).toBe('older');
+  });
+
+  test('priority should pick the highest priority request', () => {
+    expect(pick('priority', candidates)).toBe('urgent');
+  });
+
+  test('seniority should pick the student in the latest year', () => {
+    const students = new Map([
+      ['student-old', { year: 4, completedSwaps: 0 }],
+      ['student-urgent', { year: 1, completedSwaps: 0 }]
+    ]);
+
+    expect(pick('seniority', candidates, { students })).toBe('older');
+  });
+
+  test('fairness should pick the student with fewer completed swaps', () => {
+    const students = new Map([
+      ['student-old', { year: 2, completedSwaps: 2 }],
+      ['student-urgent', { year: 2, completedSwaps: 0 }]
+    ]);
+
+    expect(pick('fairness', candidates, { students })).toBe('urgent');
+  });
+
+  test('every strategy should respect the requester\'s own ranking first', () => {
+    const secondChoice = candidate('second-choice', 'student-2', 9, '2023-01-01T00:00:00Z', 1);
+    const firstChoice = candidate('first-choice', 'student-1', 1, '2024-06-01T00:00:00Z', 0);
+
+    for (const { name } of listStrategies()) {
+      expect(pick(name, [secondChoice, firstChoice])).toBe('first-choice');
+    }
+  });
+
+  test('should order course request matches by the strategy, then the partner\'s ranking', () => {
+    const strategy = getStrategy('priority');
+    const matches = [
+      { swapRequest: older, partnerTargetRank: 0 },
+      { swapRequest: urgent, partnerTargetRank: 1 }
+    ];
+
+    expect(matches.sort((a, b) => strategy.compareCourseRequestMatches(a, b, {}))[0].swapRequest.id)
+      .toBe('urgent');
+  });
+
+  describe('per-term configuration', () => {
+    const original = matchingConfig.termStrategies;
+
+    afterEach(() => {
+      matchingConfig.termStrategies = original;
+    });
+
+    test('should use the term\'s strategy when one is configured', () => {
+      matchingConfig.termStrategies = { 'Fall 2024': 'fairness' };
+
+      expect(getStrategyForTerm({ semester: 'Fall', year: 2024 }).name).toBe('fairness');
+      expect(getStrategyForTerm({ semester: 'Spring', year: 2025 }).name).toBe(matchingConfig.strategy);
+    });
+
+    test('should fall back to the default strategy without a term', () => {
+      expect(getStrategyForTerm(null).name).toBe(matchingConfig.strategy);
+    });
+
+    test('should reject unknown strategies', () => {
+      matchingConfig.termStrategies = { 'Fall 2024': 'coin-toss' };
+
+      expect(() => getStrategyForTerm({ semester: 'Fall', year: 2024 }))
+        .toThrow('Unknown matching strategy: coin-toss');
+    });
+  });
+
+  test('should accept custom strategies', () => {
+    registerStrategy({
+      name: 'lowest-priority',
+      score: request => -(request.priority || 1)
+    });
+
+    expect(pick('lowest-priority', candidates)).toBe('older');
+  });
+});
@@ -0,0 +1,222 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const { batchProcessSwaps, processSwapBundle, cancelExclusiveAlternatives } = require('../../services/matchingAlgorithm');
+const { findUnmetConditions } = require('../../services/requestConditions');
+const { sampleUsers, sampleCourses, sampleTimeSlots } = require('../fixtures/testData');
+
+const { cs101, math201, phys301, cs201 } = sampleCourses;
+const { alice, bob } = sampleUsers;
+const dave = { id: 'dave-user-id-000', full_name: 'Dave Miller', email: 'dave@example.com', student_id: 'STU004' };
+
+const enroll = (student, ...courses) => courses.map(course => ({
+  id: `enrollment-${student.id}-${course.id}`,
+  student_id: student.id,
+  course_id: course.id,
+  enrollment_status: 'enrolled'
+}));
+
+const swapRequest = (id, student, fromCourse, toCourse, status = 'active', minute = 0) => ({
+  id,
+  requester_id: student.id,
+  from_course_id: fromCourse.id,
+  desired_course_id: toCourse.id,
+  status,
+  priority: 1,
+  bundle_id: null,
+  course_request_id: null,
+  created_at: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString(),
+  expires_at: '2099-01-01T00:00:00.000Z'
+});
+
+const condition = (id, swapRequestId, type, dependsOnRequestId) => ({
+  id,
+  swap_request_id: swapRequestId,
+  condition_type: type,
+  depends_on_request_id: dependsOnRequestId,
+  depends_on_course_request_id: null
+});
+
+const buildTables = ({ enrollments, requests, conditions = [], matches = [] }) => ({
+  profiles: [...Object.values(sampleUsers), dave],
+  courses: Object.values(sampleCourses),
+  time_slots: [
+    ...sampleTimeSlots.cs101_mwf,
+    ...sampleTimeSlots.math201_tr,
+    ...sampleTimeSlots.phys301_mw,
+    ...sampleTimeSlots.cs201_tr
+  ].map((slot, index) => ({ id: `slot-${index}`, ...slot })),
+  enrollments,
+  swap_requests: requests,
+  swap_request_targets: requests.map(request => ({
+    id: `target-${request.id}`,
+    swap_request_id: request.id,
+    course_id: request.desired_course_id,
+    rank: 1
+  })),
+  swap_request_conditions: conditions,
+  course_requests: [],
+  swap_matches: matches,
+  swap_match_participants: []
+});
+
+const statuses = () => Object.fromEntries(fakeSupabase.db.table('swap_requests').map(request => [request.id, request.status]));
+
+describe('Request Conditions', () => {
+
+  describe('findUnmetConditions', () => {
+    test('should treat a requirement matched in the same pass as met', () => {
+      const conditions = [{ ...condition('c1', 'req-a', 'requires', 'req-b'), depends_on_status: 'active' }];
+
+      expect(findUnmetConditions(conditions, { matchedRequestIds: new Set(['req-b']) })).toEqual([]);
+      expect(findUnmetConditions(conditions)).toEqual([
+        { type: 'requires', swap_request_id: 'req-b', status: 'active', reason: 'not_matched' }
+      ]);
+    });
+
+    test('should only rule out an alternative once it has completed', () => {
+      const excludes = (status) => [{ ...condition('c1', 'req-a', 'excludes', 'req-b'), depends_on_status: status }];
+
+      expect(findUnmetConditions(excludes('matched'))).toEqual([]);
+      expect(findUnmetConditions(excludes('completed'))).toEqual([
+        { type: 'excludes', swap_request_id: 'req-b', status: 'completed', reason: 'alternative_completed' }
+      ]);
+    });
+  });
+
+  describe('batch matching', () => {
+    // Alice only gives up CS101 for MATH201 if she also gets CS201 for PHYS301
+    const dependentSwaps = (davesWish) => buildTables({
+      enrollments: [
+        ...enroll(alice, cs101, phys301),
+        ...enroll(bob, math201),
+        ...enroll(dave, cs201)
+      ],
+      requests: [
+        swapRequest('req-alice', alice, cs101, math201, 'active', 0),
+        swapRequest('req-bob', bob, math201, cs101, 'active', 1),
+        swapRequest('req-alice-2', alice, phys301, cs201, 'active', 2),
+        swapRequest('req-dave', dave, cs201, davesWish, 'active', 3)
+      ],
+      conditions: [condition('cond-1', 'req-alice', 'requires', 'req-alice-2')]
+    });
+
+    test('should match a request whose requirement matches in the same pass', async () => {
+      fakeSupabase.db.reset(dependentSwaps(phys301));
+      await batchProcessSwaps();
+
+      expect(statuses()).toEqual({
+        'req-alice': 'matched',
+        'req-bob': 'matched',
+        'req-alice-2': 'matched',
+        'req-dave': 'matched'
+      });
+    });
+
+    test('should hold a request back while its requirement is unmatched', async () => {
+      fakeSupabase.db.reset(dependentSwaps(math201));
+      await batchProcessSwaps();
+
+      expect(statuses()).toMatchObject({ 'req-alice': 'active', 'req-bob': 'active', 'req-alice-2': 'active' });
+      expect(fakeSupabase.db.table('swap_matches')).toEqual([]);
+    });
+
+    test('should not match a request whose alternative already completed', async () => {
+      fakeSupabase.db.reset(buildTables({
+        enrollments: [...enroll(alice, cs101, math201), ...enroll(bob, phys301)],
+        requests: [
+          swapRequest('req-earlier', alice, cs201, math201, 'completed'),
+          swapRequest('req-alice', alice, cs101, phys301, 'active', 1),
+          swapRequest('req-bob', bob, phys301, cs101, 'active', 2)
+        ],
+        conditions: [condition('cond-1', 'req-earlier', 'excludes', 'req-alice')]
+      }));
+      await batchProcessSwaps();
+
+      expect(fakeSupabase.db.table('swap_matches')).toEqual([]);
+    });
+  });
+
+  describe('bundle matching', () => {
+    // Alice gives CS101 and PHYS301 for MATH201 and CS201 together; Dave's swap
+    // only counts once his other request (for CS101) is matched too
+    const bundleWithConditionalPartner = (conditions) => ({
+      ...buildTables({
+        enrollments: [...enroll(alice, cs101, phys301), ...enroll(bob, math201), ...enroll(dave, cs201)],
+        requests: [
+          { ...swapRequest('bundle-cs101', alice, cs101, math201, 'active', 0), bundle_id: 'bundle-alice' },
+          { ...swapRequest('bundle-phys301', alice, phys301, cs201, 'active', 1), bundle_id: 'bundle-alice' },
+          swapRequest('req-bob', bob, math201, cs101, 'active', 2),
+          swapRequest('req-dave', dave, cs201, phys301, 'active', 3),
+          swapRequest('req-dave-2', dave, math201, cs101, 'active', 4)
+        ],
+        conditions
+      }),
+      swap_bundles: [{
+        id: 'bundle-alice',
+        requester_id: alice.id,
+        give_course_ids: [cs101.id, phys301.id],
+        get_course_ids: [math201.id, cs201.id],
+        status: 'active'
+      }]
+    });
+
+    test('should match a bundle with partners whose conditions hold', async () => {
+      fakeSupabase.db.reset(bundleWithConditionalPartner([]));
+
+      await expect(processSwapBundle('bundle-alice')).resolves.toMatchObject({ matched: true });
+      expect(statuses()).toMatchObject({ 'req-bob': 'matched', 'req-dave': 'matched' });
+    });
+
+    test('should not match a bundle with a partner whose conditions are unmet', async () => {
+      fakeSupabase.db.reset(bundleWithConditionalPartner([condition('cond-1', 'req-dave', 'requires', 'req-dave-2')]));
+
+      await expect(processSwapBundle('bundle-alice')).resolves.toMatchObject({ matched: false });
+      expect(fakeSupabase.db.table('swap_matches')).toEqual([]);
+    });
+  });
+
+  describe('cancelExclusiveAlternatives', () => {
+    test('should cancel open alternatives and release matched ones', async () => {
+      fakeSupabase.db.reset(buildTables({
+        enrollments: [...enroll(alice, math201, cs201), ...enroll(bob, phys301)],
+        requests: [
+          swapRequest('req-done', alice, cs101, math201, 'completed'),
+          swapRequest('req-open', alice, cs101, cs201, 'active'),
+          swapRequest('req-matched', alice, cs101, phys301, 'matched'),
+          swapRequest('req-bob', bob, phys301, cs101, 'matched')
+        ],
+        conditions: [
+          condition('cond-1', 'req-open', 'excludes', 'req-done'),
+          condition('cond-2', 'req-done', 'excludes', 'req-matched')
+        ],
+        matches: [{
+          id: 'match-1',
+          request_a_id: 'req-matched',
+          request_b_id: 'req-bob',
+          student_a_id: alice.id,
+          student_b_id: bob.id,
+          match_status: 'pending'
+        }]
+      }));
+
+      const results = await cancelExclusiveAlternatives({ swapRequestIds: ['req-done'] });
+
+      expect(results).toEqual(expect.arrayContaining([
+        { type: 'swap_request', id: 'req-open', cancelled: true },
+        { type: 'swap_request', id: 'req-matched', cancelled: true }
+      ]));
+      expect(statuses()).toEqual({
+        'req-done': 'completed',
+        'req-open': 'cancelled',
+        'req-matched': 'cancelled',
+        'req-bob': 'active'
+      });
+      expect(fakeSupabase.db.table('swap_matches')[0].match_status).toBe('rejected');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const { importSchedule } = require('../../services/scheduleImport');
+const { parseScheduleCsv } = require('../../utils/courseImport');
+const { sampleUsers, sampleCsvData, invalidCsvData } = require('../fixtures/testData');
+
+const { alice } = sampleUsers;
+const term = { semester: 'Fall', year: 2024 };
+
+const catalogCourse = (id, courseCode, extra = {}) => ({
+  id,
+  course_code: courseCode,
+  course_title: courseCode,
+  semester: 'Fall',
+  year: 2024,
+  max_capacity: null,
+  current_enrollment: 0,
+  ...extra
+});
+
+describe('Schedule Import', () => {
+
+  describe('parseScheduleCsv', () => {
+    test('should turn each row into a course and its weekly meetings', () => {
+      const { rows, failed } = parseScheduleCsv(sampleCsvData, term);
+
+      expect(failed).toEqual([]);
+      expect(rows.map(row => [row.lines, row.course.course_code, row.timeSlots.length])).toEqual([
+        [[2], 'CS101', 3],
+        [[3], 'MATH201', 2],
+        [[4], 'PHYS301', 2]
+      ]);
+      expect(rows[2].timeSlots[0]).toEqual({ day_of_week: 1, start_time: '14:00:00', end_time: '15:30:00', location: 'Physics Lab A' });
+    });
+
+    test('should report every problem with a row against its line', () => {
+      const { rows, failed } = parseScheduleCsv(invalidCsvData, term);
+
+      expect(rows).toEqual([]);
+      expect(failed).toEqual([
+        { lines: [2], course_code: null, errors: ['Course code is required'] },
+        { lines: [3], course_code: 'CS999', errors: ['Invalid start time "25:00 AM"', 'Invalid end time "26:00 AM"'] },
+        {
+          lines: [4],
+          course_code: 'INVALID',
+          errors: ['Credits must be a number between 0 and 20', 'Days must use M, T, W, R, F, S or U', 'End time must be after start time']
+        }
+      ]);
+    });
+
+    test('should find columns by name and refuse files missing one', () => {
+      const reordered = 'days,course_title,start_time,course_code,end_time\nTR,Calculus II,11:00,MATH201,12:30';
+
+      expect(parseScheduleCsv(reordered, term).rows[0].course.course_code).toBe('MATH201');
+      expect(parseScheduleCsv('course_code,course_title\nCS101,Intro', term)).toEqual({
+        error: 'CSV file is missing columns: days, start_time, end_time'
+      });
+    });
+  });
+
+  describe('importSchedule', () => {
+    test('should enroll in existing courses, create missing ones and skip current enrollments', async () => {
+      fakeSupabase.db.reset({
+        courses: [
+          catalogCourse('course-cs101', 'CS101'),
+          catalogCourse('course-math201', 'MATH201')
+        ],
+        time_slots: [],
+        enrollments: [{ id: 'enrollment-1', student_id: alice.id, course_id: 'course-math201', enrollment_status: 'enrolled' }]
+      });
+
+      const { rows } = parseScheduleCsv(sampleCsvData, term);
+      const { imported, skipped, failed } = await importSchedule(alice.id, rows);
+
+      expect(imported.map(entry => [entry.course.course_code, entry.created])).toEqual([['CS101', false], ['PHYS301', true]]);
+      expect(skipped).toEqual([
+        { lines: [3], course_code: 'MATH201', course_id: 'course-math201', reason: 'already_enrolled', enrollment_status: 'enrolled' }
+      ]);
+      expect(failed).toEqual([]);
+
+      // The catalog's own meetings are left alone; the new course gets the file's
+      const phys301 = imported[1].course;
+      expect(fakeSupabase.db.table('time_slots').map(slot => slot.course_id)).toEqual([phys301.id, phys301.id]);
+      expect(fakeSupabase.db.table('enrollments').filter(row => row.student_id === alice.id)).toHaveLength(3);
+    });
+
+    test('should merge rows for the same course and report courses it cannot enroll in', async () => {
+      fakeSupabase.db.reset({
+        courses: [catalogCourse('course-cs101', 'CS101', { max_capacity: 1, current_enrollment: 1 })],
+        time_slots: [],
+        enrollments: []
+      });
+
+      const csv = `course_code,course_title,days,start_time,end_time,location
+PHYS301,Quantum Mechanics,MW,2:00 PM,3:30 PM,Physics Lab A
+CS101,Introduction to Programming,MWF,9:00 AM,10:00 AM,CS Building 101
+PHYS301,Quantum Mechanics Lab,F,1:00 PM,4:00 PM,Physics Lab B`;
+
+      const { imported, failed } = await importSchedule(alice.id, parseScheduleCsv(csv, term).rows);
+
+      expect(imported).toHaveLength(1);
+      expect(imported[0].lines).toEqual([2, 4]);
+      expect(fakeSupabase.db.table('time_slots').map(slot => slot.day_of_week)).toEqual([1, 3, 5]);
+      expect(failed).toEqual([{ lines: [3], course_code: 'CS101', errors: ['Course is at maximum capacity'] }]);
+    });
+  });
+});
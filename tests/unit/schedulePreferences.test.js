@@ -0,0 +1,49 @@
+const { scoreSchedule, getLongestRunHours } = require('../../services/schedulePreferences');
+const { sampleTimeSlots } = require('../fixtures/testData');
+
+const slot = (day, start, end, location = 'Shanahan B460') =>
+  ({ day_of_week: day, start_time: start, end_time: end, location });
+
+describe('Schedule Preferences', () => {
+  test('should give a perfect score without preferences', () => {
+    expect(scoreSchedule(null, sampleTimeSlots.cs101_mwf)).toEqual({ score: 100, breakdown: [] });
+  });
+
+  test('should take points off for early classes and classes on free days', () => {
+    const { score, breakdown } = scoreSchedule(
+      { no_classes_before: '10:00', free_days: [5] },
+      [...sampleTimeSlots.cs101_mwf, ...sampleTimeSlots.math201_tr]
+    );
+
+    expect(breakdown).toEqual([
+      { preference: 'no_classes_before', value: '10:00', violations: 3, penalty: 30 },
+      { preference: 'free_days', value: [5], violations: 1, penalty: 10 }
+    ]);
+    expect(score).toBe(60);
+  });
+
+  test('should count classes a few minutes apart as one block', () => {
+    const slots = [
+      slot(1, '09:00:00', '10:15:00'),
+      slot(1, '10:25:00', '11:40:00'),
+      slot(1, '11:50:00', '13:05:00'),
+      slot(1, '15:00:00', '16:00:00')
+    ];
+
+    expect(getLongestRunHours(slots)).toBeCloseTo(4.083, 2);
+    expect(scoreSchedule({ max_consecutive_hours: 3 }, slots).breakdown).toEqual([
+      { preference: 'max_consecutive_hours', value: 3, longestRunHours: expect.any(Number), penalty: 20 }
+    ]);
+  });
+
+  test('should only count meetings on campuses we can place', () => {
+    const { score, breakdown } = scoreSchedule({ preferred_campuses: ['HMC'] }, [
+      slot(2, '13:15:00', '14:30:00', 'Shanahan B460'),
+      slot(2, '15:00:00', '16:15:00', 'Millikan 134'),
+      slot(4, '15:00:00', '16:15:00', 'TBA')
+    ]);
+
+    expect(breakdown[0]).toMatchObject({ preference: 'preferred_campuses', violations: 1 });
+    expect(score).toBe(90);
+  });
+});
@@ -0,0 +1,113 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const { expireStaleRequests } = require('../../services/matchingAlgorithm');
+const { Scheduler, getSchedulerRuns } = require('../../services/scheduler');
+
+const past = '2025-01-01T00:00:00.000Z';
+const future = '2999-01-01T00:00:00.000Z';
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset();
+  });
+
+  describe('expireStaleRequests', () => {
+    test('should expire active requests past their expiry date, bundles as a whole', async () => {
+      fakeSupabase.db.reset({
+        swap_requests: [
+          { id: 'stale', status: 'active', expires_at: past },
+          { id: 'fresh', status: 'active', expires_at: future },
+          { id: 'done', status: 'matched', expires_at: past },
+          { id: 'component', status: 'active', bundle_id: 'bundle-1', expires_at: future }
+        ],
+        course_requests: [
+          { id: 'stale-course', status: 'active', expires_at: past },
+          { id: 'fresh-course', status: 'active', expires_at: future }
+        ],
+        swap_bundles: [{ id: 'bundle-1', status: 'active', expires_at: past }]
+      });
+
+      await expect(expireStaleRequests()).resolves.toEqual({ swapRequests: 2, courseRequests: 1, bundles: 1 });
+
+      const statuses = table => Object.fromEntries(fakeSupabase.db.table(table).map(row => [row.id, row.status]));
+
+      expect(statuses('swap_requests')).toEqual({
+        stale: 'expired',
+        fresh: 'active',
+        done: 'matched',
+        component: 'expired'
+      });
+      expect(statuses('course_requests')).toEqual({ 'stale-course': 'expired', 'fresh-course': 'active' });
+      expect(statuses('swap_bundles')).toEqual({ 'bundle-1': 'expired' });
+    });
+  });
+
+  describe('runJob', () => {
+    const jobs = {
+      cleanup: { intervalMinutes: 5, run: async () => ({ counts: { removed: 3 }, errors: [] }) },
+      partial: { intervalMinutes: 5, run: async () => ({ counts: {}, errors: [{ error: 'Swap request is gone' }] }) },
+      broken: { intervalMinutes: 5, run: async () => { throw new Error('Database unavailable'); } }
+    };
+
+    test('should record each run with its counts and errors', async () => {
+      const scheduler = new Scheduler(jobs);
+
+      await expect(scheduler.runJob('cleanup')).resolves.toMatchObject({
+        job: 'cleanup',
+        status: 'succeeded',
+        counts: { removed: 3 }
+      });
+      await expect(scheduler.runJob('partial', { trigger: 'manual' })).resolves.toMatchObject({
+        status: 'completed_with_errors',
+        trigger: 'manual'
+      });
+      await expect(scheduler.runJob('broken')).resolves.toMatchObject({
+        status: 'failed',
+        errors: [{ error: 'Database unavailable' }]
+      });
+
+      const runs = await getSchedulerRuns({ jobName: 'cleanup' });
+      expect(runs).toHaveLength(1);
+      expect(runs[0].finished_at).toBeTruthy();
+      expect(fakeSupabase.db.table('scheduler_locks')).toEqual([]);
+    });
+
+    test('should skip a job another instance holds the lock for', async () => {
+      const first = new Scheduler(jobs);
+      const second = new Scheduler(jobs);
+
+      fakeSupabase.db.table('scheduler_locks').push({
+        job_name: 'cleanup',
+        locked_by: first.instanceId,
+        locked_until: future
+      });
+
+      await expect(second.runJob('cleanup')).resolves.toEqual({ job: 'cleanup', status: 'skipped', reason: 'locked' });
+      expect(fakeSupabase.db.table('scheduler_runs')).toEqual([]);
+    });
+
+    test('should take over a lock left behind by a crashed instance', async () => {
+      fakeSupabase.db.table('scheduler_locks').push({ job_name: 'cleanup', locked_by: 'gone', locked_until: past });
+
+      await expect(new Scheduler(jobs).runJob('cleanup')).resolves.toMatchObject({ status: 'succeeded' });
+    });
+
+    test('should not start a job twice in the same process', async () => {
+      let finish;
+      const scheduler = new Scheduler({
+        slow: { intervalMinutes: 5, run: () => new Promise(resolve => { finish = resolve; }) }
+      });
+
+      const firstRun = scheduler.runJob('slow');
+      await expect(scheduler.runJob('slow')).resolves.toMatchObject({ status: 'skipped', reason: 'already_running' });
+
+      await new Promise(resolve => setImmediate(resolve));
+      finish({ counts: {}, errors: [] });
+      await expect(firstRun).resolves.toMatchObject({ status: 'succeeded' });
+    });
+  });
+});
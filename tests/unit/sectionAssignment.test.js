@@ -0,0 +1,160 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const { getSectionGroupKey, findStableTrades } = require('../../services/sectionAssignment');
+const { assignCourseSections } = require('../../services/batchMatching');
+const { getAcceptableCourseIds } = require('../../services/swapGraph');
+
+// A student in `section` ranking other sections, best first
+const request = (id, section, ranked, priority = 1) => ({
+  id,
+  requester_id: `student-${id}`,
+  from_course_id: section,
+  priority,
+  created_at: `2025-08-0${id.length}T00:00:00Z`,
+  swap_request_targets: ranked.map((courseId, index) => ({ course_id: courseId, rank: index + 1 }))
+});
+
+// What each request ends up with: the section of the next request in its trade
+const assignment = (requests, trades) => {
+  const sections = new Map(requests.map(r => [r.id, r.from_course_id]));
+  for (const trade of trades) {
+    trade.forEach((member, index) => sections.set(member.id, trade[(index + 1) % trade.length].from_course_id));
+  }
+  return sections;
+};
+
+// Rank of a section for a request; the current section comes after everything listed
+const rankOf = (req, section) => {
+  const rank = getAcceptableCourseIds(req).indexOf(section);
+  return rank === -1 ? Infinity : rank;
+};
+
+describe('Section Assignment', () => {
+  describe('getSectionGroupKey', () => {
+    test('should group sections by code without the section suffix and by term', () => {
+      const section = code => ({ course_code: code, semester: 'Fall', year: 2025 });
+
+      expect(getSectionGroupKey(section('CSCI 005 HM-01'))).toBe(getSectionGroupKey(section('CSCI 005 HM-02')));
+      expect(getSectionGroupKey(section('CSCI 005 HM-01'))).not.toBe(getSectionGroupKey(section('CSCI 070 HM-01')));
+      expect(getSectionGroupKey(section('CSCI 005 HM-01')))
+        .not.toBe(getSectionGroupKey({ course_code: 'CSCI 005 HM-01', semester: 'Spring', year: 2026 }));
+    });
+  });
+
+  describe('findStableTrades', () => {
+    test('should trade seats around a three-way loop', () => {
+      const requests = [
+        request('a', 's1', ['s2']),
+        request('bb', 's2', ['s3']),
+        request('ccc', 's3', ['s1'])
+      ];
+
+      const trades = findStableTrades(requests);
+
+      expect(trades).toHaveLength(1);
+      expect(assignment(requests, trades)).toEqual(new Map([['a', 's2'], ['bb', 's3'], ['ccc', 's1']]));
+    });
+
+    test('should ignore priority when several students want the same seat', () => {
+      // Both want section 2; it goes to the student holding the seat its owner ranks first
+      const requests = [
+        request('a', 's1', ['s2']),
+        request('bb', 's3', ['s2'], 5),
+        request('ccc', 's2', ['s3', 's1'])
+      ];
+
+      const result = assignment(requests, findStableTrades(requests));
+
+      expect(result.get('ccc')).toBe('s3');
+      expect(result.get('bb')).toBe('s2');
+      expect(result.get('a')).toBe('s1');
+    });
+
+    test('should leave no two students who would both rather trade', () => {
+      const requests = [
+        request('a', 's1', ['s3', 's2']),
+        request('bb', 's1', ['s2']),
+        request('ccc', 's2', ['s1', 's3']),
+        request('dddd', 's2', ['s3']),
+        request('eeeee', 's3', ['s2', 's1']),
+        request('ffffff', 's3', ['s1'])
+      ];
+
+      const result = assignment(requests, findStableTrades(requests));
+
+      for (const first of requests) {
+        for (const second of requests) {
+          const firstGains = rankOf(first, result.get(second.id)) < rankOf(first, result.get(first.id));
+          const secondGains = rankOf(second, result.get(first.id)) < rankOf(second, result.get(second.id));
+          expect(firstGains && secondGains).toBe(false);
+        }
+      }
+    });
+
+    test('should not trade students who may not trade with each other', () => {
+      const requests = [request('a', 's1', ['s2']), request('bb', 's2', ['s1'])];
+
+      expect(findStableTrades(requests, { canTrade: () => false })).toEqual([]);
+    });
+  });
+
+  describe('assignCourseSections', () => {
+    const section = (id, code) => ({ id, course_code: code, semester: 'Fall', year: 2025, credits: 3 });
+
+    beforeEach(() => {
+      const requests = [
+        request('a', 's1', ['s2']),
+        request('bb', 's2', ['s3']),
+        request('ccc', 's3', ['s1', 'other'])
+      ];
+
+      fakeSupabase.db.reset({
+        courses: [
+          section('s1', 'CSCI 005 HM-01'),
+          section('s2', 'CSCI 005 HM-02'),
+          section('s3', 'CSCI 005 HM-03'),
+          section('other', 'MATH 060 HM-01')
+        ],
+        swap_requests: requests.map(({ swap_request_targets, ...swap }) =>
+          ({ ...swap, kind: 'section_change', status: 'active', bundle_id: null, expires_at: '2999-01-01T00:00:00Z' })),
+        swap_request_targets: requests.flatMap(swap =>
+          swap.swap_request_targets.map(target => ({ ...target, swap_request_id: swap.id }))),
+        enrollments: [
+          { student_id: 'student-a', course_id: 's1', enrollment_status: 'enrolled' },
+          { student_id: 'student-bb', course_id: 's2', enrollment_status: 'enrolled' },
+          { student_id: 'student-ccc', course_id: 's3', enrollment_status: 'enrolled' }
+        ]
+      });
+    });
+
+    test('should propose the trades as a normal swap match', async () => {
+      const report = await assignCourseSections({ courseId: 's2' });
+
+      expect(report).toMatchObject({ requestsConsidered: 3, studentsMoved: 3 });
+      expect(fakeSupabase.db.table('swap_matches')).toMatchObject([
+        { match_type: 'cycle', participant_count: 3, match_status: 'pending', strategy: 'stable_sections' }
+      ]);
+      expect(fakeSupabase.db.table('swap_requests').map(swap => swap.status)).toEqual(['matched', 'matched', 'matched']);
+    });
+
+    test('should leave ordinary swap requests between sections to the matcher', async () => {
+      fakeSupabase.db.table('swap_requests').find(swap => swap.id === 'bb').kind = 'swap';
+
+      const report = await assignCourseSections({ courseId: 's2' });
+
+      expect(report).toMatchObject({ requestsConsidered: 2, studentsMoved: 0 });
+      expect(fakeSupabase.db.table('swap_matches')).toEqual([]);
+    });
+
+    test('should only report trades on a dry run', async () => {
+      const report = await assignCourseSections({ courseId: 's1', dryRun: true });
+
+      expect(report.trades).toHaveLength(1);
+      expect(fakeSupabase.db.table('swap_matches')).toEqual([]);
+    });
+  });
+});
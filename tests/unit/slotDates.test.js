@@ -0,0 +1,104 @@
+const { getMeetingDates, shareMeetingDate } = require('../../services/slotDates');
+const { findTimeConflicts } = require('../../services/matchingEngine');
+const { checkTimeConflicts } = require('../../services/matchingAlgorithm');
+const hyperscheduleService = require('../../services/hyperscheduleService');
+
+const mondaySlot = (overrides = {}) => ({
+  day_of_week: 1,
+  start_time: '09:00:00',
+  end_time: '10:15:00',
+  ...overrides
+});
+
+describe('Time Slot Dates', () => {
+  describe('getMeetingDates', () => {
+    test('should list each weekly meeting except the exception dates', () => {
+      const slot = mondaySlot({
+        start_date: '2025-09-01',
+        end_date: '2025-09-30',
+        exception_dates: ['2025-09-15']
+      });
+
+      expect(getMeetingDates(slot)).toEqual(['2025-09-01', '2025-09-08', '2025-09-22', '2025-09-29']);
+    });
+  });
+
+  describe('shareMeetingDate', () => {
+    const firstHalf = mondaySlot({ start_date: '2025-09-01', end_date: '2025-10-17' });
+    const secondHalf = mondaySlot({ start_date: '2025-10-20', end_date: '2025-12-12' });
+
+    test('should treat slots without dates as meeting all term', () => {
+      expect(shareMeetingDate(mondaySlot(), firstHalf)).toBe(true);
+      expect(shareMeetingDate(mondaySlot(), mondaySlot())).toBe(true);
+    });
+
+    test('should separate first-half and second-half courses', () => {
+      expect(shareMeetingDate(firstHalf, secondHalf)).toBe(false);
+    });
+
+    test('should skip a one-off meeting that falls on an exception date', () => {
+      const exam = mondaySlot({ start_date: '2025-10-13', end_date: '2025-10-13' });
+
+      expect(shareMeetingDate(exam, firstHalf)).toBe(true);
+      expect(shareMeetingDate(exam, { ...firstHalf, exception_dates: ['2025-10-13'] })).toBe(false);
+    });
+
+    test('should need their weekday to fall inside the shared dates', () => {
+      // The ranges overlap only from Tuesday to Friday
+      const lateStart = mondaySlot({ start_date: '2025-10-14', end_date: '2025-12-12' });
+
+      expect(shareMeetingDate(firstHalf, lateStart)).toBe(false);
+      expect(shareMeetingDate(firstHalf, { ...lateStart, start_date: '2025-10-13' })).toBe(true);
+    });
+  });
+
+  describe('conflict detection', () => {
+    const firstHalf = [mondaySlot({ start_date: '2025-09-01', end_date: '2025-10-17' })];
+    const secondHalf = [mondaySlot({ start_date: '2025-10-20', end_date: '2025-12-12' })];
+
+    test('should only flag overlaps whose date ranges intersect', () => {
+      expect(checkTimeConflicts(firstHalf, secondHalf)).toBe(false);
+      expect(findTimeConflicts(firstHalf, secondHalf)).toEqual([]);
+
+      expect(checkTimeConflicts(firstHalf, [mondaySlot()])).toBe(true);
+      expect(findTimeConflicts(firstHalf, [mondaySlot()])).toHaveLength(1);
+    });
+  });
+
+  describe('Hyperschedule transform', () => {
+    const course = {
+      courseStartDate: '2025-09-02',
+      courseEndDate: '2025-12-12',
+      schedule: [
+        { scheduleDays: 'MW', scheduleStartTime: '9:00', scheduleEndTime: '10:15', scheduleTermCount: 2, scheduleTerms: [1] },
+        {
+          scheduleDays: 'F',
+          scheduleStartTime: '13:00',
+          scheduleEndTime: '16:00',
+          scheduleStartDate: '2025-10-10',
+          scheduleEndDate: '2025-10-10'
+        }
+      ]
+    };
+
+    test('should give half-semester meetings the dates of their half', () => {
+      const [monday] = hyperscheduleService.transformTimeSlots(course);
+
+      expect(monday).toMatchObject({ start_date: '2025-10-23', end_date: '2025-12-12', exception_dates: [] });
+    });
+
+    test('should keep the dates of one-off meetings', () => {
+      const slots = hyperscheduleService.transformTimeSlots(course);
+
+      expect(slots[slots.length - 1]).toMatchObject({ day_of_week: 5, start_date: '2025-10-10', end_date: '2025-10-10' });
+    });
+
+    test('should leave dates empty when the source has none', () => {
+      const [slot] = hyperscheduleService.transformTimeSlots({
+        schedule: [{ scheduleDays: 'T', scheduleStartTime: '9:00', scheduleEndTime: '10:15' }]
+      });
+
+      expect(slot).toMatchObject({ start_date: null, end_date: null, exception_dates: [] });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const {
+  getAcceptableCourseIds,
+  getTargetRank,
+  isMutualSwap,
+  getCycleRankCost,
+  buildSwapGraph,
+  findCyclesThrough,
+  describeCycle,
+  findBundleAssignment
+} = require('../../services/swapGraph');
+
+const { sampleUsers, sampleCourses } = require('../fixtures/testData');
+
+const makeRequest = (id, requesterId, fromCourseId, desiredCourseId) => ({
+  id,
+  requester_id: requesterId,
+  from_course_id: fromCourseId,
+  desired_course_id: desiredCourseId,
+  status: 'active',
+  priority: 1
+});
+
+describe('Swap Graph', () => {
+  // Alice: CS101 -> MATH201, Bob: MATH201 -> PHYS301, Charlie: PHYS301 -> CS101
+  const threeWayLoop = [
+    makeRequest('req-alice', sampleUsers.alice.id, sampleCourses.cs101.id, sampleCourses.math201.id),
+    makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.phys301.id),
+    makeRequest('req-charlie', sampleUsers.charlie.id, sampleCourses.phys301.id, sampleCourses.cs101.id)
+  ];
+
+  describe('ranked target courses', () => {
+    const rankedRequest = {
+      ...makeRequest('req-ranked', sampleUsers.alice.id, sampleCourses.cs101.id, sampleCourses.math201.id),
+      swap_request_targets: [
+        { course_id: sampleCourses.phys301.id, rank: 2 },
+        { course_id: sampleCourses.math201.id, rank: 1 },
+        { course_id: sampleCourses.cs201.id, rank: 3 }
+      ]
+    };
+
+    test('should order acceptable courses by rank', () => {
+      expect(getAcceptableCourseIds(rankedRequest)).toEqual([
+        sampleCourses.math201.id,
+        sampleCourses.phys301.id,
+        sampleCourses.cs201.id
+      ]);
+    });
+
+    test('should fall back to desired_course_id without targets', () => {
+      const request = makeRequest('req-plain', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id);
+      expect(getAcceptableCourseIds(request)).toEqual([sampleCourses.cs101.id]);
+    });
+
+    test('should report the rank of a course or -1', () => {
+      expect(getTargetRank(rankedRequest, sampleCourses.math201.id)).toBe(0);
+      expect(getTargetRank(rankedRequest, sampleCourses.cs201.id)).toBe(2);
+      expect(getTargetRank(rankedRequest, 'unlisted-course')).toBe(-1);
+    });
+
+    test('should treat any listed course as a mutual swap', () => {
+      const partner = makeRequest('req-partner', sampleUsers.bob.id, sampleCourses.cs201.id, sampleCourses.cs101.id);
+      const stranger = makeRequest('req-stranger', sampleUsers.charlie.id, sampleCourses.cs201.id, sampleCourses.math201.id);
+
+      expect(isMutualSwap(rankedRequest, partner)).toBe(true);
+      expect(isMutualSwap(rankedRequest, stranger)).toBe(false);
+    });
+
+    test('should link requests to providers of every acceptable course', () => {
+      const graph = buildSwapGraph([
+        rankedRequest,
+        makeRequest('req-math', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs201.id),
+        makeRequest('req-phys', sampleUsers.charlie.id, sampleCourses.phys301.id, sampleCourses.cs201.id)
+      ]);
+
+      expect(graph.edges.get('req-ranked')).toEqual(['req-math', 'req-phys']);
+    });
+
+    test('should total the ranks members receive around a cycle', () => {
+      expect(getCycleRankCost(threeWayLoop)).toBe(0);
+    });
+  });
+
+  describe('buildSwapGraph', () => {
+    test('should link each request to requests offering the course it wants', () => {
+      const graph = buildSwapGraph(threeWayLoop);
+
+      expect(graph.edges.get('req-alice')).toEqual(['req-bob']);
+      expect(graph.edges.get('req-bob')).toEqual(['req-charlie']);
+      expect(graph.edges.get('req-charlie')).toEqual(['req-alice']);
+    });
+
+    test('should not link a student to their own requests', () => {
+      const graph = buildSwapGraph([
+        makeRequest('req-1', sampleUsers.alice.id, sampleCourses.cs101.id, sampleCourses.math201.id),
+        makeRequest('req-2', sampleUsers.alice.id, sampleCourses.math201.id, sampleCourses.cs101.id)
+      ]);
+
+      expect(graph.edges.get('req-1')).toEqual([]);
+      expect(graph.edges.get('req-2')).toEqual([]);
+    });
+  });
+
+  describe('findCyclesThrough', () => {
+    test('should find a three-way loop from any member', () => {
+      const graph = buildSwapGraph(threeWayLoop);
+
+      const fromAlice = findCyclesThrough(graph, 'req-alice');
+      const fromCharlie = findCyclesThrough(graph, 'req-charlie');
+
+      expect(fromAlice.map(cycle => cycle.map(request => request.id)))
+        .toEqual([['req-alice', 'req-bob', 'req-charlie']]);
+      expect(fromCharlie.map(cycle => cycle.map(request => request.id)))
+        .toEqual([['req-charlie', 'req-alice', 'req-bob']]);
+    });
+
+    test('should ignore direct two-way swaps', () => {
+      const graph = buildSwapGraph([
+        makeRequest('req-alice', sampleUsers.alice.id, sampleCourses.cs101.id, sampleCourses.math201.id),
+        makeRequest('req-bob', sampleUsers.bob.id, sampleCourses.math201.id, sampleCourses.cs101.id)
+      ]);
+
+      expect(findCyclesThrough(graph, 'req-alice')).toEqual([]);
+    });
+
+    test('should respect the maximum cycle length', () => {
+      const fourWayLoop = [
+        makeRequest('req-1', 'student-1', 'course-a', 'course-b'),
+        makeRequest('req-2', 'student-2', 'course-b', 'course-c'),
+        makeRequest('req-3', 'student-3', 'course-c', 'course-d'),
+        makeRequest('req-4', 'student-4', 'course-d', 'course-a')
+      ];
+      const graph = buildSwapGraph(fourWayLoop);
+
+      expect(findCyclesThrough(graph, 'req-1', { maxLength: 3 })).toEqual([]);
+      expect(findCyclesThrough(graph, 'req-1', { maxLength: 4 })).toHaveLength(1);
+    });
+
+    test('should not put the same student in a loop twice', () => {
+      const graph = buildSwapGraph([
+        makeRequest('req-1', 'student-1', 'course-a', 'course-b'),
+        makeRequest('req-2', 'student-2', 'course-b', 'course-c'),
+        makeRequest('req-3', 'student-1', 'course-c', 'course-a')
+      ]);
+
+      expect(findCyclesThrough(graph, 'req-1')).toEqual([]);
+    });
+
+    test('should return nothing for unknown requests', () => {
+      const graph = buildSwapGraph(threeWayLoop);
+      expect(findCyclesThrough(graph, 'missing-request')).toEqual([]);
+    });
+  });
+
+  describe('describeCycle', () => {
+    test('should give each member the course offered by the next member', () => {
+      const participants = describeCycle(threeWayLoop);
+
+      expect(participants).toEqual([
+        {
+          request_id: 'req-alice',
+          student_id: sampleUsers.alice.id,
+          gives_course_id: sampleCourses.cs101.id,
+          receives_course_id: sampleCourses.math201.id,
+          position: 0
+        },
+        {
+          request_id: 'req-bob',
+          student_id: sampleUsers.bob.id,
+          gives_course_id: sampleCourses.math201.id,
+          receives_course_id: sampleCourses.phys301.id,
+          position: 1
+        },
+        {
+          request_id: 'req-charlie',
+          student_id: sampleUsers.charlie.id,
+          gives_course_id: sampleCourses.phys301.id,
+          receives_course_id: sampleCourses.cs101.id,
+          position: 2
+        }
+      ]);
+    });
+  });
+
+  describe('findBundleAssignment', () => {
+    const components = [{ id: 'bundle-a' }, { id: 'bundle-b' }];
+
+    test('should give each component its own partner and course', () => {
+      const partnerOne = { id: 'req-1', from_course_id: sampleCourses.math201.id };
+      const partnerTwo = { id: 'req-2', from_course_id: sampleCourses.phys301.id };
+
+      const assignment = findBundleAssignment(components, [
+        [partnerOne, partnerTwo],
+        [partnerOne]
+      ]);
+
+      expect(assignment).toEqual([partnerTwo, partnerOne]);
+    });
+
+    test('should not receive the same course twice', () => {
+      const partnerOne = { id: 'req-1', from_course_id: sampleCourses.math201.id };
+      const partnerTwo = { id: 'req-2', from_course_id: sampleCourses.math201.id };
+
+      expect(findBundleAssignment(components, [[partnerOne], [partnerTwo]])).toBeNull();
+    });
+
+    test('should return null when any component has no partner', () => {
+      const partnerOne = { id: 'req-1', from_course_id: sampleCourses.math201.id };
+
+      expect(findBundleAssignment(components, [[partnerOne], []])).toBeNull();
+    });
+  });
+});
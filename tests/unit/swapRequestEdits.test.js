@@ -0,0 +1,116 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+const auth = require('../../middleware/auth');
+const { sampleUsers, sampleCourses, sampleTimeSlots } = require('../fixtures/testData');
+
+const { alice, bob } = sampleUsers;
+const { cs101, math201, phys301 } = sampleCourses;
+
+// The routes read supabase and the auth middleware when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabase = fakeSupabase;
+supabaseConfig.supabaseAdmin = fakeSupabase;
+auth.authenticateToken = (req, res, next) => {
+  req.user = { id: alice.id };
+  next();
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/swaps', require('../../routes/swaps'));
+
+const enrollment = (student, course) => ({
+  id: `enrollment-${student.id}-${course.id}`,
+  student_id: student.id,
+  course_id: course.id,
+  enrollment_status: 'enrolled'
+});
+
+const swapRequest = (id, student, fromCourse, toCourse, createdAt) => ({
+  id,
+  requester_id: student.id,
+  from_course_id: fromCourse.id,
+  desired_course_id: toCourse.id,
+  status: 'active',
+  priority: 1,
+  bundle_id: null,
+  created_at: createdAt,
+  expires_at: '2099-01-01T00:00:00.000Z'
+});
+
+describe('Editing a swap request', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset({
+      profiles: [alice, bob],
+      courses: [cs101, math201, phys301],
+      time_slots: [...sampleTimeSlots.cs101_mwf, ...sampleTimeSlots.math201_tr, ...sampleTimeSlots.phys301_mw]
+        .map((slot, index) => ({ id: `slot-${index}`, ...slot })),
+      enrollments: [enrollment(alice, cs101), enrollment(bob, phys301)],
+      swap_requests: [
+        swapRequest('req-alice', alice, cs101, math201, '2024-01-01T00:00:00.000Z'),
+        swapRequest('req-bob', bob, phys301, cs101, '2024-01-01T00:01:00.000Z')
+      ],
+      swap_request_targets: [
+        { id: 'target-alice', swap_request_id: 'req-alice', course_id: math201.id, rank: 1 },
+        { id: 'target-bob', swap_request_id: 'req-bob', course_id: cs101.id, rank: 1 }
+      ],
+      course_requests: [],
+      credit_rules: [],
+      course_restrictions: [],
+      completed_courses: [],
+      rejected_pairings: [],
+      schedule_preferences: [],
+      swap_matches: [],
+      swap_match_participants: []
+    });
+  });
+
+  test('should replace the ranked targets and match the request again', async () => {
+    const response = await request(app)
+      .put('/api/swaps/requests/req-alice')
+      .send({ desiredCourseIds: [phys301.id, math201.id] });
+
+    expect(response.status).toBe(200);
+    expect(fakeSupabase.db.table('swap_request_targets')
+      .filter(target => target.swap_request_id === 'req-alice')
+      .map(target => [target.course_id, target.rank])).toEqual([[phys301.id, 1], [math201.id, 2]]);
+    expect(response.body.swapRequest.desired_course_id).toBe(phys301.id);
+    expect(response.body.matchResult).toMatchObject({ matched: true });
+    expect(fakeSupabase.db.table('swap_matches')).toHaveLength(1);
+  });
+
+  test('should refuse a target another of the student\'s requests already lists', async () => {
+    fakeSupabase.db.table('swap_requests').push(
+      swapRequest('req-alice-physics', alice, cs101, phys301, '2024-01-01T00:02:00.000Z')
+    );
+    fakeSupabase.db.table('swap_request_targets').push(
+      { id: 'target-alice-physics', swap_request_id: 'req-alice-physics', course_id: phys301.id, rank: 1 }
+    );
+
+    const response = await request(app)
+      .put('/api/swaps/requests/req-alice')
+      .send({ desiredCourseIds: [phys301.id, math201.id] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.existingRequestId).toBe('req-alice-physics');
+    expect(fakeSupabase.db.table('swap_request_targets')
+      .filter(target => target.swap_request_id === 'req-alice')
+      .map(target => target.course_id)).toEqual([math201.id]);
+  });
+
+  test('should keep the old targets when the new ones cannot be saved', async () => {
+    const rpc = jest.spyOn(fakeSupabase, 'rpc')
+      .mockResolvedValueOnce({ data: null, error: { message: 'Database unavailable' } });
+
+    const response = await request(app)
+      .put('/api/swaps/requests/req-alice')
+      .send({ desiredCourseIds: [phys301.id] });
+    rpc.mockRestore();
+
+    expect(response.status).toBe(500);
+    expect(fakeSupabase.db.table('swap_request_targets').find(target => target.swap_request_id === 'req-alice'))
+      .toMatchObject({ course_id: math201.id, rank: 1 });
+  });
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+const auth = require('../../middleware/auth');
+const { sampleUsers } = require('../fixtures/testData');
+
+const { alice, bob } = sampleUsers;
+
+// The routes read supabase and the auth middleware when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabase = fakeSupabase;
+supabaseConfig.supabaseAdmin = fakeSupabase;
+auth.authenticateToken = (req, res, next) => {
+  req.user = { id: alice.id };
+  next();
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses', require('../../routes/courses'));
+app.use('/api/swaps', require('../../routes/swaps'));
+
+const fall2024 = { id: 'term-fall-2024', name: 'Fall 2024', semester: 'Fall', year: 2024, is_current: true };
+const spring2024 = { id: 'term-spring-2024', name: 'Spring 2024', semester: 'Spring', year: 2024, is_current: false };
+
+const course = (id, code, term) => ({
+  id,
+  course_code: code,
+  course_title: code,
+  department: 'CSCI',
+  semester: term.semester,
+  year: term.year,
+  term_id: term.id
+});
+
+const swapRequest = (id, student, fromCourseId, toCourseId, createdAt) => ({
+  id,
+  requester_id: student.id,
+  from_course_id: fromCourseId,
+  desired_course_id: toCourseId,
+  status: 'active',
+  priority: 1,
+  created_at: createdAt,
+  expires_at: '2099-01-01T00:00:00.000Z'
+});
+
+const marketplaceItem = (id, term) => ({
+  id,
+  type: 'swap',
+  requester_id: bob.id,
+  requester_name: bob.full_name,
+  priority: 1,
+  created_at: '2024-01-01T00:00:00.000Z',
+  term_id: term.id
+});
+
+describe('Student lists scoped to a term', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset({
+      terms: [spring2024, fall2024],
+      courses: [
+        course('fall-1', 'CSCI 070', fall2024),
+        course('fall-2', 'CSCI 081', fall2024),
+        course('spring-1', 'CSCI 060', spring2024),
+        course('spring-2', 'CSCI 042', spring2024)
+      ],
+      time_slots: [],
+      enrollments: [
+        { id: 'enrollment-fall', student_id: alice.id, course_id: 'fall-1', enrollment_status: 'enrolled' },
+        { id: 'enrollment-spring', student_id: alice.id, course_id: 'spring-1', enrollment_status: 'enrolled' }
+      ],
+      swap_requests: [
+        swapRequest('req-fall', alice, 'fall-1', 'fall-2', '2024-08-01T00:00:00.000Z'),
+        swapRequest('req-spring', alice, 'spring-1', 'spring-2', '2024-01-01T00:00:00.000Z')
+      ],
+      swap_request_targets: [],
+      swap_request_conditions: [],
+      marketplace_view: [marketplaceItem('item-fall', fall2024), marketplaceItem('item-spring', spring2024)]
+    });
+  });
+
+  test('should list only the current term\'s enrollments by default', async () => {
+    const response = await request(app).get('/api/courses/enrolled');
+
+    expect(response.status).toBe(200);
+    expect(response.body.term.id).toBe(fall2024.id);
+    expect(response.body.enrollments.map(enrollment => enrollment.id)).toEqual(['enrollment-fall']);
+  });
+
+  test('should list another term\'s swap requests when asked', async () => {
+    const current = await request(app).get('/api/swaps/requests');
+    const past = await request(app).get('/api/swaps/requests').query({ termId: spring2024.id });
+
+    expect(current.body.swapRequests.map(swap => swap.id)).toEqual(['req-fall']);
+    expect(past.body.swapRequests.map(swap => swap.id)).toEqual(['req-spring']);
+  });
+
+  test('should browse one term of the marketplace', async () => {
+    const response = await request(app).get('/api/swaps/marketplace');
+
+    expect(response.status).toBe(200);
+    expect(response.body.marketplaceItems.map(item => item.id)).toEqual(['item-fall']);
+  });
+
+  test('should report an unknown term', async () => {
+    const response = await request(app).get('/api/courses/requests').query({ termId: 'term-missing' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Term not found');
+  });
+});
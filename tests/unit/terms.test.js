@@ -0,0 +1,164 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The services read supabaseAdmin when they are first required
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const {
+  getToday,
+  isAddDropOpen,
+  validateTermData,
+  resolveTerm,
+  rolloverTerm,
+  getAddDropError
+} = require('../../services/terms');
+const { sampleUsers } = require('../fixtures/testData');
+
+const { alice, bob } = sampleUsers;
+
+const fall2024 = {
+  id: 'term-fall-2024',
+  name: 'Fall 2024',
+  semester: 'Fall',
+  year: 2024,
+  start_date: '2024-08-26',
+  end_date: '2024-12-13',
+  add_drop_deadline: '2024-09-06',
+  is_current: true,
+  archived_at: null
+};
+const spring2025 = {
+  id: 'term-spring-2025',
+  name: 'Spring 2025',
+  semester: 'Spring',
+  year: 2025,
+  start_date: '2025-01-21',
+  end_date: '2025-05-09',
+  add_drop_deadline: null,
+  is_current: false,
+  archived_at: null
+};
+
+describe('Terms', () => {
+
+  describe('validateTermData', () => {
+    test('should accept a term with dates in order', () => {
+      expect(validateTermData(fall2024)).toEqual([]);
+      expect(validateTermData({ ...fall2024, add_drop_deadline: null })).toEqual([]);
+    });
+
+    test('should report missing fields and dates out of order', () => {
+      expect(validateTermData({ semester: ' ', year: 1999, start_date: '2024-8-26' })).toEqual([
+        'Semester is required',
+        'Year must be between 2020 and 2030',
+        'Start date must be a date (YYYY-MM-DD)',
+        'End date must be a date (YYYY-MM-DD)'
+      ]);
+      expect(validateTermData({ ...fall2024, end_date: '2024-08-01' })).toEqual(['End date must be on or after start date']);
+      expect(validateTermData({ ...fall2024, add_drop_deadline: '2024-12-20' })).toEqual(['Add/drop deadline must fall within the term']);
+    });
+  });
+
+  describe('isAddDropOpen', () => {
+    test('should stay open through the deadline day, or the end of the term without one', () => {
+      expect(isAddDropOpen(fall2024, '2024-09-06')).toBe(true);
+      expect(isAddDropOpen(fall2024, '2024-09-07')).toBe(false);
+      expect(isAddDropOpen(spring2025, '2025-05-09')).toBe(true);
+      expect(isAddDropOpen(spring2025, '2025-05-10')).toBe(false);
+    });
+
+    test('should read today in the campus time zone', () => {
+      // 02:00 UTC on Sep 7 is still Sep 6 in California
+      expect(getToday(new Date('2024-09-07T02:00:00Z'), 'America/Los_Angeles')).toBe('2024-09-06');
+      expect(getToday(new Date('2024-09-07T02:00:00Z'), null)).toBe('2024-09-07');
+    });
+  });
+
+  describe('resolveTerm', () => {
+    beforeEach(() => {
+      fakeSupabase.db.reset({ terms: [fall2024, spring2025] });
+    });
+
+    test('should use the term asked for, or else the current one', async () => {
+      expect((await resolveTerm({ termId: spring2025.id })).name).toBe('Spring 2025');
+      expect((await resolveTerm({ semester: 'Spring', year: '2025' })).name).toBe('Spring 2025');
+      expect((await resolveTerm({})).name).toBe('Fall 2024');
+    });
+
+    test('should refuse unknown terms rather than guess', async () => {
+      await expect(resolveTerm({ semester: 'Fall', year: 2030 })).rejects.toThrow('Term not found');
+
+      fakeSupabase.db.reset({ terms: [{ ...fall2024, is_current: false }] });
+      await expect(resolveTerm()).rejects.toThrow('No current term is set');
+    });
+  });
+
+  describe('rolloverTerm', () => {
+    test('should make the term current and archive only the open work of the previous one', async () => {
+      fakeSupabase.db.reset({
+        terms: [fall2024, spring2025],
+        courses: [
+          { id: 'course-fall', course_code: 'CS101', term_id: fall2024.id },
+          { id: 'course-fall-2', course_code: 'MATH201', term_id: fall2024.id },
+          { id: 'course-spring', course_code: 'CS102', term_id: spring2025.id }
+        ],
+        swap_requests: [
+          { id: 'request-active', requester_id: alice.id, from_course_id: 'course-fall', status: 'active' },
+          { id: 'request-matched', requester_id: bob.id, from_course_id: 'course-fall-2', status: 'matched' },
+          { id: 'request-completed', requester_id: alice.id, from_course_id: 'course-fall-2', status: 'completed' },
+          { id: 'request-spring', requester_id: alice.id, from_course_id: 'course-spring', status: 'active' }
+        ],
+        swap_matches: [
+          { id: 'match-pending', course_a_id: 'course-fall-2', course_b_id: 'course-fall', match_status: 'pending' },
+          { id: 'match-completed', course_a_id: 'course-fall-2', course_b_id: 'course-fall', match_status: 'completed' }
+        ],
+        course_requests: [
+          { id: 'course-request-fall', student_id: bob.id, requested_course_id: 'course-fall', status: 'active' },
+          { id: 'course-request-spring', student_id: bob.id, requested_course_id: 'course-spring', status: 'active' }
+        ],
+        swap_bundles: []
+      });
+
+      const result = await rolloverTerm(spring2025.id);
+      const statusOf = (table, column) => Object.fromEntries(fakeSupabase.db.table(table).map(row => [row.id, row[column]]));
+
+      expect(result).toMatchObject({
+        term: { id: spring2025.id, is_current: true },
+        previousTermId: fall2024.id,
+        archivedMatches: 1,
+        archivedSwapRequests: 2,
+        archivedCourseRequests: 1,
+        archivedBundles: 0
+      });
+      expect(statusOf('swap_requests', 'status')).toEqual({
+        'request-active': 'archived',
+        'request-matched': 'archived',
+        'request-completed': 'completed',
+        'request-spring': 'active'
+      });
+      expect(statusOf('swap_matches', 'match_status')).toEqual({ 'match-pending': 'archived', 'match-completed': 'completed' });
+      expect(statusOf('course_requests', 'status')).toEqual({ 'course-request-fall': 'archived', 'course-request-spring': 'active' });
+      expect(fakeSupabase.db.table('terms').find(term => term.id === fall2024.id).archived_at).toBeTruthy();
+
+      await expect(rolloverTerm(spring2025.id)).rejects.toThrow('Term is already the current term');
+    });
+  });
+
+  describe('getAddDropError', () => {
+    test('should name the term whose deadline has passed', async () => {
+      fakeSupabase.db.reset({
+        terms: [fall2024, spring2025],
+        courses: [
+          { id: 'course-fall', course_code: 'CS101', term_id: fall2024.id },
+          { id: 'course-spring', course_code: 'CS102', term_id: spring2025.id }
+        ]
+      });
+
+      expect(await getAddDropError(['course-fall', 'course-spring'], '2024-09-01')).toBeNull();
+      expect(await getAddDropError(['course-spring'], '2024-09-10')).toBeNull();
+      expect(await getAddDropError(['course-spring', 'course-fall'], '2024-09-10'))
+        .toBe('The add/drop deadline for Fall 2024 (2024-09-06) has passed');
+    });
+  });
+});
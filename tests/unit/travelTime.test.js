@@ -0,0 +1,117 @@
+const {
+  getCampus,
+  getTransitionMinutes,
+  findTightTransitions,
+  splitTransitions
+} = require('../../services/travelTime');
+const { findScheduleIssues } = require('../../services/matchingEngine');
+const travelConfig = require('../../config/travel');
+
+const config = {
+  mode: 'warning',
+  defaultMinutes: 0,
+  sameCampusMinutes: 0,
+  campuses: {
+    HMC: ['HMC', 'Shanahan'],
+    Pomona: ['POM', 'Millikan']
+  },
+  transitions: [{ from: 'HMC', to: 'Pomona', minutes: 15 }]
+};
+
+const slot = (courseId, start, end, location, day = 1) => ({
+  course_id: courseId,
+  day_of_week: day,
+  start_time: start,
+  end_time: end,
+  location
+});
+
+describe('Travel Time', () => {
+  describe('getCampus', () => {
+    test('should match campus patterns as whole words', () => {
+      expect(getCampus('Shanahan 1460', config)).toBe('HMC');
+      expect(getCampus('Millikan 2113', config)).toBe('Pomona');
+      expect(getCampus('POMONA HALL', config)).toBeNull();
+      expect(getCampus(null, config)).toBeNull();
+    });
+  });
+
+  describe('getTransitionMinutes', () => {
+    test('should look transitions up in either direction', () => {
+      expect(getTransitionMinutes('Shanahan 1460', 'Millikan 2113', config)).toBe(15);
+      expect(getTransitionMinutes('Millikan 2113', 'Shanahan 1460', config)).toBe(15);
+    });
+
+    test('should fall back for the same or an unknown campus', () => {
+      expect(getTransitionMinutes('Shanahan 1460', 'HMC Parsons', config)).toBe(config.sameCampusMinutes);
+      expect(getTransitionMinutes('Shanahan 1460', 'Online', config)).toBe(config.defaultMinutes);
+    });
+  });
+
+  describe('findTightTransitions', () => {
+    const morning = slot('cs', '09:00:00', '09:50:00', 'Shanahan 1460');
+
+    test('should flag a 10:00 class across campus right after a 9:50 class', () => {
+      const later = slot('math', '10:00:00', '10:50:00', 'Millikan 2113');
+
+      expect(findTightTransitions([morning], [later], config)).toEqual([
+        { type: 'travel', slot: later, conflictsWith: morning, gapMinutes: 10, requiredMinutes: 15 }
+      ]);
+    });
+
+    test('should accept back-to-back classes on the same campus', () => {
+      expect(findTightTransitions([morning], [slot('bio', '10:00:00', '10:50:00', 'Shanahan 2475')], config))
+        .toEqual([]);
+    });
+
+    test('should accept a long enough gap, other days and overlaps', () => {
+      expect(findTightTransitions([morning], [
+        slot('math', '10:05:00', '10:55:00', 'Millikan 2113'),
+        slot('phys', '10:00:00', '10:50:00', 'Millikan 2113', 3),
+        slot('chem', '09:30:00', '10:30:00', 'Millikan 2113')
+      ], config)).toEqual([]);
+    });
+
+    test('should check nothing when travel checks are off', () => {
+      const later = slot('math', '10:00:00', '10:50:00', 'Millikan 2113');
+
+      expect(findTightTransitions([morning], [later], { ...config, mode: 'off' })).toEqual([]);
+    });
+  });
+
+  describe('splitTransitions', () => {
+    const transitions = [{ type: 'travel' }];
+
+    test('should report transitions as warnings or conflicts depending on the mode', () => {
+      expect(splitTransitions(transitions, config)).toEqual({ conflicts: [], warnings: transitions });
+      expect(splitTransitions(transitions, { ...config, mode: 'conflict' }))
+        .toEqual({ conflicts: transitions, warnings: [] });
+    });
+  });
+
+  describe('findScheduleIssues', () => {
+    const originalMode = travelConfig.mode;
+
+    afterEach(() => {
+      travelConfig.mode = originalMode;
+    });
+
+    test('should block tight transitions only in conflict mode', () => {
+      const existing = [slot('cs', '09:00:00', '09:50:00', 'Shanahan 1460')];
+      const added = [slot('math', '10:00:00', '10:50:00', 'Millikan 2113')];
+
+      travelConfig.mode = 'warning';
+      expect(findScheduleIssues(existing, added)).toMatchObject({ conflicts: [], warnings: [{ type: 'travel' }] });
+
+      travelConfig.mode = 'conflict';
+      expect(findScheduleIssues(existing, added)).toMatchObject({ conflicts: [{ type: 'travel' }], warnings: [] });
+    });
+
+    test('should tag overlapping slots', () => {
+      const existing = [slot('cs', '09:00:00', '10:00:00', 'Shanahan 1460')];
+      const added = [slot('math', '09:30:00', '10:30:00', 'Shanahan 1460')];
+
+      expect(findScheduleIssues(existing, added).conflicts).toMatchObject([{ type: 'overlap' }]);
+    });
+  });
+});
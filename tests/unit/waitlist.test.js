@@ -0,0 +1,101 @@
+const { createFakeSupabase } = require('../setup/fakeSupabase');
+const supabaseConfig = require('../../config/supabase');
+
+// The waitlist SQL functions run as the fake's JavaScript versions of them
+const fakeSupabase = createFakeSupabase();
+supabaseConfig.supabaseAdmin = fakeSupabase;
+
+const {
+  joinWaitlist,
+  offerOpenSeats,
+  acceptWaitlistOffer,
+  leaveWaitlist,
+  expireWaitlistOffers
+} = require('../../services/waitlist');
+
+const slot = (courseId, start, end) => ({ course_id: courseId, day_of_week: 1, start_time: start, end_time: end });
+
+// One seat in CS 101, held by Alice; Bob's Monday lab clashes with it
+const fullCourse = () => ({
+  courses: [
+    { id: 'cs101', course_code: 'CS 101', max_capacity: 1, current_enrollment: 1 },
+    { id: 'lab', course_code: 'BIO 50L', max_capacity: null, current_enrollment: 1 }
+  ],
+  time_slots: [slot('cs101', '09:00:00', '10:15:00'), slot('lab', '09:30:00', '12:00:00')],
+  enrollments: [
+    { id: 'alice-cs', student_id: 'alice', course_id: 'cs101', enrollment_status: 'enrolled' },
+    { id: 'bob-lab', student_id: 'bob', course_id: 'lab', enrollment_status: 'enrolled' }
+  ]
+});
+
+const entryFor = studentId => fakeSupabase.db.table('enrollments')
+  .find(row => row.student_id === studentId && row.course_id === 'cs101');
+
+const freeSeat = () => {
+  fakeSupabase.db.table('courses').find(course => course.id === 'cs101').current_enrollment = 0;
+};
+
+describe('Waitlist', () => {
+  beforeEach(() => {
+    fakeSupabase.db.reset(fullCourse());
+  });
+
+  test('should line students up in the order they joined', async () => {
+    await expect(joinWaitlist('bob', 'cs101')).resolves.toMatchObject({ enrollment_status: 'waitlist', position: 1 });
+    await expect(joinWaitlist('carol', 'cs101')).resolves.toMatchObject({ position: 2 });
+    await expect(joinWaitlist('carol', 'cs101')).rejects.toThrow('Already on the waitlist for this course');
+  });
+
+  test('should offer a freed seat to the first student it fits, who keeps their place', async () => {
+    await joinWaitlist('bob', 'cs101');
+    await joinWaitlist('carol', 'cs101');
+    freeSeat();
+
+    const offers = await offerOpenSeats('cs101');
+
+    expect(offers).toMatchObject([{ studentId: 'carol', courseId: 'cs101' }]);
+    expect(entryFor('bob').enrollment_status).toBe('waitlist');
+    expect(entryFor('carol').enrollment_status).toBe('offered');
+    // The held seat counts against capacity, so nobody else can take it
+    await expect(offerOpenSeats('cs101')).resolves.toEqual([]);
+  });
+
+  test('should enroll a student who accepts and settle their course request', async () => {
+    fakeSupabase.db.table('course_requests').push({ id: 'carol-request', student_id: 'carol', status: 'active' });
+    await joinWaitlist('carol', 'cs101', { courseRequestId: 'carol-request' });
+    freeSeat();
+    await offerOpenSeats('cs101');
+
+    await expect(acceptWaitlistOffer('carol', 'cs101')).resolves.toMatchObject({ enrollment_status: 'enrolled' });
+    expect(fakeSupabase.db.table('course_requests')[0].status).toBe('matched');
+    await expect(acceptWaitlistOffer('carol', 'cs101')).rejects.toThrow('No open seat offer for this course');
+  });
+
+  test('should drop waitlist places whose course request is no longer active', async () => {
+    fakeSupabase.db.table('course_requests').push({ id: 'dave-request', student_id: 'dave', status: 'cancelled' });
+    await joinWaitlist('dave', 'cs101', { courseRequestId: 'dave-request' });
+    await joinWaitlist('carol', 'cs101');
+    freeSeat();
+
+    await expect(offerOpenSeats('cs101')).resolves.toMatchObject([{ studentId: 'carol' }]);
+    expect(entryFor('dave')).toBeUndefined();
+  });
+
+  test('should pass a declined or expired offer to the next student', async () => {
+    await joinWaitlist('carol', 'cs101');
+    await joinWaitlist('dave', 'cs101');
+    await joinWaitlist('erin', 'cs101');
+    freeSeat();
+    await offerOpenSeats('cs101');
+
+    await expect(leaveWaitlist('carol', 'cs101')).resolves.toMatchObject({ offers: [{ studentId: 'dave' }] });
+
+    entryFor('dave').offer_expires_at = '2025-01-01T00:00:00.000Z';
+    const { results, offers } = await expireWaitlistOffers();
+
+    expect(results).toEqual([{ type: 'waitlist_offer', enrollmentId: expect.any(String), expired: true }]);
+    expect(offers).toMatchObject([{ studentId: 'erin' }]);
+    expect(entryFor('dave')).toBeUndefined();
+    expect(fakeSupabase.db.table('courses')[0].current_enrollment).toBe(1);
+  });
+});
@@ -0,0 +1,222 @@
+const { parse } = require('csv-parse/sync');
+
+// Parsing and validation for schedule CSV imports. Nothing here touches the
+// database; services/scheduleImport.js writes the parsed rows.
+
+// Also read when present: department, instructor, credits, location
+const REQUIRED_COLUMNS = ['course_code', 'course_title', 'days', 'start_time', 'end_time'];
+
+// M T W R(Thursday) F S(Saturday) U(Sunday), as day_of_week values
+const DAY_CODES = { U: 0, M: 1, T: 2, W: 3, R: 4, F: 5, S: 6 };
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// '9:00 AM', '2:30 PM' or 24-hour '14:30' to 'HH:MM:SS'; null when invalid
+const parseTimeString = (timeString) => {
+  if (!timeString) {
+    return null;
+  }
+
+  const match = String(timeString).trim().match(/^(\d{1,2}):(\d{2})(?:\s*([AaPp][Mm]))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const period = match[3] && match[3].toUpperCase();
+
+  if (minutes > 59) {
+    return null;
+  }
+
+  if (period) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (period === 'PM' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
+};
+
+// 'MWF' -> [1, 3, 5]; unknown letters are ignored
+const parseDaysOfWeek = (dayString) => {
+  if (!dayString) {
+    return [];
+  }
+
+  const days = [];
+  for (const char of String(dayString).toUpperCase()) {
+    if (char in DAY_CODES && !days.includes(DAY_CODES[char])) {
+      days.push(DAY_CODES[char]);
+    }
+  }
+
+  return days;
+};
+
+const validateCourseData = (course) => {
+  const errors = [];
+
+  if (isBlank(course.course_code)) {
+    errors.push('Course code is required');
+  }
+
+  if (isBlank(course.course_title)) {
+    errors.push('Course title is required');
+  }
+
+  if (!isBlank(course.credits)) {
+    const credits = Number(course.credits);
+    if (Number.isNaN(credits) || credits < 0 || credits > 20) {
+      errors.push('Credits must be a number between 0 and 20');
+    }
+  }
+
+  if (!isBlank(course.year)) {
+    const year = Number(course.year);
+    if (!Number.isInteger(year) || year < 2020 || year > 2030) {
+      errors.push('Year must be between 2020 and 2030');
+    }
+  }
+
+  if (!isBlank(course.max_capacity)) {
+    const capacity = Number(course.max_capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      errors.push('Max capacity must be a positive whole number');
+    }
+  }
+
+  return errors;
+};
+
+const validateTimeSlotData = (timeSlot) => {
+  const errors = [];
+
+  if (!Number.isInteger(timeSlot.day_of_week) || timeSlot.day_of_week < 0 || timeSlot.day_of_week > 6) {
+    errors.push('Invalid day of week');
+  }
+
+  if (!timeSlot.start_time) {
+    errors.push('Start time is required');
+  }
+
+  if (!timeSlot.end_time) {
+    errors.push('End time is required');
+  }
+
+  // 'HH:MM:SS' strings compare in time order
+  if (timeSlot.start_time && timeSlot.end_time && timeSlot.end_time <= timeSlot.start_time) {
+    errors.push('End time must be after start time');
+  }
+
+  return errors;
+};
+
+// One CSV record to a course and its weekly time slots, or the reasons it can't be
+const parseScheduleRow = (record, { semester, year, termId = null }) => {
+  const course = {
+    course_code: (record.course_code || '').toUpperCase(),
+    course_title: record.course_title || '',
+    department: record.department || null,
+    instructor: record.instructor || null,
+    credits: isBlank(record.credits) ? null : record.credits,
+    semester,
+    year,
+    term_id: termId
+  };
+
+  const errors = validateCourseData(course);
+  const days = parseDaysOfWeek(record.days);
+  const startTime = parseTimeString(record.start_time);
+  const endTime = parseTimeString(record.end_time);
+
+  if (days.length === 0) {
+    errors.push('Days must use M, T, W, R, F, S or U');
+  }
+
+  const unreadableTimes = [
+    ...(!isBlank(record.start_time) && !startTime ? [`Invalid start time "${record.start_time}"`] : []),
+    ...(!isBlank(record.end_time) && !endTime ? [`Invalid end time "${record.end_time}"`] : [])
+  ];
+
+  // Every slot of a row shares its times; the days were checked above
+  errors.push(...(unreadableTimes.length > 0
+    ? unreadableTimes
+    : validateTimeSlotData({ day_of_week: days[0], start_time: startTime, end_time: endTime })
+      .filter(error => error !== 'Invalid day of week')));
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    course: { ...course, credits: course.credits === null ? null : Number(course.credits) },
+    timeSlots: days.map(day => ({
+      day_of_week: day,
+      start_time: startTime,
+      end_time: endTime,
+      location: record.location || null
+    })),
+    errors: []
+  };
+};
+
+// Parses a whole schedule file. Returns { error } when the file itself can't be
+// read, otherwise the valid rows and the failed ones, each with its line numbers
+// (the header is line 1).
+const parseScheduleCsv = (text, term) => {
+  let records;
+
+  try {
+    records = parse(text, {
+      bom: true,
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    return { error: `Could not read CSV: ${error.message}` };
+  }
+
+  if (records.length === 0) {
+    return { error: 'CSV file has no course rows' };
+  }
+
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !(column in records[0].record));
+
+  if (missingColumns.length > 0) {
+    return { error: `CSV file is missing columns: ${missingColumns.join(', ')}` };
+  }
+
+  const rows = [];
+  const failed = [];
+
+  for (const { record, info } of records) {
+    const { course, timeSlots, errors } = parseScheduleRow(record, term);
+
+    if (errors.length > 0) {
+      failed.push({ lines: [info.lines], course_code: record.course_code || null, errors });
+    } else {
+      rows.push({ lines: [info.lines], course, timeSlots });
+    }
+  }
+
+  return { rows, failed };
+};
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  parseTimeString,
+  parseDaysOfWeek,
+  validateCourseData,
+  validateTimeSlotData,
+  parseScheduleRow,
+  parseScheduleCsv
+};